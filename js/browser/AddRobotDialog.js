@@ -18,6 +18,9 @@ define("browser/AddRobotDialog", ["browser/Dialog"], (Dialog) => {
 		createDialog() {
 			super.createDialog();
 
+			this.$dlg.find('#level').selectmenu();
+			this.$dlg.find('#strategy').selectmenu();
+
 			let promise;
 			$.get("/defaults")
 			.then(defaults => Promise.all([
@@ -25,7 +28,7 @@ define("browser/AddRobotDialog", ["browser/Dialog"], (Dialog) => {
 				.then(dictionaries => {
 					const $dic = this.$dlg.find('#dictionary');
 					dictionaries
-					.forEach(d => $dic.append(`<option>${d}</option>`));
+					.forEach(d => $dic.append(`<option>${d.name}</option>`));
 					if (defaults.dictionary)
 						$dic.val(defaults.dictionary);
 					$dic.selectmenu();
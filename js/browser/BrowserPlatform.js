@@ -29,6 +29,10 @@ define('platform', [ "game/Platform" ], (Platform) => {
 			// NOP, not available in browser
 		}
 
+		static computeRackLeave() {
+			// NOP, not available in browser
+		}
+
 		/** See {@link Platform#i18n} for documentation */
 		static i18n() {
 			return $.i18n.apply(null, arguments);
@@ -15,6 +15,16 @@ define("browser/CreateGameDialog", ["browser/Dialog"], (Dialog) => {
 		canSubmit() {
 			console.log(`Validate edition ${this.$dlg.find('#edition').val()} play dictionary ${this.$dlg.find('#dictionary').val()}`);
 
+			// Duplicate games need a dictionary to find the top play
+			if (this.$dlg.find('#duplicate').prop('checked')
+				&& this.$dlg.find('#dictionary').val() === 'none')
+				return false;
+
+			// So do void games, to check the plays
+			if (this.$dlg.find('#challengeRule').val() === 'void'
+				&& this.$dlg.find('#dictionary').val() === 'none')
+				return false;
+
 			return (this.$dlg.find('#edition').val() !== 'none');
 		}
 
@@ -26,6 +36,10 @@ define("browser/CreateGameDialog", ["browser/Dialog"], (Dialog) => {
 
 		createDialog() {
 			super.createDialog();
+			this.$dlg.find('#timeoutAction').selectmenu();
+			this.$dlg.find('#challengeRule').selectmenu()
+			.on('selectmenuchange', () => this.validate());
+			this.$dlg.find('#duplicate').on('change', () => this.validate());
 			let promise;
 			$.get("/defaults")
 			.then(defaults => Promise.all([
@@ -36,23 +50,49 @@ define("browser/CreateGameDialog", ["browser/Dialog"], (Dialog) => {
 					if (defaults.edition)
 						$eds.val(defaults.edition);
 					$eds.selectmenu();
-					$eds.on('selectmenuchange', () => this.validate());
+					$eds.on('selectmenuchange', () => {
+						this.showDictionaries();
+						this.validate();
+					});
+					this.showDictionaries();
 					this.validate();
 				}),
 				$.get("/dictionaries")
 				.then(dictionaries => {
+					this.dictionaries = dictionaries;
 					const $dics = this.$dlg.find('.dictionary');
-					dictionaries
-					.forEach(d => $dics.append(`<option>${d}</option>`));
-					if (defaults.dictionary)
-						$("#dictionary").val(defaults.dictionary);
 					$dics.selectmenu();
+					this.showDictionaries(defaults.dictionary);
 					$dics.on('selectmenuchange', () => this.validate());
 					this.validate();
 				})
 			]));
 		}
 
+		/**
+		 * Offer only the dictionaries that can be used with the
+		 * selected edition. Dictionaries that don't say which
+		 * editions they can be used with are always offered.
+		 * @param {string?} dictionary the dictionary to select, if
+		 * it is offered. Defaults to the one already selected.
+		 * @private
+		 */
+		showDictionaries(dictionary) {
+			if (!this.dictionaries)
+				return;
+			const edition = this.$dlg.find('#edition').val();
+			const $dic = this.$dlg.find('#dictionary');
+			dictionary = dictionary || $dic.val();
+			$dic.find('option:not([value=none])').remove();
+			this.dictionaries
+			.filter(d => !d.editions || d.editions.indexOf(edition) >= 0)
+			.forEach(d => $dic.append(`<option>${d.name}</option>`));
+			$dic.val(dictionary);
+			if (!$dic.val())
+				$dic.val('none');
+			$dic.selectmenu('refresh');
+		}
+
 		getAction() {
 			return "createGame";
 		}
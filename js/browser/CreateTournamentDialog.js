@@ -0,0 +1,91 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env browser, jquery */
+
+/**
+ * Dialog for tournament creation. Demand loads the HTML.
+ */
+define("browser/CreateTournamentDialog", ["browser/Dialog"], (Dialog) => {
+
+	class CreateTournamentDialog extends Dialog {
+
+		constructor(options) {
+			super("CreateTournamentDialog", $.extend({
+				title: $.i18n("Create a tournament")
+			}, options));
+		}
+
+		/**
+		 * @override
+		 */
+		canSubmit() {
+			return this.$dlg.find('#edition').val() !== 'none'
+			&& this.$dlg.find('.entrant:checked').length >= 2;
+		}
+
+		createDialog() {
+			super.createDialog();
+
+			const $pairing = this.$dlg.find('#pairing');
+			$pairing.selectmenu();
+			// A round-robin has as many rounds as it needs
+			$pairing.on('selectmenuchange', () => this.$dlg.find('#roundsRow')
+						.toggle($pairing.val() === 'swiss'));
+
+			$.get("/defaults")
+			.then(defaults => Promise.all([
+				$.get("/editions")
+				.then(editions => {
+					const $eds = this.$dlg.find('#edition');
+					editions.forEach(e => $eds.append(`<option>${e}</option>`));
+					if (defaults.edition)
+						$eds.val(defaults.edition);
+					$eds.selectmenu();
+					$eds.on('selectmenuchange', () => this.validate());
+					this.validate();
+				}),
+				$.get("/dictionaries")
+				.then(dictionaries => {
+					const $dics = this.$dlg.find('.dictionary');
+					dictionaries
+					.forEach(d => $dics.append(`<option>${d.name}</option>`));
+					if (defaults.dictionary)
+						$dics.val(defaults.dictionary);
+					$dics.selectmenu();
+				})
+			]));
+		}
+
+		openDialog() {
+			super.openDialog();
+
+			// Known users, got afresh each time the dialog is opened
+			$.get("/users")
+			.then(users => {
+				const $entrants = this.$dlg.find('#entrants');
+				$entrants.empty();
+				users.forEach(uo => $entrants.append(
+					$('<label class="entrant-label"></label>')
+					.text(uo.name)
+					.prepend($('<input type="checkbox" class="entrant"/>')
+							 .val(uo.key)
+							 .on('change', () => this.validate()))));
+				this.validate();
+			});
+		}
+
+		submit() {
+			const entrants = [];
+			this.$dlg.find('.entrant:checked').each(function() {
+				entrants.push($(this).val());
+			});
+			super.submit({ entrants: entrants });
+		}
+
+		getAction() {
+			return "createTournament";
+		}
+	}
+
+	return CreateTournamentDialog;
+});
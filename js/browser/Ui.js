@@ -4,17 +4,22 @@ define('browser/Ui', [
 	'socket.io', 'browser/Dialog',
 	'game/Fridge',
 	'game/Tile', 'game/Bag', 'game/Rack', 'game/Board',
-	'game/Game', 'game/Player',
+	'game/Game', 'game/Player', 'game/Move',
 	'jquery', 'jqueryui', 'cookie', 'browser/icon_button'
 ], (
 	Socket, Dialog,
 	Fridge,
 	Tile, Bag, Rack, Board,
-	Game, Player
+	Game, Player, Move
 ) => {
 
 	const SETTINGS_COOKIE = 'xanado_settings';
 
+	// Keys that don't type anything on their own
+	const MODIFIER_KEYS = [
+		'Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock', 'Dead'
+	];
+
 	/**
 	 * Report an error returned from an ajax request.
 	 * @param {string|Error|array|jqXHR} args This will either be a
@@ -74,6 +79,49 @@ define('browser/Ui', [
 		return $span;
 	}
 
+	/**
+	 * Format the tiles on a rack, with blanks shown as '_'
+	 * @param {Tile[]} tiles the tiles
+	 * @return {string} the letters
+	 */
+	function formatRack(tiles) {
+		return tiles.map(t => t.isBlank ? '_' : t.letter).join('');
+	}
+
+	/**
+	 * Format a description of what was done in a turn.
+	 * @param {Turn} turn the turn being described
+	 * @return {jQuery|string} the description, undefined for the
+	 * end of the game
+	 */
+	function formatTurn(turn) {
+		switch (turn.type) {
+		case 'move':
+			return formatScore(turn, false);
+		case 'swap':
+			return $.i18n(
+				"Swapped $1 tile{{PLURAL:$1||s}}",
+				turn.replacements.length);
+		case /*i18n*/'timeout':
+		case /*i18n*/"passed":
+		case /*i18n*/'challenge-won':
+		case /*i18n*/'challenge-failed':
+		case /*i18n*/'took-back':
+			return $.i18n(turn.type);
+		case 'duplicate':
+			return turn.words
+			? formatScore({ words: turn.words, score: turn.topScore }, false)
+			: $.i18n("No play was possible");
+		case /*i18n*/'Game over':
+		case /*i18n*/'Forfeited':
+		case /*i18n*/'All players passed twice':
+			return undefined;
+		default:
+			// Terminal, no point in translating
+			throw Error(`Unknown move type ${turn.type}`);
+		}
+	}
+
 	/**
 	 * Append to the log pane. Messages are wrapped in a div, which
 	 * may have the optional css class.
@@ -159,6 +207,43 @@ define('browser/Ui', [
 			}
 			const gameKey = m[1];
 
+			/**
+			 * True if the game is being replayed, turn by turn, rather
+			 * than played. Set by a 'replay' parameter in the URL.
+			 * @member {boolean}
+			 */
+			this.isReplay = /[?;&]replay\b/.test(document.URL);
+
+			/**
+			 * True if we are watching the game rather than playing
+			 * in it. Set by an 'observe' parameter in the URL, or if
+			 * the user isn't playing in the game. Spectators are
+			 * never sent the racks, except when they are revealed
+			 * (see {@link Ui#handle_racks}).
+			 * @member {boolean}
+			 */
+			this.isSpectator = /[?;&]observe\b/.test(document.URL);
+
+			/**
+			 * Name of the spectator, if they are logged in
+			 * @member {string}
+			 */
+			this.spectatorName = undefined;
+
+			/**
+			 * Name of the logged-in user playing the game. When
+			 * playing in a team, this is not the name of the player.
+			 * @member {string}
+			 */
+			this.userName = undefined;
+
+			/**
+			 * The racks last revealed to a spectator; map from
+			 * player key to a list of tiles
+			 * @member {object}
+			 */
+			this.revealedRacks = undefined;
+
 			/**
 			 * Currently selected Square
 			 * @member {Square}
@@ -178,6 +263,14 @@ define('browser/Ui', [
 			 */
 			this.typeAcross = true;
 
+			/**
+			 * True if the game dictionary has definitions of the
+			 * words, which are shown when a word in the log is
+			 * clicked. lateinit in loadGame
+			 * @member {boolean}
+			 */
+			this.hasDefinitions = false;
+
 			/**
 			 * lateinit in loadGame
 			 * @member {Player}
@@ -194,14 +287,21 @@ define('browser/Ui', [
 
 			$("button").button();
 
-			console.debug(`GET /game/${gameKey}`);
-			$.get(`/game/${gameKey}`)
+			const url = `/game/${gameKey}${this.isSpectator ? '?observe' : ''}`;
+			console.debug(`GET ${url}`);
+			$.get(url)
 			.then(frozen => {
 				$(".user-interface").show();
 				console.debug(`--> Game ${gameKey}`);
 				const game = Fridge.thaw(frozen, Game.classes);
-				return this.identifyPlayer(game)
-				.then (playerKey => this.loadGame(game))
+				if (this.isReplay)
+					// No need to identify the player, or connect
+					return this.loadGame(game)
+					.then(() => this.loadReplay());
+				return (this.isSpectator
+						? this.identifySpectator()
+						: this.identifyPlayer(game))
+				.then (() => this.loadGame(game))
 				.then(() => this.attachSocketListeners());
 			})
 			.catch(report);
@@ -216,6 +316,19 @@ define('browser/Ui', [
 			return this.player && this.player.key === key;
 		}
 
+		/**
+		 * True if this player can play now. In a duplicate game,
+		 * that's if they haven't already played this round.
+		 * @return {boolean} true if it's our go
+		 */
+		isMyGo() {
+			if (this.game.duplicate)
+				return typeof this.player !== 'undefined'
+				&& !this.game.hasEnded()
+				&& !(this.game.plays && this.game.plays[this.player.key]);
+			return this.isThisPlayer(this.game.whosTurnKey);
+		}
+
 		/**
 		 * Send a game command to the server. Game commands are
 		 * 'swap', 'takeBack', 'pass', and 'pause'
@@ -232,7 +345,37 @@ define('browser/Ui', [
 				// convert all numbers to strings. Which is a PITA.
 				{ args: JSON.stringify(args) })
 			.then(r => console.debug(`${command} OK`, r))
-			.catch(console.error);
+			.catch(jqXHR => {
+				const err = jqXHR.responseJSON;
+				if (command === 'makeMove' && err && err.words)
+					this.playRejected(args, err);
+				else
+					console.error(jqXHR);
+			});
+		}
+
+		/**
+		 * The server rejected our play because it makes words that
+		 * aren't in the dictionary. Unlock the tiles, so the play
+		 * can be fixed.
+		 * @param {Move} move the play that was rejected
+		 * @param {object} err the error from the server,
+		 * `{message, words}`
+		 * @private
+		 */
+		playRejected(move, err) {
+			for (let placement of move.placements) {
+				const square = this.game.at(placement.col, placement.row);
+				square.tileLocked = false;
+				square.refreshDOM();
+			}
+			this.placedCount = move.placements.length;
+			if (this.settings.warnings)
+				playAudio('oops');
+			addToLog($.i18n(err.message, err.words.join(', ')),
+					 'turn-narrative');
+			this.lockBoard(false);
+			this.updateGameStatus();
 		}
 
 		/**
@@ -241,40 +384,35 @@ define('browser/Ui', [
 		 * @param {boolean} isLatestTurn set true if this is the most recent turn
 		 */
 		appendTurnToLog(turn, isLatestTurn) {
+			if (turn.type === 'duplicate') {
+				this.appendRoundToLog(turn);
+				return;
+			}
+
 			// Who's turn was it?
 			const player = this.game.getPlayer(turn.playerKey);
-			addToLog($.i18n(
-				"$1's turn", `<span class='playerName'>${player.name}</span>`),
-					 'turn-player');
+			if (player)
+				addToLog($.i18n(
+					"$1's turn", `<span class='playerName'>${player.name}</span>`),
+						 'turn-player');
 
 			// What did they do?
-			let turnText;
-			switch (turn.type) {
-			case 'move':
-				turnText = formatScore(turn, false);
-				break;
-			case 'swap':
-				turnText = $.i18n(
-					"Swapped $1 tile{{PLURAL:$1||s}}",
-					turn.replacements.length);
-				break;
-			case /*i18n*/'timeout':
-			case /*i18n*/"passed":
-			case /*i18n*/'challenge-won':
-			case /*i18n*/'challenge-failed':
-			case /*i18n*/'took-back':
-				turnText = $.i18n(turn.type);
-			case /*i18n*/'Game over':
-				break;
-			default:
-				// Terminal, no point in translating
-				throw Error(`Unknown move type ${turn.type}`);
+			addToLog(formatTurn(turn), 'turn-detail');
+
+			if (turn.type === 'challenge-failed'
+				&& typeof turn.score === 'object') {
+				// Penalty for the failed challenge
+				for (let key of Object.keys(turn.score))
+					addToLog($.i18n(
+						"$1 gets $2 point{{PLURAL:$2||s}}",
+						this.game.getPlayer(key).name, turn.score[key]),
+							 'turn-narrative');
 			}
-			addToLog(turnText, 'turn-detail');
 
 			if (isLatestTurn
 				&& turn.emptyPlayerKey
 				&& !this.game.hasEnded()
+				&& this.game.challengeRule !== 'void'
 				&& turn.type !== 'challenge-failed'
 				&& turn.type !== 'Game over') {
 				if (this.isThisPlayer(turn.emptyPlayerKey)) {
@@ -291,6 +429,26 @@ define('browser/Ui', [
 			}
 		}
 
+		/**
+		 * Append the end of a round of a duplicate game to the log;
+		 * the top play, and what each player played
+		 * @param {Turn} turn a 'duplicate' Turn
+		 */
+		appendRoundToLog(turn) {
+			addToLog($.i18n("Top play"), 'turn-player');
+			addToLog(formatTurn(turn), 'turn-detail');
+			for (let player of this.game.players) {
+				const play = turn.plays[player.key];
+				const $div = $('<div></div>')
+					  .append(`<span class='playerName'>${player.name}</span>: `);
+				if (play && play.words && play.words.length > 0)
+					$div.append(formatScore(play, false));
+				else
+					$div.append($.i18n("passed"));
+				addToLog($div, 'turn-narrative');
+			}
+		}
+
 		/**
 		 * Append a formatted 'end of game' message to the log
 		 * @param {boolean} cheer true if a cheer is to be played
@@ -298,7 +456,6 @@ define('browser/Ui', [
 		logEndMessage(cheer) {
 			const game = this.game;
 			const adjustments = [];
-			const winningScore = game.winningScore();
 			const winners = [];
 			let iWon = false;
 
@@ -316,7 +473,7 @@ define('browser/Ui', [
 				const name = isMe ? $.i18n("You") : player.name;
 				const $gsd = $('<div class="rack-gains"></div>');
 
-				if (player.score === winningScore) {
+				if (game.isWinner(player)) {
 					if (isMe) {
 						iWon = true;
 						if (cheer)
@@ -339,6 +496,11 @@ define('browser/Ui', [
 						name, player.rack.score(),
 						player.rack.lettersLeft().join(',')));
 				}
+				const penalty = game.timePenalty(player);
+				if (penalty > 0)
+					$gsd.append($('<div></div>').text($.i18n(
+						"$1 lost $2 point{{PLURAL:$2||s}} for going over time",
+						name, penalty)));
 				player.refreshDOM();
 				$narrative.append($gsd);
 			});
@@ -391,10 +553,29 @@ define('browser/Ui', [
 			const $mess = $('<div class="chatMessage"></div>');
 			if (message.classes)
 				$mess.addClass(message.classes);
+			if (message.team)
+				$mess.addClass('team');
 			$mess.append($pn).append(": ");
 
 			const $msg =  $('<span class="chatText"></span>');
-			$msg.text($.i18n.apply(null, args));
+			if (message.sender === 'Advisor'
+				&& (args[0] === 'Hint'
+					|| args[0] === "$1 at row $2 column $3 would have scored $4")) {
+				// $1 is the words played, which can be clicked on
+				// like the words in the turn log
+				const mark = '\u0001';
+				const parts = $.i18n.apply(
+					null, [ args[0], mark ].concat(args.slice(2)))
+					  .split(mark);
+				$msg.append(document.createTextNode(parts[0]));
+				args[1].split(',').forEach((word, i) => {
+					if (i > 0)
+						$msg.append(document.createTextNode(','));
+					$msg.append($('<span class="word"></span>').text(word));
+				});
+				$msg.append(document.createTextNode(parts[1]));
+			} else
+				$msg.text($.i18n.apply(null, args));
 			$mess.append($msg);
 
 			addToLog($mess);
@@ -411,13 +592,22 @@ define('browser/Ui', [
 		 * Process a tick from the server. Does nothing in an untimed game.
 		 * @param {object} params Parameters
 		 * @param {string} gameKey game key
-		 * @param {string} playerKey player key
+		 * @param {string} playerKey player key, undefined for the
+		 * round timer in a duplicate game
 		 * @param {string} secondsToPlay seconds left for this player to play
 		 */
 		handle_tick(params) {
 			// console.debug("--> tick");
 			if (params.gameKey !== this.game.key)
 				console.error(`key mismatch ${this.game.key}`);
+			if (typeof params.clock === 'number') {
+				const player = this.game.getPlayer(params.playerKey);
+				if (player) {
+					player.clock = params.clock;
+					player.refreshDOM();
+				}
+			}
+
 			const $to = $('#timeout')
 			.removeClass('tick-alert-high tick-alert-medium tick-alert-low');
 
@@ -427,7 +617,10 @@ define('browser/Ui', [
 			}
 
 			let stick = '';
-			if (this.isThisPlayer(params.playerKey)) {
+			if (!params.playerKey)
+				stick = $.i18n("$1 seconds left in this round",
+							   Math.floor(params.secondsToPlay));
+			else if (this.isThisPlayer(params.playerKey)) {
 				this.player.secondsToPlay = params.secondsToPlay;
 				stick = $.i18n("You have $1 seconds to play",
 							   Math.floor(params.secondsToPlay));
@@ -503,6 +696,13 @@ define('browser/Ui', [
 			if (event.target.id !== "body" || this.boardLocked)
 				return;
 
+			// Modifiers don't come between the letters of a tile
+			// with more than one letter, see manuallyPlaceLetter
+			if (MODIFIER_KEYS.indexOf(event.key) >= 0)
+				return;
+			const lastTyped = this.lastTyped;
+			this.lastTyped = undefined;
+
 			switch (event.key) {
 
             case "ArrowUp": case "Up":
@@ -584,7 +784,7 @@ define('browser/Ui', [
 				break;
 
 			default:
-				this.manuallyPlaceLetter(event.key.toUpperCase());
+				this.manuallyPlaceLetter(event.key.toUpperCase(), lastTyped);
 				break;
 			}
 		}
@@ -616,13 +816,27 @@ define('browser/Ui', [
 				$('#scoresBlock td.remaining-tiles').empty();
 			} else {
 				$('#letterbag').text($.i18n("The letter bag is empty"));
-				const countElements = $('#scoresBlock td.remaining-tiles');
-				this.game.players.forEach(
-					(player, i) =>
-					$(countElements[i]).text(`(${player.rack.squaresUsed()})`));
+				// Spectators don't know what's on the racks
+				if (!this.isSpectator) {
+					const countElements = $('#scoresBlock td.remaining-tiles');
+					this.game.players.forEach(
+						(player, i) =>
+						$(countElements[i]).text(`(${player.rack.squaresUsed()})`));
+				}
 			}
+			if (this.revealedRacks) {
+				// Show spectators what's on each rack in place of
+				// the tile count
+				const $racks = $('#scoresBlock td.remaining-tiles');
+				this.game.players.forEach((player, i) => {
+					const rack = this.revealedRacks[player.key];
+					$($racks[i]).text(rack ? formatRack(rack) : '?');
+				});
+			}
+			// Nobody swaps in a duplicate game
 			$('#swapRack')
-			.toggle(remains >= this.game.board.rackCount);
+			.toggle(!this.game.duplicate
+					&& remains >= this.game.board.rackCount);
 		}
 
 		/**
@@ -633,18 +847,22 @@ define('browser/Ui', [
 		 * or undefined if the player is not logged in or is not in the game
 		 */
 		identifyPlayer(game) {
-			$(".logged-in,.not-logged-in,.bad-user").hide();
+			$(".logged-in,.not-logged-in,.bad-user,.spectating").hide();
 			return $.get("/session")
 			.then(session => {
 				console.debug("Signed in as", session.name);
-				this.player = game.players.find(p => p.key === session.key);
+				this.player = game.getPlayerForUser(session.key);
 				if (this.player) {
+					this.userName = session.name;
 					$(".logged-in")
 					.show()
 					.find("#whoami")
 					.text($.i18n('um-logged-in-as', session.name));
 					return session.key;
 				}
+				// The server won't have sent the racks
+				this.isSpectator = true;
+				this.spectatorName = session.name;
 				$("#bad-user>span")
 				.text($.i18n(
 					"You ($1) are not playing in this game", session.name));
@@ -660,6 +878,7 @@ define('browser/Ui', [
 			.catch(e => {
 				console.debug(e);
 				this.player = undefined;
+				this.isSpectator = true;
 				$(".not-logged-in")
 				.show()
 				.find("button")
@@ -671,6 +890,19 @@ define('browser/Ui', [
 			});
 		}
 
+		/**
+		 * Identify the logged-in user watching the game, if there is
+		 * one, so other spectators can see who is watching.
+		 * @return {Promise} a promise that resolves when done
+		 */
+		identifySpectator() {
+			$(".logged-in,.not-logged-in,.bad-user").hide();
+			$(".spectating").show();
+			return $.get("/session")
+			.then(session => this.spectatorName = session.name)
+			.catch(() => undefined);
+		}
+
 		/**
 		 * A game has been read; load it into the UI
 		 * @param {Game} game the Game being played
@@ -702,6 +934,18 @@ define('browser/Ui', [
 			$('#board').append($board);
 
 			addToLog($.i18n("Game started"), 'game-state');
+
+			// Words in the log can be clicked on for their
+			// definitions, if the dictionary has any
+			if (game.dictionary)
+				$.get("/dictionaries")
+				.then(dictionaries => {
+					const dict = dictionaries.find(
+						d => d.name === game.dictionary);
+					this.hasDefinitions = !!(dict && dict.definitions);
+					$('#logMessages').toggleClass(
+						'definitions', this.hasDefinitions);
+				});
 			if (game.secondsPerPlay > 0)
 				$("#timeout").show();
 			else 
@@ -718,7 +962,7 @@ define('browser/Ui', [
 					this.setMoveAction('anotherGame', /*i18n*/"Another game?");
 			}
 
-			let myGo = this.isThisPlayer(game.whosTurnKey);
+			let myGo = this.isMyGo();
 			this.updateWhosTurn(game.whosTurnKey);
 			this.lockBoard(!myGo);
 			this.enableTurnButton(myGo || game.hasEnded());
@@ -768,6 +1012,9 @@ define('browser/Ui', [
 				$('#shuffleButton').hide();
 				$('#turnButton').hide();
 			}
+
+			// Team members can chat privately
+			$('#teamChat').toggle(!!(this.player && this.player.members));
 			
 			this.$typingCursor = $('#typingCursor');
 			this.$typingCursor.hide(0);
@@ -777,6 +1024,114 @@ define('browser/Ui', [
 			return Promise.resolve();
 		}
 
+		/**
+		 * Set up the UI for replaying a game that has been loaded.
+		 * The state of the game after every turn is reconstructed
+		 * from the turns, and can be stepped through using the replay
+		 * controls.
+		 * @return {Promise} Promise that resolves when the replay is ready
+		 */
+		loadReplay() {
+			this.positions = this.game.getPositions();
+			const last = this.positions.length - 1;
+
+			$('#loginBlock,#yourPlayBlock,#chatBlock,#rack').hide();
+			$('#replayBlock').show();
+
+			$('#replaySlider').slider({
+				min: 0,
+				max: last,
+				slide: (e, ui) => this.showPosition(ui.value)
+			});
+			const buttons = {
+				replayFirst: {
+					icon: 'ui-icon-seek-first',
+					title: $.i18n("Start of game"),
+					to: () => 0
+				},
+				replayBack: {
+					icon: 'ui-icon-seek-prev',
+					title: $.i18n("Previous turn"),
+					to: () => this.position - 1
+				},
+				replayForward: {
+					icon: 'ui-icon-seek-next',
+					title: $.i18n("Next turn"),
+					to: () => this.position + 1
+				},
+				replayLast: {
+					icon: 'ui-icon-seek-end',
+					title: $.i18n("End of game"),
+					to: () => last
+				}
+			};
+			for (let id of Object.keys(buttons)) {
+				$(`#${id}`)
+				.button({
+					showLabel: false,
+					icon: buttons[id].icon,
+					label: buttons[id].title
+				})
+				.on('click', () => this.showPosition(buttons[id].to()));
+			}
+
+			this.showPosition(last);
+			return Promise.resolve();
+		}
+
+		/**
+		 * Show the state of the game being replayed after a turn
+		 * @param {number} index index into the positions computed by
+		 * {@link Game#getPositions}; 0 is the start of the game, 1 is
+		 * after the first turn, and so on
+		 */
+		showPosition(index) {
+			index = Math.max(0, Math.min(index, this.positions.length - 1));
+			this.position = index;
+			const position = this.positions[index];
+			const game = this.game;
+
+			$('.last-placement').removeClass('last-placement');
+			game.board.empty();
+			for (let tile of position.tiles)
+				game.board.at(tile.col, tile.row).placeTile(new Tile(tile), true);
+			game.board.refreshDOM();
+
+			for (let player of game.players)
+				player.score = position.scores[player.key];
+			this.updatePlayerTable();
+			this.updateWhosTurn(position.whosTurnKey);
+
+			// Show what's on each rack in place of the tile count
+			const $racks = $('#scoresBlock td.remaining-tiles');
+			game.players.forEach((player, i) => {
+				const rack = position.racks[player.key];
+				$($racks[i]).text(rack ? formatRack(rack) : '?');
+			});
+			$('#letterbag').text(position.bagCount > 0
+				? $.i18n("$1 tile{{PLURAL:$1||s}} left in the bag",
+						 position.bagCount)
+				: $.i18n("The letter bag is empty"));
+
+			const $turn = $('#replayTurn').empty();
+			if (index === 0)
+				$turn.text($.i18n("Start of game"));
+			else {
+				const turn = game.turns[index - 1];
+				$turn.append($.i18n(
+					"Turn $1 of $2", index, game.turns.length));
+				$turn.append(' ').append($.i18n(
+					"$1's turn", game.getPlayer(turn.playerKey).name));
+				$turn.append(' ').append(formatTurn(turn));
+				if (turn.type === 'move') {
+					for (let placement of turn.placements)
+						$(`#Board_${placement.col}x${placement.row}`)
+						.addClass('last-placement');
+				}
+			}
+			$('#replaySlider').slider('value', index);
+		}
+
 		/**
 		 * Attach socket communications listeners
 		 */
@@ -805,7 +1160,9 @@ define('browser/Ui', [
 					console.debug('<-- join');
 					this.socket.emit('join', {
 						gameKey: this.game.key,
-						playerKey: playerKey
+						playerKey: playerKey,
+						spectator: this.isSpectator,
+						name: this.spectatorName
 					});
 				}
 			})
@@ -823,7 +1180,9 @@ define('browser/Ui', [
 					console.debug('<-- join (after timeout)');
 					ui.socket.emit('join', {
 						gameKey: this.game.key,
-						playerKey: this.player ? this.player.key : undefined
+						playerKey: this.player ? this.player.key : undefined,
+						spectator: this.isSpectator,
+						name: this.spectatorName
 					});
 				}, 3000);
 
@@ -843,9 +1202,17 @@ define('browser/Ui', [
 				for (let simple of players) {
 					if (!simple) continue;
 					let player = this.game.getPlayerWithKey(simple.key);
-					if (player)
+					if (player) {
 						player.connected = simple.connected;
-					else {
+						if (player.name !== simple.name) {
+							// Someone joined or left the team
+							player.name = simple.name;
+							player.members = simple.members;
+							this.updatePlayerTable();
+							$('#teamChat').toggle(
+								!!(this.player && this.player.members));
+						}
+					} else {
 						// New player in game
 						player = new Player(simple);
 						this.game.addPlayer(player);
@@ -858,6 +1225,15 @@ define('browser/Ui', [
 			// A turn has been taken. turn is a Turn
 			.on('turn', turn => this.handle_turn(turn))
 
+			// A player has played in a round of a duplicate game
+			.on('played', params => this.handle_played(params))
+
+			// The list of spectators has changed
+			.on('spectators', names => this.handle_spectators(names))
+
+			// The racks have been revealed to spectators
+			.on('racks', params => this.handle_racks(params))
+
 			// Server clock tick.
 			.on('tick', params => this.handle_tick(params))
 
@@ -944,8 +1320,11 @@ define('browser/Ui', [
 				ui.socket.emit(
 					'message',
 					{
-						sender: ui.player ? ui.player.name : "Observer",
-						text: $(this).val()
+						sender: ui.player
+						? (ui.userName || ui.player.name) : "Observer",
+						text: $(this).val(),
+						// Only to the rest of the team
+						team: $('#teamOnly').prop('checked')
 					});
 				$(this).val('');
 				$("body").focus();
@@ -956,6 +1335,12 @@ define('browser/Ui', [
 					$("body").focus();
 			});
 
+			$('#logMessages')
+			.on('click', '.word', event => {
+				if (this.hasDefinitions)
+					this.showDefinition($(event.target).text());
+			});
+
 			// Load settings from the cookie (if it's there) and
 			// configure the gear button
 			const sets = $.cookie(SETTINGS_COOKIE);
@@ -968,7 +1353,8 @@ define('browser/Ui', [
 
 			$('#settings')
 			.on('click', () => {
-				$("#pauseButton").toggle(this.game.secondsPerPlay > 0);
+				$("#pauseButton").toggle(this.game.secondsPerPlay > 0
+										|| this.game.secondsPerGame > 0);
 				$('#settingsDialog')
 				.dialog({
 					title: $.i18n("Options"),
@@ -1014,35 +1400,92 @@ define('browser/Ui', [
 		}
 
 		/**
-		 * Handle a letter being typed when the typing cursor is active
+		 * Handle a letter being typed when the typing cursor is active.
+		 * Tiles with more than one letter, such as the Hungarian 'SZ',
+		 * are typed one letter after the other. If the first letter
+		 * was placed on its own, the tile is replaced, but only by a
+		 * real tile; a blank is never used to combine them.
 		 * @param {string} letter character being placed
+		 * @param {object?} lastTyped the letter typed just before,
+		 * `{ letter, square }`, where `square` is where it was placed,
+		 * or undefined if it was waiting for the next letter
 		 */
-		manuallyPlaceLetter(letter) {
+		manuallyPlaceLetter(letter, lastTyped) {
+			const legal = this.game.letterBag.legalLetters;
+
+			if (lastTyped) {
+				const combined = lastTyped.letter + letter;
+				const sq = legal.indexOf(combined) >= 0
+					  && this.player.rack.findSquare(combined);
+				if (sq && !(lastTyped.square && sq.tile.isBlank)) {
+					if (lastTyped.square) {
+						// Put the first letter back on the rack
+						if (this.takeBackTile(lastTyped.square))
+							this.placedCount--;
+						this.selectSquare(lastTyped.square);
+					}
+					letter = combined;
+				}
+			}
+
 			if (!this.selectedSquare
 				|| !this.selectedSquare.isEmpty()
 				// Make sure the selected square is on the board!
 				|| !(this.selectedSquare.owner instanceof Board))
 				return;
 
+			// Could it be the first letter of a longer tile?
+			const isPrefix = legal.find(
+				l => l.length > letter.length && l.indexOf(letter) === 0);
+
 			// check it's supported
-			if (this.game.letterBag.legalLetters.indexOf(letter) < 0)
+			if (legal.indexOf(letter) < 0) {
+				if (isPrefix)
+					this.lastTyped = { letter: letter };
 				return;
+			}
 
 			// Find the letter in the rack
 			const rackSquare = this.player.rack.findSquare(letter);
 			if (rackSquare) {
+				const square = this.selectedSquare;
 				// moveTile will use a blank if the letter isn't found
-				this.moveTile(rackSquare, this.selectedSquare, letter);
+				this.moveTile(rackSquare, square, letter);
 				if (this.settings.tile_click)
 					playAudio('tiledown');
 				if (this.typeAcross)
 					this.moveTypingCursor(1, 0);
 				else
 					this.moveTypingCursor(0, 1);
-			} else
+				this.lastTyped = { letter: letter, square: square };
+			} else if (isPrefix)
+				this.lastTyped = { letter: letter };
+			else
 				addToLog($.i18n("'$1' is not on the rack", letter));
 		}
 
+		/**
+		 * Show the definitions of a word in a popup
+		 * @param {string} word the word
+		 */
+		showDefinition(word) {
+			const $dlg = $('#definitionDialog');
+			const dict = encodeURIComponent(this.game.dictionary);
+			$.get(`/define/${dict}/${encodeURIComponent(word)}`)
+			.then(info => {
+				$dlg.empty();
+				for (let definition of info.definitions)
+					$dlg.append($('<div class="definition"></div>')
+								.text(definition));
+			})
+			.catch(() => $dlg.text(
+				$.i18n("No definition of '$1' found", word)))
+			.then(() => $dlg.dialog({
+				title: word,
+				modal: true
+			}));
+		}
+
 		/**
 		 * When a letter has been typed, move the cursor skipping over
 		 * tiles. If the edge of the board is reached, ignore the
@@ -1275,9 +1718,15 @@ define('browser/Ui', [
 			// if the last player's rack is empty, it couldn't be refilled
 			// and the game might be over.
 			const lastPlayer = this.game.previousPlayer();
-			if (!lastPlayer)
+			if (!lastPlayer && !this.game.duplicate)
 				return;
-			if (!this.game.hasEnded()
+			if (this.game.duplicate && !this.isMyGo()) {
+				// Already played this round
+				this.lockBoard(true);
+				this.enableTurnButton(false);
+				$('#takeBackButton').css('visibility', 'hidden');
+			} else if (lastPlayer
+				&& !this.game.hasEnded()
 				&& lastPlayer.rack.isEmpty()) {
 				this.lockBoard(true);
 				if (this.player.key === this.game.whosTurnKey)
@@ -1338,6 +1787,59 @@ define('browser/Ui', [
 				$('#turnButton').attr('disabled', 'disabled');
 		}
 
+		/**
+		 * Handle a change to the list of spectators
+		 * @param {string[]} names names of the spectators; anonymous
+		 * spectators are undefined
+		 */
+		handle_spectators(names) {
+			console.debug('--> spectators', names);
+			$('#spectators')
+			.text(names.length > 0 ? $.i18n("$1 watching", names.length) : '')
+			.attr('title', names.filter(name => name).join(', '));
+		}
+
+		/**
+		 * Handle a player playing in a round of a duplicate game.
+		 * What they played isn't revealed until the round ends.
+		 * @param {object} params parameters
+		 * @param {string} params.playerKey key of the player who
+		 * has played
+		 */
+		handle_played(params) {
+			console.debug('--> played', params);
+			const player = this.game.getPlayer(params.playerKey);
+			if (!player)
+				return;
+			if (!this.game.plays[player.key])
+				this.game.plays[player.key] = new Move();
+			addToLog($.i18n("$1 has played", player.name), 'turn-narrative');
+		}
+
+		/**
+		 * Handle the racks being revealed to a spectator. Unless the
+		 * game is over, the racks are shown some time after the turn
+		 * they were on.
+		 * @param {object} params parameters
+		 * @param {number} params.turn number of turns played when
+		 * the racks were revealed
+		 * @param {object} params.racks map from player key to a
+		 * list of tiles
+		 */
+		handle_racks(params) {
+			console.debug('--> racks', params);
+			this.revealedRacks = params.racks;
+			for (let player of this.game.players) {
+				const tiles = params.racks[player.key];
+				if (!tiles)
+					continue;
+				player.rack.empty();
+				for (let tile of tiles)
+					player.rack.addTile(new Tile(tile));
+			}
+			this.updateTileCounts();
+		}
+
 		/**
 		 * Process a Turn object received from the server. 'turn' events
 		 * are sent by the server when an action by any player has
@@ -1359,11 +1861,14 @@ define('browser/Ui', [
 			if (typeof turn.score === 'number')
 				player.score += turn.score;
 			else if (typeof turn.score === 'object')
-				Object.keys(turn.score).forEach(
-					k => this.game.players
-					.find(p => p.key === k).score += turn.score[k]);
+				Object.keys(turn.score).forEach(k => {
+					const p = this.game.players.find(p => p.key === k);
+					p.score += turn.score[k];
+					p.refreshDOM();
+				});
 
-			player.refreshDOM();
+			if (player)
+				player.refreshDOM();
 
 			// Unhighlight last placed tiles
 			$('.last-placement').removeClass('last-placement');
@@ -1374,8 +1879,12 @@ define('browser/Ui', [
 				// Move new tiles out of challenged player's rack
 				// into the bag
 				for (let newTile of turn.replacements) {
-					const tile = player.rack.removeTile(newTile);
-					this.game.letterBag.returnTile(tile);
+					if (this.isSpectator)
+						// Spectators only know how many were drawn
+						this.game.letterBag.returnTile(new Tile());
+					else
+						this.game.letterBag.returnTile(
+							player.rack.removeTile(newTile));
 				}
 
 				// Take back the placements from the board into the
@@ -1384,7 +1893,8 @@ define('browser/Ui', [
 					const square = this.game.at(placement.col, placement.row);
 					const recoveredTile = square.tile;
 					square.placeTile(null);
-					player.rack.addTile(recoveredTile);
+					if (!this.isSpectator)
+						player.rack.addTile(recoveredTile);
 				}
 
 				// Was it us?
@@ -1431,7 +1941,8 @@ define('browser/Ui', [
 					// are already there for this player)
 					for (let placement of turn.placements) {
 						const square = this.game.at(placement.col, placement.row);
-						player.rack.removeTile(placement);
+						if (!this.isSpectator)
+							player.rack.removeTile(placement);
 						square.placeTile(placement, true); // lock it down
 						// Highlight it as just placed
 						const $div = $(`#Board_${placement.col}x${placement.row}`);
@@ -1449,20 +1960,33 @@ define('browser/Ui', [
 
 			case 'swap':
 				// Add replacement tiles to the rack. Number of tiles
-				// in letter bag doesn't change.
-				for (let newTile of turn.replacements)
-					player.rack.addTile(newTile);
+				// in letter bag doesn't change. Spectators aren't
+				// told what they are.
+				if (!this.isSpectator)
+					for (let newTile of turn.replacements)
+						player.rack.addTile(newTile);
 
 				if (this.isThisPlayer(turn.playerKey))
 					player.rack.refreshDOM();
 
 				break;
 
+			case 'duplicate':
+				this.endRound(turn);
+				break;
+
 			case 'Game over':
 				break;
 			}
 
-			if (this.isThisPlayer(turn.nextToGoKey)) {
+			if (this.game.duplicate) {
+				if (this.isMyGo()) {
+					if (turn.type === 'duplicate' && this.settings.turn_alert)
+						playAudio('yourturn');
+					this.lockBoard(false);
+					this.enableTurnButton(true);
+				}
+			} else if (this.isThisPlayer(turn.nextToGoKey)) {
 				if (this.settings.turn_alert)
 					playAudio('yourturn');
 				this.lockBoard(false);
@@ -1481,8 +2005,8 @@ define('browser/Ui', [
 					this.addTakeBackPreviousButton(turn);
 
 				if (this.isThisPlayer(turn.nextToGoKey)
-					&& turn.type !== 'took-back') {
-					// It's our turn, and we didn't just take back
+					&& turn.nextToGoKey !== turn.playerKey) {
+					// It's our turn, and it wasn't already
 					/*.i18n('ui-notify-title-your-turn')*/
 					this.notify(/*i18n ui-notify-body-*/'your-turn',
 								this.game.getPlayer(turn.playerKey).name);
@@ -1495,6 +2019,53 @@ define('browser/Ui', [
 			this.updateGameStatus();
 		}
 
+		/**
+		 * Update the board, bag and racks at the end of a round of a
+		 * duplicate game
+		 * @param {Turn} turn a 'duplicate' Turn
+		 * @private
+		 */
+		endRound(turn) {
+			// Take our play off the board
+			const mine = this.player && this.game.plays[this.player.key];
+			if (mine && mine.placements)
+				for (let placement of mine.placements)
+					this.game.at(placement.col, placement.row).placeTile(null);
+			this.game.plays = {};
+
+			// Put the top play in its place
+			if (turn.placements) {
+				for (let placement of turn.placements) {
+					this.game.at(placement.col, placement.row)
+					.placeTile(placement, true);
+					$(`#Board_${placement.col}x${placement.row}`)
+					.addClass('last-placement');
+				}
+				this.game.topScore += turn.topScore;
+			}
+
+			// Keep the counts in the bag in synch
+			if (turn.swapped)
+				for (let i = 0; i < turn.swapped.length; i++)
+					this.game.letterBag.returnTile(new Tile());
+			if (turn.replacements)
+				this.game.letterBag.getRandomTiles(turn.replacements.length);
+
+			// Everyone gets the new rack. Spectators aren't told
+			// what's on it.
+			if (turn.rack) {
+				for (let player of this.game.players) {
+					player.rack.empty();
+					for (let tile of turn.rack)
+						player.rack.addTile(new Tile(tile));
+				}
+				if (this.player)
+					this.player.rack.refreshDOM();
+			}
+
+			this.updatePlayerTable();
+		}
+
 		/**
 		 * After a move, remove the move information and lock the board
 		 * until it's our turn again
@@ -1512,7 +2083,8 @@ define('browser/Ui', [
 		 * @param {Turn} turn the current turn
 		 */
 		addChallengePreviousButton(turn) {
-			if (this.isThisPlayer(turn.playerKey))
+			if (this.isThisPlayer(turn.playerKey)
+				|| this.game.challengeRule === 'void')
 				return;
 			// It wasn't us
 			const text = $.i18n(
@@ -1584,6 +2156,11 @@ define('browser/Ui', [
 
 			move.playerKey = this.player.key;
 
+			if (this.game.duplicate)
+				// Remember the play, so it can be taken off the
+				// board at the end of the round
+				this.game.plays[this.player.key] = move;
+
 			this.sendCommand('makeMove', move);
 		}
 
@@ -1602,6 +2179,8 @@ define('browser/Ui', [
 		pass() {
 			this.takeBackTiles();
 			this.afterMove();
+			if (this.game.duplicate)
+				this.game.plays[this.player.key] = new Move();
 			this.sendCommand('pass');
 		}
 
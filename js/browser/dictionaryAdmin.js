@@ -0,0 +1,103 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env browser, jquery */
+
+/**
+ * Browser app for dictionaryAdmin.html; lets an admin add words to,
+ * and remove words from, a dictionary, and see who changed what.
+ * See {@link DictionaryAdmin}.
+ */
+requirejs([
+	'browser/browserApp', 'jquery'
+], (
+	browserApp
+) => {
+
+	/**
+	 * Report an error contained in an ajax response
+	 * The response is either a JSON-encoded array containing a
+	 * message code and arguments, or a message code and a list
+	 * of the words it is about.
+	 */
+	function report(jqXHR) {
+		const info = JSON.parse(jqXHR.responseText);
+		if (!info)
+			return;
+		const message = info.words
+			  ? $.i18n(info.message, info.words.join(', '))
+			  : $.i18n.apply(null, info);
+		$('#alertDialog')
+		.text(message)
+		.dialog({ modal: true });
+	}
+
+	/**
+	 * Show the words in the overlay, and the audit log
+	 * @param {object} overlay as sent by /overlay
+	 */
+	function show_overlay(overlay) {
+		$('#added').text(overlay.added.join(' '));
+		$('#removed').text(overlay.removed.join(' '));
+
+		const $table = $('#audit').empty();
+		$table.append(`<tr><th>${$.i18n("When")}</th><th>${$.i18n("Player")}</th><th>${$.i18n("Added words")}</th><th>${$.i18n("Removed words")}</th></tr>`);
+		// Most recent change first
+		for (let change of overlay.audit.reverse()) {
+			const $tr = $('<tr></tr>');
+			$tr.append($('<td></td>')
+					   .text(new Date(change.time).toLocaleString()));
+			$tr.append($('<td></td>').text(change.user));
+			$tr.append($('<td></td>').text(change.added.join(' ')));
+			$tr.append($('<td></td>').text(change.removed.join(' ')));
+			$table.append($tr);
+		}
+	}
+
+	/**
+	 * Request the overlay for the selected dictionary
+	 */
+	function refresh() {
+		return $.get(`/overlay/${$('#dictionary').val()}`)
+		.then(show_overlay)
+		.catch(report);
+	}
+
+	/**
+	 * Add or remove the words typed in the input
+	 * @param {string} what 'add' or 'remove'
+	 */
+	function change(what) {
+		const words = $('#words').val().split(/[\s,]+/)
+			  .filter(w => w.length > 0);
+		if (words.length === 0)
+			return undefined;
+		const body = { add: [], remove: [] };
+		body[what] = words;
+		return $.ajax({
+			url: `/overlay/${$('#dictionary').val()}`,
+			type: 'POST',
+			contentType: 'application/json',
+			data: JSON.stringify(body)
+		})
+		.then(overlay => {
+			$('#words').val('');
+			show_overlay(overlay);
+		})
+		.catch(report);
+	}
+
+	browserApp.then(() => {
+		$.get('/dictionaries')
+		.then(dictionaries => {
+			const $dict = $('#dictionary');
+			for (let d of dictionaries)
+				$dict.append(`<option>${d.name}</option>`);
+			$dict.on('change', refresh);
+			return refresh();
+		})
+		.catch(report);
+
+		$('#add-words').on('click', () => change('add'));
+		$('#remove-words').on('click', () => change('remove'));
+	});
+});
@@ -42,8 +42,11 @@ requirejs([
 	// Format a player in a game score table
 	function $player(game, player, isActive) {
 		const $tr = Player.prototype.createScoreDOM.call(
-			player, loggedInAs, isActive);
-		
+			player, loggedInAs, isActive, player.percent);
+
+		if (player.isRobot && Player.LEVELS[player.level])
+			$tr.append(`<td>${$.i18n(Player.LEVELS[player.level].name)}</td>`);
+
 		if (isActive) {
 			if (player.dictionary && player.dictionary !== game.dictionary) {
 				const dic = $.i18n("using dictionary $1", player.dictionary);
@@ -55,13 +58,21 @@ requirejs([
 									player.secondsToPlay / 1000);
 				$tr.append(`<td>${left}</td>`);
 			}
+
+			if (game.turnDeadline && player.key === game.whosTurnKey) {
+				const by = $.i18n("play by $1",
+								  new Date(game.turnDeadline).toLocaleString());
+				$tr.append(`<td class='deadline'>${by}</td>`);
+			}
 			
 		} else {
-			const winningScore = game.players.reduce(
-				(max, p) =>
-				Math.max(max, p.score), 0);
+			// A player who forfeited can't win
+			const winningScore = game.players
+				  .filter(p => p.key !== game.forfeitedKey)
+				  .reduce((max, p) => Math.max(max, p.score), 0);
 			
-			if (player.score === winningScore) {
+			if (player.key !== game.forfeitedKey
+				&& player.score === winningScore) {
 				$tr.append('<td class="ui-icon icon-winner"></td>');
 			}
 
@@ -74,8 +85,11 @@ requirejs([
 		const $box = $("<td></td>");
 		$tr.append($box);
 
-		if (player.key === loggedInAs.key) {
-			// Currently signed in player
+		const controls = p => Player.prototype.controlledBy.call(
+			p, loggedInAs.key);
+
+		if (controls(player)) {
+			// Currently signed in player, or their team
 			$box.append(
 				$("<button name='join' title=''></button>")
 				.button({ label: $.i18n("Open game") })
@@ -87,7 +101,7 @@ requirejs([
 					$.post(`/join/${game.key}/${loggedInAs.key}`)
 					.then(info => {
 						window.open(
-							`/html/game.html?game=${game.key}&player=${loggedInAs.key}`,
+							`/html/game.html?game=${game.key}&player=${player.key}`,
 							"_blank");
 						refresh_game(game.key);
 					})
@@ -102,7 +116,7 @@ requirejs([
 				})
 				.on('click', () => {
 					console.log(`Leave game ${game.key}`);
-					$.post(`/leave/${game.key}/${loggedInAs.key}`)
+					$.post(`/leave/${game.key}/${player.key}`)
 					.then(() => refresh_game(game.key))
 					.catch(report);
 				}));
@@ -111,6 +125,26 @@ requirejs([
 		}
 
 		// Not the signed in player
+		if (game.teams
+			&& !player.isRobot
+			&& !game.players.find(controls)) {
+			$box.append(
+				$("<button name='team' title=''></button>")
+				.button({ label: $.i18n("Join team") })
+				.tooltip({
+					content: $.i18n("tooltip-join-team")
+				})
+				.on('click', () => {
+					console.log(`Join ${player.key} in game ${game.key}`);
+					$.post(`/join/${game.key}/${player.key}`)
+					.then(info => {
+						window.open(`/html/game.html?game=${info.gameKey}&player=${info.playerKey}`, "_blank");
+						refresh_game(game.key);
+					})
+					.catch(report);
+				}));
+		}
+
 		if (canEmail
 			&& !player.isRobot
 			&& game.whosTurnKey === player.key) {
@@ -171,6 +205,25 @@ requirejs([
 
 		if (game.secondsPerPlay > 0)
 			headline.push($.i18n("time limit $1", game.secondsPerPlay / 60));
+		if (game.secondsPerGame > 0)
+			headline.push($.i18n("game clock $1", game.secondsPerGame / 60));
+		if (game.daysPerTurn > 0)
+			headline.push($.i18n("$1 day{{PLURAL:$1||s}} per turn",
+								 game.daysPerTurn));
+
+		if (game.duplicate)
+			headline.push($.i18n("duplicate"));
+
+		if (game.teams)
+			headline.push($.i18n("teams"));
+
+		if (game.tournamentKey)
+			headline.push(
+				`<a href="/html/tournament.html?tournament=${game.tournamentKey}">`
+				+ $.i18n("tournament round $1", game.round) + '</a>');
+
+		if (game.spectators && game.spectators.length > 0)
+			headline.push($.i18n("$1 watching", game.spectators.length));
 
 		const isActive = (game.state === 'playing');
 
@@ -189,6 +242,13 @@ requirejs([
 			options.push($.i18n("Check dictionary"));
 		if (game.allowTakeBack)
 			options.push($.i18n("Allow 'Take back'"));
+		if (game.challengeRule === 'single')
+			options.push($.i18n("Single challenge"));
+		else if (game.challengeRule === 'penalty')
+			options.push($.i18n("$1 point{{PLURAL:$1||s}} challenge penalty",
+								game.challengePenalty));
+		else if (game.challengeRule === 'void')
+			options.push($.i18n("Void (no challenges)"));
 		if (game.maxPlayers === game.minPlayers)
 			options.push($.i18n("$1 players", game.minPlayers));
 		else if (game.maxPlayers > game.minPlayers)
@@ -212,7 +272,8 @@ requirejs([
 			&& (game.maxPlayers === 0
 				|| game.players.length < game.maxPlayers)) {
 
-			if (!game.players.find(p => p.key === loggedInAs.key)) {
+			if (!game.players.find(p => Player.prototype.controlledBy.call(
+				p, loggedInAs.key))) {
 				// Can join game
 				const $join = $(`<button name="join" title=''></button>`);
 				$twist.append($join);
@@ -247,7 +308,24 @@ requirejs([
 						})));
 			}
 		}
-			
+
+		if (isActive || !loggedInAs) {
+			// Anyone can watch, without seeing the racks
+			$twist.append(
+				$("<button name='observe' title=''></button>")
+				.button({ label: $.i18n("Observe game") })
+				.tooltip({
+					content: $.i18n("tooltip-observe-game")
+				})
+				.on('click', () => {
+					console.log(`Observe game ${game.key}`);
+					window.open(
+						`/html/game.html?game=${game.key}&observe`,
+						"_blank");
+					refresh_game(game.key);
+				}));
+		}
+
 		if (loggedInAs) {
 			if (isActive && canEmail) {
 				$twist.append(
@@ -270,6 +348,53 @@ requirejs([
 					})));
 			}
 
+			// Duplicate games don't have a single sequence of turns
+			// to replay, analyse or export
+			if (!isActive && !game.duplicate && game.players.length === 2) {
+				$twist.append(
+					$("<button name='endgame' title=''></button>")
+					.button({ label: $.i18n("Optimal finish") })
+					.tooltip({
+						content: $.i18n("tooltip-optimal-finish")
+					})
+					.on('click', () => $.get(`/endgame/${game.key}`)
+						.then(analysis => show_endgame(game, analysis))
+						.catch(report)));
+			}
+
+			if (!isActive && !game.duplicate) {
+				$twist.append(
+					$("<button name='replay' title=''></button>")
+					.button({ label: $.i18n("Replay") })
+					.tooltip({
+						content: $.i18n("tooltip-replay")
+					})
+					.on('click', () => window.open(
+						`/html/game.html?game=${game.key}&replay`,
+						"_blank")));
+			}
+
+			if (!game.duplicate)
+				$twist.append(
+					$("<button name='gcg' title=''></button>")
+					.button({ label: $.i18n("Export GCG") })
+					.tooltip({
+						content: $.i18n("tooltip-export-gcg")
+					})
+					.on('click', () => window.open(`/gcg/${game.key}`, "_blank")));
+
+			if (!isActive && !game.duplicate && game.dictionary) {
+				$twist.append(
+					$("<button name='analyse' title=''></button>")
+					.button({ label: $.i18n("Analysis") })
+					.tooltip({
+						content: $.i18n("tooltip-analysis")
+					})
+					.on('click', () => $.get(`/analyse/${game.key}`)
+						.then(analysis => show_analysis(game, analysis))
+						.catch(report)));
+			}
+
 			if (!(isActive || game.nextGameKey)) {
 				$twist.append(
 					$("<button name='another' title=''></button>")
@@ -293,25 +418,83 @@ requirejs([
 			return $box;
 		}
 
-		// Nobody logged in, offer to observe
-		$twist.append(
-			$("<button name='observe' title=''></button>")
-			.button({ label: $.i18n("Observe game") })
-			.tooltip({
-				content: $.i18n("tooltip-observe-game")
-			})
-			.on('click', () => {
-				console.log(`Observe game ${game.key}`);
-				window.open(
-					`/html/game.html?game=${game.key}`,
-					"_blank");
-				refresh_game(game.key);
-			}));
-
 		return $box;
 	}
 
 
+	/**
+	 * Show the optimal finish for a game, as found by /endgame
+	 * @param {Game|object} game a Game or Game.simple
+	 * @param {object} analysis result of Game.analyseEndgame
+	 */
+	function show_endgame(game, analysis) {
+		const $dlg = $('#alertDialog').empty();
+		if (!analysis || analysis.plays.length === 0)
+			$dlg.text($.i18n("No endgame to analyse"));
+		else {
+			const name = key => game.players.find(p => p.key === key).name;
+			for (let play of analysis.plays) {
+				const text = play.placements.length === 0
+					  ? $.i18n("$1 passes", name(play.playerKey))
+					  : $.i18n("$1 plays $2 for $3", name(play.playerKey),
+							   play.words.map(w => w.word).join(', '),
+							   play.score);
+				$dlg.append(`<div>${text}</div>`);
+			}
+		}
+		$dlg.dialog({
+			title: $.i18n("Optimal finish"),
+			modal: true
+		});
+	}
+
+	/**
+	 * Show the move-by-move analysis of a game, as found by /analyse
+	 * @param {Game|object} game a Game or Game.simple
+	 * @param {object} analysis result of Game.analyse
+	 */
+	function show_analysis(game, analysis) {
+		const name = key => {
+			const player = game.players.find(p => p.key === key);
+			return player ? player.name : key;
+		};
+		const words = play => play.words.map(w => w.word).join(', ');
+		const $dlg = $('#alertDialog').empty();
+
+		for (let key of Object.keys(analysis.players)) {
+			const totals = analysis.players[key];
+			$dlg.append(`<div>${$.i18n(
+				"$1 lost $2 equity in $3 moves, and missed $4 bingos",
+				name(key), totals.equityLost, totals.moves,
+				totals.missedBingos)}</div>`);
+		}
+
+		const $table = $("<table class='analysis'></table>");
+		$table.append(`<tr><th>${$.i18n("Player")}</th><th>${$.i18n("Rack")}</th><th>${$.i18n("Played")}</th><th>${$.i18n("Best play")}</th><th>${$.i18n("Equity lost")}</th><th>${$.i18n("Missed bingo")}</th></tr>`);
+		for (let move of analysis.moves) {
+			const $tr = $('<tr></tr>');
+			$tr.append(`<td>${name(move.playerKey)}</td>`);
+			$tr.append(`<td>${move.rack ? move.rack.join('') : '?'}</td>`);
+			$tr.append(`<td>${words(move)} (${move.score})</td>`);
+			$tr.append(move.best
+					   ? `<td>${words(move.best)} (${move.best.score})</td>`
+					   : '<td></td>');
+			$tr.append(`<td>${move.equityLost > 0 ? move.equityLost : ''}</td>`);
+			$tr.append(move.bingo
+					   ? `<td>${words(move.bingo)} (${move.bingo.score})</td>`
+					   : '<td></td>');
+			$table.append($tr);
+		}
+		$dlg.append($table);
+		$dlg.append(`<a href="/analysis/${game.key}" download>${$.i18n("Download")}</a>`);
+
+		$dlg.dialog({
+			title: $.i18n("Analysis"),
+			width: 'auto',
+			modal: true
+		});
+	}
+
 	/**
 	 * Refresh the display of a single game
 	 * @param {Game|object} game a Game or Game.simple
@@ -386,6 +569,78 @@ requirejs([
 		.catch(report);
 	}
 
+	/**
+	 * Draw the rating history of a player as a line
+	 * @param {object[]} history list of `{time, rating}`, oldest first
+	 * @return {string} SVG for the history
+	 */
+	function ratingHistorySVG(history) {
+		const width = 100, height = 20;
+		const ratings = history.map(h => h.rating);
+		const min = Math.min(...ratings);
+		const range = Math.max(...ratings) - min || 1;
+		const step = ratings.length > 1 ? width / (ratings.length - 1) : 0;
+		const points = ratings.map(
+			(r, i) => `${i * step},${height - (r - min) * height / range}`);
+		const title = history.map(
+			h => `${new Date(h.time).toLocaleDateString()}: ${h.rating}`);
+		return `<svg class="rating-history" width="${width}" height="${height}"`
+		+ ` viewBox="-1 -1 ${width + 2} ${height + 2}">`
+		+ `<title>${$.i18n('tooltip-rating-history')}\n${title.join('\n')}</title>`
+		+ `<polyline points="${points.join(' ')}"/></svg>`;
+	}
+
+	/**
+	 * Show the ratings of players in each edition
+	 * @param {object} ratings as sent by /ratings
+	 */
+	function show_ratings(ratings) {
+		const editions = Object.keys(ratings).sort();
+		if (editions.length === 0) {
+			$('#gamesRatings').hide();
+			return;
+		}
+		$('#gamesRatings').show();
+		const $rl = $('#ratings-list');
+		$rl.empty();
+		for (let edition of editions) {
+			$rl.append(`<h3>${edition}</h3>`);
+			let n = 1;
+			for (let player of ratings[edition]) {
+				const s = $.i18n(
+					'games-rating', n++, player.name, player.rating,
+					player.games);
+				$rl.append(`<div class="player-rating">${s}`
+						   + ratingHistorySVG(player.history) + '</div>');
+			}
+		}
+	}
+
+	/**
+	 * Show the list of tournaments
+	 * @param {object[]} tournaments as sent by /tournaments
+	 */
+	function show_tournaments(tournaments) {
+		if (tournaments.length === 0) {
+			$('#gamesTournaments').hide();
+			return;
+		}
+		$('#gamesTournaments').show();
+		const $tl = $('#tournament-list');
+		$tl.empty();
+		for (let t of tournaments) {
+			const $div = $('<div class="tournament"></div>');
+			$div.append(
+				$(`<a href="/html/tournament.html?tournament=${t.key}"></a>`)
+				.text(t.name));
+			$div.append(' ' + (t.state === 'playing'
+				? $.i18n('tournament-summary', t.edition, t.entrants,
+						 t.round, t.rounds)
+				: `<b>${$.i18n(t.state)}</b>`));
+			$tl.append($div);
+		}
+	}
+
 	/**
 	 * Request an update for session status and all games lists
 	 */
@@ -400,12 +655,18 @@ requirejs([
 				$(".logged-in").show()
 				.find("span").first().text(session.name);
 				$("#create-game").show();
+				$("#create-tournament").show();
+				$("#import-game").show();
 				$("#chpw_button").toggle(session.provider === 'xanado');
+				$("#dictionary-admin").toggle(session.isAdmin);
 			})
 			.catch(e => {
 				$(".logged-in").hide();
 				$(".not-logged-in").show();
 				$("#create-game").hide();
+				$("#create-tournament").hide();
+				$("#import-game").hide();
+				$("#dictionary-admin").hide();
 			})
 			.then(refresh_games),
 
@@ -426,6 +687,14 @@ requirejs([
 					$gt.append(`<div class="player-cumulative">${s}</div>`);
 				});
 			})
+			.catch(report),
+
+			$.get("/ratings")
+			.then(show_ratings)
+			.catch(report),
+
+			$.get("/tournaments")
+			.then(show_tournaments)
 			.catch(report)
 		]);
 	}
@@ -461,6 +730,32 @@ requirejs([
 			error: report
 		}));
 
+		$("#create-tournament")
+		.on("click", () => Dialog.open("CreateTournamentDialog", {
+			done: refresh,
+			error: report
+		}));
+
+		$("#import-game")
+		.on("click", () => $("#import-file").trigger("click"));
+
+		$("#dictionary-admin")
+		.on("click", () => location.href = "/html/dictionaryAdmin.html");
+
+		$("#import-file")
+		.on("change", function() {
+			const file = this.files[0];
+			if (!file)
+				return;
+			const reader = new FileReader();
+			reader.onload = () => $.post("/importGame", { gcg: reader.result })
+			.then(refresh_games)
+			.catch(report);
+			reader.readAsText(file);
+			// So the same file can be chosen again
+			$(this).val('');
+		});
+
 		$("#login-button")
 		.on("click", () => Dialog.open("LoginDialog", {
 			done: refresh,
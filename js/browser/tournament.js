@@ -0,0 +1,126 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env browser, jquery */
+
+/**
+ * Browser app for tournament.html; show the standings, and the
+ * pairings and results for each round, of the tournament given by
+ * the 'tournament' URL parameter
+ */
+requirejs([
+	'socket.io', 'browser/browserApp', 'jquery'
+], (
+	io, browserApp
+) => {
+
+	const tournamentKey = location.search.replace(
+		/^.*[?&;]tournament=([^&;]*).*$/, "$1");
+
+	/**
+	 * Report an error contained in an ajax response
+	 * The response is either a string, or a JSON-encoded
+	 * array containing a message code and arguments.
+	 */
+	function report(jqXHR) {
+		const info = JSON.parse(jqXHR.responseText);
+		if (!info || info.length === 0)
+			return;
+		$('#alertDialog')
+		.text($.i18n.apply(null, info))
+		.dialog({ modal: true });
+	}
+
+	/**
+	 * Construct the description of a match in a round
+	 * @param {object} tournament as sent by /tournament
+	 * @param {object} match the match
+	 * @return {jQuery} the description
+	 */
+	function $match(tournament, match) {
+		const name = key => tournament.entrants.find(e => e.key === key).name;
+		const $div = $('<div class="tournament-match"></div>');
+		if (match.players.length === 1) {
+			$div.text($.i18n("$1 has a bye", name(match.players[0])));
+			return $div;
+		}
+		const [ a, b ] = match.players;
+		const result = tournament.results[match.gameKey];
+		let text = result
+			? $.i18n("tournament-result", name(a), result[a],
+					 name(b), result[b])
+			: $.i18n("$1 v $2", name(a), name(b));
+		if (result && result.forfeited)
+			text += ` (${$.i18n("$1 forfeited", name(result.forfeited))})`;
+		// Finished games can be replayed; open games can be joined
+		// from the games page
+		const url = result
+			  ? `/html/game.html?game=${match.gameKey}&replay`
+			  : `/html/games.html?untwist=${match.gameKey}`;
+		$div.append($(`<a href="${url}" target="_blank"></a>`).text(text));
+		return $div;
+	}
+
+	/**
+	 * Show the tournament
+	 * @param {object} tournament as sent by /tournament
+	 */
+	function show_tournament(tournament) {
+		$('title').text(tournament.name);
+		$('#tournamentName').text(tournament.name);
+
+		const info = [
+			$.i18n("edition $1", tournament.edition)
+		];
+		if (tournament.dictionary)
+			info.push($.i18n("dictionary $1", tournament.dictionary));
+		if (tournament.secondsPerPlay > 0)
+			info.push($.i18n("time limit $1", tournament.secondsPerPlay / 60));
+		info.push(tournament.pairing === 'swiss'
+				  ? $.i18n("Swiss") : $.i18n("Round robin"));
+		info.push(tournament.state === 'playing'
+				  ? $.i18n("Round $1 of $2", tournament.pairings.length,
+						   tournament.rounds)
+				  : `<b>${$.i18n(tournament.state)}</b>`);
+		$('#tournamentInfo').html(info.join(', '));
+
+		const $table = $('#standings').empty();
+		$table.append(`<tr><th></th><th>${$.i18n("Player")}</th><th>${$.i18n("Played")}</th><th>${$.i18n("Wins")}</th><th>${$.i18n("Losses")}</th><th>${$.i18n("Draws")}</th><th>${$.i18n("Byes")}</th><th>${$.i18n("Spread")}</th></tr>`);
+		tournament.standings.forEach((s, i) => {
+			const $tr = $('<tr></tr>');
+			$tr.append(`<td>${i + 1}</td>`);
+			$tr.append($('<td></td>').text(s.name));
+			for (let n of [ s.played, s.wins, s.losses, s.draws, s.byes ])
+				$tr.append(`<td>${n}</td>`);
+			$tr.append(`<td>${s.spread > 0 ? '+' : ''}${s.spread}</td>`);
+			$table.append($tr);
+		});
+
+		const $rounds = $('#rounds').empty();
+		// Most recent round first
+		for (let r = tournament.pairings.length - 1; r >= 0; r--) {
+			$rounds.append(`<h2>${$.i18n("Round $1", r + 1)}</h2>`);
+			for (let match of tournament.pairings[r])
+				$rounds.append($match(tournament, match));
+		}
+	}
+
+	/**
+	 * Request an update of the tournament
+	 */
+	function refresh() {
+		return $.get(`/tournament/${tournamentKey}`)
+		.then(show_tournament)
+		.catch(report);
+	}
+
+	browserApp.then(() => {
+		const socket = io.connect(null);
+
+		socket
+		.on('connect', refresh)
+		// Games have changed, so results may have too
+		.on('update', refresh);
+
+		socket.emit('monitor');
+	});
+});
@@ -0,0 +1,62 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd, node */
+
+define('dawg/Definitions', [ 'platform' ], Platform => {
+
+	// Cache of definitions, undefined for dictionaries that have none
+	const definitions = {};
+
+	/**
+	 * Definitions of the words in a {@link Dictionary}, so learners
+	 * can find out what the words they meet mean. Definitions are
+	 * optional; they are kept in `dictionaries/<name>.defs`, next to
+	 * the dictionary, built from a list of definitions by
+	 * {@link module:js/dawg/compileDefinitions}.
+	 */
+	class Definitions {
+
+		/**
+		 * @param {string} name name of the dictionary
+		 * @param {Object<string,string[]>} data map from word to the
+		 * definitions of the word
+		 */
+		constructor(name, data) {
+			this.name = name;
+			this.data = data;
+		}
+
+		/**
+		 * Promise to load the definitions for a dictionary.
+		 * @param {string} name name of the dictionary
+		 * @return {Promise} Promise that resolves to the
+		 * {@link Definitions}, or undefined if the dictionary doesn't
+		 * have any
+		 */
+		static load(name) {
+			if (name in definitions)
+				return Promise.resolve(definitions[name]);
+
+			const root = requirejs.toUrl('');
+			return Platform.getResource(`${root}/dictionaries/${name}.defs`)
+			.then(buffer => {
+				console.log(`Loaded definitions for ${name}`);
+				return new Definitions(name, JSON.parse(buffer.toString()));
+			})
+			.catch(() => undefined)
+			.then(defs => definitions[name] = defs);
+		}
+
+		/**
+		 * Get the definitions of a word
+		 * @param {string} word the word
+		 * @return {string[]} the definitions, or undefined if the
+		 * word isn't defined
+		 */
+		define(word) {
+			return this.data[word.toUpperCase()];
+		}
+	}
+
+	return Definitions;
+});
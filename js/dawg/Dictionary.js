@@ -1,66 +1,173 @@
 /* See README.md at the root of this distribution for copyright and
    license information */
 /* eslint-env amd, node */
+/* global SharedArrayBuffer */
 
-define('dawg/Dictionary', [ 'platform', 'dawg/LetterNode' ], (Platform, LetterNode) => {
+define('dawg/Dictionary', [ 'platform', 'dawg/Trie' ], (Platform, Trie) => {
 
 	// Constants used in interpreting the integer encoding of the DAWG
 	const END_OF_WORD_BIT_MASK = 0x1;
 	const END_OF_LIST_BIT_MASK = 0x2;
 	const CHILD_INDEX_SHIFT = 2;
-	const CHILD_INDEX_BIT_MASK = 0x3FFFFFFF;
+
+	// First integer of a DAWG that starts with its alphabet
+	const DAWG_MAGIC = 0x44415747;
 
 	// Cache of dictionaries
 	const dictionaries = {};
 
+	/**
+	 * Make an array of integers, that can be shared with worker
+	 * threads where the platform supports it
+	 * @param {number} length number of integers
+	 * @return {Uint32Array} the array
+	 * @private
+	 */
+	function sharedArray(length) {
+		return new Uint32Array(
+			typeof SharedArrayBuffer === 'undefined'
+			? new ArrayBuffer(length * 4)
+			: new SharedArrayBuffer(length * 4));
+	}
+
 	/**
 	 * Dictionary using a Directed Acyclic Word Graph (DAWG) in the
-	 * format generated by DAWG_Compressor.js
-	 * 
-	 * Note that the DAWG uses letter indices, and not actual characters, to
-	 * represent code points. To use this dictionary you also need an
-	 * alphabet of code points sorted in the same order as that used to
-	 * generate the DAWG.
+	 * format generated by {@link module:js/dawg/compressor}
+	 *
+	 * The DAWG starts with the alphabet it was built with, and
+	 * letters are stored as indices into the alphabet. A letter is
+	 * the letter on a tile, so may be more than one code point
+	 * (such as the Hungarian 'SZ'). Older DAWGs have no alphabet,
+	 * and store the code point of each letter.
+	 *
+	 * The graph is kept as it is encoded, in a flat array of
+	 * integers, and is walked in place. A node in the graph is
+	 * the index of the node in the array. Nodes are numbers so that
+	 * a dictionary doesn't need an object for each node, which makes
+	 * loading big dictionaries slow, and so that the array can be
+	 * shared with worker threads (see {@link Dictionary#share}).
+	 *
+	 * Words can be given as strings, or as lists of the letters on
+	 * the tiles that spell them. A string matches if any way of
+	 * splitting it into letters matches.
+	 *
+	 * A dictionary may have an overlay of words added to and removed
+	 * from the DAWG, kept in `dictionaries/<name>.overlay` and
+	 * edited by an admin through {@link DictionaryAdmin}, so words
+	 * can be changed without rebuilding the DAWG.
 	 */
 	class Dictionary {
 
 		/**
 		 * @param {string} name name of the dictionary
 		 * @param {(Buffer|Array)} data the DAWG data.
-		 * It's actually an array of little-endian 4-byte integers.
+		 * It's actually an array of big-endian 4-byte integers.
 		 */
 		constructor(name, data) {
 			this.name = name;
 			const dv = new DataView(data);
 			let index = 0;
-			const numberOfNodes = dv.getUint32(4 * index++);
-			const nodes = [];
-			for (let i = 0; i < numberOfNodes; i++) {
-				const letter = dv.getUint32(4 * index++);
-				const node = new LetterNode(String.fromCodePoint(letter));
-				const numb = dv.getUint32(4 * index++);
-				if ((numb & END_OF_WORD_BIT_MASK) != 0)
-					node.isEndOfWord = true;
-				if ((numb & END_OF_LIST_BIT_MASK) == 0)
-					node.next = i + 1;
-				if (((numb >> CHILD_INDEX_SHIFT) & CHILD_INDEX_BIT_MASK) > 0)
-					node.child = ((numb >> CHILD_INDEX_SHIFT) & CHILD_INDEX_BIT_MASK);
-				//console.log(`${nodes.length} `,node);
-				nodes.push(node);
+
+			/**
+			 * The letters in the dictionary, undefined for an
+			 * older DAWG that doesn't record them
+			 * @member {string[]}
+			 */
+			this.alphabet = undefined;
+
+			if (dv.getUint32(0) === DAWG_MAGIC) {
+				index++;
+				this.alphabet = [];
+				const numberOfLetters = dv.getUint32(4 * index++);
+				for (let i = 0; i < numberOfLetters; i++) {
+					const cps = [];
+					const length = dv.getUint32(4 * index++);
+					for (let j = 0; j < length; j++)
+						cps.push(dv.getUint32(4 * index++));
+					this.alphabet.push(String.fromCodePoint(...cps));
+				}
 			}
-			// Convert node indices to pointers
-			for (let i = 0; i < nodes.length; i++) {
-				const node = nodes[i];
-				if (typeof node.next === 'number')
-					node.next = nodes[node.next];
-				if (typeof node.child === 'number')
-					node.child = nodes[node.child];
+
+			const numberOfNodes = dv.getUint32(4 * index++);
+
+			/**
+			 * The letter for each letter number in the nodes. The
+			 * alphabet, if there is one.
+			 * @member {string[]}
+			 * @private
+			 */
+			this.letters = this.alphabet;
+
+			/**
+			 * The nodes, two integers each; the letter number, then
+			 * the end of word and end of list bits, and the index
+			 * of the first child, as encoded in the DAWG.
+			 * @member {Uint32Array}
+			 * @private
+			 */
+			this.nodes = sharedArray(2 * numberOfNodes);
+
+			if (this.alphabet) {
+				for (let i = 0; i < 2 * numberOfNodes; i++)
+					this.nodes[i] = dv.getUint32(4 * index++);
+			} else {
+				// Number the letters in the order they are found
+				this.letters = [];
+				const numbers = {};
+				for (let i = 0; i < numberOfNodes; i++) {
+					const cp = dv.getUint32(4 * index++);
+					if (!(cp in numbers)) {
+						numbers[cp] = this.letters.length;
+						this.letters.push(String.fromCodePoint(cp));
+					}
+					this.nodes[2 * i] = numbers[cp];
+					this.nodes[2 * i + 1] = dv.getUint32(4 * index++);
+				}
 			}
-			this.root = nodes[0];
-			// Build forward and back lists
-			this.root.buildLists();
+
+			/**
+			 * Number of nodes in the DAWG. Words added by the
+			 * overlay are in nodes after these.
+			 * @member {number}
+			 * @private
+			 */
+			this.dawgNodes = numberOfNodes;
+
+			/**
+			 * The first node of each graph; the DAWG, and the words
+			 * added by the overlay if there are any
+			 * @member {number[]}
+			 * @private
+			 */
+			this.roots = [ 0 ];
+
 			// Sequence index will be created on demand
 			this.sequenceRoots = null;
+
+			// Parent of each node, created with the sequence index
+			this.parents = null;
+
+			/**
+			 * Words removed by the overlay, undefined if there are none
+			 * @member {Object<string,boolean>}
+			 */
+			this.removed = undefined;
+		}
+
+		/**
+		 * Build a dictionary from a list of words
+		 * @param {string} name name of the dictionary
+		 * @param {string[][]} words the words, each a list of letters
+		 * @param {string[]} alphabet the letters the words use
+		 * @return {Dictionary} the dictionary
+		 */
+		static fromWords(name, words, alphabet) {
+			const lexicon = words
+				  .map(w => w.map(l => alphabet.indexOf(l)))
+				  .sort(Trie.compareWords);
+			const trie = new Trie(lexicon);
+			trie.generateDAWG();
+			return new Dictionary(name, trie.encodeBuffer(alphabet));
 		}
 
 		/**
@@ -72,98 +179,498 @@ define('dawg/Dictionary', [ 'platform', 'dawg/LetterNode' ], (Platform, LetterNo
 			if (dictionaries[name])
 				return Promise.resolve(dictionaries[name]);
 
-			return new Promise(resolve => {
-				const root = requirejs.toUrl('');
+			const root = requirejs.toUrl('');
+			return Platform.getResource(`${root}/dictionaries/${name}.dict`)
+			.then(buffer => {
+				const dict = new Dictionary(name, buffer.buffer);
+				console.log(`Loaded dictionary ${name}`);
 				return Platform.getResource(
-					`${root}/dictionaries/${name}.dict`)
-				.then(buffer => {
-					dictionaries[name] = new Dictionary(name, buffer.buffer);
-					console.log(`Loaded dictionary ${name}`);
-					resolve(dictionaries[name]);
-				});
+					`${root}/dictionaries/${name}.overlay`)
+				.then(overlay => {
+					dict.setOverlay(JSON.parse(overlay.toString()));
+					console.log(`Loaded overlay for ${name}`);
+				})
+				.catch(() => undefined)
+				.then(() => dictionaries[name] = dict);
 			});
 		}
 
+		/**
+		 * Get what a worker thread needs to use this dictionary
+		 * without loading it again. The nodes are shared, not
+		 * copied, where the platform supports it.
+		 * @return {object} data to pass to {@link Dictionary.adopt}
+		 * in the worker thread
+		 */
+		share() {
+			return {
+				name: this.name,
+				alphabet: this.alphabet,
+				letters: this.letters,
+				nodes: this.nodes,
+				dawgNodes: this.dawgNodes,
+				roots: this.roots,
+				overlay: this.overlay,
+				removed: this.removed
+			};
+		}
+
+		/**
+		 * Use a dictionary shared by another thread, so
+		 * {@link Dictionary.load} doesn't have to load it again
+		 * @param {object} shared the result of {@link Dictionary#share}
+		 * @return {Dictionary} the dictionary
+		 */
+		static adopt(shared) {
+			const dict = Object.assign(
+				Object.create(Dictionary.prototype), shared, {
+					sequenceRoots: null,
+					parents: null
+				});
+			return dictionaries[dict.name] = dict;
+		}
+
+		/**
+		 * Words added to and removed from the dictionary without
+		 * rebuilding the DAWG
+		 * @typedef {object} Dictionary~Overlay
+		 * @property {string[]} added words that aren't in the DAWG
+		 * @property {string[]} removed words in the DAWG that
+		 * aren't words any more
+		 */
+
+		/**
+		 * Set the overlay of added and removed words, replacing any
+		 * previous overlay. Added words are built into a graph of
+		 * their own, in the nodes after the DAWG.
+		 * @param {Dictionary~Overlay} overlay the overlay
+		 */
+		setOverlay(overlay) {
+			/**
+			 * The overlay, as given to setOverlay
+			 * @member {Dictionary~Overlay}
+			 */
+			this.overlay = overlay;
+
+			this.removed = undefined;
+			if (overlay.removed.length > 0) {
+				this.removed = {};
+				for (let word of overlay.removed)
+					this.removed[word] = true;
+			}
+
+			// Forget previous additions
+			this.nodes = this.nodes.subarray(0, 2 * this.dawgNodes);
+			this.roots = [ 0 ];
+			this.sequenceRoots = null;
+			this.parents = null;
+
+			const added = overlay.added.map(w => this.spell(w))
+				  .filter(w => w);
+			if (added.length === 0)
+				return;
+
+			// Older DAWGs have no alphabet, so may need new letters
+			const letters = this.alphabet || this.letters.concat(
+				[...new Set([].concat(...added))]
+				.filter(l => this.letters.indexOf(l) < 0));
+			const additions = Dictionary.fromWords(
+				`${this.name} overlay`, added, letters);
+
+			const nodes = sharedArray(this.nodes.length
+									  + additions.nodes.length);
+			nodes.set(this.nodes);
+			for (let i = 0; i < additions.dawgNodes; i++) {
+				const at = 2 * (this.dawgNodes + i);
+				nodes[at] = additions.nodes[2 * i];
+				const child = additions.child(i);
+				// Children are moved along with their parents
+				nodes[at + 1] = child < 0
+				? additions.nodes[2 * i + 1]
+				: (additions.nodes[2 * i + 1]
+				   & (END_OF_WORD_BIT_MASK | END_OF_LIST_BIT_MASK))
+				+ (this.dawgNodes + child) * (1 << CHILD_INDEX_SHIFT);
+			}
+			this.letters = letters;
+			this.nodes = nodes;
+			this.roots.push(this.dawgNodes);
+		}
+
+		/**
+		 * Split a word into the letters in the alphabet, longest
+		 * letters first
+		 * @param {string} word the word
+		 * @return {string[]} the letters, or undefined if the word
+		 * can't be spelled with the alphabet
+		 */
+		spell(word) {
+			word = word.toUpperCase();
+			if (!this.alphabet)
+				return [...word];
+			const longestFirst = this.alphabet.slice()
+				  .sort((a, b) => b.length - a.length);
+			const letters = [];
+			let i = 0;
+			while (i < word.length) {
+				const at = i;
+				const letter = longestFirst.find(l => word.startsWith(l, at));
+				if (!letter)
+					return undefined;
+				letters.push(letter);
+				i += letter.length;
+			}
+			return letters;
+		}
+
+		/**
+		 * Check if a word has been removed by the overlay
+		 * @param {string|string[]} chars the word, or a list of letters
+		 * @return {boolean} true if the word has been removed
+		 */
+		isRemoved(chars) {
+			if (!this.removed)
+				return false;
+			return this.removed[
+				typeof chars === 'string' ? chars : chars.join('')] || false;
+		}
+
+		/**
+		 * Get the letter on a node
+		 * @param {number} node the node
+		 * @return {string} the letter
+		 */
+		letter(node) {
+			return this.letters[this.nodes[2 * node]];
+		}
+
+		/**
+		 * Check if a node is the last letter of a word
+		 * @param {number} node the node
+		 * @return {boolean} true if a word ends at the node
+		 */
+		isEndOfWord(node) {
+			return (this.nodes[2 * node + 1] & END_OF_WORD_BIT_MASK) !== 0;
+		}
+
+		/**
+		 * Get the first of the nodes that can follow a node
+		 * @param {number} node the node
+		 * @return {number} the child, or -1 if there is none
+		 */
+		child(node) {
+			const child = this.nodes[2 * node + 1] >>> CHILD_INDEX_SHIFT;
+			return child > 0 ? child : -1;
+		}
+
+		/**
+		 * Get the next node in the list of nodes a node is in
+		 * @param {number} node the node
+		 * @return {number} the next node, or -1 if there is none
+		 */
+		next(node) {
+			return (this.nodes[2 * node + 1] & END_OF_LIST_BIT_MASK) !== 0
+			? -1 : node + 1;
+		}
+
+		/**
+		 * Get the node before a node. A node is shared by all the
+		 * words that end in the same way, so it may follow many
+		 * nodes; the parent is the last of them found by a
+		 * depth-first walk of the graph. Following parents from a
+		 * sequence root gives the start of a word that the sequence
+		 * root is in.
+		 * @param {number} node the node
+		 * @return {number} the parent, or -1 if the node is the
+		 * first letter of words
+		 */
+		parent(node) {
+			if (!this.parents)
+				this.createSequenceRoots();
+			return this.parents[node];
+		}
+
+		/**
+		 * Get the letters of the nodes that can follow a node
+		 * @param {number} node the node
+		 * @return {string[]} the letters
+		 */
+		postLetters(node) {
+			const letters = [];
+			for (let n = this.child(node); n >= 0; n = this.next(n))
+				letters.push(this.letter(n));
+			return letters;
+		}
+
+		/**
+		 * Find the node with a letter that can follow a node
+		 * @param {number} node the node
+		 * @param {string} letter the letter
+		 * @return {number} the child with the letter, or -1 if there
+		 * is none
+		 */
+		findChild(node, letter) {
+			for (let n = this.child(node); n >= 0; n = this.next(n))
+				if (this.letter(n) === letter)
+					return n;
+			return -1;
+		}
+
 		/**
 		 * @callback Dictionary~wordCallback
 		 * @param {string} word Word found
-		 * @param {LetterNode} node Node where word was terminated
+		 * @param {number} node Node where word was terminated
+		 * @param {string[]} letters the letters in the word. Only
+		 * valid during the callback; copy it if you want to keep it.
 		 */
 
 		/**
-		 * Apply the callback to each of the words represented in the DAWG
+		 * Apply the callback to each of the words represented in the DAWG,
+		 * less words removed by the overlay, plus words added by it
 		 * (potentially huge!)
 		 * @param {Dictionary~wordCallback} callback function
 		 */
 		eachWord(callback) {
-			return this.root.eachWord('', callback);
+			for (let root of this.roots)
+				this.eachWordFrom(root, '', [], callback);
+		}
+
+		/**
+		 * Apply the callback to each of the words that start with
+		 * the nodes in a list
+		 * @param {number} node the first node in the list
+		 * @param {string} s the word before the node
+		 * @param {string[]} letters the letters in s
+		 * @param {Dictionary~wordCallback} callback function
+		 */
+		eachWordFrom(node, s, letters, callback) {
+			for (; node >= 0; node = this.next(node)) {
+				const letter = this.letter(node);
+				letters.push(letter);
+				if (this.isEndOfWord(node) && !this.isRemoved(s + letter))
+					callback(s + letter, node, letters);
+				const child = this.child(node);
+				if (child >= 0)
+					this.eachWordFrom(child, s + letter, letters, callback);
+				letters.pop();
+			}
 		}
 
 		/**
-		 * Return the Node that matches the last character
+		 * Return the node that matches the last character
 		 * in chars, starting from the root
-		 * @param {string} chars characters that may be the root of a word
-		 * @return {LetterNode} node found, or undefined
+		 * @param {string|string[]} chars characters that may be the
+		 * root of a word, or a list of letters
+		 * @return {number} node found, or null
 		 */
 		match(chars) {
-			return this.root.match(chars, 0);
+			for (let root of this.roots) {
+				const node = this.matchFrom(root, chars, 0, false);
+				if (node !== null)
+					return node;
+			}
+			return null;
+		}
+
+		/**
+		 * Find the node that matches the last character in chars,
+		 * starting from a list of nodes
+		 * @param {number} node the first node in the list
+		 * @param {string|string[]} chars a string of characters that
+		 * may be the root of a word, or a list of letters. Where a
+		 * letter can be more than one character, a string may split
+		 * into letters in more than one way, and all of them are tried.
+		 * @param {number} index the start index within chars
+		 * @param {boolean} wholeWord true to only match a node that
+		 * isEndOfWord
+		 * @return {number} node found, or null
+		 * @private
+		 */
+		matchFrom(node, chars, index, wholeWord) {
+			const isString = (typeof chars === 'string');
+			for (; node >= 0; node = this.next(node)) {
+				const letter = this.letter(node);
+				let end;
+				if (isString) {
+					if (!chars.startsWith(letter, index))
+						continue;
+					end = index + letter.length;
+				} else {
+					if (letter !== chars[index])
+						continue;
+					end = index + 1;
+				}
+				if (end === chars.length) {
+					if (!wholeWord || this.isEndOfWord(node))
+						return node;
+				} else {
+					const child = this.child(node);
+					if (child >= 0) {
+						const m = this.matchFrom(child, chars, end, wholeWord);
+						if (m !== null)
+							return m;
+					}
+				}
+			}
+			return null;
 		}
 
 		/**
 		 * Check if a word is in the dictionary
-		 * @param {string} chars a word to check
+		 * @param {string|string[]} chars a word to check, or a list
+		 * of letters
 		 * @return {boolean} true if the word is found, false otherwise
 		 */
 		hasWord(chars) {
-			const m = this.root.match(chars, 0);
-			return m && m.isEndOfWord;
+			if (this.isRemoved(chars))
+				return false;
+			for (let root of this.roots)
+				if (this.matchFrom(root, chars, 0, true) !== null)
+					return true;
+			return false;
 		}
 
 		/**
 		 * Find anagrams of a set of letters.
-		 * @param {string} theChars the letters, ' ' for an any-letter wildcard
-		 * @return {Object<string, string>} a map of actual words to the letter
-		 * sequence (using ' ' for blanks) that matched
+		 * @param {string|string[]} theChars the letters, ' ' for an
+		 * any-letter wildcard. A string is one letter per code point.
+		 * @return {Object<string, string[]>} a map of actual words to
+		 * the letters that spell them
 		 */
 		findAnagrams(theChars) {
-			theChars = theChars.toUpperCase();
+			if (typeof theChars === 'string')
+				theChars = theChars.toUpperCase().split('');
 
 			if (theChars.length < 2)
-				return [ theChars ];
+				return [ theChars.join('') ];
 
 			// Sort the list of characters. Not strictly needed,
 			// just easier to debug.
-			const sortedChars = theChars.split('').sort();
+			const sortedChars = theChars.slice().sort();
 
 			//console.log('Sorted chars', sortedChars);
 			const foundWords = {};
-			this.root.findAnagrams('', '', sortedChars, foundWords);
+			for (let root of this.roots)
+				this.findAnagramsFrom(root, [], sortedChars, foundWords);
+			for (let word of Object.keys(foundWords))
+				if (this.isRemoved(word))
+					delete foundWords[word];
 			return foundWords;
 		}
 
+		/**
+		 * Find anagrams starting with the nodes in a list
+		 * @param {number} node the first node in the list
+		 * @param {string[]} word the letters matched so far in this
+		 * recursion
+		 * @param {string[]} sortedChars the available set of letters,
+		 * sorted
+		 * @param {Object<string,string[]>} foundWords map from words
+		 * found to the letters in them
+		 * @private
+		 */
+		findAnagramsFrom(node, word, sortedChars, foundWords) {
+			for (; node >= 0; node = this.next(node)) {
+				const letter = this.letter(node);
+
+				// is this letter available from sortedChars?
+				// Only use blank if no other choice
+				let i = sortedChars.indexOf(letter);
+				if (i < 0) // not there, try blank
+					i = sortedChars.indexOf(' ');
+
+				if (i < 0)
+					continue;
+
+				const match = sortedChars[i];
+
+				word.push(letter);
+
+				// The letter is available from sortedChars.
+				// Is this then a word?
+				if (this.isEndOfWord(node))
+					foundWords[word.join('')] = word.slice();
+
+				const child = this.child(node);
+				if (sortedChars.length > 1 && child >= 0) {
+					// Cut the matched letter out of sortedChars and
+					// recurse over our child node chain
+					sortedChars.splice(i, 1);
+					this.findAnagramsFrom(child, word, sortedChars, foundWords);
+					sortedChars.splice(i, 0, match);
+				}
+
+				word.pop();
+			}
+		}
+
 		/**
 		 * For each letter of the alphabet, establish a list of valid
 		 * start points, such that at least one start point must match()
 		 * for any sequence of chars, or there can't possibly be a word.
+		 * Also find the parent of each node.
 		 * @private
 		 */
 		createSequenceRoots() {
+			const numberOfNodes = this.nodes.length / 2;
+			const seen = new Uint8Array(numberOfNodes);
+
+			// Every node, in the order a depth-first walk of the
+			// graph first finds them
 			this.sequenceRoots = {};
-			this.root.eachNode(node => {
-				if (!this.sequenceRoots[node.letter])
-					this.sequenceRoots[node.letter] = [node];
-				else
-					this.sequenceRoots[node.letter].push(node);
-				return true;
-			});
+			const addRoots = first => {
+				for (let node = first; node >= 0; node = this.next(node)) {
+					if (seen[node])
+						continue;
+					seen[node] = 1;
+					const letter = this.letter(node);
+					if (!this.sequenceRoots[letter])
+						this.sequenceRoots[letter] = [ node ];
+					else
+						this.sequenceRoots[letter].push(node);
+					const child = this.child(node);
+					if (child >= 0)
+						addRoots(child);
+				}
+			};
+
+			// The parent of each node is the parent it has the last
+			// time a depth-first walk of the graph reaches it. That's
+			// the first time a walk in reverse order reaches it, and
+			// everything after a node has already been reached in
+			// reverse order the second time the node is reached.
+			this.parents = new Int32Array(numberOfNodes);
+			seen.fill(0);
+			const setParents = (first, parent) => {
+				let last = first;
+				while (this.next(last) >= 0)
+					last++;
+				for (let node = last; node >= first; node--) {
+					if (seen[node])
+						continue;
+					const child = this.child(node);
+					if (child >= 0)
+						setParents(child, node);
+					seen[node] = 1;
+					this.parents[node] = parent;
+				}
+			};
+
+			for (let root of this.roots)
+				addRoots(root);
+			seen.fill(0);
+			for (let root of this.roots)
+				setParents(root, -1);
+
 			console.log(`Created sequence roots for dictionary '${this.name}'`);
 		}
 
 		/**
 		 * Get a list of the sequence roots for ch. The sequence roots
 		 * are all those nodes that represent the character in any word.
-		 * From a sequence root we can follow post or pre to extend the
-		 * word in either direction.
+		 * From a sequence root we can follow parents or children to
+		 * extend the word in either direction.
+		 * @param {string} ch the letter
+		 * @return {number[]} the nodes
 		 */
 		getSequenceRoots(ch) {
 			if (!this.sequenceRoots)
@@ -185,14 +692,16 @@ define('dawg/Dictionary', [ 'platform', 'dawg/LetterNode' ], (Platform, LetterNo
 		findSequence(seq) {
 			if (!this.sequenceRoots)
 				this.createSequenceRoots();
-			const roots = this.sequenceRoots[seq[0]];
-			if (!roots || roots.length == 0) {
-				console.log(`'${seq[0]}' has no roots`);
-				return false;
-			}
-			for (let root of roots) {
-				if (root.match(seq, 0))
-					return root;
+			// A string may start with any letter that it starts with
+			const firsts = typeof seq === 'string'
+				  ? Object.keys(this.sequenceRoots)
+				  .filter(l => seq.startsWith(l))
+				  : [ seq[0] ];
+			for (let first of firsts) {
+				for (let root of this.sequenceRoots[first] || []) {
+					if (this.matchFrom(root, seq, 0, false) !== null)
+						return root;
+				}
 			}
 			// Not found
 			return null;
@@ -207,7 +716,7 @@ define('dawg/Dictionary', [ 'platform', 'dawg/LetterNode' ], (Platform, LetterNo
 		 * is a valid part of; that's not the point, this is intended to help
 		 * eliminate invalid sequences when extending a word backwards from
 		 * a seed letter.
-		 * @param {string} seq letter sequence
+		 * @param {string|string[]} seq letter sequence
 		 * @return {boolean} if a start node exists
 		 */
 		hasSequence(seq) {
@@ -4,9 +4,13 @@
 
 /**
  !* Structure built during dictionary compression. Is not used in a 'live'
- * dictionary; that uses the richer 'LetterNode'.
+ * dictionary; that walks the encoded DAWG directly.
  */
 define('dawg/Trie', ['dawg/TrieNode'], TrieNode => {
+
+	// First integer of a DAWG that starts with its alphabet. Older
+	// DAWGs start with the number of nodes, which is always less.
+	const DAWG_MAGIC = 0x44415747;
 	/**
 	 * A tree of nodes, each of which has a letter, a next pointer to another
 	 * node, and a child pointer to another node.
@@ -15,6 +19,8 @@ define('dawg/Trie', ['dawg/TrieNode'], TrieNode => {
 
 		/**
 		 * Construct a Trie from a simple word list
+		 * @param {number[][]} lexicon list of words, each of which is
+		 * a list of the indices of its letters in the alphabet
 		 */
 		constructor(lexicon) {
 			console.log('\nConstruct Trie and fill from lexicon');
@@ -33,7 +39,7 @@ define('dawg/Trie', ['dawg/TrieNode'], TrieNode => {
 
 		/**
 		 * Add a word to the Trie
-		 * @param {string} word word to add
+		 * @param {number[]} word indices of the letters in the word
 		 */
 		addWord(word) {
 			let current = this.first;
@@ -238,10 +244,14 @@ define('dawg/Trie', ['dawg/TrieNode'], TrieNode => {
 
 		/**
 		 * Convert a Trie tree (DAWG) nodes into a
-		 * linear 32-bit integer array.
+		 * linear 32-bit integer array. The array starts with the
+		 * alphabet, so the letter indices in the nodes can be
+		 * turned back into letters; see {@link Dictionary}.
+		 * @param {string[]} alphabet the letters the letter indices
+		 * index into
 		 * @return {number[]} array of integers
 		 */
-		encodeDAWG() {
+		encodeDAWG(alphabet) {
 			console.log('\nGenerate the unsigned integer array');
 
 			const nodelist = this.assignIndices();
@@ -249,7 +259,15 @@ define('dawg/Trie', ['dawg/TrieNode'], TrieNode => {
 			if (nodelist.length > 0x3FFFFFFF)
 				throw Error(`Too many nodes remain for integer encoding`);
 
-			const dawg = [ nodelist.length ];
+			// Each letter is encoded as the number of code points,
+			// followed by the code points
+			const dawg = [ DAWG_MAGIC, alphabet.length ];
+			for (let letter of alphabet) {
+				const cps = [...letter].map(c => c.codePointAt(0));
+				dawg.push(cps.length, ...cps);
+			}
+
+			dawg.push(nodelist.length);
 			// Add nodes
 			for (let i = 0; i < nodelist.length; i++)
 				nodelist[i].encode(dawg);
@@ -258,6 +276,37 @@ define('dawg/Trie', ['dawg/TrieNode'], TrieNode => {
 
 			return dawg;
 		}
+
+		/**
+		 * Encode the DAWG as for {@link Trie#encodeDAWG}, and pack
+		 * the integers into a buffer that can be written to a
+		 * `.dict` file, or given to a {@link Dictionary}
+		 * @param {string[]} alphabet the letters the letter indices
+		 * index into
+		 * @return {ArrayBuffer} the packed DAWG
+		 */
+		encodeBuffer(alphabet) {
+			const dawg = this.encodeDAWG(alphabet);
+			const buffer = new ArrayBuffer(dawg.length * 4);
+			const dv = new DataView(buffer);
+			for (let i = 0; i < dawg.length; i++)
+				dv.setUint32(i * 4, dawg[i]);
+			return buffer;
+		}
+
+		/**
+		 * Compare two words spelled as lists of letter indices, for
+		 * sorting a lexicon into the order the Trie wants
+		 * @param {number[]} a first word
+		 * @param {number[]} b second word
+		 * @return {number} <0, 0 or >0 as for Array.sort
+		 */
+		static compareWords(a, b) {
+			for (let i = 0; i < a.length && i < b.length; i++)
+				if (a[i] !== b[i])
+					return a[i] - b[i];
+			return a.length - b.length;
+		}
 	}
 
 	return Trie;
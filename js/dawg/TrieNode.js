@@ -13,17 +13,18 @@ define('dawg/TrieNode', () => {
 
 	/**
 	 * A Trie/DAWG node.
-	 * Represents a letter in a set of words.
+	 * Represents a letter in a set of words. The letter is the index
+	 * of the letter in the alphabet the DAWG is built with.
 	 * It has pointers to a child list representing the next letters that can
 	 * follow this letter, and a next pointer to the next alternative to this
 	 * letter in the child list of it's parent node.
 	 * Note this is only used while generating a DAWG from a lexicon. TrieNodes
-	 * are serialised using the above structure but are then rebuilt using
-	 * {@link LetterNode}s at the sharp end.
+	 * are serialised using the above structure, which {@link Dictionary}
+	 * walks at the sharp end.
 	 */
 	class TrieNode {
 		/**
-		 * @param {string} letter codepoint
+		 * @param {number} letter index of the letter in the alphabet
 		 * @param {TrieNode} next next node pointer
 		 * @param {boolean} isWordEnding true if this is an end-of-word node
 		 * @param {number} starterDepth The maximum depth below this node before the
@@ -114,7 +115,7 @@ define('dawg/TrieNode', () => {
 		/**
 		 * Search along this's child next chain for a node with the 
 		 * given letter.
-		 * @param {string} thisLetter letter to look for
+		 * @param {number} thisLetter letter to look for
 		 * @return {TrieNode} the node found, or null
 		 */
 		findChild(thisLetter) {
@@ -132,7 +133,7 @@ define('dawg/TrieNode', () => {
 		/**
 		 * Insert a letter in the child list of this node. The child
 		 * list is sorted on letter
-		 * @param {string} thisLetter letter to add
+		 * @param {number} thisLetter letter to add
 		 * @param {boolean} wordEnder true if this is the end of a word
 		 * @param {number} startDepth depth of shallowest node
 		 */
@@ -257,7 +258,7 @@ define('dawg/TrieNode', () => {
 		 * @param {number[]} array array to accept the encoding
 		 */
 		encode(array) {
-			array.push(this.letter.codePointAt(0));
+			array.push(this.letter);
 			let numb = 0;
 			if (this.child)
 				numb |= (this.child.index << CHILD_INDEX_SHIFT);
@@ -0,0 +1,73 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+
+/* eslint-env node */
+
+/**
+ * Command-line program to build the definitions of the words in a
+ * dictionary, for use by {@link Definitions}, from a text file.
+ *
+ * `node js/dawg/compileDefinitions.js` will tell you how to use it.
+ * @module
+ */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/../..`
+});
+
+requirejs(['fs', 'node-gzip'], (fs, Gzip) => {
+	const Fs = fs.promises;
+
+	const DESCRIPTION = [
+		'USAGE',
+		`node ${process.argv[1].replace(/.*\//, '')} <definitions> <outfile>`,
+		'Build the definitions of the words in a dictionary.',
+		'<definitions> is a text file where each line is a word, followed',
+		'by a tab, followed by a definition of the word. A word may have',
+		'more than one line. Lines starting with # are comments. <outfile>',
+		'is the compressed definitions, and should be named for the',
+		'dictionary, e.g. dictionaries/Oxford_5000.defs' ];
+
+	if (process.argv.length < 4) {
+		console.log(DESCRIPTION.join('\n'));
+		return;
+	}
+
+	const infile = process.argv[2];
+	const outfile = process.argv[3];
+
+	Fs.readFile(infile)
+	.then(async function(data) {
+		const defs = {};
+		let words = 0, count = 0;
+		for (let line of data.toString().split(/\r?\n/)) {
+			if (/^\s*(#|$)/.test(line))
+				continue;
+			const m = /^([^\t]+)\t\s*(.*\S)\s*$/.exec(line);
+			if (!m) {
+				console.log(`Ignored '${line}'`);
+				continue;
+			}
+			const word = m[1].trim().toUpperCase();
+			if (!defs[word]) {
+				defs[word] = [];
+				words++;
+			}
+			defs[word].push(m[2]);
+			count++;
+		}
+		console.log(`${count} definitions of ${words} words`);
+
+		const z = await Gzip.gzip(JSON.stringify(defs));
+		console.log(`Compressed ${z.length} bytes`);
+
+		return Fs.writeFile(outfile, z)
+		.then(() => console.log(`Wrote definitions to ${outfile}`));
+	})
+	.catch(e => {
+		console.log(e.toString());
+		console.log(DESCRIPTION.join('\n'));
+	});
+});
@@ -20,20 +20,32 @@ const requirejs = require('requirejs');
 requirejs.config({
 	baseUrl: `${__dirname}/../..`,
 	paths: {
-		dawg: `js/dawg`
+		dawg: `js/dawg`,
+		game: `js/game`
 	}
 });
 
-requirejs(['fs', 'node-gzip', 'dawg/Trie'], (fs, Gzip, Trie) => {
+requirejs([
+	'fs', 'path', 'node-gzip', 'dawg/Trie', 'game/Edition'
+], (
+	fs, Path, Gzip, Trie, Edition
+) => {
 	const Fs = fs.promises;
 
 	const DESCRIPTION = [
 		'USAGE',
-		`node ${process.argv[1].replace(/.*\//, '')} <lexicon> <outfile>`,
+		`node ${process.argv[1].replace(/.*\//, '')} <lexicon> <outfile> [<edition>]`,
 		'Create a directed acyclic word graph (DAWG) from a list of words.',
 		'<lexicon> is a text file containing a list of words, and <outfile>',
 		'is the binary file containing the compressed DAWG, as used by the',
-		'Dictionary.js module.' ];
+		'Dictionary.js module.',
+		'If <edition> is given, words are split into the letters on the',
+		'tiles in that edition, which may be more than one character (such',
+		'as the Hungarian \'SZ\'). Words that can\'t be spelled with those',
+		'tiles, or are too long for the board, are left out. Otherwise',
+		'each character is a letter. Duplicate words are always left out.',
+		'A description of the dictionary, including the editions it can be',
+		'used with, is written to <outfile> with the extension .json' ];
 
 	if (process.argv.length < 4) {
 		console.log(DESCRIPTION.join('\n'));
@@ -42,15 +54,89 @@ requirejs(['fs', 'node-gzip', 'dawg/Trie'], (fs, Gzip, Trie) => {
 
 	const infile = process.argv[2];
 	const outfile = process.argv[3];
+	const editionName = process.argv[4];
+	const editionsDir = Path.join(__dirname, '..', '..', 'editions');
 
-	Fs.readFile(infile)
-	.then(async function(data) {
-		const lexicon = data
+	/**
+	 * Check if a dictionary can be used with an edition. Every
+	 * letter used must be on a tile, and the tiles must split the
+	 * words into the same letters (so a dictionary that spells 'SZ'
+	 * as 'S' and 'Z' can't be used with the Hungarian tiles)
+	 * @param {Edition} edition the edition
+	 * @param {string[]} used the letters used in the words
+	 * @param {string[][]} spelled the words, as lists of letters
+	 * @return {boolean} true if the dictionary can be used
+	 * @private
+	 */
+	function isCompatible(edition, used, spelled) {
+		if (used.find(l => edition.alphabeta.indexOf(l) < 0))
+			return false;
+		if (!edition.alphabeta.concat(used).find(l => l.length > 1))
+			return true;
+		return spelled.every(
+			w => edition.tokenise(w.join('')).join(' ') === w.join(' '));
+	}
+
+	Promise.all([
+		Fs.readFile(infile),
+		editionName ? Edition.load(editionName) : undefined
+	])
+	.then(async function([ data, edition ]) {
+		const words = data
 			.toString()
 			.toUpperCase()
 			.split(/\r?\n/)
-			.map(w => w.replace(/[\W].*$/, '')) // comments
-			.sort();
+			// Comments start with the first space, digit or ASCII
+			// punctuation; \W would also strip accented letters
+			.map(w => w.replace(/[\s\d!-/:-@[-`{-~].*$/, ''))
+			.filter(w => w.length > 0);
+
+		// Problems found, reported at the end
+		const bad = [], long = [], dups = [];
+
+		// Split the words into letters, and find the alphabet
+		let alphabet, spelled;
+		if (edition) {
+			alphabet = edition.alphabeta;
+			const maxLength = Math.max(edition.rows, edition.cols);
+			spelled = [];
+			for (let word of words) {
+				const letters = edition.tokenise(word);
+				if (!letters)
+					bad.push(word);
+				else if (letters.length > maxLength)
+					long.push(word);
+				else
+					spelled.push(letters);
+			}
+		} else {
+			spelled = words.map(w => [...w]);
+			const letters = {};
+			for (let word of spelled)
+				for (let l of word)
+					letters[l] = true;
+			alphabet = Object.keys(letters).sort();
+		}
+
+		// The Trie is built from lists of letter indices, sorted,
+		// without duplicates
+		const lexicon = [];
+		for (let word of spelled
+			 .map(word => word.map(l => alphabet.indexOf(l)))
+			 .sort(Trie.compareWords)) {
+			const last = lexicon[lexicon.length - 1];
+			if (last && Trie.compareWords(last, word) === 0)
+				dups.push(word.map(i => alphabet[i]).join(''));
+			else
+				lexicon.push(word);
+		}
+
+		if (bad.length > 0)
+			console.log(`${bad.length} words can't be spelled in ${editionName}:\n\t${bad.join(' ')}`);
+		if (long.length > 0)
+			console.log(`${long.length} words are too long for the ${editionName} board:\n\t${long.join(' ')}`);
+		if (dups.length > 0)
+			console.log(`${dups.length} duplicate words:\n\t${dups.join(' ')}`);
 
 		// First step; generate a Trie from the words in the lexicon
 		const trie = new Trie(lexicon);
@@ -61,23 +147,51 @@ requirejs(['fs', 'node-gzip', 'dawg/Trie'], (fs, Gzip, Trie) => {
 		// We have a DAWG. We could output it now like this:
 		//console.log(JSON.stringify(trie.first.simplify(), null, ' '));
 
-		// Instead we want to generate an integer array for use with Dictionary
-		const dawg = trie.encodeDAWG();
+		// Instead we want to generate an integer array for use with
+		// Dictionary, packed into an ArrayBuffer
+		const buffer = trie.encodeBuffer(alphabet);
+		console.log(`Uncompressed ${buffer.byteLength} bytes`);
+
+		const z = await Gzip.gzip(new DataView(buffer));
+		console.log(`Compressed ${z.length} bytes`);
+
+		// Letters actually used in the words
+		const used = [];
+		for (let word of lexicon)
+			for (let i of word)
+				used[i] = true;
+		const letters = alphabet.filter((l, i) => used[i]);
+		const kept = lexicon.map(word => word.map(i => alphabet[i]));
 
-		// Pack the array of encoded integers into an ArrayBuffer
-		const buffer = new ArrayBuffer(dawg.length * 4);
-		const dv = new DataView(buffer);
-		for (let i = 0; i < dawg.length; i++) {
-			dv.setUint32(i * 4, dawg[i]); // Little endian
+		// Find the editions the dictionary can be used with
+		const editions = [];
+		for (let file of await Fs.readdir(editionsDir)) {
+			if (/^_/.test(file) || !/\.js$/.test(file))
+				continue;
+			const ed = await Edition.load(file.replace(/\.js$/, ''));
+			if (isCompatible(ed, letters, kept))
+				editions.push(ed.name);
 		}
-		console.log(`Uncompressed ${dawg.length * 4} bytes`);
+		console.log(`Can be used with ${editions.join(', ')}`);
 
-		const z = await Gzip.gzip(dv);
-		console.log(`Compressed ${z.length} bytes`);
+		// Sidecar metadata, see Server.request_dictionaries
+		const metadata = {
+			name: Path.basename(outfile).replace(/\.dict$/, ''),
+			words: lexicon.length,
+			alphabet: letters,
+			source: Path.basename(infile),
+			built: new Date().toISOString(),
+			edition: editionName,
+			editions: editions
+		};
+		const metafile = outfile.replace(/(\.dict)?$/, '.json');
 
 		// Write DAWG binary bytes
 		return Fs.writeFile(outfile, z)
-		.then(() => console.log(`Wrote DAWG to ${outfile}`));
+		.then(() => console.log(`Wrote DAWG to ${outfile}`))
+		.then(() => Fs.writeFile(
+			metafile, JSON.stringify(metadata, null, 1)))
+		.then(() => console.log(`Wrote description to ${metafile}`));
 	})
 	.catch(e => {
 		console.log(e.toString());
@@ -26,22 +26,23 @@ requirejs(['node-getopt', 'platform', 'dawg/Dictionary'], (Getopt, Platform, Dic
 	const biglist = {};
 	
 	function eachRoot(opt, root, dict) {
+		const child = root.node === null ? -1 : dict.child(root.node);
 		if (opt.options.list) {
-			if (root.node.child) {
+			if (child >= 0) {
 				let list = [];
 				console.log(`-- ${root.word} --`);
 				biglist[root.word] = true;
-				root.node.child.eachWord(root.word, w => list.push(w));
+				dict.eachWordFrom(child, root.word, [], w => list.push(w));
 				
 				list = list.filter(w => !biglist[w]);
 				list.forEach(w => biglist[w] = true);
 				
 				console.log(list.join('\n'));
 			}
-		} else if (root.node && root.node.isEndOfWord)
+		} else if (root.node !== null && dict.isEndOfWord(root.node))
 			console.log(`'${root.word}' was found`,
-						root.node.child ? '& is a root' : '');
-		else if (root.node && root.node.child)
+						child >= 0 ? '& is a root' : '');
+		else if (child >= 0)
 			console.log(`'${root.word}' is a root`);
 		else
 			console.log(`'${root.word}' NOT FOUND`);
@@ -79,16 +80,13 @@ requirejs(['node-getopt', 'platform', 'dawg/Dictionary'], (Getopt, Platform, Dic
 
 				if (words.length === 0) {
 					// Dump of entire dawg
-					let letter = dict.root.child;
-					while (letter) {
-						roots.push({ word: letter.letter, node: dict.root });
-						letter = letter.next;
-					}
+					for (let node = 0; node >= 0; node = dict.next(node))
+						roots.push({ word: dict.letter(node), node: node });
 				} else {
 					for (let w of words) {
 						const word = w.toUpperCase();
 						const node = dict.match(word);
-						if (node)
+						if (node !== null)
 							roots.push({ word: word, node: node });
 					}
 					roots.sort((a, b) => {
@@ -0,0 +1,97 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+
+/* eslint-env node */
+
+/**
+ * Command-line program to fold the words added to and removed from
+ * a dictionary by an admin (see {@link DictionaryAdmin}) back into
+ * the DAWG, so the overlay is no longer needed.
+ *
+ * `node js/dawg/foldOverlay.js` will tell you how to use it.
+ * @module
+ */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/../..`,
+	paths: {
+		dawg: `js/dawg`,
+		game: `js/game`,
+		platform: `js/server/ServerPlatform`
+	}
+});
+
+requirejs([
+	'fs', 'node-gzip', 'dawg/Trie', 'dawg/Dictionary'
+], (
+	fs, Gzip, Trie, Dictionary
+) => {
+	const Fs = fs.promises;
+
+	const DESCRIPTION = [
+		'USAGE',
+		`node ${process.argv[1].replace(/.*\//, '')} <dictionary>`,
+		'Rebuild the DAWG for a dictionary, including the words that have',
+		'been added to it and leaving out the words that have been removed',
+		'from it. <dictionary> is the name of the dictionary, e.g.',
+		'Oxford_5000. The overlay of added and removed words is deleted,',
+		'but the audit log of who changed what is kept.' ];
+
+	if (process.argv.length < 3) {
+		console.log(DESCRIPTION.join('\n'));
+		return;
+	}
+
+	const name = process.argv[2];
+	const dir = requirejs.toUrl('dictionaries');
+	const dictfile = `${dir}/${name}.dict`;
+	const overlayfile = `${dir}/${name}.overlay`;
+	const metafile = `${dir}/${name}.json`;
+
+	Dictionary.load(name)
+	.then(async function(dict) {
+		if (!dict.overlay) {
+			console.log(`${name} has no overlay`);
+			return undefined;
+		}
+
+		// eachWord applies the overlay
+		const words = [];
+		dict.eachWord((word, node, letters) => words.push(letters.slice()));
+		console.log(`${dict.overlay.added.length} words added, ${dict.overlay.removed.length} removed, ${words.length} words`);
+
+		// Older DAWGs have no alphabet, so use the letters in the words
+		const alphabet = dict.alphabet
+			  || [...new Set([].concat(...words))].sort();
+		const trie = new Trie(words
+							  .map(w => w.map(l => alphabet.indexOf(l)))
+							  .sort(Trie.compareWords));
+		trie.generateDAWG();
+		const buffer = trie.encodeBuffer(alphabet);
+
+		const z = await Gzip.gzip(new DataView(buffer));
+		console.log(`Compressed ${z.length} bytes`);
+
+		return Fs.writeFile(dictfile, z)
+		.then(() => console.log(`Wrote DAWG to ${dictfile}`))
+		// Update the description written by compressor.js, if any
+		.then(() => Fs.readFile(metafile)
+			  .then(data => {
+				  const metadata = JSON.parse(data.toString());
+				  metadata.words = words.length;
+				  metadata.built = new Date().toISOString();
+				  return Fs.writeFile(
+					  metafile, JSON.stringify(metadata, null, 1));
+			  })
+			  .then(() => console.log(`Updated description in ${metafile}`))
+			  .catch(() => undefined))
+		.then(() => Fs.unlink(overlayfile))
+		.then(() => console.log(`Removed ${overlayfile}`));
+	})
+	.catch(e => {
+		console.log(e.toString());
+		console.log(DESCRIPTION.join('\n'));
+	});
+});
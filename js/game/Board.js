@@ -116,7 +116,7 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 			
 			const taste = (dcol, drow) => {			
 				let wordScore = 0;
-				let letters = '';
+				const letters = [];
 				let wordMultiplier = 1;
 				let isNewWord = false;
 				while (col < this.cols
@@ -130,7 +130,7 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 						wordMultiplier *= square.wordScoreMultiplier;
 					}
 					wordScore += letterScore;
-					letters += square.tile.letter;
+					letters.push(square.tile.letter);
 					col += dcol;
 					row += drow;
 				}
@@ -138,7 +138,8 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 					wordScore *= wordMultiplier;
 					totalScore += wordScore;
 					words.push({
-						word: letters,
+						word: letters.join(''),
+						letters: letters,
 						score: wordScore
 					});
 				}
@@ -164,8 +165,8 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 		 * @param {number} dcol 1 if the word being played across
 		 * @param {number} drow 1 if the word is being played down
 		 * @param {Tile[]} tiles a list of Tiles that have been newly placed
-		 * @param {string[]} words optional list to be populated with
-		 * words that have been created by the play
+		 * @param {object[]} words optional list to be populated with
+		 * words that have been created by the play, see {@link Move}
 		 * @return {number} the score of the play.
 		 */
 		scorePlay(col, row, dcol, drow, tiles, words) {
@@ -206,7 +207,7 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 
 				// This is a new tile, need to analyse cross words and
 				// apply bonuses
-				let crossWord = '';
+				const crossWord = [];
 				let crossWordScore = 0;
 
 				// Look left/up
@@ -214,11 +215,11 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 					 cp >= 0 && rp >= 0 && this.at(cp, rp).tile;
 					 cp -= drow, rp -= dcol) {
 					const tile = this.at(cp, rp).tile;
-					crossWord = tile.letter + crossWord;
+					crossWord.unshift(tile.letter);
 					crossWordScore += tile.score;
 				}
 
-				crossWord += tile.letter;
+				crossWord.push(tile.letter);
 
 				// Look right/down
 				for (let cp = c + drow, rp = r + dcol;
@@ -226,7 +227,7 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 					 && this.at(cp, rp).tile;
 					 cp += drow, rp += dcol) {
 					const tile = this.at(cp, rp).tile;
-					crossWord += tile.letter;
+					crossWord.push(tile.letter);
 					crossWordScore += tile.score
 				}
 
@@ -235,7 +236,11 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 					crossWordScore += letterScore;
 					crossWordScore *= crossWordMultiplier;
 					if (words)
-						words.push({ word: crossWord, score: crossWordScore });
+						words.push({
+							word: crossWord.join(''),
+							letters: crossWord,
+							score: crossWordScore
+						});
 
 					crossWordsScore += crossWordScore;
 				}
@@ -246,6 +251,7 @@ define('game/Board', ['game/Surface', 'game/Tile', 'game/Move'], (Surface, Tile,
 			if (words)
 				words.push({
 					word: tiles.map(tile => tile.letter).join(''),
+					letters: tiles.map(tile => tile.letter),
 					score: wordScore
 				});
 
@@ -27,7 +27,9 @@ define('game/Edition', () => {
 		 * correspondence between the alphabet used to generate the
 		 * DAWG and the letters in the bag. Each letter is described in an
 		 * object thus:
-		 * @param {string} spec.bag.letter - a code point (undefined for blank)
+		 * @param {string} spec.bag.letter - the letter on the tile
+		 * (undefined for blank). Usually a single code point, but
+		 * may be more, such as the Hungarian 'SZ'.
 		 * @param {number} spec.bag.score - score for this letter
 		 * @param {number} spec.bag.count - number of tiles for this letter
 		 * @param {string[]} spec.layout each entry
@@ -54,6 +56,11 @@ define('game/Edition', () => {
 			this.rows = 2 * this.layout.length - 1;
 			this.cols = this.rows;
 
+			/**
+			 * Sorted list of the letters on the tiles (not including
+			 * the blank)
+			 * @member {string[]}
+			 */
 			this.alphabeta = [];
 			for (let tile of this.bag) {
 				if (tile.letter)
@@ -64,7 +71,11 @@ define('game/Edition', () => {
 				}
 				this.scores[tile.letter] = tile.score || 0;
 			}
-			this.alphabet = this.alphabeta.sort().join('');
+			this.alphabeta.sort();
+
+			// Longest letters first, for tokenise()
+			this.longestFirst = this.alphabeta.slice()
+			.sort((a, b) => b.length - a.length);
 		}
 
 		/**
@@ -107,12 +118,41 @@ define('game/Edition', () => {
 		}
 
 		/**
-		 * Get the letter indices for the letters in the given word.
-		 * @private
+		 * Split a word into the letters on the tiles that spell it.
+		 * Where a word could be spelled in more than one way, such as
+		 * with the Hungarian 'SZ' or 'S' and 'Z', the longest tile
+		 * is always used.
+		 * @param {string} word the word to split
+		 * @return {string[]} the letters, or undefined if the word
+		 * can't be spelled using the tiles in this edition
+		 */
+		tokenise(word) {
+			word = word.toUpperCase();
+			const letters = [];
+			for (let i = 0; i < word.length; ) {
+				const at = i;
+				const letter = this.longestFirst.find(
+					l => word.startsWith(l, at));
+				if (!letter)
+					return undefined;
+				letters.push(letter);
+				i += letter.length;
+			}
+			return letters;
+		}
+
+		/**
+		 * Get the indices in {@link Edition#alphabeta} of the tiles
+		 * that spell the given word.
+		 * @param {string|string[]} word the word, or the letters on
+		 * its tiles
+		 * @return {number[]} the indices, or undefined if the word
+		 * can't be spelled using the tiles in this edition
 		 */
 		getLetterIndices(word) {
-			return word.split('')
-			.map(l => this.alphabet.indexOf(l.toUpperCase()));
+			const letters = typeof word === 'string'
+				  ? this.tokenise(word) : word;
+			return letters && letters.map(l => this.alphabeta.indexOf(l));
 		}
 
 		/**
@@ -0,0 +1,542 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd */
+
+/**
+ * Conversion of games to and from the GCG format used to record
+ * tournament games. See https://www.poslfit.com/scrabble/gcg/
+ * @module game/GCG
+ */
+define('game/GCG', [
+	'game/Edition', 'game/GenKey', 'game/Tile', 'game/Player', 'game/Turn',
+	'game/Game'
+], (
+	Edition, GenKey, Tile, Player, Turn,
+	Game
+) => {
+
+	// GCG represents a blank on a rack as '?'
+	const BLANK = '?';
+
+	// A board coordinate, row number first for a play across,
+	// column letter first for a play down
+	const COORD = /^(\d+)([A-Za-z])$|^([A-Za-z])(\d+)$/;
+
+	/**
+	 * Format a list of tiles as a GCG rack. The letters are sorted,
+	 * blanks last, as the order of the tiles on a rack depends on
+	 * which slots they were drawn into, and means nothing.
+	 * @param {Tile[]} tiles the tiles
+	 * @return {string} the rack
+	 * @private
+	 */
+	function rackString(tiles) {
+		const letters = tiles.filter(t => !t.isBlank).map(t => t.letter);
+		return letters.sort().join('')
+		+ BLANK.repeat(tiles.length - letters.length);
+	}
+
+	/**
+	 * Work out the GCG coordinate and word for a move. The word is the
+	 * main word formed by the move, with tiles that were already on
+	 * the board shown as '.' and blanks in lower case.
+	 * @param {Tile[]} tiles the tiles on the board after the move
+	 * @param {Tile[]} placements the tiles placed in the move
+	 * @return {string[]} the coordinate and the word
+	 * @private
+	 */
+	function moveString(tiles, placements) {
+		const at = {};
+		for (let tile of tiles)
+			at[`${tile.col},${tile.row}`] = tile;
+		const placed = {};
+		for (let tile of placements)
+			placed[`${tile.col},${tile.row}`] = true;
+
+		let across;
+		if (placements.length > 1)
+			across = placements[0].row === placements[1].row;
+		else {
+			const p = placements[0];
+			across = at[`${p.col - 1},${p.row}`] || at[`${p.col + 1},${p.row}`]
+			|| !(at[`${p.col},${p.row - 1}`] || at[`${p.col},${p.row + 1}`]);
+		}
+		const dcol = across ? 1 : 0, drow = across ? 0 : 1;
+		let col = Math.min(...placements.map(t => t.col));
+		let row = Math.min(...placements.map(t => t.row));
+		while (at[`${col - dcol},${row - drow}`]) {
+			col -= dcol;
+			row -= drow;
+		}
+		const colName = String.fromCharCode(65 + col);
+		const coord = across ? `${row + 1}${colName}` : `${colName}${row + 1}`;
+		let word = '';
+		for (; at[`${col},${row}`]; col += dcol, row += drow) {
+			const tile = at[`${col},${row}`];
+			if (!placed[`${col},${row}`])
+				word += '.';
+			else if (tile.isBlank)
+				word += tile.letter.toLowerCase();
+			else
+				word += tile.letter;
+		}
+		return [ coord, word ];
+	}
+
+	/**
+	 * Parse a GCG event line (the part after the player nickname)
+	 * @param {string} line the event
+	 * @return {object} the event, with `rack` (list of letters, BLANK
+	 * for a blank, or undefined if not given), `type`, `score`, and
+	 * fields depending on the type
+	 * @private
+	 */
+	function parseEvent(line) {
+		const tokens = line.trim().split(/\s+/);
+		if (tokens.length < 3)
+			throw Error(`Bad GCG event '${line}'`);
+		const event = {};
+		tokens.pop(); // cumulative score, recomputed
+		event.score = parseInt(tokens.pop());
+		if (tokens.length === 3 || (tokens.length === 2
+									&& !COORD.test(tokens[0])))
+			event.rack = tokens.shift().split('');
+
+		const action = tokens[0];
+		let m;
+		if (tokens.length === 2) {
+			m = COORD.exec(action);
+			if (!m)
+				throw Error(`Bad GCG coordinate '${action}'`);
+			event.type = 'move';
+			event.across = typeof m[1] !== 'undefined';
+			event.row = parseInt(event.across ? m[1] : m[4]) - 1;
+			event.col = (event.across ? m[2] : m[3]).toUpperCase()
+			.charCodeAt(0) - 65;
+			event.word = tokens[1];
+		} else if (action === '-')
+			event.type = 'passed';
+		else if (action === '--')
+			event.type = 'withdrawn';
+		else if ((m = /^-(\d+)$/.exec(action)))
+			event.type = 'swap', event.count = parseInt(m[1]);
+		else if ((m = /^-(.+)$/.exec(action)))
+			event.type = 'swap', event.swapped = m[1].split('');
+		else if (action === '(challenge)')
+			event.type = 'challenge';
+		else if (action === '(time)')
+			event.type = 'end';
+		else if ((m = /^\((.*)\)$/.exec(action)))
+			event.type = 'end', event.letters = m[1].split('');
+		else
+			throw Error(`Bad GCG event '${line}'`);
+		return event;
+	}
+
+	/**
+	 * Conversion between games and GCG
+	 */
+	class GCG {
+
+		/**
+		 * Generate GCG for a game. Racks are included where they are
+		 * known (see {@link Game#getPositions}). The edition, which
+		 * isn't part of standard GCG, is recorded in an #edition pragma.
+		 * A failed challenge is recorded as a pass by the challenger,
+		 * or as challenge bonus points if the challenger kept their
+		 * turn, and a take-back as a withdrawn move. GCG has no way to
+		 * record a duplicate game.
+		 * @param {Game} game the game to convert
+		 * @param {object?} options options
+		 * @param {string[]?} options.racksOf keys of the players whose
+		 * racks, and swapped tiles, are written. Default is all players.
+		 * @return {string} the GCG
+		 */
+		static write(game, options) {
+			options = options || {};
+			const shown = key => !options.racksOf
+				  || options.racksOf.indexOf(key) >= 0;
+			if (game.duplicate)
+				throw Error(/*i18n*/'A duplicate game cannot be saved as GCG');
+			const positions = game.getPositions();
+			const lines = [ '#character-encoding UTF-8' ];
+
+			// Nicknames can't contain spaces, and must be unique
+			const nicks = {};
+			game.players.forEach((player, i) => {
+				let nick = player.name.replace(/\s+/g, '_');
+				if (Object.values(nicks).indexOf(nick) >= 0)
+					nick += i + 1;
+				nicks[player.key] = nick;
+				lines.push(`#player${i + 1} ${nick} ${player.name}`);
+			});
+			lines.push(`#id xanado ${game.key}`);
+			lines.push(`#edition ${game.edition}`);
+			if (game.dictionary)
+				lines.push(`#lexicon ${game.dictionary}`);
+
+			const totals = {};
+			game.players.forEach(player => totals[player.key] = 0);
+			const event = (key, rack, action, score) => {
+				totals[key] += score;
+				const sign = score < 0 ? '' : '+';
+				lines.push(`>${nicks[key]}: `
+						   + (rack ? `${rack} ` : '')
+						   + `${action} ${sign}${score} ${totals[key]}`);
+			};
+
+			game.turns.forEach((turn, i) => {
+				const racks = positions[i].racks;
+				const rack = key => racks[key] && shown(key)
+					  ? rackString(racks[key]) : '';
+
+				if (turn.type === 'challenge-failed'
+					&& turn.nextToGoKey === turn.playerKey) {
+					// The challenger kept their turn
+					if (typeof turn.score === 'object')
+						for (let key of Object.keys(turn.score))
+							event(key, rack(key), '(challenge)',
+								  turn.score[key]);
+					return;
+				}
+
+				if (typeof turn.score === 'object') {
+					// End of game rack adjustments
+					const left = game.players
+						  .filter(p => racks[p.key] && racks[p.key].length > 0)
+						  .map(p => rack(p.key)).join('');
+					for (let key of Object.keys(turn.score)) {
+						const delta = turn.score[key];
+						if (racks[key] && racks[key].length > 0 && shown(key))
+							event(key, rack(key), `(${rack(key)})`, delta);
+						else if (delta !== 0)
+							event(key, '', `(${left})`, delta);
+					}
+					return;
+				}
+
+				switch (turn.type) {
+				case 'move':
+					event(turn.playerKey, rack(turn.playerKey),
+						  moveString(positions[i + 1].tiles, turn.placements)
+						  .join(' '), turn.score);
+					break;
+				case 'swap':
+					event(turn.playerKey, rack(turn.playerKey),
+						  turn.swapped && shown(turn.playerKey)
+						  ? `-${rackString(turn.swapped)}`
+						  : `-${turn.replacements.length}`, 0);
+					break;
+				case 'took-back':
+				case 'challenge-won': {
+					// The rack is the rack the withdrawn move was
+					// played from
+					let j = i - 1;
+					while (j > 0 && !(game.turns[j].type === 'move'
+									  && game.turns[j].playerKey
+									  === turn.playerKey))
+						j--;
+					const withdrawn = shown(turn.playerKey)
+						  && positions[j].racks[turn.playerKey];
+					event(turn.playerKey,
+						  withdrawn ? rackString(withdrawn) : '', '--',
+						  turn.score);
+					break;
+				}
+				default: // passed, timeout, challenge-failed
+					event(turn.playerKey, rack(turn.playerKey), '-', 0);
+				}
+			});
+
+			return lines.join('\n') + '\n';
+		}
+
+		/**
+		 * Build a game from GCG. The game has a turn for each event
+		 * in the GCG, and the tiles drawn after each play are worked
+		 * out from the racks in the following events. Where racks
+		 * aren't given, tiles are drawn at random from the bag.
+		 * If the GCG records end of game rack adjustments, the game
+		 * is ended.
+		 * A move withdrawn after a challenge is 'challenge-won', or
+		 * 'took-back' if the same player plays next. Challenge bonus
+		 * points are added to the score for the move challenged.
+		 * @param {string} gcg the GCG text
+		 * @param {object} params parameters for the {@link Game}. The
+		 * edition and dictionary are overridden by #edition and #lexicon
+		 * in the GCG, if given.
+		 * @return {Promise} resolving to the new {@link Game}
+		 */
+		static read(gcg, params) {
+			const pragmas = {};
+			const players = [];
+			const events = [];
+			let game, edition;
+			return Promise.resolve()
+			.then(() => {
+				for (let line of gcg.split(/\r?\n/)) {
+					let m;
+					if ((m = /^#player(\d+)\s+(\S+)\s*(.*)$/.exec(line)))
+						players.push({ nick: m[2], name: m[3] || m[2] });
+					else if ((m = /^#(\S+)\s+(.*)$/.exec(line)))
+						pragmas[m[1]] = m[2].trim();
+					else if ((m = /^>([^:]+):(.*)$/.exec(line))) {
+						const event = parseEvent(m[2]);
+						event.nick = m[1].trim();
+						events.push(event);
+					}
+				}
+
+				params = Object.assign({}, params);
+				params.edition = pragmas.edition || params.edition;
+				params.dictionary = pragmas.lexicon || params.dictionary;
+				if (!params.edition)
+					throw Error('GCG does not say which edition');
+
+				game = new Game(params);
+				return game.create();
+			})
+			.then(() => Edition.load(game.edition))
+			.then(ed => {
+				edition = ed;
+				const bag = game.letterBag;
+
+				const byNick = {};
+				const addPlayer = (nick, name) => {
+					const player = new Player({
+						name: name, key: GenKey(), isRobot: false });
+					game.addPlayer(player);
+					player.returnTiles(bag);
+					byNick[nick] = player;
+					return player;
+				};
+				for (let p of players)
+					addPlayer(p.nick, p.name);
+				for (let event of events) {
+					event.player = byNick[event.nick]
+					|| addPlayer(event.nick, event.nick);
+				}
+
+				const newTile = letter => new Tile({
+					letter: letter === BLANK ? ' ' : letter,
+					isBlank: letter === BLANK,
+					score: letter === BLANK ? 0 : edition.letterScore(letter)
+				});
+				const fromBag = letter =>
+					  bag.removeTile(newTile(letter)) || newTile(letter);
+
+				// Turn waiting to find out what the player drew
+				const pending = {};
+
+				// Bring a player's rack up to date, drawing the tiles
+				// needed to make the given rack, or at random if the
+				// rack isn't known
+				const refill = (player, letters) => {
+					const drawn = [];
+					if (letters) {
+						const need = letters.slice();
+						for (let tile of player.rack.tiles()) {
+							const i = need.indexOf(
+								tile.isBlank ? BLANK : tile.letter);
+							if (i >= 0)
+								need.splice(i, 1);
+							else
+								// Not consistent with the GCG
+								bag.returnTile(player.rack.removeTile(tile));
+						}
+						for (let letter of need)
+							drawn.push(fromBag(letter));
+					} else {
+						while (player.rack.tiles().length + drawn.length
+							   < game.rackSize && !bag.isEmpty())
+							drawn.push(bag.getRandomTile());
+					}
+					for (let tile of drawn)
+						player.rack.addTile(tile);
+					if (pending[player.key])
+						pending[player.key].replacements = drawn;
+					delete pending[player.key];
+				};
+
+				// Initial racks
+				for (let player of game.players) {
+					const first = events.find(e => e.player === player);
+					refill(player, first && first.type !== 'end'
+						   ? first.rack : undefined);
+				}
+
+				const lastMove = {};
+				const deltas = {};
+				let finalRacks = {};
+				for (let event of events) {
+					const player = event.player;
+					let turn;
+					switch (event.type) {
+
+					case 'move': {
+						refill(player, event.rack);
+						const placements = [], letters = [];
+						let col = event.col, row = event.row;
+						for (let letter of event.word) {
+							const square = game.board.at(col, row);
+							if (letter !== '.' && square && !square.tile) {
+								const isBlank = letter !== letter.toUpperCase();
+								letter = letter.toUpperCase();
+								let tile;
+								try {
+									tile = player.rack.removeTile(
+										isBlank ? { letter: ' ' } : { letter: letter });
+								} catch (e) {
+									// Not consistent with the GCG
+									tile = newTile(isBlank ? BLANK : letter);
+								}
+								tile.letter = letter;
+								square.placeTile(tile, true);
+								placements.push(new Tile(tile));
+							}
+							letters.push(square && square.tile
+										 ? square.tile.letter : letter);
+							if (event.across) col++; else row++;
+						}
+						player.score += event.score;
+						turn = new Turn(game, {
+							type: 'move',
+							playerKey: player.key,
+							score: event.score,
+							placements: placements,
+							replacements: [],
+							words: [ { word: letters.join(''),
+									   score: event.score } ],
+							emptyPlayerKey: undefined
+						});
+						pending[player.key] = lastMove[player.key] = turn;
+						break;
+					}
+
+					case 'swap': {
+						refill(player, event.rack);
+						// If we don't know what was swapped, swap
+						// from the front of the rack
+						const letters = event.swapped
+							  || player.rack.tiles().slice(0, event.count)
+							  .map(t => t.isBlank ? BLANK : t.letter);
+						const swapped = letters.map(
+							letter => player.rack.removeTile(
+								{ letter: letter === BLANK ? ' ' : letter }));
+						for (let tile of swapped)
+							bag.returnTile(tile);
+						turn = new Turn(game, {
+							type: 'swap',
+							playerKey: player.key,
+							score: 0,
+							replacements: [],
+							swapped: event.swapped
+							? swapped.map(t => new Tile(t)) : undefined,
+							emptyPlayerKey: undefined
+						});
+						pending[player.key] = turn;
+						break;
+					}
+
+					case 'withdrawn': {
+						// The rack given is the rack before the withdrawn
+						// move, and nothing has been drawn since
+						const move = lastMove[player.key];
+						delete pending[player.key];
+						for (let placement of move.placements) {
+							const square = game.board.at(
+								placement.col, placement.row);
+							const tile = square.tile;
+							square.placeTile(null);
+							if (tile.isBlank)
+								tile.letter = ' ';
+							player.rack.addTile(tile);
+						}
+						player.score += event.score;
+						turn = new Turn(game, {
+							type: 'challenge-won',
+							playerKey: player.key,
+							score: event.score,
+							placements: move.placements,
+							replacements: move.replacements,
+							emptyPlayerKey: undefined
+						});
+						break;
+					}
+
+					case 'challenge':
+						player.score += event.score;
+						lastMove[player.key].score += event.score;
+						break;
+
+					case 'end':
+						deltas[player.key] = (deltas[player.key] || 0)
+						+ event.score;
+						if (event.letters) {
+							// Either the player's own rack, or the racks
+							// of the others if they went out
+							finalRacks[player.key] = event.rack || [];
+							if (!event.rack) {
+								const others = game.players.filter(
+									p => p !== player);
+								if (others.length === 1)
+									finalRacks[others[0].key] = event.letters;
+							}
+						}
+						break;
+
+					default: // passed
+						refill(player, event.rack);
+						turn = new Turn(game, {
+							type: 'passed',
+							playerKey: player.key,
+							score: 0,
+							emptyPlayerKey: undefined
+						});
+					}
+
+					if (turn)
+						game.turns.push(turn);
+				}
+
+				// Work out who played next after each turn
+				for (let i = 0; i < game.turns.length; i++) {
+					const turn = game.turns[i];
+					const next = game.turns[i + 1];
+					turn.nextToGoKey = next
+					? next.playerKey : game.nextPlayer(turn.playerKey).key;
+					if (turn.type === 'challenge-won'
+						&& next && next.playerKey === turn.playerKey)
+						turn.type = 'took-back';
+				}
+
+				const last = game.turns[game.turns.length - 1];
+				game.whosTurnKey = last
+				? last.nextToGoKey : game.players[0].key;
+
+				// Draw the last tiles
+				for (let player of game.players)
+					refill(player, finalRacks[player.key]);
+
+				if (Object.keys(deltas).length > 0) {
+					const score = {};
+					for (let player of game.players) {
+						score[player.key] = deltas[player.key] || 0;
+						player.score += score[player.key];
+					}
+					game.state = 'Game over';
+					const ended = new Turn(game, {
+						type: 'Game over',
+						playerKey: game.whosTurnKey,
+						score: score
+					});
+					game.turns.push(ended);
+				}
+
+				return game;
+			});
+		}
+	}
+
+	return GCG;
+});
@@ -7,13 +7,13 @@ define('game/Game', [
 	'dawg/Dictionary',
 	'game/GenKey', 'game/Board', 'game/Bag', 'game/LetterBag', 'game/Edition',
 	'game/Player', 'game/Square', 'game/Tile', 'game/Rack', 'game/Move',
-	'game/Turn'
+	'game/Turn', 'game/RackLeave', 'game/Fridge'
 ], (
 	Platform,
 	Dictionary,
 	GenKey, Board, Bag, LetterBag, Edition,
 	Player, Square, Tile, Rack, Move,
-	Turn
+	Turn, RackLeave, Fridge
 ) => {
 
 	function boolParam(val, defalt) {
@@ -28,6 +28,17 @@ define('game/Game', [
 		return val;
 	}
 
+	// Milliseconds in an hour, and a day
+	const HOUR = 60 * 60 * 1000;
+	const DAY = 24 * HOUR;
+
+	// Days a game can go without a turn before it is timed out, unless
+	// the game says otherwise
+	const DAYS_INACTIVE = 14;
+
+	// Types of scheduler job a game can have, see Game#scheduleJobs
+	const JOB_TYPES = [ 'turn', 'inactive', 'reminder', 'deadline' ];
+
 	function intParam(val, defalt) {
 		if (typeof val === "undefined")
 			return defalt;
@@ -36,6 +47,109 @@ define('game/Game', [
 		return i;
 	}
 
+	/**
+	 * Get the tiles left on a rack after a play
+	 * @param {Tile[]} rack the tiles on the rack before the play
+	 * @param {Tile[]} placements the tiles played
+	 * @return {Tile[]} the tiles left on the rack
+	 * @private
+	 */
+	function rackLeft(rack, placements) {
+		const left = rack.slice();
+		for (let tile of placements) {
+			left.splice(left.findIndex(
+				t => tile.isBlank
+				? t.isBlank
+				: (!t.isBlank && t.letter === tile.letter)), 1);
+		}
+		return left;
+	}
+
+	/**
+	 * Undo a turn on a copy of a game, restoring the board, racks,
+	 * letter bag and scores to the state before the turn. Turns must
+	 * be undone in reverse order, starting from the current state of
+	 * the game.
+	 * A swap turn that doesn't record the tiles that were swapped
+	 * out makes the player's rack unknown before that turn. The
+	 * board, bag and scores are still restored, but the racks of
+	 * players whose keys are in `unknown` are not.
+	 * @param {Game} game the game to modify
+	 * @param {Turn} turn the turn to undo
+	 * @param {object} unknown map from player key to true for players
+	 * whose racks are unknown. Updated as swaps are undone.
+	 * @private
+	 */
+	function undoTurn(game, turn, unknown) {
+		if (typeof turn.score === 'object') {
+			// End of game adjustments
+			for (let key of Object.keys(turn.score))
+				game.getPlayerWithKey(key).score -= turn.score[key];
+			return;
+		}
+
+		const player = game.getPlayerWithKey(turn.playerKey);
+		const rack = player.rack;
+		const bag = game.letterBag;
+		switch (turn.type) {
+		case 'move':
+			// Return the tiles drawn to the bag
+			for (let tile of turn.replacements)
+				bag.returnTile(unknown[player.key]
+							   ? new Tile(tile) : rack.removeTile(tile));
+			// Take the tiles back off the board
+			for (let placement of turn.placements) {
+				const square = game.board.at(placement.col, placement.row);
+				const tile = square.tile;
+				square.placeTile(null);
+				if (tile.isBlank)
+					tile.letter = ' ';
+				if (!unknown[player.key])
+					rack.addTile(tile);
+			}
+			player.score -= turn.score;
+			break;
+
+		case 'swap':
+			for (let tile of turn.replacements)
+				bag.returnTile(unknown[player.key]
+							   ? new Tile(tile) : rack.removeTile(tile));
+			if (turn.swapped) {
+				for (let tile of turn.swapped) {
+					const swapped = bag.removeTile(tile);
+					if (!unknown[player.key])
+						rack.addTile(swapped);
+				}
+			} else {
+				// Keep the bag count right
+				bag.getRandomTiles(turn.replacements.length);
+				unknown[player.key] = true;
+			}
+			break;
+
+		case 'took-back':
+		case 'challenge-won':
+			// Put the tiles back on the board
+			for (let placement of turn.placements) {
+				const tile = unknown[player.key]
+					  ? new Tile(placement)
+					  : rack.removeTile(placement.isBlank
+										? { letter: ' ' } : placement);
+				tile.letter = placement.letter;
+				game.board.at(placement.col, placement.row)
+				.placeTile(tile, true);
+			}
+			// Take the tiles drawn back out of the bag
+			for (let tile of turn.replacements) {
+				const drawn = bag.removeTile(tile);
+				if (!unknown[player.key])
+					rack.addTile(drawn);
+			}
+			player.score -= turn.score;
+			break;
+		}
+	}
+
 	/**
 	 * The Game object may be used server or browser side.
 	 */
@@ -59,9 +173,41 @@ define('game/Game', [
 		 * @param {number?} params.secondsToPlay seconds allowed for plays
 		 * @param {number?} params.minutesToPlay used if secondsToPlay
 		 *  not given
+		 * @param {number?} params.secondsPerGame total time on each
+		 * player's game clock
+		 * @param {number?} params.minutesPerGame used if
+		 * secondsPerGame not given
+		 * @param {number?} params.secondsIncrement seconds added to
+		 * a player's game clock after each turn, default 0
+		 * @param {number?} params.penaltyPerMinute points lost for each
+		 * minute over time on the game clock, default 10
+		 * @param {number?} params.daysPerTurn days allowed for each
+		 * turn in a correspondence game, default 0 (not correspondence)
+		 * @param {number?} params.reminderHours hours before the
+		 * turn deadline in a correspondence game when the player is
+		 * reminded, default 24
+		 * @param {string?} params.timeoutAction what happens when a
+		 * correspondence turn deadline passes, 'pass' (the default),
+		 * 'forfeit' or 'robot'
+		 * @param {number?} params.daysInactive days the game can go
+		 * without a turn before it is timed out, default 14, 0 for never
+		 * @param {number?} params.secondsToRevealRacks seconds after
+		 * each turn before spectators are shown the racks, default 0
+		 * (only when the game is over)
+		 * @param {number?} params.minutesToRevealRacks used if
+		 * secondsToRevealRacks not given
+		 * @param {boolean?} params.duplicate true for a duplicate
+		 * game, default false
+		 * @param {boolean?} params.teams true to let users join
+		 * other players as a team, default false
 		 * @param {boolean?} params.predictScore default true
 		 * @param {boolean?} params.allowTakeBack default false
 		 * @param {boolean?} params.checkDictionary default false
+		 * @param {string?} params.challengeRule what happens when a
+		 * play is challenged, 'double' (the default), 'single',
+		 * 'penalty' or 'void'. See {@link Game#challengeRule}
+		 * @param {number?} params.challengePenalty points for each
+		 * word in a failed challenge under the 'penalty' rule, default 5
 		 * @param {number?} params.minPlayers
 		 * @param {number?} params.maxPlayers
 		 */
@@ -137,6 +283,101 @@ define('game/Game', [
 			this.secondsPerPlay =
 			intParam(params.secondsPerPlay) || (intParam(params.minutesPerPlay) || 0) * 60;
 
+			/**
+			 * Total time each player has for all their plays, like
+			 * a chess clock. Running out of time doesn't end the
+			 * player's turn; instead they lose points at the end of
+			 * the game (see {@link Game#timePenalty}). Default 0
+			 * means there is no game clock.
+			 * @member {number}
+			 */
+			this.secondsPerGame =
+			intParam(params.secondsPerGame) || (intParam(params.minutesPerGame) || 0) * 60;
+
+			/**
+			 * Seconds added to a player's game clock after each of
+			 * their turns
+			 * @member {number}
+			 */
+			this.secondsIncrement = intParam(params.secondsIncrement, 0);
+
+			/**
+			 * Points lost for each minute, or part of a minute, that
+			 * a player goes over time on their game clock
+			 * @member {number}
+			 */
+			this.penaltyPerMinute = intParam(params.penaltyPerMinute, 10);
+
+			/**
+			 * When the game clock of the player whose turn it is
+			 * started running (epoch ms), or undefined if it isn't
+			 * running. Saved with the game, so the time is charged
+			 * even when nobody is connected or the server restarts.
+			 * See {@link Game#clockLeft}
+			 * @member {number}
+			 */
+			this.clockStarted = undefined;
+
+			/**
+			 * Days allowed for each turn in a correspondence game,
+			 * where players may only visit the game once a day or
+			 * so. Default 0 means the game is not a correspondence
+			 * game. See {@link Game#turnDeadline}
+			 * @member {number}
+			 */
+			this.daysPerTurn = intParam(params.daysPerTurn, 0);
+
+			/**
+			 * Hours before the turn deadline in a correspondence game
+			 * when the player whose turn it is is sent a reminder
+			 * @member {number}
+			 */
+			this.reminderHours = intParam(params.reminderHours, 24);
+
+			/**
+			 * What happens when the turn deadline in a correspondence
+			 * game passes. 'pass' passes for the player, 'forfeit'
+			 * ends the game, and 'robot' has a robot play for them.
+			 * @member {string}
+			 */
+			this.timeoutAction =
+			[ 'forfeit', 'robot' ].indexOf(params.timeoutAction) >= 0
+			? params.timeoutAction : 'pass';
+
+			/**
+			 * The number of turns when the last correspondence
+			 * reminder was sent, so players are only reminded once
+			 * each turn
+			 * @member {number}
+			 * @private
+			 */
+			this.remindedTurn = undefined;
+
+			/**
+			 * Key of the player who forfeited the game by missing a
+			 * correspondence turn deadline. They lose the game,
+			 * whatever the scores.
+			 * @member {string}
+			 */
+			this.forfeitedKey = undefined;
+
+			/**
+			 * Days the game can go without a turn before it is timed
+			 * out. 0 means never time out.
+			 * @member {number}
+			 */
+			this.daysInactive = intParam(params.daysInactive, DAYS_INACTIVE);
+
+			/**
+			 * Seconds after each turn before spectators are shown
+			 * what was on the racks, so they can comment on the
+			 * play. Default 0 means spectators only see the racks
+			 * when the game is over.
+			 * @member {number}
+			 */
+			this.secondsToRevealRacks =
+			intParam(params.secondsToRevealRacks) || (intParam(params.minutesToRevealRacks) || 0) * 60;
+
 			/**
 			 * Pointer to Board object
 			 * @member {Board}
@@ -184,6 +425,27 @@ define('game/Game', [
 			 */
 			this.nextGameKey = undefined;
 
+			/**
+			 * If the game is part of a tournament, the key of the
+			 * tournament. See {@link Tournament}
+			 * @member {string}
+			 */
+			this.tournamentKey = undefined;
+
+			/**
+			 * If the game is part of a tournament, the (1-based)
+			 * round it is in
+			 * @member {number}
+			 */
+			this.round = undefined;
+
+			/**
+			 * When a game has ended, the move-by-move analysis of
+			 * the game, if it has been requested. See {@link Game#analyse}
+			 * @member {object}
+			 */
+			this.analysis = undefined;
+
 			/**
 			 * Whether or not to show the predicted score from tiles
 			 * placed during the game. This should be false in tournament
@@ -208,18 +470,149 @@ define('game/Game', [
 			this.checkDictionary = boolParam(params.checkDictionary, false);
 
 			/**
-			 * List of decorated sockets
+			 * What happens when a play is challenged.
+			 * * `double`: a player who challenges and fails loses
+			 *   their turn
+			 * * `single`: a failed challenge costs nothing
+			 * * `penalty`: the challenged player gets
+			 *   {@link Game#challengePenalty} points for each word
+			 *   in the play when a challenge fails
+			 * * `void`: there are no challenges. Plays are checked
+			 *   against the dictionary before they are made, and
+			 *   rejected if they contain a word that isn't found;
+			 *   see {@link Game#makeMove}.
+			 * In every case, a successful challenge takes the play back.
+			 * @member {string}
+			 */
+			this.challengeRule =
+			[ 'single', 'penalty', 'void' ].indexOf(params.challengeRule) >= 0
+			? params.challengeRule : 'double';
+
+			/**
+			 * Points given for each word in the play when a challenge
+			 * fails under the 'penalty' challenge rule
+			 * @member {number}
+			 */
+			this.challengePenalty = intParam(params.challengePenalty, 5);
+
+			/**
+			 * Whether this is a duplicate game. Instead of taking
+			 * turns, every player plays from the same rack at the
+			 * same time, and the top scoring play is put on the board
+			 * at the end of each round. See {@link Game#submitPlay}.
+			 * Duplicate games need a dictionary to find the top play.
+			 * @member {boolean}
+			 */
+			this.duplicate = boolParam(params.duplicate, false);
+
+			if (this.duplicate) {
+				/**
+				 * In a duplicate game, the rack every player plays from
+				 * @member {Rack}
+				 */
+				this.duplicateRack = undefined;
+
+				/**
+				 * In a duplicate game, the plays submitted in the
+				 * current round; map from player key to a {@link Move}
+				 * @member {object}
+				 */
+				this.plays = {};
+
+				/**
+				 * In a duplicate game, the total score of the top
+				 * plays. Players are ranked by their score as a
+				 * percentage of this.
+				 * @member {number}
+				 */
+				this.topScore = 0;
+
+				/**
+				 * In a duplicate game, the number of rounds in a row
+				 * in which nobody could play. Two end the game, as
+				 * everyone passing twice does in a normal game.
+				 * @member {number}
+				 */
+				this.roundsWithoutPlay = 0;
+
+				/**
+				 * In a duplicate game, seconds left in the current
+				 * round, if it is timed
+				 * @member {number}
+				 */
+				this.secondsLeftInRound = undefined;
+			}
+
+			/**
+			 * Whether users can join a player as a team, sharing the
+			 * rack. Any member of a team can play for it. See
+			 * {@link Game#joinTeam}.
+			 * @member {boolean}
+			 */
+			this.teams = boolParam(params.teams, false);
+
+			/**
+			 * List of decorated sockets. Sockets of players have
+			 * `player` set, sockets of spectators have `spectator`.
 			 * @member {WebSocket[]}
 			 * @private
 			 */
 			this._connections = [];
 
+			/**
+			 * The racks most recently revealed to spectators. See
+			 * {@link Game#revealRacks}
+			 * @member {object}
+			 * @private
+			 */
+			this._revealedRacks = undefined;
+
+			/**
+			 * Timer for the pending reveal of the racks to
+			 * spectators. See {@link Game#revealRacks}
+			 * @member {Timeout}
+			 * @private
+			 */
+			this._revealTimer = undefined;
+
 			/**
 			 * Database containing this game
 			 * @member {Platform.Database}
 			 * @private
 			 */
 			this._db = undefined;
+
+			/**
+			 * Player statistics, updated when the game ends. Server
+			 * side only.
+			 * @member {PlayerStats}
+			 * @private
+			 */
+			this._stats = undefined;
+
+			/**
+			 * Tournaments, told when the game ends. Server side only.
+			 * @member {Tournaments}
+			 * @private
+			 */
+			this._tournaments = undefined;
+
+			/**
+			 * Scheduler that runs turn timeouts and other deadlines.
+			 * Server side only; without one, turns never time out.
+			 * @member {Scheduler}
+			 * @private
+			 */
+			this._scheduler = undefined;
+
+			/**
+			 * In a duplicate game, the promise that the round being
+			 * ended will be ended. Plays can't be submitted while a
+			 * round is being ended. See {@link Game#endRound}.
+			 * @member {Promise}
+			 * @private
+			 */
+			this._endingRound = undefined;
 		}
 
 		/**
@@ -230,6 +623,12 @@ define('game/Game', [
 		 * @return {Promise} that resolves to this
 		 */
 		create() {
+			if (this.duplicate && !this.dictionary)
+				return Promise.reject(
+					new Error(/*i18n*/'A duplicate game needs a dictionary'));
+			if (this.challengeRule === 'void' && !this.dictionary)
+				return Promise.reject(
+					new Error(/*i18n*/'Void challenges need a dictionary'));
 			// Can't be done in the constructor because we want to
 			// return a Promise. Extending Promise so that the constructor
 			// return a Promise would be semantically confusing.
@@ -238,6 +637,10 @@ define('game/Game', [
 				this.board = new Board(edo);
 				this.letterBag = new LetterBag(edo);
 				this.rackSize = edo.rackCount;
+				if (this.duplicate) {
+					this.duplicateRack = new Rack(this.rackSize);
+					this.refillDuplicateRack();
+				}
 				return this;
 			});
 		}
@@ -248,12 +651,186 @@ define('game/Game', [
 		 * database and connections are not serialised, and must be
 		 * reset.
 		 * @param {Platform.Database} db the db to use
+		 * @param {PlayerStats?} stats the player statistics to
+		 * update when the game ends
+		 * @param {Tournaments?} tournaments the tournaments to tell
+		 * when the game ends
+		 * @param {Scheduler?} scheduler scheduler for timeouts and
+		 * deadlines
 		 * @return {Promise} Promise that resolves to the game
 		 */
-		onLoad(db) {
+		onLoad(db, stats, tournaments, scheduler) {
 			this._connections = [];
 			this._db = db;
-			return Promise.resolve(this);
+			this._stats = stats;
+			this._tournaments = tournaments;
+			this._scheduler = scheduler;
+			this.players.forEach(player => this.warmRackLeave(player));
+			return this.scheduleJobs()
+			.then(() => this);
+		}
+
+		/**
+		 * Get the key of a scheduler job for this game
+		 * @param {string} type the type of job
+		 * @return {string} the key
+		 * @private
+		 */
+		jobKey(type) {
+			return `${this.key}-${type}`;
+		}
+
+		/**
+		 * Schedule the jobs that check this game for inactivity and,
+		 * in a correspondence game, remind the player whose turn it
+		 * is and apply the turn deadline. Jobs are cancelled when
+		 * the game has ended. The server runs the jobs, by calling
+		 * {@link Game#checkTimeout}, {@link Game#needsReminder} and
+		 * {@link Game#checkDeadline}.
+		 * @return {Promise} resolves when the jobs have been saved
+		 */
+		scheduleJobs() {
+			const scheduler = this._scheduler;
+			if (!scheduler)
+				return Promise.resolve();
+
+			if (this.hasEnded())
+				return this.cancelJobs();
+
+			const data = { gameKey: this.key };
+			const jobs = [];
+			const limit = this.inactivityLimit();
+			if (limit > 0)
+				jobs.push(scheduler.schedule(
+					this.jobKey('inactive'), 'inactive',
+					this.lastActivity() + limit * DAY, data));
+
+			const deadline = this.turnDeadline();
+			if (deadline) {
+				jobs.push(scheduler.schedule(
+					this.jobKey('deadline'), 'deadline', deadline, data));
+				if (this.remindedTurn !== this.turns.length)
+					jobs.push(scheduler.schedule(
+						this.jobKey('reminder'), 'reminder',
+						deadline - this.reminderHours * HOUR, data));
+			}
+			return Promise.all(jobs);
+		}
+
+		/**
+		 * Cancel all the scheduler jobs for this game, including the
+		 * turn timer
+		 * @return {Promise} resolves when the jobs have been cancelled
+		 */
+		cancelJobs() {
+			if (!this._scheduler)
+				return Promise.resolve();
+			return Promise.all(JOB_TYPES.map(
+				type => this._scheduler.cancel(this.jobKey(type))));
+		}
+
+		/**
+		 * Start the timer for a player's turn. If it runs out, the
+		 * server calls {@link Game#playerTimedOut}.
+		 * @param {Player} player the player
+		 * @param {number?} time number of seconds before the turn
+		 * times out, or 0 to cancel any timeout. If undefined, will
+		 * restart the timer with the time remaining to the player.
+		 */
+		startTimer(player, time) {
+			if (!this._scheduler)
+				return;
+			if (typeof time === 'undefined') {
+				// Timer was previously stopped in stopTimer with
+				// time remaining
+				if (!(player.secondsToPlay > 0))
+					return;
+				time = player.secondsToPlay;
+			}
+			if (time === 0) {
+				this.stopTimer(player);
+				return;
+			}
+			if (this.debug)
+				console.debug(`${player.name}'s go will time out in ${time}s`);
+			player.secondsToPlay = time;
+			this._scheduler.schedule(
+				this.jobKey('turn'), 'turn', Date.now() + time * 1000,
+				{ gameKey: this.key, playerKey: player.key });
+		}
+
+		/**
+		 * Cancel the timer for a player's turn, remembering how long
+		 * they had left
+		 * @param {Player} player the player
+		 */
+		stopTimer(player) {
+			const job = this.turnTimer(player);
+			if (!job)
+				return;
+			player.secondsToPlay = (job.at - Date.now()) / 1000;
+			if (this.debug)
+				console.debug(`${player.name} stopped timer with ${player.secondsToPlay}s remaining`);
+			this._scheduler.cancel(job.key);
+		}
+
+		/**
+		 * Get the running timer for a player's turn
+		 * @param {Player} player the player
+		 * @return {object} the scheduler job, or undefined if their
+		 * timer isn't running
+		 * @private
+		 */
+		turnTimer(player) {
+			if (!this._scheduler)
+				return undefined;
+			const job = this._scheduler.get(this.jobKey('turn'));
+			if (!job || job.data.playerKey !== player.key)
+				return undefined;
+			return job;
+		}
+
+		/**
+		 * Called when the timer for a player's turn has run out.
+		 * If it's still their turn, they pass.
+		 * @param {string} playerKey key of the player
+		 * @return {Promise} resolves to the 'timeout' {@link Turn},
+		 * or undefined if it wasn't their turn
+		 */
+		playerTimedOut(playerKey) {
+			if (this.duplicate && !this.hasEnded() && !this.pausedBy) {
+				// The round is over
+				if (this.debug)
+					console.debug(`Round timed out at ${Date.now()}`);
+				return this.endRound()
+				.then(turn => turn && this.finishTurn(turn)
+					  .then(() => turn));
+			}
+			if (this.hasEnded() || this.pausedBy
+				|| this.whosTurnKey !== playerKey)
+				return Promise.resolve();
+			if (this.debug)
+				console.debug(`${this.getPlayer().name} has timed out at ${Date.now()}`);
+			return this.pass('timeout')
+			.then(turn => this.finishTurn(turn)
+				  .then(() => turn));
+		}
+
+		/**
+		 * Add the game to the player statistics, if there are any,
+		 * and record the result in the tournament the game is in
+		 * @return {Promise} resolves when the statistics are updated
+		 * @private
+		 */
+		recordStats() {
+			return (this._stats
+					? this._stats.addGame(this)
+					.catch(e => console.error('Failed to record statistics', e))
+					: Promise.resolve())
+			.then(() => this._tournaments
+				  ? this._tournaments.gameOver(this)
+				  .catch(e => console.error('Failed to record result', e))
+				  : undefined);
 		}
 
 		/**
@@ -266,9 +843,16 @@ define('game/Game', [
 			if (this.maxPlayers > 1 && this.players.length === this.maxPlayers)
 				throw Error('Cannot addPlayer() to a full game');			
 			this.players.push(player);
-			player.fillRack(
-				this.letterBag,
-				this.rackSize);
+			if (this.duplicate) {
+				player.score = 0;
+				this.dealDuplicateRack(player);
+			} else
+				player.fillRack(
+					this.letterBag,
+					this.rackSize);
+			if (this.secondsPerGame)
+				player.clock = this.secondsPerGame;
+			this.warmRackLeave(player);
 		}
 
 		/**
@@ -277,7 +861,10 @@ define('game/Game', [
 		 * @param {Player} player
 		 */
 		removePlayer(player) {
-			player.returnTiles(this.letterBag);
+			// In a duplicate game the tiles are copies of the
+			// duplicate rack, and aren't from the bag
+			if (!this.duplicate)
+				player.returnTiles(this.letterBag);
 			const index = this.players.findIndex(p => p.key === player.key);
 			if (index < 0)
 				throw Error(`No such player ${player.key} in ${this.key}`);
@@ -345,6 +932,35 @@ define('game/Game', [
 			return this.players.find(p => p.key === key);
 		}
 
+		/**
+		 * Get the player a user plays as; either the player with
+		 * their key, or a team they are a member of
+		 * @param {string} userKey the user's key
+		 * @return {Player} player, or undefined if not found
+		 */
+		getPlayerForUser(userKey) {
+			return this.players.find(p => p.controlledBy(userKey));
+		}
+
+		/**
+		 * Add a user to the team playing as a player, so they share
+		 * the rack and can play for the team
+		 * @param {Player} player the player to join
+		 * @param {object} user the user joining
+		 * @param {string} user.key the user's key
+		 * @param {string} user.name the user's name
+		 */
+		joinTeam(player, user) {
+			if (!this.teams || player.isRobot)
+				throw Error(/*i18n*/'Teams are not allowed in this game');
+			if (this.getPlayerForUser(user.key))
+				throw Error(/*i18n*/'You are already playing in this game');
+			if (this.debug)
+				console.debug(`${user.name} joining ${player.name}`);
+			player.addMember(user);
+			this.updateConnections();
+		}
+
 		/**
 		 * Used for testing only.
 		 * @param sboard string representation of a game {@link Board}
@@ -377,12 +993,53 @@ define('game/Game', [
 		}
 
 		/**
-		 * Get the current winning score
+		 * Get the rack leave values used to weigh up a player's
+		 * plays and swaps, computing them as necessary
+		 * @param {Player} player the player, whose dictionary is used
+		 * if they have one
+		 * @return {Promise} resolving to a {@link RackLeave}
+		 */
+		getRackLeave(player) {
+			return Promise.all([
+				Edition.load(this.edition),
+				Dictionary.load(player.dictionary || this.dictionary)
+			])
+			.then(ed => RackLeave.load(ed[0], ed[1]));
+		}
+
+		/**
+		 * Start computing the rack leave values a robot needs, so
+		 * they are ready by the time it first has to decide whether
+		 * to swap. Only done for games the server has loaded.
+		 * @param {Player} player the player
+		 * @private
+		 */
+		warmRackLeave(player) {
+			if (player.isRobot && this._db && !this.hasEnded())
+				this.getRackLeave(player)
+				.catch(e => console.error('Failed to compute rack leave', e));
+		}
+
+		/**
+		 * Get the current winning score. A player who forfeited the
+		 * game can't win it, so their score doesn't count.
 		 * @return {number} points
 		 */
 		winningScore() {
-			return this.players.reduce(
-				(max, player) => Math.max(max, player.score), 0);
+			return this.players
+			.filter(player => player.key !== this.forfeitedKey)
+			.reduce((max, player) => Math.max(max, player.score), 0);
+		}
+
+		/**
+		 * Check if a player has the winning score, and didn't
+		 * forfeit the game
+		 * @param {Player} player the player
+		 * @return {boolean} true if the player is winning
+		 */
+		isWinner(player) {
+			return player.key !== this.forfeitedKey
+			&& player.score === this.winningScore();
 		}
 
 		/**
@@ -401,6 +1058,19 @@ define('game/Game', [
 			return this.state !== 'playing';
 		}
 
+		/**
+		 * Get the fields used to find the game in a database. See
+		 * {@link Database#select}
+		 * @return {object} with `state`, which is 'active' or 'finished',
+		 * and `players`, the list of player keys
+		 */
+		indexFields() {
+			return {
+				state: this.hasEnded() ? 'finished' : 'active',
+				players: this.players.map(p => p.key)
+			};
+		}
+
 		/**
 		 * Determine when the last activity on the game happened. This
 		 * is either the last time a turn was processed, or the creation time.
@@ -468,6 +1138,11 @@ define('game/Game', [
 				return Promise.resolve('Not enough players');
 			}
 
+			if (this.duplicate)
+				// Nobody has a turn, but the round may be over
+				return this.endRoundIfReady()
+				.then(turn => turn ? this.finishTurn(turn) : undefined);
+
 			let prom;
 
 			if (!this.whosTurnKey) {
@@ -520,11 +1195,114 @@ define('game/Game', [
 		 * may be connected multiple times, through different sockets.
 		 * @param {string} message to send
 		 * @param {Object} data to send with message
+		 * @param {Object?} spectatorData to send to spectators, and
+		 * any other socket that isn't a player's, instead of data
 		 */
-		notifyPlayers(message, data) {
+		notifyPlayers(message, data, spectatorData) {
 			if (this.debug)
 				console.debug(`<-S- * ${message}`, data);
-			this._connections.forEach(socket => socket.emit(message, data));
+			this._connections.forEach(
+				socket => socket.emit(
+					message,
+					!socket.player && spectatorData ? spectatorData : data));
+		}
+
+		/**
+		 * Send a message to just the spectators
+		 * @param {string} message to send
+		 * @param {Object} data to send with message
+		 */
+		notifySpectators(message, data) {
+			if (this.debug)
+				console.debug(`<-S- spectators ${message}`, data);
+			this._connections.forEach(socket => {
+				if (socket.spectator)
+					socket.emit(message, data);
+			});
+		}
+
+		/**
+		 * Get a copy of a turn for sending to spectators, without
+		 * the tiles drawn or swapped, which would tell them what is
+		 * on the player's rack.
+		 * @param {Turn} turn the turn
+		 * @return {Turn} the copy
+		 * @private
+		 */
+		spectatorTurn(turn) {
+			const copy = new Turn(this, turn);
+			// Keep the number of tiles drawn, so the bag count
+			// is right
+			copy.replacements = turn.replacements.map(() => new Tile());
+			if (turn.swapped)
+				copy.swapped = turn.swapped.map(() => new Tile());
+			// The new rack in a duplicate game
+			copy.rack = undefined;
+			return copy;
+		}
+
+		/**
+		 * Hide everything that would tell a spectator what is on the
+		 * players' racks: the racks themselves, the tiles in the bag,
+		 * and the tiles drawn and swapped in each turn. Only use on a
+		 * copy of the game that is being sent to a spectator. Does
+		 * nothing once the game is over, when the racks are no longer
+		 * secret.
+		 * @return {Game} this
+		 */
+		hideRacks() {
+			if (this.hasEnded())
+				return this;
+			for (let player of this.players)
+				player.rack.empty();
+			if (this.duplicate) {
+				this.duplicateRack.empty();
+				this.hidePlays();
+			}
+			this.letterBag.tiles = this.letterBag.tiles.map(() => new Tile());
+			this.turns = this.turns.map(turn => this.spectatorTurn(turn));
+			return this;
+		}
+
+		/**
+		 * Show spectators what is on the players' racks. Unless the
+		 * game is over, what they are shown is what was on the racks
+		 * when the last turn finished, and only after
+		 * secondsToRevealRacks. A new turn cancels a reveal that is
+		 * still pending. Server side only.
+		 * @private
+		 */
+		revealRacks() {
+			if (this._revealTimer) {
+				clearTimeout(this._revealTimer);
+				this._revealTimer = undefined;
+			}
+			const ended = this.hasEnded();
+			if (!ended && !this.secondsToRevealRacks)
+				return;
+			const racks = {};
+			for (let player of this.players)
+				racks[player.key] = player.rack.tiles().map(
+					tile => ({
+						letter: tile.letter,
+						score: tile.score,
+						isBlank: tile.isBlank
+					}));
+			const revealed = {
+				gameKey: this.key,
+				turn: this.turns.length,
+				racks: racks
+			};
+			const reveal = () => {
+				this._revealTimer = undefined;
+				this._revealedRacks = revealed;
+				this.notifySpectators('racks', revealed);
+			};
+			if (ended)
+				reveal();
+			else
+				this._revealTimer = setTimeout(
+					reveal, this.secondsToRevealRacks * 1000);
 		}
 
 		/**
@@ -543,7 +1321,11 @@ define('game/Game', [
 
 			return this.save()
 			.then(() => {
-				this.notifyPlayers('turn', turn);
+				// Scheduler errors are logged, and don't stop the game
+				this.scheduleJobs();
+				this.notifyPlayers('turn', turn, this.hasEnded()
+								   ? undefined : this.spectatorTurn(turn));
+				this.revealRacks();
 
 				// if the game has ended, send notification.
 				if (this.state !== 'playing') {
@@ -557,28 +1339,42 @@ define('game/Game', [
 					return Promise.resolve();
 				}
 
+				if (this.duplicate) {
+					// Start the next round, unless there's nothing
+					// left to play
+					if (this.duplicateRack.isEmpty())
+						return this.confirmGameOver(
+							this.roundsWithoutPlay >= 2
+							? /*i18n*/"All players passed twice"
+							: 'Game over')
+						.then(turn => this.finishTurn(turn));
+					this.startRoundTimer(this.secondsPerPlay);
+					// All the players might be robots
+					return this.endRoundIfReady()
+					.then(turn => turn ? this.finishTurn(turn) : undefined);
+				}
+
 				if (this.debug)
 					console.debug(`Player ${this.whosTurnKey}'s turn`);
 				const nextPlayer = this.getPlayer();
+				// Does a player have nothing on their rack? If so,
+				// the game is over when the play can't be challenged;
+				// the computer never challenges a good play, and
+				// void games have no challenges.
+				if (this.getPlayerWithNoTiles()
+					&& (nextPlayer.isRobot || this.challengeRule === 'void'))
+					return this.confirmGameOver('Game over')
+					.then(turn => this.finishTurn(turn));
+
 				if (nextPlayer.isRobot) {
-					// Does a player have nothing on their rack? If
-					// so, the game is over because the computer
-					// will never challenge their play.
-					const promise = this.getPlayerWithNoTiles()
-						  ? this.confirmGameOver('Game over')
-						  : this.autoplay();
 					// May recurse if the player after is also a robot, but
 					// the recursion will always stop when a human player
 					// is reached, so never deep.
-					return promise.then(turn => {
-						return this.finishTurn(turn);
-					});
+					return this.autoplay()
+					.then(turn => this.finishTurn(turn));
 				}
 
-				nextPlayer.startTimer(
-					this.secondsPerPlay,
-					() => this.pass('timeout')
-					.then(turn => this.finishTurn(turn)));
+				this.startTimer(nextPlayer, this.secondsPerPlay);
 
 				return Promise.resolve();
 			});
@@ -592,11 +1388,9 @@ define('game/Game', [
 		 */
 		checkTimeout() {
 			// Take the opportunity to time out old games
-			const ageInDays =
-				  (Date.now() - this.lastActivity())
-				  / 60000 / 60 / 24;
-
-			if (ageInDays <= 14)
+			const ageInDays = (Date.now() - this.lastActivity()) / DAY;
+			const limit = this.inactivityLimit();
+			if (this.hasEnded() || limit === 0 || ageInDays < limit)
 				return Promise.resolve(this);
 
 			if (this.debug)
@@ -605,7 +1399,90 @@ define('game/Game', [
 
 			this.stopTimers();
 			this.state = /*i18n*/'Timed out';
-			return this.save();
+			return this.recordStats()
+			.then(() => this.save())
+			.then(() => this.scheduleJobs())
+			.then(() => this);
+		}
+
+		/**
+		 * Get the number of days the game can go without a turn
+		 * before it is timed out
+		 * @return {number} days, 0 for never
+		 * @private
+		 */
+		inactivityLimit() {
+			// Games saved before daysInactive was added use the default
+			const limit = typeof this.daysInactive === 'number'
+				? this.daysInactive : DAYS_INACTIVE;
+			// A correspondence game isn't timed out before the turn
+			// deadline has been applied
+			if (limit > 0 && this.daysPerTurn)
+				return Math.max(limit, this.daysPerTurn + 1);
+			return limit;
+		}
+
+		/**
+		 * Get the deadline for the current turn in a correspondence
+		 * game. The deadline is {@link Game#daysPerTurn} days after
+		 * the last turn.
+		 * @return {number} epoch ms of the deadline, or undefined if
+		 * this isn't a correspondence game or it has ended
+		 */
+		turnDeadline() {
+			// Rounds in a duplicate game are timed by secondsPerPlay
+			if (!this.daysPerTurn || this.duplicate || this.hasEnded())
+				return undefined;
+			return this.lastActivity() + this.daysPerTurn * DAY;
+		}
+
+		/**
+		 * Determine if the player whose turn it is in a
+		 * correspondence game should be reminded, because the turn
+		 * deadline is close and they haven't been reminded this turn.
+		 * @param {number?} now epoch ms to check at, default now
+		 * @return {boolean} true if they need reminding
+		 */
+		needsReminder(now) {
+			const deadline = this.turnDeadline();
+			if (!deadline || this.remindedTurn === this.turns.length)
+				return false;
+			now = now || Date.now();
+			return now < deadline
+			&& now >= deadline - this.reminderHours * HOUR;
+		}
+
+		/**
+		 * If the turn deadline in a correspondence game has passed,
+		 * apply the {@link Game#timeoutAction} to the player whose
+		 * turn it is, and finish the turn.
+		 * @param {number?} now epoch ms to check at, default now
+		 * @return {Promise} resolves to the {@link Turn} that was
+		 * applied, or undefined if the deadline hasn't passed
+		 */
+		checkDeadline(now) {
+			const deadline = this.turnDeadline();
+			const player = this.getPlayer();
+			if (!deadline || !player || (now || Date.now()) < deadline)
+				return Promise.resolve();
+
+			if (this.debug)
+				console.debug(`${player.name} missed the deadline, ${this.timeoutAction}`);
+
+			let promise;
+			if (this.timeoutAction === 'forfeit') {
+				// They lose, whatever the scores
+				this.forfeitedKey = player.key;
+				promise = this.confirmGameOver(/*i18n*/'Forfeited');
+			}
+			else if (this.timeoutAction === 'robot' && this.dictionary)
+				promise = this.autoplay();
+			else
+				promise = this.pass('timeout');
+
+			return promise
+			.then(turn => this.finishTurn(turn)
+				  .then(() => turn));
 		}
 
 		/**
@@ -614,6 +1491,8 @@ define('game/Game', [
 		 * @return {WebSocket} a decorated socket, or null if not connected.
 		 */
 		getConnection(player) {
+			if (!player)
+				return null;
 			for (let socket of this._connections) {
 				if (socket.player === player)
 					return socket;
@@ -621,11 +1500,31 @@ define('game/Game', [
 			return null;
 		}
 
+		/**
+		 * Get the names of the spectators watching the game. Server
+		 * side only.
+		 * @return {string[]} the names, anonymous spectators included
+		 * as undefined
+		 */
+		spectators() {
+			return this._connections
+			.filter(socket => socket.spectator)
+			.map(socket => socket.spectator.name);
+		}
+
+		/**
+		 * Notify players and spectators with the list of spectators
+		 */
+		updateSpectators() {
+			this.notifyPlayers('spectators', this.spectators());
+		}
+
 		/**
 		 * Notify players with a list of the currently connected players,
 		 * as identified by their key.
 		 */
 		updateConnections() {
+
 			Promise.all(
 				this._connections
 				.filter(socket => socket.player instanceof Player)
@@ -646,14 +1545,13 @@ define('game/Game', [
 		startTurn(player, timeout) {
 			if (this.debug)
 				console.debug(`Starting ${player.name}'s turn`);
+			this.stopGameClock();
 			this.whosTurnKey = player.key;
+			this.startGameClock();
 			if (this.secondsPerPlay && this.state !== 'playing') {
 				if (this.debug)
 					console.debug(`\ttimeout ${timeout || this.secondsPerPlay}`);
-				player.startTimer(
-					timeout || this.secondsPerPlay,
-					() => this.pass('timeout')
-					.then(turn => this.finishTurn(turn)));
+				this.startTimer(player, timeout || this.secondsPerPlay);
 			}
 		}
 
@@ -676,17 +1574,34 @@ define('game/Game', [
 					predictScore: this.predictScore,
 					checkDictionary: this.checkDictionary,
 					allowTakeBack: this.allowTakeBack,
+					challengeRule: this.challengeRule,
+					challengePenalty: this.challengePenalty,
 					state: this.state,
 					players: ps,					
 					turns: this.turns.length, // just the length
 					whosTurnKey: this.whosTurnKey,
 					secondsPerPlay: this.secondsPerPlay,
+					secondsPerGame: this.secondsPerGame,
+					secondsIncrement: this.secondsIncrement,
+					penaltyPerMinute: this.penaltyPerMinute,
+					daysPerTurn: this.daysPerTurn,
+					timeoutAction: this.timeoutAction,
+					turnDeadline: this.turnDeadline(),
+					forfeitedKey: this.forfeitedKey,
 					// this.board is not sent
 					// rackSize not sent, it's just a cache
 					pausedBy: this.pausedBy,
 					minPlayers: this.minPlayers,
 					maxPlayers: this.maxPlayers,
 					nextGameKey: this.nextGameKey,
+					tournamentKey: this.tournamentKey,
+					round: this.round,
+					secondsToRevealRacks: this.secondsToRevealRacks,
+					duplicate: this.duplicate,
+					topScore: this.topScore,
+					teams: this.teams,
+					spectators: this.spectators(),
+					analysed: typeof this.analysis !== 'undefined',
 					lastActivity: this.lastActivity() // epoch ms
 				};
 			});
@@ -694,7 +1609,8 @@ define('game/Game', [
 
 		/**
 		 * Player is on the given socket, as determined from an incoming
-		 * 'join'. Server side only.
+		 * 'join'. A socket that isn't for a player in the game can only
+		 * watch, see {@link Game#observe}. Server side only.
 		 * @param {WebSocket} socket the connecting socket
 		 * @param {string} playerKey the key identifying the player
 		 */
@@ -704,26 +1620,44 @@ define('game/Game', [
 			const player = this.players.find(p => p.key === playerKey);
 			if (!player) {
 				console.error(`WARNING: player key ${playerKey} not found in game ${this.key}`);
+				this.observe(socket);
+				return;
 			}
 
 			const knownSocket = this.getConnection(player);
 			if (knownSocket !== null) {
 				console.error('WARNING:', player.key, 'already connected to',
 							this.key);
-			} else if (player && player.key === this.whosTurn
-					   && this.state === 'playing') {
-				// This player is just connecting, perhaps for the first time.
-				// Start their timer.
-				const to = (player.secondsToPlay > 0)
-					  ? player.secondsToPlay
-					  : this.secondsPerPlay;
-				if (this.debug)
-					console.debug(`${player.name} connected to ${this.key}`,
-						   player.secondsToPlay);
-				player.startTimer(
-					to,
-					() => this.pass('timeout')
-					.then(turn => this.finishTurn(turn)));
+			} else if (player.key === this.whosTurnKey
+					   && this.state === 'playing' && !this.pausedBy) {
+				if (!this.clockStarted)
+					// First time they have connected since their
+					// turn started, perhaps the first turn
+					this.startGameClock();
+				const job = this.turnTimer(player);
+				if (job)
+					// The timer is already running, perhaps since
+					// before the server was restarted
+					player.secondsToPlay = (job.at - Date.now()) / 1000;
+				else {
+					// This player is just connecting, perhaps for the
+					// first time. Start their timer.
+					const to = (player.secondsToPlay > 0)
+						  ? player.secondsToPlay
+						  : this.secondsPerPlay;
+					if (this.debug)
+						console.debug(`${player.name} connected to ${this.key}`,
+									  player.secondsToPlay);
+					this.startTimer(player, to);
+				}
+			} else if (this.duplicate && this.state === 'playing'
+					   && !this.pausedBy && this._scheduler
+					   && !this._scheduler.get(this.jobKey('turn'))) {
+				// Start the round timer, or restart it if the server
+				// was restarted while it was paused
+				this.startRoundTimer(this.secondsLeftInRound > 0
+									 ? this.secondsLeftInRound
+									 : this.secondsPerPlay);
 			}
 
 			// Player is connected. Decorate the socket. It may seem
@@ -734,10 +1668,12 @@ define('game/Game', [
 
 			this._connections.push(socket);
 			if (this.debug)
-				console.debug(player ? `${player} connected` : "Anonymous connect()");
+				console.debug(`${player} connected`);
 
 			// Tell players that the player is connected
 			this.updateConnections();
+			if (this.spectators().length > 0)
+				socket.emit('spectators', this.spectators());
 
 			if (this.state === 'playing') {
 				if (this.allPlayersReady()) {
@@ -750,31 +1686,76 @@ define('game/Game', [
 			// Add disconnect listener
 			socket.on('disconnect', () => {
 				if (this.debug)
-					console.debug(socket.player
-							? `${socket.player.toString()} disconnected`
-							: "Anonymous disconnect");
+					console.debug(`${player} disconnected`);
 				this._connections = this._connections.filter(
 					sock => sock !== socket);
 				this.updateConnections();
 			});
 		}
 
+		/**
+		 * A spectator is watching on the given socket, as determined
+		 * from an incoming 'join'. Spectators see the board, scores,
+		 * turns and clocks, but not the racks (see
+		 * {@link Game#hideRacks}). They don't count as players, so
+		 * the game doesn't wait for them. Server side only.
+		 * @param {WebSocket} socket the connecting socket
+		 * @param {string?} name the name of the spectator, if they
+		 * are logged in
+		 */
+		observe(socket, name) {
+			socket.game = this;
+			socket.player = undefined;
+			socket.spectator = { name: name };
+			this._connections.push(socket);
+			if (this.debug)
+				console.debug(`${name || 'Anonymous'} watching ${this.key}`);
+
+			this.updateConnections();
+			this.updateSpectators();
+			if (this._revealedRacks)
+				socket.emit('racks', this._revealedRacks);
+			else if (this.hasEnded())
+				this.revealRacks();
+
+			socket.on('disconnect', () => {
+				if (this.debug)
+					console.debug(`${name || 'Anonymous'} stopped watching`);
+				this._connections = this._connections.filter(
+					sock => sock !== socket);
+				this.updateSpectators();
+			});
+		}
+
 		/**
 		 * Server side, tell all clients a tick has happened
 		 * @private
 		 */
 		tick() {
+			if (this.duplicate) {
+				if (this.secondsLeftInRound > 0)
+					this.secondsLeftInRound--;
+				this.notifyPlayers(
+					'tick',
+					{
+						gameKey: this.key,
+						secondsToPlay: this.secondsLeftInRound
+					});
+				return;
+			}
 			const player = this.getPlayer();
 			//if (this.debug) console.debug(`Tick ${this.getPlayer().name} ${player.secondsToPlay}`);
 			if (!player)
 				return;
-			player.secondsToPlay--;
+			if (player.secondsToPlay > 0)
+				player.secondsToPlay--;
 			this.notifyPlayers(
 				'tick',
 				{
 					gameKey: this.key,
 					playerKey: player.key,
-					secondsToPlay: player.secondsToPlay
+					secondsToPlay: player.secondsToPlay,
+					clock: this.clockLeft(player)
 				});
 		}
 
@@ -791,20 +1772,25 @@ define('game/Game', [
 		}
 
 		/**
-		 * If the game has a time limit, start an interval timer to
-		 * notify players of the remaining time for the player
-		 * who's turn it is.
+		 * If the game has a time limit or a game clock, start an
+		 * interval timer to notify players of the remaining time for
+		 * the player who's turn it is.
 		 * @private
 		 */
 		startTheClock() {
-			if (this.secondsPerPlay && !this._intervalTimer) {
-				const rem = this.getPlayer().secondsToPlay;
-				if (this.debug)
-					console.debug(`Started tick timer with ${rem} on the clock`);
+			if ((this.secondsPerPlay || this.secondsPerGame)
+				&& !this._intervalTimer) {
+				const player = this.getPlayer();
+				if (this.debug && player)
+					console.debug(`Started tick timer with ${player.secondsToPlay} on the clock`);
 				// Broadcast a ping every second
 				this._intervalTimer = setInterval(() => {
 					const pnext = this.getPlayer();
-					if (pnext && pnext.secondsToPlay > 0)
+					// The game clock keeps running when it's out of time
+					if (this.duplicate
+						? this.secondsLeftInRound > 0
+						: pnext && (pnext.secondsToPlay > 0
+									|| this.secondsPerGame))
 						this.tick();
 				}, 1000);
 			}
@@ -823,6 +1809,66 @@ define('game/Game', [
 			}
 		}
 
+		/**
+		 * Get the seconds left on a player's game clock, less the time
+		 * used so far in the current turn if it is theirs
+		 * @param {Player} player the player
+		 * @return {number} the seconds left, negative if over time,
+		 * undefined if there is no game clock
+		 */
+		clockLeft(player) {
+			if (this.clockStarted && player.key === this.whosTurnKey)
+				return player.clock - (Date.now() - this.clockStarted) / 1000;
+			return player.clock;
+		}
+
+		/**
+		 * Start the game clock of the player whose turn it is, if
+		 * there is a game clock
+		 * @private
+		 */
+		startGameClock() {
+			if (this.secondsPerGame && !this.duplicate)
+				this.clockStarted = Date.now();
+		}
+
+		/**
+		 * Stop the game clock, charging the player whose turn it is
+		 * for the time they have used
+		 * @private
+		 */
+		stopGameClock() {
+			if (!this.clockStarted)
+				return;
+			const player = this.getPlayer();
+			if (player)
+				player.clock = this.clockLeft(player);
+			this.clockStarted = undefined;
+		}
+
+		/**
+		 * A player has finished their turn. Add the increment to their
+		 * game clock, if there is one.
+		 * @param {Player} player the player
+		 * @private
+		 */
+		addIncrement(player) {
+			if (this.secondsPerGame)
+				player.clock += this.secondsIncrement;
+		}
+
+		/**
+		 * Get the points a player loses at the end of the game for
+		 * going over time on their game clock
+		 * @param {Player} player the player
+		 * @return {number} the penalty, 0 if they weren't over time
+		 */
+		timePenalty(player) {
+			if (!this.secondsPerGame || !(player.clock < 0))
+				return 0;
+			return Math.ceil(-player.clock / 60) * this.penaltyPerMinute;
+		}
+
 		/**
 		 * Stop player and game timeout timers
 		 */
@@ -830,7 +1876,11 @@ define('game/Game', [
 			if (this.debug)
 				console.debug("Stopping timers");
 			this.stopTheClock();
-			this.players.forEach(player => player.stopTimer());
+			this.stopGameClock();
+			if (this.duplicate)
+				this.stopRoundTimer();
+			else
+				this.players.forEach(player => this.stopTimer(player));
 		}
 
 		/**
@@ -841,7 +1891,16 @@ define('game/Game', [
 			if (this.debug)
 				console.debug("Restarting timers");
 			this.startTheClock();
-			this.players.forEach(player => player.startTimer());
+			if (this.duplicate) {
+				this.startRoundTimer();
+				return;
+			}
+			// Only the player whose turn it is has a timer
+			const player = this.getPlayer();
+			if (player) {
+				this.startTimer(player);
+				this.startGameClock();
+			}
 		}
 
 		/**
@@ -983,8 +2042,323 @@ define('game/Game', [
 			});
 		}
 
+		/**
+		 * Find the highest scoring plays for a player, given the
+		 * current board state. Unlike {@link Game#hint}, which only
+		 * reports the best play, this also finds the alternatives.
+		 * Plays that are found more than once (e.g. a single tile
+		 * that forms words across and down) are only reported once.
+		 * @param {Player} player the player to find plays for
+		 * @param {number} count maximum number of plays to return,
+		 * 0 or undefined for all plays
+		 * @return {Promise} resolving to a list of {@link Move}, highest
+		 * scoring first. Each Move also has a `leave` field, an object
+		 * with `tiles` (the letters left on the rack after the play, ' '
+		 * for a blank) and `value` (estimated value of those tiles, see
+		 * {@link RackLeave}). Plays with the same score are sorted by
+		 * the value of the leave.
+		 */
+		findPlays(player, count) {
+			const dictionary = player.dictionary || this.dictionary;
+			const plays = [];
+			return Platform.findBestPlay(
+				this, player.rack.tiles(), data => {
+					if (typeof data === 'string') {
+						if (this.debug)
+							console.debug(data);
+						return;
+					}
+					plays.push(data);
+				}, dictionary, { all: true, top: count })
+			.then(() => this.getRackLeave(player))
+			.then(rackLeave => {
+				const bagEmpty = this.letterBag.isEmpty();
+				for (let play of plays) {
+					const left = rackLeft(player.rack.tiles(), play.placements);
+					play.leave = {
+						tiles: left.map(t => t.isBlank ? ' ' : t.letter),
+						value: rackLeave.evaluate(left, bagEmpty)
+					};
+				}
+				plays.sort((a, b) => b.score - a.score
+						   || b.leave.value - a.leave.value);
+				return count > 0 ? plays.slice(0, count) : plays;
+			});
+		}
+
+		/**
+		 * Reconstruct the state of the game at the start of the
+		 * endgame, when the last tile was drawn from the bag, by
+		 * undoing the turns played since then on a copy of the game.
+		 * @return {object} undefined if the game has no endgame (the bag
+		 * isn't empty, or there aren't two players), or an object with
+		 * `game` (a copy of the game at the start of the endgame) and
+		 * `turn` (the index of the turn that emptied the bag)
+		 */
+		getEndgamePosition() {
+			if (this.players.length !== 2 || !this.letterBag.isEmpty())
+				return undefined;
+
+			let start = this.turns.length - 1;
+			while (start >= 0 && !(this.turns[start].type === 'move'
+								   && this.turns[start].replacements.length > 0))
+				start--;
+			if (start < 0)
+				return undefined;
+
+			const game = Fridge.thaw(Fridge.freeze(this), Game.classes);
+			const unknown = {};
+			for (let i = this.turns.length - 1; i > start; i--)
+				undoTurn(game, this.turns[i], unknown);
+			game.whosTurnKey = this.turns[start].nextToGoKey;
+			game.state = 'playing';
+			for (let player of game.players)
+				player.passes = 0;
+			return { game: game, turn: start };
+		}
+
+		/**
+		 * Reconstruct the state of the game after every turn, for
+		 * replaying the game. Turns are undone, in reverse order, on
+		 * a copy of the game, so took-back and challenge-won turns
+		 * restore the tiles they removed.
+		 * @return {object[]} list of positions. The first is the start
+		 * of the game, followed by the position after each turn. Each
+		 * position has `tiles` (the {@link Tile}s on the board), `racks`
+		 * (map from player key to the list of {@link Tile}s on their
+		 * rack, or undefined if the rack is unknown because of an
+		 * unrecorded swap), `scores` (map from player key to score),
+		 * `bagCount` (the number of tiles left in the bag) and
+		 * `whosTurnKey` (the key of the player to play next)
+		 */
+		getPositions() {
+			const game = Fridge.thaw(Fridge.freeze(this), Game.classes);
+			const unknown = {};
+			const positions = [];
+			const snapshot = whosTurnKey => {
+				const position = {
+					tiles: game.board.tiles().map(t => new Tile(t)),
+					racks: {},
+					scores: {},
+					bagCount: game.letterBag.remainingTileCount(),
+					whosTurnKey: whosTurnKey
+				};
+				for (let player of game.players) {
+					position.racks[player.key] = unknown[player.key]
+					? undefined
+					: player.rack.tiles().map(t => new Tile(t));
+					position.scores[player.key] = player.score;
+				}
+				positions.unshift(position);
+			};
+
+			snapshot(this.whosTurnKey);
+			for (let i = this.turns.length - 1; i >= 0; i--) {
+				undoTurn(game, this.turns[i], unknown);
+				snapshot(i > 0
+						 ? this.turns[i - 1].nextToGoKey
+						 : this.turns[0].playerKey);
+			}
+			return positions;
+		}
+
+		/**
+		 * Find the optimal finish for the game, from the point where
+		 * the bag became empty. Only two player games have an endgame.
+		 * See {@link module:game/findEndgamePlay}.
+		 * @param {number} seconds time limit for the analysis
+		 * @return {Promise} resolving to undefined if there is no
+		 * endgame, or an object with `turn` (the index of the turn that
+		 * emptied the bag), `scores` (the score of each player at the
+		 * start of the endgame, indexed by player key), `plays` (the list
+		 * of optimal plays, each with `playerKey`, `words`, `placements`
+		 * and `score`; a pass has no placements) and `spread` (the change
+		 * in the difference between the scores of the first player to move
+		 * and their opponent, if both play optimally)
+		 */
+		analyseEndgame(seconds) {
+			const position = this.getEndgamePosition();
+			if (!position)
+				return Promise.resolve(undefined);
+
+			const game = position.game;
+			game.secondsPerPlay = seconds;
+			const first = game.getPlayer();
+			let best;
+			return Platform.findBestPlay(
+				game, first.rack.tiles(), data => {
+					if (typeof data === 'string') {
+						if (this.debug)
+							console.debug(data);
+					} else
+						best = data;
+				}, undefined, { endgame: true, seconds: seconds })
+			.then(() => {
+				const scores = {};
+				game.players.forEach(p => scores[p.key] = p.score);
+				const second = game.nextPlayer();
+				return {
+					turn: position.turn,
+					scores: scores,
+					plays: best ? best.line.map((play, i) => {
+						return {
+							playerKey: (i % 2 === 0 ? first : second).key,
+							words: play.words,
+							placements: play.placements,
+							score: play.score
+						};
+					}) : [],
+					spread: best ? best.spread : 0
+				};
+			});
+		}
+
+		/**
+		 * Analyse a finished game, move by move. Each move is replayed
+		 * on a copy of the game, and the move generator is run on the
+		 * position before the move, using the rack the player held and
+		 * the game dictionary. The analysis is saved with the game
+		 * (see {@link Game#analysis}) and is only computed once.
+		 * Moves are compared on equity, which is the score for the
+		 * move plus the estimated value of the tiles left on the rack
+		 * (see {@link RackLeave}).
+		 * @return {Promise} resolving to an object with `created` (epoch
+		 * ms), `dictionary`, `moves` and `players`. `moves` has an entry
+		 * for each 'move' turn, with `turn` (index into the turns),
+		 * `playerKey`, `rack` (letters on the rack, ' ' for a blank, or
+		 * undefined if the rack is unknown because of an unrecorded swap),
+		 * `words`, `score` and `equity` of the move played, `best` (the
+		 * play with the highest equity, with `words`, `placements`, `score`
+		 * and `equity`), `equityLost` and `bingo` (the highest scoring
+		 * play that would have used every tile on the rack, if one
+		 * wasn't played). `players` maps from player key to the totals
+		 * `moves`, `equityLost` and `missedBingos`.
+		 */
+		analyse() {
+			if (this.analysis)
+				return Promise.resolve(this.analysis);
+			if (!this.dictionary)
+				return Promise.reject('Game has no dictionary');
+			if (this._analysing)
+				return this._analysing;
+
+			this._analysing = Promise.all([
+				Edition.load(this.edition),
+				Dictionary.load(this.dictionary)
+			])
+			.then(ed => RackLeave.load(ed[0], ed[1]))
+			.then(rackLeave => this.analyseMoves(rackLeave))
+			.then(analysis => {
+				this.analysis = analysis;
+				return this.save();
+			})
+			.then(() => this.analysis)
+			.finally(() => delete this._analysing);
+
+			return this._analysing;
+		}
+
+		/**
+		 * Replay the game backwards and analyse each move, for
+		 * {@link Game#analyse}
+		 * @param {RackLeave} rackLeave for evaluating rack leaves
+		 * @return {Promise} resolving to the analysis
+		 * @private
+		 */
+		async analyseMoves(rackLeave) {
+			const game = Fridge.thaw(Fridge.freeze(this), Game.classes);
+			// Never time out, and always use the game dictionary
+			game.secondsPerPlay = 0;
+			for (let player of game.players)
+				player.dictionary = undefined;
+
+			// Equity is a float, round it for reporting
+			const round = v => Math.round(v * 10) / 10;
+			const moves = [];
+			const unknown = {};
+			for (let i = this.turns.length - 1; i >= 0; i--) {
+				const turn = this.turns[i];
+				undoTurn(game, turn, unknown);
+				if (turn.type !== 'move')
+					continue;
+
+				const move = {
+					turn: i,
+					playerKey: turn.playerKey,
+					words: turn.words,
+					score: turn.score
+				};
+				moves.unshift(move);
+				if (unknown[turn.playerKey])
+					continue;
+
+				const player = game.getPlayerWithKey(turn.playerKey);
+				const rack = player.rack.tiles();
+				const bagEmpty = game.letterBag.isEmpty();
+				move.rack = rack.map(t => t.isBlank ? ' ' : t.letter);
+				move.equity = round(turn.score + rackLeave.evaluate(
+					rackLeft(rack, turn.placements), bagEmpty));
+
+				const plays = await game.findPlays(player, 0);
+				let best, bingo;
+				for (let play of plays) {
+					play.equity = round(play.score + play.leave.value);
+					if (!best || play.equity > best.equity)
+						best = play;
+					if (play.placements.length === game.rackSize
+						&& (!bingo || play.score > bingo.score))
+						bingo = play;
+				}
+				if (best) {
+					move.best = {
+						words: best.words,
+						placements: best.placements,
+						score: best.score,
+						equity: best.equity
+					};
+					move.equityLost = round(
+						Math.max(0, best.equity - move.equity));
+				} else
+					move.equityLost = 0;
+				if (bingo && turn.placements.length < game.rackSize)
+					move.bingo = {
+						words: bingo.words,
+						placements: bingo.placements,
+						score: bingo.score
+					};
+			}
+
+			const players = {};
+			for (let player of this.players)
+				players[player.key] = {
+					moves: 0, equityLost: 0, missedBingos: 0
+				};
+			for (let move of moves) {
+				const totals = players[move.playerKey];
+				if (!totals)
+					continue; // player has left the game
+				totals.moves++;
+				totals.equityLost = round(
+					totals.equityLost + (move.equityLost || 0));
+				if (move.bingo)
+					totals.missedBingos++;
+			}
+
+			return {
+				created: Date.now(),
+				dictionary: this.dictionary,
+				moves: moves,
+				players: players
+			};
+		}
+
 		/**
 		 * Handler for 'makeMove' command.
+		 * If the game has the 'void' {@link Game#challengeRule},
+		 * a play that makes words that aren't in the dictionary is
+		 * rejected with an Error that has the words in `words`. The
+		 * board, the player's rack and their timer are left as they
+		 * were, so they can fix the play and try again.
 		 * @param {Move} move a Move (or the spec of a Move)
 		 * @return {Promise} resolving to a {@link Turn}
 		 */
@@ -993,7 +2367,24 @@ define('game/Game', [
 				move = new Move(move);
 
 			const player = this.getPlayer();
-			player.stopTimer();
+
+			if (this.challengeRule === 'void') {
+				// The play can't be challenged, so it has to be good
+				const dict = await this.getDictionary();
+				const bad = move.words
+					  .filter(w => !dict.hasWord(w.letters || w.word))
+					  .map(w => w.word);
+				if (bad.length > 0) {
+					if (this.debug)
+						console.debug("Rejected words: ", bad);
+					const e = new Error(/*i18n*/"Play rejected, $1 not found");
+					e.words = bad;
+					throw e;
+				}
+			}
+
+			this.stopTimer(player);
+			this.addIncrement(player);
 
 			if (this.debug)
 				console.debug(move);
@@ -1039,7 +2430,7 @@ define('game/Game', [
 					for (let w of move.words) {
 						if (this.debug)
 							console.debug('Checking ',w);
-						if (!dict.hasWord(w.word)) {
+						if (!dict.hasWord(w.letters || w.word)) {
 							// Only want to notify the player
 							this.notifyPlayer(
 								player, 'message',
@@ -1099,8 +2490,9 @@ define('game/Game', [
 			// player.
 			// challenge is a Promise that will resolve to a Turn if a
 			// challenge is made, or undefined otherwise.
-			let challenge = Promise.resolve(undefined);;
+			let challenge = Promise.resolve(undefined);
 			if (this.dictionary
+				&& this.challengeRule !== 'void'
 				&& player.canChallenge
 				&& this.previousMove) {
 				const lastPlayer = this.getPlayer(this.previousMove.playerKey);
@@ -1112,7 +2504,8 @@ define('game/Game', [
 					challenge = this.getDictionary()
 					.then(dict => {
 						const bad = this.previousMove.words
-							  .filter(word => !dict.hasWord(word.word));
+							  .filter(word => !dict.hasWord(
+								  word.letters || word.word));
 						if (bad.length > 0) {
 							// Challenge succeeded
 							if (this.debug) {
@@ -1126,34 +2519,188 @@ define('game/Game', [
 				}
 			}
 
+			const level = Player.LEVELS[player.level] || Player.LEVELS.expert;
+
 			return challenge
 			.then(turn => {
 				if (turn)
 					return turn;
-				let bestPlay = null;
-				return Platform.findBestPlay(
-					this, player.rack.tiles(),
-					data => {
-						if (typeof data === 'string') {
-							if (this.debug)
-								console.debug(data);
-						} else {
-							bestPlay = data;
-							if (this.debug)
-								console.debug('Best', bestPlay);
-						}
-					}, player.dictionary)
-				.then(() => {
-					if (bestPlay)
-						return this.makeMove(bestPlay);
 
+				// Play like a human, and sometimes pass or swap
+				// when there's no need to
+				if (Math.random() < level.passChance) {
 					if (this.debug)
-						console.debug(`${player.name} can't play, passing`);
+						console.debug(`${player.name} decided to pass`);
 					return this.pass('passed');
+				}
+				const swapCount = Math.min(
+					this.board.swapCount,
+					this.letterBag.remainingTileCount(),
+					player.rack.tiles().length);
+				if (swapCount > 0 && player.passes < 2
+					&& Math.random() < level.swapChance) {
+					const tiles = player.rack.tiles()
+						  .sort(() => Math.random() - 0.5)
+						  .slice(0, 1 + Math.floor(Math.random() * swapCount));
+					if (this.debug)
+						console.debug(`${player.name} decided to swap`, tiles);
+					return this.swap(tiles);
+				}
+
+				const plays = [];
+				const listener = data => {
+					if (typeof data === 'string') {
+						if (this.debug)
+							console.debug(data);
+					} else {
+						plays.push(data);
+						if (this.debug)
+							console.debug('Best', data);
+					}
+				};
+				// Below expert level, the search picks the play for
+				// the level from all the plays it finds
+				const findPlays = () => Platform.findBestPlay(
+					this, player.rack.tiles(), listener, player.dictionary, {
+						strategy: player.strategy,
+						all: level.percentile < 1 || level.maxWordLength > 0,
+						percentile: level.percentile,
+						maxWordLength: level.maxWordLength
+					});
+
+				// Once the bag is empty in a two player game, an expert
+				// robot knows what the opponent has, so can search for
+				// the best finish. If the search can't complete even one
+				// level in the time allowed, fall back to a normal play.
+				const endgame = this.letterBag.isEmpty()
+					  && this.players.length === 2
+					  && level === Player.LEVELS.expert;
+				const search = endgame
+					  ? Platform.findBestPlay(
+						  this, player.rack.tiles(), listener,
+						  player.dictionary, { endgame: true })
+					  .then(() => plays.length > 0 ? undefined : findPlays())
+					  : findPlays();
+
+				return search
+				// A robot with a bigger dictionary than the game
+				// must not make plays that will be rejected
+				.then(() => this.challengeRule === 'void'
+					  ? this.getDictionary()
+					  .then(dict => plays.filter(
+						  play => play.words.every(
+							  w => dict.hasWord(w.letters || w.word))))
+					  : plays)
+				.then(plays => {
+					let play = this.choosePlay(plays, level);
+					if (play && play.placements.length === 0) {
+						if (this.debug)
+							console.debug(`${player.name} passing in the endgame`);
+						return this.pass('passed');
+					}
+					if (play && endgame)
+						// Drop the endgame analysis
+						play = new Move({
+							placements: play.placements,
+							words: play.words,
+							score: play.score
+						});
+					return this.chooseSwap(player, play)
+					.then(swap => {
+						if (swap) {
+							if (this.debug)
+								console.debug(`${player.name} swapping`, swap);
+							return this.swap(swap);
+						}
+
+						if (play)
+							return this.makeMove(play);
+
+						if (this.debug)
+							console.debug(`${player.name} can't play, passing`);
+						return this.pass('passed');
+					});
 				});
 			});
 		}
 
+		/**
+		 * Decide if a robot would do better to swap tiles than to make
+		 * a play. Every set of tiles the robot could swap (limited by
+		 * the edition swapCount and the number of tiles left in the bag)
+		 * is evaluated by the value of the tiles it would keep, and
+		 * compared with the score for the play plus the value of the
+		 * tiles left on the rack after the play.
+		 * A swap counts as a pass, but only {@link Game#pass} can end
+		 * the game when everyone has passed twice, so a robot that has
+		 * already passed twice running doesn't swap, or robots that
+		 * can't play would swap forever.
+		 * @param {Player} player the robot player
+		 * @param {Move?} play the play the robot has chosen, or undefined
+		 * if it can't play
+		 * @return {Promise} resolving to the list of {@link Tile} to swap,
+		 * or undefined if the robot should not swap
+		 * @private
+		 */
+		chooseSwap(player, play) {
+			const rack = player.rack.tiles();
+			const maxSwap = Math.min(
+				this.board.swapCount,
+				this.letterBag.remainingTileCount(),
+				rack.length);
+			if (maxSwap === 0 || player.passes >= 2)
+				return Promise.resolve();
+
+			return this.getRackLeave(player)
+			.then(rackLeave => {
+				let bestValue = play
+					? play.score + rackLeave.evaluate(
+						rackLeft(rack, play.placements))
+					: -Number.MAX_VALUE;
+				let bestSwap;
+				// Each bit in mask selects a tile to swap
+				for (let mask = 1; mask < (1 << rack.length); mask++) {
+					const swap = rack.filter((t, i) => mask & (1 << i));
+					if (swap.length > maxSwap)
+						continue;
+					const value = rackLeave.evaluate(
+						rack.filter((t, i) => !(mask & (1 << i))));
+					if (value > bestValue) {
+						bestValue = value;
+						bestSwap = swap;
+					}
+				}
+				return bestSwap;
+			});
+		}
+
+		/**
+		 * Choose a robot play from the plays found by findBestPlay,
+		 * according to the robot's level. Below expert level,
+		 * findBestPlay has already picked the play for the level, so
+		 * there is only one to choose from.
+		 * @param {Move[]} plays the plays found by findBestPlay, in
+		 * the order they were found
+		 * @param {object} level one of {@link Player.LEVELS}
+		 * @return {Move} the chosen play, or undefined if there are none
+		 * @private
+		 */
+		choosePlay(plays, level) {
+			if (level.percentile >= 1 && !(level.maxWordLength > 0))
+				// findBestPlay only reported improvements, the last
+				// is the best
+				return plays.pop();
+
+			const choices = plays
+				  .filter(play => !(level.maxWordLength > 0)
+						  || play.words.every(
+							  w => w.word.length <= level.maxWordLength))
+				  .sort((a, b) => a.score - b.score);
+			if (choices.length === 0)
+				return undefined;
+			return choices[Math.round(level.percentile * (choices.length - 1))];
+		}
+
 		/**
 		 * Un/Pause the game
 		 * @param {Player} player to play
@@ -1186,7 +2733,8 @@ define('game/Game', [
 		 * Called when the game has been confirmed as over - the player
 		 * following the player who just emptied their rack has confirmed
 		 * they don't want to challenge, or they have challenged and the
-		 * challenge failed.
+		 * challenge failed. The result of the game is added to the
+		 * player statistics.
 		 * @param {string} endState gives reason why game ended (i18n message id)
 		 * @return {Promise} resolving to a {@link Turn}
 		 */
@@ -1206,6 +2754,10 @@ define('game/Game', [
 			const deltas = {};
 			this.players.forEach(player => {
 				deltas[player.key] = 0;
+				if (this.duplicate)
+					// Everyone has the same rack, so it makes no
+					// difference
+					return;
 				if (player.rack.isEmpty()) {
 					if (playerWithNoTiles)
 						throw Error('Found more than one player with no tiles when finishing game');
@@ -1228,12 +2780,25 @@ define('game/Game', [
 					console.debug(`${playerWithNoTiles.name} gains ${pointsRemainingOnRacks}`);
 			}
 
+			// Players who ran out of time on their game clock lose
+			// points for every minute over
+			this.players.forEach(player => {
+				const penalty = this.timePenalty(player);
+				if (penalty > 0) {
+					player.score -= penalty;
+					deltas[player.key] -= penalty;
+					if (this.debug)
+						console.debug(`${player.name} loses ${penalty} for overtime`);
+				}
+			});
+
 			const turn = new Turn(this, {
 				type: endState,
 				playerKey: this.whosTurnKey,
 				score: deltas
 			});
-			return Promise.resolve(turn);
+			return this.recordStats()
+			.then(() => turn);
 		}
 
 		/**
@@ -1307,7 +2872,8 @@ define('game/Game', [
 		 */
 		pass(type) {
 			const passingPlayer = this.getPlayer();
-			passingPlayer.stopTimer();
+			this.stopTimer(passingPlayer);
+			this.addIncrement(passingPlayer);
 			delete this.previousMove;
 			passingPlayer.passes++;
 
@@ -1327,12 +2893,18 @@ define('game/Game', [
 
 		/**
 		 * Handler for 'challenge' command.
-		 * Check the words created by the previous move are in the dictionary
+		 * Check the words created by the previous move are in the
+		 * dictionary. What happens if they are depends on the
+		 * {@link Game#challengeRule}.
 		 * @return {Promise} resolving to a {@link Turn}
 		 */
 		challenge() {
+			if (this.challengeRule === 'void')
+				return Promise.reject(
+					new Error(/*i18n*/'Challenges are not allowed in this game'));
+
 			// Cancel any outstanding timer until the challenge is resolved
-			this.getPlayer().stopTimer();
+			this.stopTimer(this.getPlayer());
 
 			return this.getDictionary()
 			.catch(() => {
@@ -1342,7 +2914,7 @@ define('game/Game', [
 			})
 			.then(dict => {
 				const bad = this.previousMove.words
-					  .filter(word => !dict.hasWord(word.word));
+					  .filter(word => !dict.hasWord(word.letters || word.word));
 
 				if (bad.length > 0) {
 					// Challenge succeeded
@@ -1351,8 +2923,6 @@ define('game/Game', [
 					return this.takeBack('challenge-won');
 				}
 
-				// challenge failed, this player loses their turn
-
 				// Special case; if the challenged play would be the last
 				// play (challenged player has no more tiles) then
 				// it is game over. It is the last play if there were no
@@ -1361,8 +2931,44 @@ define('game/Game', [
 					return this.confirmGameOver(/*i18n*/"challenge-failed");
 				}
 
-				return this.pass('challenge-failed');
+				if (this.challengeRule === 'double')
+					// This player loses their turn
+					return this.pass('challenge-failed');
+
+				return this.challengeFailed();
+			});
+		}
+
+		/**
+		 * A challenge has failed under the 'single' or 'penalty'
+		 * challenge rule. The challenger keeps their turn, and under
+		 * the 'penalty' rule the challenged player is given points
+		 * for each word in their play.
+		 * @return {Promise} resolving to a {@link Turn}
+		 * @private
+		 */
+		challengeFailed() {
+			const challenger = this.getPlayer();
+			const previousMove = this.previousMove;
+			delete this.previousMove;
+
+			const turn = new Turn(this, {
+				type: 'challenge-failed',
+				playerKey: challenger.key,
+				nextToGoKey: challenger.key,
+				challengerKey: challenger.key
 			});
+
+			if (this.challengeRule === 'penalty') {
+				const bonus = this.challengePenalty * previousMove.words.length;
+				this.getPlayer(previousMove.playerKey).score += bonus;
+				turn.score = {};
+				turn.score[previousMove.playerKey] = bonus;
+			}
+
+			this.startTurn(challenger);
+
+			return Promise.resolve(turn);
 		}
 
 		/**
@@ -1374,7 +2980,8 @@ define('game/Game', [
 		 */
 		swap(tiles) {
 			const swappingPlayer = this.getPlayer();
-			swappingPlayer.stopTimer();
+			this.stopTimer(swappingPlayer);
+			this.addIncrement(swappingPlayer);
 
 			if (this.letterBag.remainingTileCount() < tiles.length)
 				// Terminal, no point in translating
@@ -1397,11 +3004,13 @@ define('game/Game', [
 				move.addReplacement(this.letterBag.getRandomTile());
 
 			// Return discarded tiles to the letter bag
+			const swapped = [];
 			for (tile of tiles) {
 				const removed = swappingPlayer.rack.removeTile(tile);
 				if (!removed)
 					// Terminal, no point in translating
 					throw Error(`Cannot swap, player rack does not contain letter ${tile.letter}`);
+				swapped.push(new Tile(removed));
 				this.letterBag.returnTile(removed);
 			}
 
@@ -1418,10 +3027,326 @@ define('game/Game', [
 							 type: 'swap',
 							 playerKey: swappingPlayer.key,
 							 nextToGoKey: nextPlayer.key,
-							 replacements: move.replacements
+							 replacements: move.replacements,
+							 swapped: swapped
 						 }));
 		}
 
+		/**
+		 * Give a player in a duplicate game a copy of the duplicate rack
+		 * @param {Player} player the player
+		 * @private
+		 */
+		dealDuplicateRack(player) {
+			// +1 to allow space for tile sorting in the UI
+			player.rack = new Rack(this.rackSize + 1);
+			for (let tile of this.duplicateRack.tiles())
+				player.rack.addTile(new Tile(tile));
+		}
+
+		/**
+		 * Fill the duplicate rack from the letter bag
+		 * @return {Tile[]} the tiles drawn
+		 * @private
+		 */
+		refillDuplicateRack() {
+			const drawn = [];
+			let tile;
+			while (this.duplicateRack.squaresUsed() < this.rackSize
+				   && (tile = this.letterBag.getRandomTile())) {
+				this.duplicateRack.addTile(tile);
+				drawn.push(tile);
+			}
+			return drawn;
+		}
+
+		/**
+		 * Start the timer for a round of a duplicate game. If it
+		 * runs out, the server calls {@link Game#playerTimedOut},
+		 * which ends the round.
+		 * @param {number?} time number of seconds before the round
+		 * ends. If undefined, will restart the timer with the time
+		 * left in the round.
+		 * @private
+		 */
+		startRoundTimer(time) {
+			if (typeof time === 'undefined')
+				time = this.secondsLeftInRound;
+			if (!this._scheduler || !(time > 0))
+				return;
+			if (this.debug)
+				console.debug(`Round will time out in ${time}s`);
+			this.secondsLeftInRound = time;
+			this._scheduler.schedule(
+				this.jobKey('turn'), 'turn', Date.now() + time * 1000,
+				{ gameKey: this.key });
+		}
+
+		/**
+		 * Cancel the timer for a round of a duplicate game,
+		 * remembering how long was left
+		 * @private
+		 */
+		stopRoundTimer() {
+			const job = this._scheduler
+				  && this._scheduler.get(this.jobKey('turn'));
+			if (!job)
+				return;
+			this.secondsLeftInRound = (job.at - Date.now()) / 1000;
+			this._scheduler.cancel(job.key);
+		}
+
+		/**
+		 * Handler for 'makeMove' and 'pass' commands in a duplicate
+		 * game. The play is scored against the board, but not made;
+		 * players only find out what each other played when the round
+		 * ends. A play that makes a word that isn't in the dictionary
+		 * scores nothing.
+		 * @param {Player} player the player submitting the play
+		 * @param {Move?} move the play (or the spec of a Move), or
+		 * undefined to pass
+		 * @return {Promise} resolving to a {@link Turn} if this was the
+		 * last play of the round, undefined otherwise
+		 */
+		submitPlay(player, move) {
+			if (this._endingRound)
+				throw Error(/*i18n*/'The round is over');
+			if (this.plays[player.key])
+				throw Error(/*i18n*/'You have already played this round');
+
+			// The plays in this round; a new round has new plays
+			const plays = this.plays;
+
+			let promise;
+			if (move && move.placements && move.placements.length > 0)
+				promise = this.scorePlay(new Move(move));
+			else
+				promise = Promise.resolve(new Move());
+
+			return promise
+			.then(play => {
+				// The round may have ended while the play was scored
+				if (this._endingRound || plays !== this.plays)
+					throw Error(/*i18n*/'The round is over');
+				if (this.debug)
+					console.debug(`${player.name} played`, play);
+				play.playerKey = player.key;
+				this.plays[player.key] = play;
+				// Don't say what they played
+				this.notifyPlayers('played', {
+					gameKey: this.key,
+					playerKey: player.key
+				});
+				return this.endRoundIfReady();
+			});
+		}
+
+		/**
+		 * Score a play in a duplicate game against the board, and
+		 * check its words in the dictionary. Tiles not on the
+		 * duplicate rack, or a play that isn't allowed, are errors.
+		 * @param {Move} move the play
+		 * @return {Promise} resolving to a new {@link Move} with the
+		 * score, which is 0 if any words aren't in the dictionary
+		 * @private
+		 */
+		scorePlay(move) {
+			const rack = this.duplicateRack.tiles();
+			const placed = [];
+			try {
+				for (let placement of move.placements) {
+					const i = rack.findIndex(
+						t => placement.isBlank
+						? t.isBlank
+						: (!t.isBlank && t.letter === placement.letter));
+					const square = placement.col >= 0
+						  && placement.col < this.board.cols
+						  && placement.row >= 0
+						  && placement.row < this.board.rows
+						  && this.board.at(placement.col, placement.row);
+					if (i < 0 || !square || square.tile)
+						throw Error(/*i18n*/'Illegal play');
+					// Score the tile from the rack, not the one sent
+					const tile = new Tile(rack.splice(i, 1)[0]);
+					tile.letter = placement.letter;
+					square.placeTile(tile, false);
+					placed.push(square);
+				}
+				const scored = this.board.analyseMove();
+				if (typeof scored === 'string')
+					throw Error(scored);
+				move = scored;
+			} finally {
+				// Leave the board as it was
+				for (let square of placed)
+					square.placeTile(null);
+			}
+
+			return this.getDictionary()
+			.then(dict => {
+				const bad = move.words
+					  .filter(w => !dict.hasWord(w.letters || w.word));
+				if (bad.length > 0) {
+					if (this.debug)
+						console.debug('Bad words', bad);
+					move.score = 0;
+				}
+				return move;
+			});
+		}
+
+		/**
+		 * If every human player has submitted a play in this round
+		 * of a duplicate game, end the round
+		 * @return {Promise} resolving to a {@link Turn} if the round
+		 * ended, undefined otherwise
+		 * @private
+		 */
+		endRoundIfReady() {
+			if (this.hasEnded()
+				|| this.players.find(p => !p.isRobot && !this.plays[p.key]))
+				return Promise.resolve();
+			return this.endRound();
+		}
+
+		/**
+		 * End a round of a duplicate game. The top play is found
+		 * and put on the board, every player scores what their play
+		 * scored (robots always find the top play), and the
+		 * duplicate rack is refilled for the next round. If there is
+		 * no play, the rack is put back in the bag and a new one
+		 * drawn, unless the bag is empty or there was no play in the
+		 * round before either, when the game is over.
+		 * The round may be ended by the round timer and by the last
+		 * player submitting their play, at the same time, but it is
+		 * only ended once.
+		 * @return {Promise} resolving to a 'duplicate' {@link Turn},
+		 * or undefined if the round is already being ended
+		 */
+		endRound() {
+			if (this._endingRound)
+				return Promise.resolve();
+			this._endingRound = this.closeRound()
+			.finally(() => {
+				this._endingRound = undefined;
+			});
+			return this._endingRound;
+		}
+
+		/**
+		 * Does the work of {@link Game#endRound}
+		 * @return {Promise} resolving to a 'duplicate' {@link Turn}
+		 * @private
+		 */
+		closeRound() {
+			if (this._scheduler)
+				this._scheduler.cancel(this.jobKey('turn'));
+			this.secondsLeftInRound = undefined;
+
+			let top;
+			return Platform.findBestPlay(
+				this, this.duplicateRack.tiles(), data => {
+					if (typeof data === 'string') {
+						if (this.debug)
+							console.debug(data);
+					} else if (!top || data.score > top.score)
+						top = data;
+				}, this.dictionary)
+			.then(() => {
+				const scores = {};
+				const plays = {};
+				for (let player of this.players) {
+					const play = player.isRobot
+						  ? top : this.plays[player.key];
+					const score = play ? play.score : 0;
+					player.score += score;
+					scores[player.key] = score;
+					if (play)
+						plays[player.key] = {
+							score: score,
+							words: play.words,
+							placements: play.placements
+						};
+				}
+
+				const move = new Move();
+				let swapped;
+				// Games saved before this was counted don't have it
+				this.roundsWithoutPlay = top
+				? 0 : (this.roundsWithoutPlay || 0) + 1;
+				if (top) {
+					if (this.debug)
+						console.debug('Top play', top);
+					this.topScore += top.score;
+					for (let placement of top.placements) {
+						const tile = this.duplicateRack.removeTile(
+							placement.isBlank ? { letter: ' ' } : placement);
+						tile.letter = placement.letter;
+						this.board.at(placement.col, placement.row)
+						.placeTile(tile, true);
+					}
+					move.placements = top.placements;
+					move.words = top.words;
+					move.score = top.score;
+				} else if (this.roundsWithoutPlay < 2
+						   && !this.letterBag.isEmpty()) {
+					// Nobody can play; draw a new rack
+					swapped = this.duplicateRack.empty();
+					move.replacements = this.refillDuplicateRack();
+					swapped.forEach(tile => this.letterBag.returnTile(tile));
+				} else
+					// Nobody can play, and there's nothing to draw,
+					// or drawing didn't help
+					this.duplicateRack.empty();
+
+				if (top)
+					move.replacements = this.refillDuplicateRack();
+				for (let player of this.players)
+					this.dealDuplicateRack(player);
+				this.plays = {};
+
+				return new Turn(this, {
+					type: 'duplicate',
+					score: scores,
+					topScore: move.score,
+					plays: plays,
+					placements: move.placements,
+					replacements: move.replacements,
+					swapped: swapped,
+					words: move.words,
+					rack: this.duplicateRack.tiles()
+				});
+			});
+		}
+
+		/**
+		 * Get a player's score in a duplicate game as a percentage
+		 * of the total score of the top plays
+		 * @param {Player} player the player
+		 * @return {number} the percentage, to one decimal place
+		 */
+		percentOfTop(player) {
+			if (!this.topScore)
+				return 0;
+			return Math.round(1000 * player.score / this.topScore) / 10;
+		}
+
+		/**
+		 * Hide the plays other players have submitted in the
+		 * current round of a duplicate game, leaving just the fact
+		 * that they have played. Only use on a copy of the game that
+		 * is being sent to a player or a spectator.
+		 * @param {string?} playerKey key of the player whose play
+		 * is not hidden
+		 * @return {Game} this
+		 */
+		hidePlays(playerKey) {
+			for (let key of Object.keys(this.plays))
+				if (key !== playerKey)
+					this.plays[key] = new Move();
+			return this;
+		}
+
 		/**
 		 * Handler for 'anotherGame' command
 		 * @return {Promise} resolving to the key of the new game
@@ -1436,7 +3361,8 @@ define('game/Game', [
 				console.debug(`Create game to follow ${this.key}`);
 			return new Game(this)
 			.create()
-			.then(newGame => newGame.onLoad(this._db))
+			.then(newGame => newGame.onLoad(
+				this._db, this._stats, this._tournaments, this._scheduler))
 			.then(newGame => {
 				this.nextGameKey = newGame.key;
 				return this.save()
@@ -1462,8 +3388,10 @@ define('game/Game', [
 
 					.forEach(p => newGame.addPlayer(new Player(p)));
 
-					newGame.whosTurnKey = newGame.players[0].key;
-					newGame.players[0].secondsToPlay = newGame.secondsPerPlay;
+					if (!newGame.duplicate) {
+						newGame.whosTurnKey = newGame.players[0].key;
+						newGame.players[0].secondsToPlay = newGame.secondsPerPlay;
+					}
 					if (this.debug)
 						console.debug(`Created follow-on game ${newGame.key}`);
 					return newGame.save()
@@ -1483,7 +3411,8 @@ define('game/Game', [
 			const $tab = $('<table class="playerTable"></table>');
 			this.players.forEach(
 				p => $tab.append(p.createScoreDOM(
-					thisPlayer, this.state === 'playing')));
+					thisPlayer, this.state === 'playing',
+					this.duplicate ? this.percentOfTop(p) : undefined)));
 			return $tab;
 		}
 	}
@@ -110,6 +110,24 @@ define('game/LetterBag', ['game/Tile'], (Tile) => {
 			this.shake();
 		}
 
+		/**
+		 * Find and remove a specific tile from the bag. Used when
+		 * replaying a game.
+		 * @param {Tile} remove the Tile to remove. A blank will match
+		 * any blank in the bag.
+		 * @return {Tile} the removed tile, or undefined if there is no
+		 * matching tile in the bag
+		 */
+		removeTile(remove) {
+			const i = this.tiles.findIndex(
+				t => remove.isBlank
+				? t.isBlank
+				: (!t.isBlank && t.letter === remove.letter));
+			if (i < 0)
+				return undefined;
+			return this.tiles.splice(i, 1)[0];
+		}
+
 		/**
 		 * How many tiles remain?
 		 * @return {number} number of tiles still in the bag
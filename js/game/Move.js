@@ -20,12 +20,17 @@ define('game/Move', ['game/Tile'], Tile => {
 		 * @param {object[]} spec.words words created
 		 * @param {number} spec.words.score - score for the word
 		 * @param {string} spec.words.word - the word
+		 * @param {string[]} spec.words.letters - the letters of the
+		 * tiles that spell the word. A letter may be more than one
+		 * character, so the word alone can't always be split back
+		 * into the tiles played.
 		 * @param {number} spec.score total score for play
 		 * @param {number} spec.bonus bonus for the play (included in score)
 		 */
 		constructor(spec) {
 			/**
-			 * List of words created by the play {word: string, score: number}
+			 * List of words created by the play
+			 * {word: string, letters: string[], score: number}
 			 * @member {object[]}
 			 */
 			this.words = [];
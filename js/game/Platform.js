@@ -16,9 +16,16 @@ define('game/Platform', () => {
 		 * under the requirejs root
 		 * @param {string} type identifier used to distinguish keys
 		 * relevant to this DB from other data that may be co-located
+		 * @param {object?} options options for databases that support
+		 * queries
+		 * @param {function} options.index function that is passed the
+		 * data when a key is set, and returns an object giving the
+		 * values of the fields that can be used in {@link Database#select}
+		 * @param {Object[]} options.classes list of classes passed to
+		 * Fridge.thaw, if the database has to load data to index it
 		 * @abstract
 		 */
-		constructor(id, type) {}
+		constructor(id, type, options) {}
 		
 		/**
 		 * Promise to get a list of keys in the DB
@@ -45,6 +52,36 @@ define('game/Platform', () => {
 		 */
 		get(key, classes) {}
 
+		/**
+		 * Promise to get the keys of entries that match a query. Each
+		 * field in the query must match the field of the same name in
+		 * the index for the entry (see the `index` option to the
+		 * constructor). Where the index field is an array, the query
+		 * value must be one of the members of the array.
+		 * @param {object} query fields to match
+		 * @return {Promise} resolves to a list of key names
+		 * @abstract
+		 */
+		select(query) {}
+
+		/**
+		 * Test if an index (as returned by the `index` option to the
+		 * constructor) matches a query. See {@link Database#select}
+		 * @param {object} index the index of an entry
+		 * @param {object} query fields to match
+		 * @return {boolean} true if the index matches
+		 */
+		static matches(index, query) {
+			for (let field of Object.keys(query)) {
+				const value = index[field];
+				if (Array.isArray(value)
+					? value.indexOf(query[field]) < 0
+					: value !== query[field])
+					return false;
+			}
+			return true;
+		}
+
 		/**
 		 * Remove a key and all associated data
 		 * @param {string} key the entry key
@@ -93,11 +130,28 @@ define('game/Platform', () => {
 		 * game dictionary
 		 * @param {Platform~bestMoveCallback} cb accepts a best play whenever a new
 		 * one is found, or a string containing a message
+		 * @param {object?} options options controlling the search, see
+		 * {@link module:game/findBestPlay}. If options.endgame is true,
+		 * {@link module:game/findEndgamePlay} is used instead.
 		 * @return {Promise} Promise that resolves when all best moves
 		 * have been tried
 		 * @abstract
 		 */
-		static findBestPlay(game, rack, cb, dictionary) {}
+		static findBestPlay(game, rack, cb, dictionary, options) {}
+
+		/**
+		 * If available, compute the {@link RackLeave} values for an
+		 * edition and dictionary without blocking this thread, as
+		 * scanning the dictionary takes long enough to hold up
+		 * everything else. It should be a NOP on a browser.
+		 * @param {Edition} edition the edition being played
+		 * @param {Dictionary} dictionary the dictionary being played from
+		 * @return {Promise?} Promise that resolves to what
+		 * {@link RackLeave.adopt} needs, or undefined if the values
+		 * have to be computed in this thread
+		 * @abstract
+		 */
+		static computeRackLeave(edition, dictionary) {}
 
 		/**
 		 * Platform-independent interface to i18n translation.
@@ -28,6 +28,12 @@ define('game/Player', [
 		 * it's a robot. If name is a Player object, ignored.
 		 * @param {boolean} params.canChallenge controls whether this player
 		 * can challenge if it's a robot
+		 * @param {string} params.strategy if it's a robot, the strategy
+		 * it uses to choose a play, 'greedy' or 'strategic'
+		 * @param {string} params.level if it's a robot, the name of
+		 * the difficulty level it plays at, one of {@link Player.LEVELS}
+		 * @param {object[]?} params.members if the player is a team,
+		 * `{key, name}` for each of the users in the team
 		 * @param {boolean} params.debug true for debug messages
 		 */
 		constructor(params) {
@@ -49,6 +55,22 @@ define('game/Player', [
 			 */
 			this.canChallenge = params.canChallenge;
 
+			/**
+			 * If isRobot, the strategy it uses to choose a play.
+			 * 'greedy' plays the highest scoring move. 'strategic'
+			 * also considers the value of the tiles left on the rack.
+			 * @member {string}
+			 */
+			this.strategy = params.strategy;
+
+			/**
+			 * If isRobot, the name of the difficulty level it plays at,
+			 * a key in {@link Player.LEVELS}. If undefined, the robot
+			 * plays at 'expert' level.
+			 * @member {string}
+			 */
+			this.level = params.level;
+
 			/**
 			 * Player name
 			 * @member {string}
@@ -87,6 +109,15 @@ define('game/Player', [
 			 */
 			this.secondsToPlay = 0;
 
+			/**
+			 * If the game has a game clock, the seconds left on the
+			 * player's clock, as it was at the start of the turn if it
+			 * is their turn (see {@link Game#clockLeft}). Negative when
+			 * they have gone over time.
+			 * @member {number}
+			 */
+			this.clock = undefined;
+
 			/**
 			 * We don't keep a pointer to the dictionary objects so we can
 			 * cheaply serialise and send to the games interface. We just
@@ -95,6 +126,16 @@ define('game/Player', [
 			 * @member {string}
 			 */
 			this.dictionary = params.dictionary;
+
+			/**
+			 * If the player is a team, `{key, name}` for each of the
+			 * users who share the rack, the first being the user who
+			 * joined the game. Undefined for a player who is just one
+			 * user.
+			 * @member {object[]}
+			 */
+			this.members = params.members
+			&& params.members.map(m => ({ key: m.key, name: m.name }));
 		}
 
 		/**
@@ -113,10 +154,15 @@ define('game/Player', [
 					name: this.name || 'Unknown Player',
 					isRobot: this.isRobot,
 					dictionary: this.dictionary,
+					strategy: this.strategy,
+					level: this.level,
 					key: this.key,
 					score: this.score,
 					secondsToPlay: this.secondsToPlay,
-					
+					clock: game.clockLeft(this),
+					percent: game.duplicate ? game.percentOfTop(this) : undefined,
+					members: this.members,
+
 					// Can they be emailed?
 					email: ump.email ? true : false,
 					// Only in simple, has no analog in Player
@@ -134,11 +180,60 @@ define('game/Player', [
 					|| (game.getConnection(this) !== null),
 					key: this.key,
 					score: this.score,
-					secondsToPlay: this.secondsToPlay
+					secondsToPlay: this.secondsToPlay,
+					clock: game.clockLeft(this),
+					members: this.members
 				};
 			});
 		}
 
+		/**
+		 * Is this player controlled by the given user? A team is
+		 * controlled by all of its members. This is intended to work
+		 * both on a full Player object, but also on a Player.simple
+		 * of the player.
+		 * @param {string} userKey the user's key
+		 * @return {boolean} true if the user can play for this player
+		 */
+		controlledBy(userKey) {
+			return this.key === userKey
+			|| (this.members && this.members.some(m => m.key === userKey))
+			|| false;
+		}
+
+		/**
+		 * Add a user to the team playing as this player, making it a
+		 * team if it isn't already one. The player's name becomes the
+		 * names of all the members.
+		 * @param {object} member the user joining the team
+		 * @param {string} member.key the user's key
+		 * @param {string} member.name the user's name
+		 */
+		addMember(member) {
+			if (!this.members)
+				this.members = [ { key: this.key, name: this.name } ];
+			this.members.push({ key: member.key, name: member.name });
+			this.name = this.members.map(m => m.name).join(' & ');
+		}
+
+		/**
+		 * Remove a user from the team playing as this player. The
+		 * user who joined the game can't be removed, as the player
+		 * has their key. If they are left on their own, the player
+		 * stops being a team.
+		 * @param {string} userKey the key of the user leaving
+		 */
+		removeMember(userKey) {
+			if (!this.members || userKey === this.key)
+				return;
+			this.members = this.members.filter(m => m.key !== userKey);
+			if (this.members.length === 1) {
+				this.name = this.members[0].name;
+				this.members = undefined;
+			} else
+				this.name = this.members.map(m => m.name).join(' & ');
+		}
+
 		/**
 		 * Draw an initial rack from the letter bag.
 		 * @param {LetterBag} letterBag LetterBag to draw tiles from
@@ -160,59 +255,6 @@ define('game/Player', [
 				letterBag.returnTile(this.rack.removeTile(tile));
 		}
 
-		/**
-		 * Set a play timeout for the player
-		 * @param {number} time number of seconds before elapse, or
-		 * 0 to cancel any timeout. If undefined, will restart the timer with
-		 * the time remaining to the player.
-		 * @param {function} onTimeout a function() invoked if the
-		 * timer expires
-		 */
-		startTimer(time, onTimeout) {
-			if (typeof time !== 'undefined') {
-				this.stopTimer();
-				// Timer is being reset
-				if (time === 0)
-					// No timeout, nothing to do
-					return;
-				this._onTimeout = onTimeout;
-			} else if (!this._timeoutTimer && this.secondsToPlay > 0) {
-				// Timer was previously stopped in stopTimer with
-				// time remaining
-				time = this.secondsToPlay;
-			} else {
-				this.stopTimer();
-				return;
-			}
-
-			if (this.debug)
-				console.debug(`${this.name}'s go will time out in ${time}s`);
-
-			// Set an overriding timeout
-			this.secondsToPlay = time;
-			this._timeoutAt = Date.now() + time * 1000;
-			this._timeoutTimer = setTimeout(() => {
-				this._timeoutTimer = null;
-				if (this.debug)
-					console.debug(`${this.name} has timed out at ${Date.now()}`);
-				// Invoke the timeout function
-				this._onTimeout();
-			}, time * 1000);
-		}
-
-		/**
-		 * Cancel current play timeout
-		 */
-		stopTimer() {
-			if (this._timeoutTimer) {
-				this.secondsToPlay = (this._timeoutAt - Date.now()) / 1000;
-				if (this.debug)
-					console.debug(`${this.name} stopped timer with ${this.secondsToPlay}s remaining`);
-				clearTimeout(this._timeoutTimer);
-				this._timeoutTimer = null;
-			}
-		}
-
 		/**
 		 * Generate a simple string representation of the player
 		 */
@@ -239,9 +281,11 @@ define('game/Player', [
 		 * @param {Player?} curPlayer the player for whom the DOM is
 		 * being generated
 		 * @param {boolean} showConnect show the connection status of the player
+		 * @param {number?} percent score as a percentage of the top
+		 * score, in a duplicate game
 		 * @return {jQuery} DOM object for the score table
 		 */
-		createScoreDOM(curPlayer, showConnect) {
+		createScoreDOM(curPlayer, showConnect, percent) {
 			const $tr = $(`<tr class="player-row" id='player${this.key}'></tr>`);
 			$tr.append(`<td class='turn-pointer'>&#10148;</td>`);
 			const $icon = $('<div class="ui-icon"></div>');
@@ -261,6 +305,12 @@ define('game/Player', [
 			
 			$tr.append(`<td class='score'>${this.score}</td>`);
 
+			if (typeof percent === 'number')
+				$tr.append(`<td class='percent'>${percent}%</td>`);
+
+			if (typeof this.clock === 'number')
+				$tr.append(`<td class='clock'>${Player.formatClock(this.clock)}</td>`);
+
 			return $tr;
 		}
 
@@ -270,6 +320,22 @@ define('game/Player', [
 		 */
 		refreshDOM() {
 			$(`#player${this.key} .score`).text(this.score);
+			if (typeof this.clock === 'number')
+				$(`#player${this.key} .clock`)
+				.text(Player.formatClock(this.clock))
+				.toggleClass('overtime', this.clock < 0);
+		}
+
+		/**
+		 * Format the time on a game clock as minutes and seconds
+		 * @param {number} seconds the time left, negative if over time
+		 * @return {string} the time, e.g. "12:05" or "-0:30"
+		 */
+		static formatClock(seconds) {
+			const sign = seconds < 0 ? '-' : '';
+			seconds = Math.abs(Math.round(seconds));
+			const secs = seconds % 60;
+			return `${sign}${Math.floor(seconds / 60)}:${secs < 10 ? '0' : ''}${secs}`;
 		}
 
 		/**
@@ -286,5 +352,50 @@ define('game/Player', [
 		}
 	}
 
+	/**
+	 * Difficulty levels for robot players. Below 'expert', a robot
+	 * considers every play it can find, and picks the one at the
+	 * given percentile of the scores, ignoring plays that create
+	 * words that are too long. It will also sometimes pass or swap
+	 * tiles when it doesn't have to, just like a human player.
+	 * `name` is the name of the level, for the UI.
+	 * `percentile` is where the chosen play falls (0 = lowest
+	 * scoring play, 1 = highest scoring play).
+	 * `maxWordLength` is the length of the longest word the robot
+	 * will play (0 for no limit).
+	 * `passChance` and `swapChance` are the probabilities of the
+	 * robot passing or swapping instead of playing.
+	 * `rating` is the fixed rating of a robot playing at the level,
+	 * used as an anchor when rating human players (see
+	 * {@link PlayerStats}).
+	 * @member {object}
+	 */
+	Player.LEVELS = {
+		beginner: {
+			name: /*i18n*/'Beginner',
+			percentile: 0.4,
+			maxWordLength: 5,
+			passChance: 0.05,
+			swapChance: 0.1,
+			rating: 1200
+		},
+		intermediate: {
+			name: /*i18n*/'Intermediate',
+			percentile: 0.75,
+			maxWordLength: 7,
+			passChance: 0.02,
+			swapChance: 0.05,
+			rating: 1500
+		},
+		expert: {
+			name: /*i18n*/'Expert',
+			percentile: 1,
+			maxWordLength: 0,
+			passChance: 0,
+			swapChance: 0,
+			rating: 1800
+		}
+	};
+
 	return Player;
 });
@@ -0,0 +1,275 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd */
+
+define('game/RackLeave', ['platform'], Platform => {
+
+	// Cache of promises for leave tables, indexed by "edition/dictionary"
+	const leaves = {};
+
+	// Weight applied to the log of the ratio between how often a
+	// letter is used in the dictionary and how often it is found
+	// in the bag
+	const USEFULNESS_WEIGHT = 3;
+
+	// Limit on the usefulness of any single letter, so letters that
+	// are (almost) absent from the dictionary don't dominate
+	const USEFULNESS_LIMIT = 8;
+
+	// Weight applied to the fraction of words that can be extended
+	// by adding the letter on the end (the pluralising S in English)
+	const HOOK_WEIGHT = 17;
+
+	// Cost of each duplicate of a letter on the rack
+	const DUPLICATE_PENALTY = 3;
+
+	// Cost of each vowel too many (or too few) on the rack, squared
+	const BALANCE_PENALTY = 2;
+
+	// A letter is dependent on another letter if it is followed by
+	// that letter at least this often (e.g. Q and U in English)
+	const DEPENDENCY_THRESHOLD = 0.8;
+
+	// Cost of keeping a dependent letter without the letter it
+	// depends on
+	const DEPENDENCY_PENALTY = 5;
+
+	// Value of a blank when the edition has no bonuses
+	const DEFAULT_BLANK_VALUE = 10;
+
+	/**
+	 * Estimate of the value of the tiles left on a rack after a
+	 * play (the "leave"). This is used by strategic robots to
+	 * weigh up a play; a play that scores a few points less, but
+	 * leaves a better balanced rack, is often the better play.
+	 *
+	 * Values are computed per {@link Edition} from the letters in
+	 * the bag, and the words in the {@link Dictionary} that the
+	 * robot plays from. They take account of how useful each
+	 * letter is, blanks, hooks (such as S in English), duplicates,
+	 * the balance of vowels and consonants, and letters that are
+	 * hard to play without a partner (such as Q without U).
+	 */
+	class RackLeave {
+
+		/**
+		 * @param {Edition} edition the edition being played
+		 * @param {Dictionary} dictionary the dictionary being played from
+		 */
+		constructor(edition, dictionary) {
+			/**
+			 * Edition and dictionary the values are for, the key
+			 * used to cache them
+			 * @member {string}
+			 */
+			this.key = `${edition.name}/${dictionary.name}`;
+
+			/**
+			 * Value of each letter on its own, indexed by letter
+			 * @member {Object.<string,number>}
+			 */
+			this.values = {};
+
+			/**
+			 * Map of letters to the letter they depend on
+			 * @member {Object.<string,string>}
+			 */
+			this.dependencies = {};
+
+			/**
+			 * Value of a blank
+			 * @member {number}
+			 */
+			this.blankValue = DEFAULT_BLANK_VALUE;
+
+			/**
+			 * Ideal fraction of vowels on a rack
+			 * @member {number}
+			 */
+			this.vowelFraction = 0;
+
+			/**
+			 * Letters in the edition that are vowels
+			 * @member {string[]}
+			 */
+			this.vowels = edition.vowels
+			? edition.vowels.split('')
+			: edition.alphabeta.filter(
+				l => /^[AEIOU]/.test(l.normalize('NFD')));
+
+			const bonus = Object.values(edition.bonuses || {})
+				  .reduce((max, b) => Math.max(max, b), 0);
+			if (bonus > 0)
+				this.blankValue = bonus / 2;
+
+			// Count of tiles of each letter in the bag
+			const inBag = {};
+			let bagSize = 0;
+			for (let tile of edition.bag) {
+				if (!tile.isBlank) {
+					inBag[tile.letter] = (inBag[tile.letter] || 0) + tile.count;
+					bagSize += tile.count;
+				}
+			}
+
+			// Scan the dictionary to find how often each letter is
+			// used, how often it hooks onto the end of another word, and
+			// what letters follow it.
+			const used = {}, hooks = {}, followed = {}, followers = {};
+			let letters = 0, vowels = 0, words = 0;
+			// Words are scanned as the letters on the tiles, which
+			// may be more than one character
+			dictionary.eachWord((word, node, tiles) => {
+				words++;
+				const last = tiles.length - 1;
+				if (last > 0 && dictionary.hasWord(tiles.slice(0, last)))
+					hooks[tiles[last]] = (hooks[tiles[last]] || 0) + 1;
+				for (let i = 0; i <= last; i++) {
+					const l = tiles[i];
+					used[l] = (used[l] || 0) + 1;
+					if (this.vowels.indexOf(l) >= 0)
+						vowels++;
+					if (i < last) {
+						followed[l] = (followed[l] || 0) + 1;
+						if (!followers[l])
+							followers[l] = {};
+						followers[l][tiles[i + 1]] =
+						(followers[l][tiles[i + 1]] || 0) + 1;
+					}
+				}
+				letters += tiles.length;
+			});
+
+			if (letters > 0)
+				this.vowelFraction = vowels / letters;
+
+			for (let letter of edition.alphabeta) {
+				let value = -USEFULNESS_LIMIT;
+				if (used[letter] > 0) {
+					const ratio = (used[letter] / letters)
+						  / (inBag[letter] / bagSize);
+					value = Math.max(
+						-USEFULNESS_LIMIT,
+						Math.min(USEFULNESS_LIMIT,
+								 USEFULNESS_WEIGHT * Math.log(ratio)));
+				}
+				if (words > 0)
+					value += HOOK_WEIGHT * (hooks[letter] || 0) / words;
+				this.values[letter] = value;
+
+				if (followed[letter] > 0) {
+					for (let f of Object.keys(followers[letter])) {
+						if (f !== letter && followers[letter][f]
+							>= DEPENDENCY_THRESHOLD * followed[letter])
+							this.dependencies[letter] = f;
+					}
+				}
+			}
+		}
+
+		/**
+		 * Promise to get the leave values for an edition and a
+		 * dictionary. Values are only computed once, and are
+		 * subsequently kept in memory. Where the platform supports
+		 * it, they are computed in another thread (see
+		 * {@link Platform.computeRackLeave}).
+		 * @param {Edition} edition the edition being played
+		 * @param {Dictionary} dictionary the dictionary being played from
+		 * @return {Promise} resolves to a {@link RackLeave}
+		 */
+		static load(edition, dictionary) {
+			const key = `${edition.name}/${dictionary.name}`;
+			if (!leaves[key]) {
+				leaves[key] = Promise.resolve(
+					Platform.computeRackLeave(edition, dictionary))
+				.then(shared => {
+					const leave = shared
+						  ? RackLeave.adopt(shared)
+						  : new RackLeave(edition, dictionary);
+					console.log(`Computed rack leave values for ${key}`);
+					return leave;
+				})
+				.catch(e => {
+					// Try again next time
+					delete leaves[key];
+					throw e;
+				});
+			}
+			return leaves[key];
+		}
+
+		/**
+		 * Get what a worker thread needs to use these values
+		 * without computing them again.
+		 * @return {object} data to pass to {@link RackLeave.adopt}
+		 * in the worker thread
+		 */
+		share() {
+			return {
+				key: this.key,
+				values: this.values,
+				dependencies: this.dependencies,
+				blankValue: this.blankValue,
+				vowelFraction: this.vowelFraction,
+				vowels: this.vowels
+			};
+		}
+
+		/**
+		 * Use values computed in another thread, see
+		 * {@link RackLeave#share}. They are cached, so subsequent
+		 * {@link RackLeave.load} calls for the same edition and
+		 * dictionary resolve to them.
+		 * @param {object} shared the result of {@link RackLeave#share}
+		 * @return {RackLeave} the rack leave values
+		 */
+		static adopt(shared) {
+			const leave = Object.assign(
+				Object.create(RackLeave.prototype), shared);
+			leaves[shared.key] = Promise.resolve(leave);
+			return leave;
+		}
+
+		/**
+		 * Estimate the value of keeping a set of tiles on the rack.
+		 * @param {Tile[]} tiles the tiles left on the rack
+		 * @param {boolean} bagEmpty true if the bag is empty, in which
+		 * case there is no chance to draw new tiles, and the tiles left
+		 * will count against the player when the game ends
+		 * @return {number} estimated value, in points
+		 */
+		evaluate(tiles, bagEmpty) {
+			if (bagEmpty)
+				return -2 * tiles.reduce((sum, t) => sum + t.score, 0);
+
+			let value = 0, vowels = 0;
+			const counts = {};
+			for (let tile of tiles) {
+				if (tile.isBlank)
+					value += this.blankValue;
+				else {
+					value += this.values[tile.letter] || 0;
+					if (counts[tile.letter])
+						value -= DUPLICATE_PENALTY;
+					counts[tile.letter] = (counts[tile.letter] || 0) + 1;
+					if (this.vowels.indexOf(tile.letter) >= 0)
+						vowels++;
+				}
+			}
+
+			const haveBlank = tiles.find(t => t.isBlank);
+			for (let letter of Object.keys(counts)) {
+				const partner = this.dependencies[letter];
+				if (partner && !counts[partner] && !haveBlank)
+					value -= DEPENDENCY_PENALTY;
+			}
+
+			const imbalance = vowels - this.vowelFraction * tiles.length;
+			value -= BALANCE_PENALTY * imbalance * imbalance;
+
+			return value;
+		}
+	}
+
+	return RackLeave;
+});
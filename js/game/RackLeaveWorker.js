@@ -0,0 +1,28 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd, node */
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/../..`,
+    nodeRequire: require,
+	paths: {
+		game: `js/game`,
+		dawg: `js/dawg`,
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+/**
+ * Worker thread that computes the {@link RackLeave} values for an
+ * edition and dictionary, so the main thread isn't blocked while the
+ * dictionary is scanned. See {@link Platform.computeRackLeave}
+ */
+requirejs(['worker_threads', 'game/Edition', 'game/RackLeave', 'dawg/Dictionary'], (threads, Edition, RackLeave, Dictionary) => {
+
+	const dict = Dictionary.adopt(threads.workerData.dictionary);
+
+	Edition.load(threads.workerData.edition)
+	.then(edition => threads.parentPort.postMessage(
+		new RackLeave(edition, dict).share()));
+});
@@ -20,9 +20,17 @@ define('game/Turn', ["game/Move"], Move => {
 			 * * `move`: a player has made a move
 			 * * `swap`: a player has execute a tile swap
 			 * * `Game over`: the end of the game has been confirmed
-			 * * `challenge-failed`: a challenge was not successful
+			 * * `Forfeited`: a player missed the turn deadline in a
+			 *   correspondence game, ending the game
+			 * * `challenge-failed`: a challenge was not successful.
+			 *   Under the 'penalty' challenge rule, `score` is the
+			 *   points given to the challenged player, keyed by
+			 *   their player key
 			 * * `challenge-won`: a challenge succeeded
 			 * * `took-back`: the last player took back their turn
+			 * * `duplicate`: a round of a duplicate game has finished.
+			 *   The top play is in `placements` and `words`, and
+			 *   `score` is the change in score for each player
 			 * @member {string}
 			 */
 			this.type = undefined;
@@ -54,11 +62,39 @@ define('game/Turn', ["game/Move"], Move => {
 			this.emptyPlayerKey = undefined;
 
 			/**
-			 * For 'took-back', 'challenge-won',
+			 * For 'took-back', 'challenge-won', 'challenge-failed',
 			 * key of the player who initiated the action
 			 */
 			this.challengerKey = undefined;
 
+			/**
+			 * For 'swap', the tiles the player swapped out. Used
+			 * when replaying the game.
+			 * @member {Tile[]}
+			 */
+			this.swapped = undefined;
+
+			/**
+			 * For 'duplicate', the score of the top play
+			 * @member {number}
+			 */
+			this.topScore = undefined;
+
+			/**
+			 * For 'duplicate', what each player played in the
+			 * round; map from player key to `{score, words, placements}`.
+			 * Players who didn't play are missing.
+			 * @member {object}
+			 */
+			this.plays = undefined;
+
+			/**
+			 * For 'duplicate', the rack every player plays from in
+			 * the next round
+			 * @member {Tile[]}
+			 */
+			this.rack = undefined;
+
 			const ep = game.players.find(p => p.rack.isEmpty());
 			if (ep)
 				this.emptyPlayerKey = ep.key;
@@ -14,18 +14,30 @@
  * @exports game/findBestPlay
  */
 define('game/findBestPlay', [
-	'game/Edition', 'game/Tile', 'game/Move', 'dawg/Dictionary'
-], (Edition, Tile, Move, Dictionary) => {
+	'game/Edition', 'game/Tile', 'game/Move', 'game/RackLeave',
+	'dawg/Dictionary'
+], (Edition, Tile, Move, RackLeave, Dictionary) => {
+
+	// Fraction of the game time limit to spend searching, leaving
+	// time to report the plays collected before the search is
+	// terminated (see findBestPlayController)
+	const TIME_FRACTION = 0.8;
 
 	// Shortcuts to game information during move computation
 	let board;       // class Board
 	let edition;     // class Edition
 	let dict;        // Class Dictionary
+	let leave;       // class RackLeave, if using the strategic robot
+	let bagEmpty;    // true if no more tiles can be drawn
+	let reportAll;   // true to report every play, not just the best
+	let collected;   // if reportAll, distinct plays found so far, and
+	                 // their values, indexed by placements
+	let maxWordLength; // if reportAll, longest word a play may make
 
 	let report;      // function to call when a new best play is found, or
 	                 // print a progress message or error to the console.
 
-    let bestScore;   // best score found so far
+    let bestScore;   // best score (or equity) found so far
     let crossChecks; // checks for valid words on opposite axis
 
 	//let noisy = false;
@@ -108,39 +120,41 @@ define('game/findBestPlay', [
 					continue;
 				}
 
-				// Find the words above and below
-				let wordAbove = '';
+				// Find the words above and below. Words are lists
+				// of letters, as a letter may be more than one
+				// character.
+				const wordAbove = [];
 				let r = row - 1;
 				while (r >= 0 && board.at(col, r).tile) {
-					wordAbove = board.at(col, r).tile.letter + wordAbove;
+					wordAbove.unshift(board.at(col, r).tile.letter);
 					r--;
 				}
 
-				let wordBelow = '';
+				const wordBelow = [];
 				r = row + 1;
 				while (r < board.rows && board.at(col, r).tile) {
-					wordBelow += board.at(col, r).tile.letter;
+					wordBelow.push(board.at(col, r).tile.letter);
 					r++;
 				}
 
 				// Find the words left and right
-				let wordLeft = '';
+				const wordLeft = [];
 				let c = col - 1;
 				while (c >= 0 && board.at(c, row).tile) {
-					wordLeft = board.at(c, row).tile.letter + wordLeft;
+					wordLeft.unshift(board.at(c, row).tile.letter);
 					c--;
 				}
 
-				let wordRight = '';
+				const wordRight = [];
 				c = col + 1
 				while (c != board.cols && board.at(c, row).tile) {
-					wordRight += board.at(c, row).tile.letter;
+					wordRight.push(board.at(c, row).tile.letter);
 					c++;
 				}
 
 				// Find which (if any) letters form a valid cross word
 				for (let letter of available) {
-					const h = wordLeft + letter + wordRight;
+					const h = wordLeft.concat([ letter ], wordRight);
 
 					// Is h a complete valid word, or just the letter
 					// on its tod?
@@ -148,7 +162,7 @@ define('game/findBestPlay', [
 					// Is h a valid complete word, or a legal sub-sequence?
 					const hIsSeq = hIsWord || col > 0 && dict.hasSequence(h);
 
-					const v = wordAbove + letter + wordBelow;
+					const v = wordAbove.concat([ letter ], wordBelow);
 					const vIsWord = v.length === 1 || dict.hasWord(v);
 					const vIsSeq = vIsWord || row > 0 && dict.hasSequence(v);
 
@@ -170,6 +184,64 @@ define('game/findBestPlay', [
 		return xChecks;
 	}
 
+	/**
+	 * Get the value of a play for comparing it with other plays. For
+	 * a greedy robot this is just the score. A strategic robot also
+	 * considers the value of the tiles left on the rack after the play.
+	 * @param {number} score score for the play
+	 * @param {Tile[]} rackTiles tiles left on the rack after the play
+	 * @return {number} value of the play
+	 * @private
+	 */
+	function equity(score, rackTiles) {
+		return leave ? score + leave.evaluate(rackTiles, bagEmpty) : score;
+	}
+
+	/**
+	 * Report a play. If every play is wanted, the play is only
+	 * collected, to be reported when the search is finished. Plays
+	 * that are found more than once (e.g. a single tile that forms
+	 * words across and down) are only collected once.
+	 * @param {Move} play the play
+	 * @param {number} value value of the play, see equity()
+	 * @private
+	 */
+	function reportPlay(play, value) {
+		if (!reportAll) {
+			report(play);
+			return;
+		}
+		if (maxWordLength > 0
+			&& play.words.some(w => w.word.length > maxWordLength))
+			return;
+		const key = play.placements
+			  .map(t => `${t.col},${t.row},${t.letter},${t.isBlank}`)
+			  .sort().join(';');
+		if (!collected[key])
+			collected[key] = { play: play, value: value };
+	}
+
+	/**
+	 * Report the plays collected during the search, best first.
+	 * Only the plays that are asked for are reported, so a worker
+	 * thread doesn't have to pass every play back.
+	 * @param {object} options see findBestPlay
+	 * @private
+	 */
+	function reportCollected(options) {
+		let plays = Object.values(collected)
+			.sort((a, b) => b.value - a.value)
+			.map(c => c.play);
+		if (typeof options.percentile === 'number') {
+			if (plays.length > 0)
+				// Percentile 1 is the best play, 0 the worst
+				plays = [ plays[plays.length - 1 - Math.round(
+					options.percentile * (plays.length - 1))] ];
+		} else if (options.top > 0)
+			plays = plays.slice(0, options.top);
+		plays.forEach(play => report(play));
+	}
+
 	/**
      * Given a position that can have a letter, recursively compute possible
      * word plays by extending down/across the board. For each word,
@@ -184,7 +256,7 @@ define('game/findBestPlay', [
      * @param {number} drow 1 if the extension direction is down
      * @param {Tile[]} rackTiles tiles remaining from the user's letter rack.
 	 * @param {number} tilesPlayed number of tiles from the rack already played
-	 * @param {LetterNode} dNode the current LetterNode
+	 * @param {number} dNode the current node in the dictionary
 	 * @param {Tile[]} wordSoFar the known letters terminating at the dNode.
 	 * @private
      */
@@ -198,27 +270,30 @@ define('game/findBestPlay', [
 		const ecol = col + dcol;
 		const erow = row + drow;
 
-		//console.log(`forward '${pack(wordSoFar)}' ${col}:${dcol} ${row}:${drow} [${dNode.postLetters.join('')}]`);
+		//console.log(`forward '${pack(wordSoFar)}' ${col}:${dcol} ${row}:${drow} [${dict.postLetters(dNode).join('')}]`);
 
 		// Tail recurse; report words as soon as we find them
 		// Are we sitting at the end of a scoring word?
-		if (dNode.isEndOfWord
+		if (dict.isEndOfWord(dNode)
 			&& wordSoFar.length >= 2
 			&& tilesPlayed > 0
 			&& (ecol == board.cols || erow == board.rows
-				|| !board.at(ecol, erow).tile)) {
+				|| !board.at(ecol, erow).tile)
+			// The DAWG doesn't know about words removed by the overlay
+			&& !dict.isRemoved(wordSoFar.map(t => t.letter))) {
 			const words = [];
 			const score =
 				  board.scorePlay(col, row, dcol, drow, wordSoFar, words);
 
-            if (score > bestScore) {
-				bestScore = score;
+			const value = equity(score, rackTiles);
+            if (value > bestScore || reportAll) {
+				bestScore = Math.max(value, bestScore);
 				//console.log(drow > 0 ? 'vertical' : 'horizontal')
-                report(new Move({
+                reportPlay(new Move({
 					placements: wordSoFar.filter(t => !board.at(t.col, t.row).tile),
 					words: words,
 					score: score
-				}));
+				}), value);
 			}
 			else if (col == 5 && row == 6)
 				report(`Reject '${pack(wordSoFar)}' at ${col},${row} ${score}`);
@@ -234,7 +309,7 @@ define('game/findBestPlay', [
 				const xc = crossChecks[ecol][erow][dcol];
 				
 				available = intersection(
-					dNode.postLetters,
+					dict.postLetters(dNode),
 					haveBlank ? xc : intersection(
 						rackTiles.map(t => t.letter), xc));
 				playedTile = 1;
@@ -259,15 +334,13 @@ define('game/findBestPlay', [
 			} else
 				wordSoFar.push(board.at(ecol, erow).tile);
 
-			for (let post of dNode.post) {
-				if (post.letter === letter) {
-					forward(ecol, erow,
-							dcol, drow,
-							shrunkRack, tilesPlayed + playedTile,
-							post,
-							wordSoFar);
-				}
-			}
+			const post = dict.findChild(dNode, letter);
+			if (post >= 0)
+				forward(ecol, erow,
+						dcol, drow,
+						shrunkRack, tilesPlayed + playedTile,
+						post,
+						wordSoFar);
 
 			wordSoFar.pop();
 		}
@@ -286,8 +359,8 @@ define('game/findBestPlay', [
      * @param {number} drow 1 if the extension direction is down
      * @param {Tile[]} rackTiles tiles remaining from the user's letter rack.
 	 * @param {number} tilesPlayed number of tiles from the rack already played
-	 * @param {LetterNode} anchorNode the DictNode where we started backing up
-	 * @param {LetterNode} dNode the current LetterNode
+	 * @param {number} anchorNode the node where we started backing up
+	 * @param {number} dNode the current node in the dictionary
 	 * @param {Tile[]} wordSoFar the known letters terminating at the dNode.
 	 * @private
      */
@@ -304,7 +377,10 @@ define('game/findBestPlay', [
 		let available; // the set of possible candidate letters
 		let playedTile = 0;
 
-		//console.log(`back '${pack(wordSoFar)}' ${col}:${dcol} ${row}:${drow} [${dNode.preLetters.join('')}]`);
+		// Node before this one in a word it is in
+		const pre = dict.parent(dNode);
+
+		//console.log(`back '${pack(wordSoFar)}' ${col}:${dcol} ${row}:${drow} [${pre < 0 ? '' : dict.letter(pre)}]`);
 
 		// Do we have an adjacent empty cell we can back up into?
         if (ecol >= 0 && erow >= 0) {
@@ -316,7 +392,7 @@ define('game/findBestPlay', [
 
 				available =
 				intersection(
-					dNode.preLetters,
+					pre < 0 ? [] : [ dict.letter(pre) ],
 					haveBlank ? xc : intersection(
 						rackTiles.map(l => l.letter),	xc));
 				playedTile = 1;
@@ -349,15 +425,12 @@ define('game/findBestPlay', [
 				// Letter already on the board
 				wordSoFar.unshift(board.at(ecol, erow).tile);
 
-			for (let pre of dNode.pre) {
-				if (pre.letter === letter) {
-					back(ecol, erow,
-						 dcol, drow,
-						 shrunkRack, tilesPlayed + playedTile,
-						 anchorNode, pre,
-						 wordSoFar);
-				}
-			}
+			if (pre >= 0 && dict.letter(pre) === letter)
+				back(ecol, erow,
+					 dcol, drow,
+					 shrunkRack, tilesPlayed + playedTile,
+					 anchorNode, pre,
+					 wordSoFar);
 
 			wordSoFar.shift();
 		}
@@ -365,7 +438,7 @@ define('game/findBestPlay', [
 		// If this is the start of a word in the dictionary, and
 		// we're at the edge of the board or the prior cell is
 		// empty, then we have a valid word start.
-		if (dNode.pre.length == 0
+		if (pre < 0
 			&& (erow < 0 || ecol < 0 || board.at(ecol, erow).isEmpty())) {
 			//console.log(`back word start ${ecol}:${dcol},${erow}:${drow}`);
 			// try extending down beyond the anchor, with the letters
@@ -386,23 +459,22 @@ define('game/findBestPlay', [
 	 * @private
 	 */
 	function bestOpeningPlay(rackTiles) {
-		const ruck = rackTiles.map(l => l.letter).join('');
-		const choices = dict.findAnagrams(ruck);
+		const choices = dict.findAnagrams(rackTiles.map(l => l.letter));
 		// Random whether it is played across or down
 		const drow = Math.round(Math.random());
 		const dcol = (drow + 1) % 2;
-		let bestScore = 0;
+		let bestScore = leave ? -Number.MAX_VALUE : 0;
 
 		for (let choice of Object.keys(choices)) {
 			// Keep track of the rack and played letters
 			const placements = [];
 			let shrunkRack = rackTiles;
-			for (let c of choice.split('')) {
+			for (let c of choices[choice]) {
 				const rackTile = shrunkRack.find(t => t.letter == c)
 					  || shrunkRack.find(t => t.isBlank);
 				if (!rackTile) {
 					// Can't do this with the available tiles
-					choice = '';
+					placements.length = 0;
 					break;
 				}
 				placements.push(new Tile({
@@ -417,7 +489,7 @@ define('game/findBestPlay', [
 			// position
 			const mid = dcol == 0 ? board.midcol : board.midrow;
 			for (let end = mid;
-				 end < mid + choice.length;
+				 end < mid + placements.length;
 				 end++) {
 
 				for (let i = 0; i < placements.length; i++) {
@@ -429,14 +501,19 @@ define('game/findBestPlay', [
 				const score = board.scorePlay(
 					end, mid, dcol, drow, placements);
 
-				if (score > bestScore) {
-					bestScore = score;
+				const value = equity(score, shrunkRack);
+				if (value > bestScore || reportAll) {
+					bestScore = Math.max(value, bestScore);
 					//console.log(drow > 0 ? 'vertical' : 'horizontal')
-					report(new Move({
+					reportPlay(new Move({
 						placements: placements,
-						words: [{ word: choice, score: score }],
+						words: [{
+							word: choice,
+							letters: placements.map(t => t.letter),
+							score: score
+						}],
 						score: score
-					}));
+					}), value);
 				}
 			}
 		}
@@ -451,12 +528,31 @@ define('game/findBestPlay', [
 	 * @param {function} listener Function that is called with a Move each time
 	 * a new best play is found, or a string containing a progress or error
 	 * message.
+	 * @param {object} options options controlling the search
+	 * @param {string} options.strategy 'greedy' (the default) looks for
+	 * the highest scoring play. 'strategic' also takes account of the
+	 * value of the tiles left on the rack after the play.
+	 * @param {boolean} options.all if true, report every distinct play
+	 * found, best first, once the search is finished, and not just
+	 * those that improve on the best play so far.
+	 * @param {number} options.top with options.all, only report this
+	 * many of the best plays. 0 or undefined reports them all.
+	 * @param {number} options.percentile with options.all, only report
+	 * the play at this percentile of the values of the plays found, 1
+	 * being the best play and 0 the worst.
+	 * @param {number} options.maxWordLength with options.all, ignore
+	 * plays that make words longer than this. 0 or undefined for no
+	 * limit.
 	 * @return {Promise} Promise that resolves when all best moves have been
 	 * identified
      * @alias module:game/findBestPlay
 	 */
-    function findBestPlay(game, rack, listener, dictionary) {
+    function findBestPlay(game, rack, listener, dictionary, options) {
 		report = listener;
+		options = options || {};
+		reportAll = options.all;
+		collected = {};
+		maxWordLength = options.maxWordLength;
 
 		if (!game.edition) {
 			report('Error: Game has no edition', game);
@@ -487,8 +583,21 @@ define('game/findBestPlay', [
 			dict = de[0];
 			edition = de[1];
 
+			if (options.strategy === 'strategic')
+				return RackLeave.load(edition, dict);
+			return undefined;
+		})
+		.then(rl => {
+			leave = rl;
+			bagEmpty = game.letterBag && game.letterBag.isEmpty();
+
 			report('Starting computation');
-			bestScore = 0;
+			bestScore = leave ? -Number.MAX_VALUE : 0;
+
+			// Stop looking for plays when time is nearly up
+			const deadline = game.secondsPerPlay > 0
+				  ? Date.now() + game.secondsPerPlay * 1000 * TIME_FRACTION
+				  : Number.MAX_VALUE;
 
 			// Has at least one anchor been explored? If there are
 			// no anchors, we need to compute an opening play
@@ -509,6 +618,8 @@ define('game/findBestPlay', [
 							crossChecks = computeCrossChecks(board, available);
 							anchored = true;
 						}
+						if (Date.now() > deadline)
+							continue;
 						const anchorTile = board.at(col, row).tile;
 						const roots = dict.getSequenceRoots(anchorTile.letter);
 						for (let anchorNode of roots) {
@@ -539,6 +650,8 @@ define('game/findBestPlay', [
 				// No anchors, so this is an opening play.
 				bestOpeningPlay(rackTiles);
 
+			if (reportAll)
+				reportCollected(options);
 		});
 	}
 
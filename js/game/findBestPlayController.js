@@ -5,7 +5,7 @@
  * This is the controller side of a best play thread. It provides 
  * the same API as findBestPlay(). See also findBestPlayWorker.js
  */
-define('game/findBestPlayController', ['worker_threads', 'game/Square', 'game/Fridge', "game/Game"], (threads, Square, Fridge, Game) => {
+define('game/findBestPlayController', ['worker_threads', 'game/Square', 'game/Fridge', "game/Game", 'game/Edition', 'game/RackLeave', 'dawg/Dictionary'], (threads, Square, Fridge, Game, Edition, RackLeave, Dictionary) => {
 
 	/**
 	 * Interface should be the same as for findBestPlay.js so they
@@ -13,17 +13,38 @@ define('game/findBestPlayController', ['worker_threads', 'game/Square', 'game/Fr
 	 * @param {Game} game game to analyse
 	 * @param {string[]} array of useable letters, ' ' means blank tile
 	 * @param {function} listener fn() taking a string or a best play
+	 * @param {string} dictionary name of dictionary to use
+	 * @param {object} options options controlling the search, see
+	 * {@link module:game/findBestPlay}
 	 */
-	function findBestPlayController(game, letters, listener, dictionary) {
-		return new Promise((resolve, reject) => {
+	function findBestPlayController(game, letters, listener, dictionary, options) {
+		// The dictionary, and the rack leave values a strategic
+		// search needs, are loaded once, here, and shared with the
+		// worker so it doesn't have to build them for every play
+		let dict, leave;
+		return Dictionary.load(dictionary || game.dictionary)
+		.then(d => {
+			dict = d;
+			if (!options || options.strategy !== 'strategic')
+				return undefined;
+			return Edition.load(game.edition)
+			.then(edition => RackLeave.load(edition, dict));
+		})
+		.then(rl => leave = rl)
+		.then(() => new Promise((resolve, reject) => {
 			const worker = new threads.Worker(
 				requirejs.toUrl('js/game/findBestPlayWorker.js'),
 				{
-					workerData: Fridge.freeze({
-						game: game,
-						rack: letters,
-						dictionary: dictionary
-					})
+					workerData: {
+						info: Fridge.freeze({
+							game: game,
+							rack: letters,
+							dictionary: dict.name,
+							options: options
+						}),
+						dictionary: dict.share(),
+						leave: leave && leave.share()
+					}
 				});
 
 			// Apply the game time limit
@@ -53,7 +74,7 @@ define('game/findBestPlayController', ['worker_threads', 'game/Square', 'game/Fr
 					console.log(`findBestPlayWorker reported code ${code}`);
 				resolve();
 			});
-		});
+		}));
 	}
 
 	return findBestPlayController;
@@ -16,20 +16,28 @@ requirejs.config({
 /**
  * Worker thread for findBestPlay. This allows the best play to be
  * found asynchronously, without blocking the main thread, so we can
- * time it out if necessary. See also findBestPlayController.js
+ * time it out if necessary. If options.endgame is set, the endgame
+ * search is used instead. See also findBestPlayController.js
  */
-requirejs(['worker_threads', 'game/Fridge', 'game/Game', 'game/findBestPlay'], (threads, Fridge, Game, findBestPlay) => {
+requirejs(['worker_threads', 'game/Fridge', 'game/Game', 'game/RackLeave', 'game/findBestPlay', 'game/findEndgamePlay', 'dawg/Dictionary'], (threads, Fridge, Game, RackLeave, findBestPlay, findEndgamePlay, Dictionary) => {
 
-	const info = Fridge.thaw(threads.workerData, Game.classes);
+	const info = Fridge.thaw(threads.workerData.info, Game.classes);
+
+	// Use the dictionary, and rack leave values, the controller loaded
+	Dictionary.adopt(threads.workerData.dictionary);
+	if (threads.workerData.leave)
+		RackLeave.adopt(threads.workerData.leave);
+	const find = info.options && info.options.endgame
+		  ? findEndgamePlay : findBestPlay;
 
 	/**
 	 * Note that the game is NOT a Game, but just the fields. If methods
 	 * need to be called on it, then game/Fridge can be used to freeze-thaw.
 	 */
-	findBestPlay(info.game, info.rack,
-				 bestPlay => threads.parentPort.postMessage(
-					 Fridge.freeze(bestPlay)),
-				info.dictionary)
+	find(info.game, info.rack,
+		 bestPlay => threads.parentPort.postMessage(
+			 Fridge.freeze(bestPlay)),
+		 info.dictionary, info.options)
 
 	.then(() => {
 		threads.parentPort.postMessage('findBestPlayWorker is exiting');
@@ -0,0 +1,283 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd */
+
+/**
+ * Find the best play in the endgame of a two player game. Once the
+ * bag is empty, the tiles on the opponent's rack are known (they
+ * are the tiles that can't be seen on the board or on our own rack)
+ * so we can search the game tree to the end of the game, using
+ * minimax with alpha-beta pruning. The search is iteratively deepened,
+ * and the best play found at each depth is reported, so the search
+ * can be stopped at any time.
+ * The interface is the same as {@link module:game/findBestPlay}, so
+ * they can be used interchangeably by findBestPlayController.
+ * @module game/findEndgamePlay
+ * @exports game/findEndgamePlay
+ */
+define('game/findEndgamePlay', [
+	'game/Edition', 'game/Tile', 'game/Move', 'game/findBestPlay'
+], (Edition, Tile, Move, findBestPlay) => {
+
+	// Default time limit for the search, if the game has none
+	const DEFAULT_SECONDS = 10;
+
+	// Fraction of the time limit to use, leaving time to report
+	// the result before the search is terminated
+	const TIME_FRACTION = 0.8;
+
+	// Maximum number of plays (in addition to passing) considered
+	// at each node of the search tree
+	const BRANCHING = 12;
+
+	// Number of consecutive passes that ends the game (each of the
+	// two players passes twice)
+	const PASSES_TO_END = 4;
+
+	// Thrown to abort the search when time runs out
+	const TIMED_OUT = 'Endgame search timed out';
+
+	let game;     // pseudo-game used for generating plays
+	let report;   // function to call with a best play or a message
+	let deadline; // time at which the search must stop
+	let nodes;    // number of positions searched, for debug
+	let horizon;  // set true if the search reached the depth limit
+
+	/**
+	 * Get the total score of a set of tiles
+	 * @param {Tile[]} tiles the tiles
+	 * @return {number} the total score
+	 * @private
+	 */
+	function sum(tiles) {
+		return tiles.reduce((total, tile) => total + tile.score, 0);
+	}
+
+	/**
+	 * Get the tiles left on a rack after a play
+	 * @param {Tile[]} rack the tiles on the rack before the play
+	 * @param {Tile[]} placements the tiles played
+	 * @return {Tile[]} the tiles left on the rack
+	 * @private
+	 */
+	function rackLeft(rack, placements) {
+		const left = rack.slice();
+		for (let tile of placements) {
+			left.splice(left.findIndex(
+				t => tile.isBlank
+				? t.isBlank
+				: (!t.isBlank && t.letter === tile.letter)), 1);
+		}
+		return left;
+	}
+
+	/**
+	 * Work out the tiles the opponent must have on their rack. These
+	 * are the tiles in the edition bag that aren't on the board or on
+	 * our rack.
+	 * @param {Edition} edition the edition being played
+	 * @param {Board} board the board
+	 * @param {Tile[]} rack our rack
+	 * @return {Tile[]} the unseen tiles
+	 * @private
+	 */
+	function unseenTiles(edition, board, rack) {
+		const counts = {};
+		for (let tile of edition.bag)
+			counts[tile.letter] = (counts[tile.letter] || 0) + tile.count;
+		const seen = rack.slice();
+		board.forEachTiledSquare(square => {
+			seen.push(square.tile);
+			return false;
+		});
+		for (let tile of seen)
+			counts[tile.isBlank ? ' ' : tile.letter]--;
+
+		const unseen = [];
+		for (let letter of Object.keys(counts)) {
+			for (let i = 0; i < counts[letter]; i++)
+				unseen.push(new Tile({
+					letter: letter,
+					isBlank: letter === ' ',
+					score: edition.letterScore(letter)
+				}));
+		}
+		return unseen;
+	}
+
+	/**
+	 * Find the highest scoring plays for a rack, given the current
+	 * board state.
+	 * @param {Tile[]} rack the rack to play from
+	 * @return {Promise} resolving to a list of {@link Move}, highest
+	 * scoring first, limited to BRANCHING plays
+	 * @private
+	 */
+	function generatePlays(rack) {
+		const plays = [];
+		return findBestPlay(game, rack.slice(), data => {
+			if (typeof data !== 'string')
+				plays.push(data);
+		}, game.dictionary, { all: true, top: BRANCHING })
+		.then(() => plays);
+	}
+
+	/**
+	 * Search the game tree using negamax with alpha-beta pruning.
+	 * Values are the change in the difference between the scores of
+	 * the player to move and their opponent.
+	 * @param {Tile[][]} racks the rack of the player to move, and
+	 * the rack of their opponent
+	 * @param {number} depth number of turns left to search
+	 * @param {number} alpha best value the player to move is assured of
+	 * @param {number} beta best value the opponent is assured of
+	 * @param {number} passes number of consecutive passes so far
+	 * @return {Promise} resolving to an object with `value` and `line`,
+	 * the list of plays (a Move with no placements is a pass) that
+	 * achieves that value
+	 * @private
+	 */
+	async function search(racks, depth, alpha, beta, passes) {
+		if (Date.now() > deadline)
+			throw TIMED_OUT;
+		nodes++;
+
+		const [ rack, otherRack ] = racks;
+		if (depth === 0) {
+			horizon = true;
+			// Guess that whoever has the most left to play will
+			// end up losing it
+			return { value: sum(otherRack) - sum(rack), line: [] };
+		}
+
+		const plays = await generatePlays(rack);
+		plays.push(new Move()); // pass
+		let best = { value: -Number.MAX_VALUE, line: [] };
+
+		for (let play of plays) {
+			let value, line;
+			if (play.placements.length === 0) {
+				if (passes + 1 === PASSES_TO_END) {
+					// Game over, each player loses what is on their rack
+					value = sum(otherRack) - sum(rack);
+					line = [ play ];
+				} else {
+					const child = await search(
+						[ otherRack, rack ], depth - 1, -beta, -alpha,
+						passes + 1);
+					value = -child.value;
+					line = [ play ].concat(child.line);
+				}
+			} else {
+				const left = rackLeft(rack, play.placements);
+				if (left.length === 0) {
+					// Played out, gain what's left on the other rack and
+					// they lose it
+					value = play.score + 2 * sum(otherRack);
+					line = [ play ];
+				} else {
+					for (let tile of play.placements)
+						game.board.at(tile.col, tile.row).placeTile(tile);
+					try {
+						const child = await search(
+							[ otherRack, left ], depth - 1,
+							play.score - beta, play.score - alpha, 0);
+						value = play.score - child.value;
+						line = [ play ].concat(child.line);
+					} finally {
+						for (let tile of play.placements)
+							game.board.at(tile.col, tile.row).placeTile(null);
+					}
+				}
+			}
+
+			if (value > best.value)
+				best = { value: value, line: line };
+			if (value > alpha)
+				alpha = value;
+			if (alpha >= beta)
+				break;
+		}
+		return best;
+	}
+
+	/*
+	 * Given a player's rack, find the best play in the endgame.
+	 * @function game/findEndgamePlay
+	 * @param {Game} theGame the Game. The bag must be empty, and there
+	 * must be two players.
+	 * @param {Tile[]} rack the rack of the player to move
+	 * @param {function} listener Function that is called with a Move
+	 * each time the search completes to a new depth, or a string
+	 * containing a progress or error message. A Move with no placements
+	 * means the best option is to pass. The Move also has a `line`
+	 * field, which is the list of Moves (starting with this one)
+	 * expected to be played to the end of the game, alternating between
+	 * the player and their opponent, and a `spread` field, which is the
+	 * change in the difference between the player's score and their
+	 * opponent's score expected by the end of the game.
+	 * @param {string} dictionary name of dictionary to use
+	 * @param {object} options options controlling the search
+	 * @param {number} options.seconds time limit for the search, defaults
+	 * to the game secondsPerPlay
+	 * @return {Promise} Promise that resolves when the search is complete
+	 * @alias module:game/findEndgamePlay
+	 */
+	function findEndgamePlay(theGame, rack, listener, dictionary, options) {
+		report = listener;
+		options = options || {};
+
+		const seconds = options.seconds || theGame.secondsPerPlay
+			  || DEFAULT_SECONDS;
+		deadline = Date.now() + seconds * 1000 * TIME_FRACTION;
+
+		// findBestPlay only needs these fields of the game
+		game = {
+			edition: theGame.edition,
+			dictionary: dictionary || theGame.dictionary,
+			board: theGame.board,
+			letterBag: theGame.letterBag
+		};
+
+		return Edition.load(game.edition)
+		.then(async edition => {
+			const racks = [ rack, unseenTiles(edition, game.board, rack) ];
+			if (racks[1].length > edition.rackCount) {
+				// Can't be an endgame, the tiles won't fit on a rack
+				report(`Endgame can't place ${racks[1].length} unseen tiles`);
+				return;
+			}
+			report(`Endgame ${racks[0]} against ${racks[1]}`);
+
+			const maxDepth = 2 * (racks[0].length + racks[1].length)
+				  + PASSES_TO_END;
+			for (let depth = 1; depth <= maxDepth; depth++) {
+				nodes = 0;
+				horizon = false;
+				let best;
+				try {
+					best = await search(
+						racks, depth, -Number.MAX_VALUE, Number.MAX_VALUE, 0);
+				} catch (e) {
+					if (e === TIMED_OUT) {
+						report(`Endgame search timed out at depth ${depth}`);
+						return;
+					}
+					throw e;
+				}
+				report(`Endgame depth ${depth} searched ${nodes} positions, spread ${best.value}`);
+				const play = new Move(best.line[0]);
+				play.line = best.line;
+				play.spread = best.value;
+				report(play);
+
+				// If every line reached the end of the game within
+				// the depth searched, deeper searches won't change it
+				if (!horizon)
+					return;
+			}
+		});
+	}
+
+	return findEndgamePlay;
+});
@@ -0,0 +1,160 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd, node */
+
+define('server/DictionaryAdmin', [ 'fs', 'path' ], (fs, Path) => {
+
+	const Fs = fs.promises;
+
+	/**
+	 * Lets admins add words to, and remove words from, a
+	 * {@link Dictionary} without rebuilding the DAWG. The changes are
+	 * kept in an overlay, `<name>.overlay` next to the dictionary,
+	 * which {@link Dictionary.load} applies when it loads the
+	 * dictionary. Who changed what is appended to `<name>.audit`.
+	 * The overlay can be folded into a rebuilt DAWG using
+	 * {@link module:js/dawg/foldOverlay}.
+	 */
+	class DictionaryAdmin {
+
+		/**
+		 * @param {string} directory where the dictionaries are kept
+		 */
+		constructor(directory) {
+			this.directory = directory;
+			// Changes are serialised through this
+			this.queue = Promise.resolve();
+		}
+
+		/**
+		 * Queue a change, so changes are made one at a time
+		 * @param {function} fn function that returns a Promise
+		 * @return {Promise} resolves when fn has finished
+		 * @private
+		 */
+		enqueue(fn) {
+			const p = this.queue.then(fn);
+			this.queue = p.catch(() => undefined);
+			return p;
+		}
+
+		/**
+		 * @param {string} name name of the dictionary
+		 * @param {string} type file extension
+		 * @return {string} path to the file
+		 * @private
+		 */
+		file(name, type) {
+			return Path.join(this.directory, `${name}.${type}`);
+		}
+
+		/**
+		 * An entry in the audit log
+		 * @typedef {object} DictionaryAdmin~Change
+		 * @property {number} time when the change was made
+		 * @property {string} user name of the user who made it
+		 * @property {string} key key of the user who made it
+		 * @property {string[]} added words added
+		 * @property {string[]} removed words removed
+		 */
+
+		/**
+		 * Promise to get the audit log for a dictionary
+		 * @param {string} name name of the dictionary
+		 * @return {Promise} resolves to a list of
+		 * {@link DictionaryAdmin~Change}, oldest first
+		 */
+		getAudit(name) {
+			return Fs.readFile(this.file(name, 'audit'))
+			.then(data => data.toString().split('\n')
+				  .filter(line => line.length > 0)
+				  .map(line => JSON.parse(line)))
+			.catch(() => []);
+		}
+
+		/**
+		 * Promise to add and remove words. Adding a word that was
+		 * removed puts it back, and removing a word that was added
+		 * takes it out of the overlay again. Words that are already
+		 * in (or not in) the dictionary are ignored.
+		 * @param {Dictionary} dict the dictionary, which is updated
+		 * with the new overlay
+		 * @param {object} user the user making the change
+		 * @param {string[]} add words to add
+		 * @param {string[]} remove words to remove
+		 * @return {Promise} resolves to the {@link Dictionary~Overlay}
+		 * after the change. Rejects with an Error listing the `words`
+		 * that can't be spelled with the letters in the dictionary.
+		 */
+		change(dict, user, add, remove) {
+			add = add.map(w => w.toUpperCase());
+			remove = remove.map(w => w.toUpperCase());
+
+			const bad = add.filter(w => !dict.spell(w));
+			if (bad.length > 0) {
+				const e = new Error(
+					/*i18n*/"Can't spell $1 with the letters in the dictionary");
+				e.words = bad;
+				return Promise.reject(e);
+			}
+
+			return this.enqueue(() => {
+				const overlay = {
+					added: dict.overlay ? dict.overlay.added.slice() : [],
+					removed: dict.overlay ? dict.overlay.removed.slice() : []
+				};
+				const change = {
+					time: Date.now(),
+					user: user.name,
+					key: user.key,
+					added: [],
+					removed: []
+				};
+
+				for (let word of add) {
+					const i = overlay.removed.indexOf(word);
+					if (i >= 0)
+						overlay.removed.splice(i, 1);
+					else if (dict.hasWord(word)
+							 || overlay.added.indexOf(word) >= 0)
+						continue;
+					else
+						overlay.added.push(word);
+					change.added.push(word);
+				}
+
+				for (let word of remove) {
+					const i = overlay.added.indexOf(word);
+					if (i >= 0)
+						overlay.added.splice(i, 1);
+					else if (overlay.removed.indexOf(word) >= 0
+							 // Only words in the DAWG can be removed
+							 || !dict.hasWord(word) && !dict.isRemoved(word))
+						continue;
+					else
+						overlay.removed.push(word);
+					change.removed.push(word);
+				}
+
+				if (change.added.length === 0 && change.removed.length === 0)
+					return overlay;
+
+				overlay.added.sort();
+				overlay.removed.sort();
+				dict.setOverlay(overlay);
+				console.log(`${user.name} changed ${dict.name}`,
+							change.added, change.removed);
+
+				const fn = this.file(dict.name, 'overlay');
+				return ((overlay.added.length + overlay.removed.length) > 0
+						? Fs.writeFile(fn, JSON.stringify(overlay, null, 1))
+						: Fs.unlink(fn))
+				.then(() => Fs.appendFile(this.file(dict.name, 'audit'),
+										  `${JSON.stringify(change)}\n`))
+				.then(() => overlay);
+			});
+		}
+	}
+
+	return DictionaryAdmin;
+});
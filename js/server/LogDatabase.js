@@ -0,0 +1,392 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd, node */
+
+define('server/LogDatabase', [
+	'fs', 'path', 'proper-lockfile', 'game/Platform', 'game/Fridge'
+], (
+	fs, Path, Lock, Platform, Fridge
+) => {
+
+	const Fs = fs.promises;
+
+	// The log is compacted when more than this fraction of the records
+	// in it have been superseded
+	const COMPACT_FRACTION = 0.5;
+
+	// While the log is open, it isn't compacted until it has at least
+	// this many records, so small logs aren't rewritten on every write
+	const COMPACT_MIN_RECORDS = 100;
+
+	// Size of the chunks the log is read in when it is opened
+	const CHUNK_SIZE = 65536;
+
+	/**
+	 * Implementation of {@link Database} that keeps all entries in a
+	 * single append-only log file. Each line in the log is a JSON
+	 * record, either `{ key:, index:, data: }` giving the latest value
+	 * of the key, or `{ key:, rm: true }` when the key is removed.
+	 * When the log is opened it is read once, a chunk at a time, to
+	 * build an index of the position of the latest record for each key,
+	 * and an inverted index of the fields returned by the `index`
+	 * option, so {@link LogDatabase#select} doesn't have to read any
+	 * data. The log is compacted when it is opened, and as it is
+	 * written, when most of the records in it have been superseded.
+	 * The log file is locked while the database is open, so only one
+	 * process can use it at a time. If it can't be opened, every
+	 * operation fails until it can.
+	 */
+	class LogDatabase extends Platform.Database {
+
+		/**
+		 * @param {string} id name of a directory under the requirejs root
+		 * where the log file is kept
+		 * @param {string} type the log file is called `${type}.log`
+		 * @param {object?} options see {@link Database}
+		 */
+		constructor(id, type, options) {
+			super(id, type, options);
+			this.file = Path.join(requirejs.toUrl(id), `${type}.log`);
+			this.options = options || {};
+			/**
+			 * Map from key to { offset, length, index } of the latest
+			 * record for the key
+			 * @private
+			 */
+			this.entries = undefined;
+			/**
+			 * Map from index field name to a map from value to the
+			 * set of keys with that value
+			 * @private
+			 */
+			this.indices = undefined;
+			/**
+			 * Number of records in the log, including superseded ones
+			 * @private
+			 */
+			this.records = 0;
+			// Promise that resolves when the log is open, or rejects
+			// if it couldn't be opened
+			this.opened = undefined;
+			// Promise that resolves when all previously requested
+			// operations on the log file are complete
+			this.queue = Promise.resolve();
+		}
+
+		/**
+		 * Promise to open the log, if it isn't already open. If it
+		 * can't be opened, it will be tried again next time.
+		 * @return {Promise} resolves when the log is ready
+		 * @private
+		 */
+		open() {
+			if (!this.opened)
+				this.opened = this.load()
+				.catch(e => {
+					this.opened = undefined;
+					this.entries = undefined;
+					this.indices = undefined;
+					// Don't keep the lock on a log that isn't open
+					const release = this.release;
+					this.release = undefined;
+					return (release ? release() : Promise.resolve())
+					.catch(() => undefined)
+					.then(() => {
+						throw e;
+					});
+				});
+			return this.opened;
+		}
+
+		/**
+		 * Promise to run an operation on the log file, once the log
+		 * is open and all previously requested operations are complete.
+		 * Operations are queued, so they happen in the order they are
+		 * requested.
+		 * @param {function} operation function returning a Promise
+		 * @return {Promise} resolves to the result of the operation,
+		 * or rejects if it fails or the log can't be opened
+		 * @private
+		 */
+		enqueue(operation) {
+			const done = this.queue
+			.then(() => this.open())
+			.then(operation);
+			// A failed operation mustn't stop later operations. The
+			// caller is told it failed.
+			this.queue = done.catch(() => undefined);
+			return done;
+		}
+
+		/**
+		 * Check if enough of the log is superseded records that it
+		 * should be compacted
+		 * @param {number} minimum the fewest records worth compacting
+		 * @return {boolean} true if it should be compacted
+		 * @private
+		 */
+		needsCompacting(minimum) {
+			const live = Object.keys(this.entries).length;
+			return this.records >= minimum
+			&& this.records - live > this.records * COMPACT_FRACTION;
+		}
+
+		/**
+		 * Add a key to the inverted indices
+		 * @param {string} key the key
+		 * @param {object} index the index of the entry
+		 * @private
+		 */
+		addIndex(key, index) {
+			for (let field of Object.keys(index || {})) {
+				if (!this.indices[field])
+					this.indices[field] = {};
+				const values = Array.isArray(index[field])
+					  ? index[field] : [ index[field] ];
+				for (let value of values) {
+					if (!this.indices[field][value])
+						this.indices[field][value] = new Set();
+					this.indices[field][value].add(key);
+				}
+			}
+		}
+
+		/**
+		 * Remove a key from the inverted indices
+		 * @param {string} key the key
+		 * @private
+		 */
+		removeIndex(key) {
+			const entry = this.entries[key];
+			if (!entry)
+				return;
+			for (let field of Object.keys(entry.index || {})) {
+				const values = Array.isArray(entry.index[field])
+					  ? entry.index[field] : [ entry.index[field] ];
+				for (let value of values)
+					this.indices[field][value].delete(key);
+			}
+		}
+
+		/**
+		 * Add a record read from the log to the indices
+		 * @param {Buffer} buffer buffer holding the record
+		 * @param {number} start start of the record in the buffer
+		 * @param {number} end end of the record in the buffer
+		 * @param {number} offset offset of the record in the log
+		 * @private
+		 */
+		loadRecord(buffer, start, end, offset) {
+			const record = JSON.parse(buffer.toString('utf8', start, end));
+			this.removeIndex(record.key);
+			if (record.rm)
+				delete this.entries[record.key];
+			else {
+				this.entries[record.key] = {
+					offset: offset,
+					length: end - start,
+					index: record.index
+				};
+				this.addIndex(record.key, record.index);
+			}
+			this.records++;
+		}
+
+		/**
+		 * Read the log a chunk at a time and build the indices,
+		 * compacting it if it has a lot of superseded records
+		 * @return {Promise} resolves when the log has been read
+		 * @private
+		 */
+		async load() {
+			this.entries = {};
+			this.indices = {};
+			this.records = 0;
+			this.size = 0;
+			await Fs.mkdir(Path.dirname(this.file), { recursive: true });
+			await (await Fs.open(this.file, 'a')).close();
+			this.release = await Lock.lock(this.file);
+
+			const fd = await Fs.open(this.file, 'r');
+			const chunk = Buffer.alloc(CHUNK_SIZE);
+			// Start of a record that continues in the next chunk
+			let pending = Buffer.alloc(0);
+			try {
+				for (;;) {
+					const { bytesRead } = await fd.read(
+						chunk, 0, CHUNK_SIZE, this.size + pending.length);
+					if (bytesRead === 0)
+						break;
+					const buffer = Buffer.concat(
+						[ pending, chunk.subarray(0, bytesRead) ]);
+					let start = 0, end;
+					while ((end = buffer.indexOf(0x0A, start)) >= 0) {
+						this.loadRecord(buffer, start, end, this.size + start);
+						start = end + 1;
+					}
+					this.size += start;
+					pending = buffer.subarray(start);
+				}
+			} finally {
+				await fd.close();
+			}
+
+			if (pending.length > 0)
+				// Cut off an incomplete last write
+				await Fs.truncate(this.file, this.size);
+
+			if (this.needsCompacting(0))
+				await this.compact();
+		}
+
+		/**
+		 * Promise to rewrite the log with only the latest record for
+		 * each key. This is done automatically when more than half of
+		 * the log is superseded records. Only call it from an
+		 * operation on the queue, or when the log is being opened.
+		 * @return {Promise} resolves when the log has been rewritten
+		 * @private
+		 */
+		async compact() {
+			const temp = `${this.file}.tmp`;
+			const entries = {};
+			const lines = [];
+			let size = 0;
+			const fd = await Fs.open(this.file, 'r');
+			try {
+				for (let key of Object.keys(this.entries)) {
+					const entry = this.entries[key];
+					// Include the newline
+					const buf = Buffer.alloc(entry.length + 1);
+					await fd.read(buf, 0, buf.length, entry.offset);
+					lines.push(buf);
+					entries[key] = {
+						offset: size,
+						length: entry.length,
+						index: entry.index
+					};
+					size += buf.length;
+				}
+			} finally {
+				await fd.close();
+			}
+			await Fs.writeFile(temp, Buffer.concat(lines));
+			await Fs.rename(temp, this.file);
+			this.entries = entries;
+			this.records = lines.length;
+			this.size = size;
+		}
+
+		/**
+		 * Promise to append a record to the log, and update the
+		 * entries and indices for its key. The log is compacted
+		 * when enough of it has been superseded.
+		 * @param {object} record the record to write
+		 * @param {object?} index the index of the record
+		 * @return {Promise} resolves when the record is written
+		 * @private
+		 */
+		append(record, index) {
+			const line = JSON.stringify(record);
+			return this.enqueue(
+				() => Fs.appendFile(this.file, `${line}\n`)
+				.then(() => {
+					this.removeIndex(record.key);
+					if (record.rm)
+						delete this.entries[record.key];
+					else {
+						this.entries[record.key] = {
+							offset: this.size,
+							length: Buffer.byteLength(line),
+							index: index
+						};
+						this.addIndex(record.key, index);
+					}
+					this.size += Buffer.byteLength(line) + 1;
+					this.records++;
+					if (this.needsCompacting(COMPACT_MIN_RECORDS))
+						return this.compact();
+					return undefined;
+				}));
+		}
+
+		/**
+		 * Release the lock on the log. The database will be reopened
+		 * if it is used again.
+		 * @return {Promise} resolves when the lock is released
+		 */
+		close() {
+			return this.queue
+			.then(() => this.opened
+				  && this.opened.then(() => this.release(), () => undefined))
+			.then(() => {
+				this.opened = undefined;
+				this.release = undefined;
+				this.entries = undefined;
+				this.indices = undefined;
+			});
+		}
+
+		/** See {@link Database#keys} for documentation */
+		keys() {
+			return this.open()
+			.then(() => Object.keys(this.entries));
+		}
+
+		/** See {@link Database#set} for documentation */
+		set(key, data) {
+			const index = this.options.index
+				  ? this.options.index(data) : undefined;
+			return this.append({
+				key: key,
+				index: index,
+				data: Fridge.freeze(data)
+			}, index);
+		}
+
+		/** See {@link Database#get} for documentation */
+		get(key, classes) {
+			// Queued, so the log isn't compacted while it's read
+			return this.enqueue(async () => {
+				const entry = this.entries[key];
+				if (!entry) {
+					// Same as a FileDatabase when the file is missing
+					const e = new Error(`${key} not found in ${this.file}`);
+					e.code = 'ENOENT';
+					throw e;
+				}
+				const buf = Buffer.alloc(entry.length);
+				const fd = await Fs.open(this.file, 'r');
+				try {
+					await fd.read(buf, 0, entry.length, entry.offset);
+				} finally {
+					await fd.close();
+				}
+				return Fridge.thaw(JSON.parse(buf.toString()).data, classes);
+			});
+		}
+
+		/** See {@link Database#select} for documentation */
+		select(query) {
+			return this.open()
+			.then(() => {
+				let keys;
+				for (let field of Object.keys(query)) {
+					const index = this.indices[field] || {};
+					const matched = index[query[field]] || new Set();
+					keys = keys
+					? keys.filter(key => matched.has(key))
+					: Array.from(matched);
+				}
+				return keys || Object.keys(this.entries);
+			});
+		}
+
+		/** See {@link Database#rm} for documentation */
+		rm(key) {
+			return this.append({ key: key, rm: true });
+		}
+	}
+
+	return LogDatabase;
+});
@@ -0,0 +1,456 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd, node */
+
+define('server/PlayerStats', [ 'game/Player' ], Player => {
+
+	// Key of the statistics in the database
+	const KEY = 'players';
+
+	// Most entries kept in a player's rating history in an edition
+	const MAX_HISTORY = 100;
+
+	// Rating given to a player in their first game in an edition
+	const INITIAL_RATING = 1500;
+
+	// Elo K-factor; the most a rating can change by in one game
+	const K_FACTOR = 32;
+
+	/**
+	 * Create the counters for a player, or for a player in one edition
+	 * @return {object} the counters
+	 * @private
+	 */
+	function counters() {
+		return {
+			games: 0,
+			wins: 0,
+			losses: 0,
+			score: 0, // total of final scores
+			averageScore: 0,
+			bingos: 0
+		};
+	}
+
+	/**
+	 * Add a player's result in a game to a set of counters
+	 * @param {object} c the counters
+	 * @param {number} score the player's final score
+	 * @param {boolean} won true if the player won (or tied for the win)
+	 * @param {number} bingos the number of bingos the player played
+	 * @private
+	 */
+	function count(c, score, won, bingos) {
+		c.games++;
+		if (won)
+			c.wins++;
+		else
+			c.losses++;
+		c.score += score;
+		c.averageScore = Math.round(c.score / c.games);
+		c.bingos += bingos;
+	}
+
+	/**
+	 * Get the probability of a player beating an opponent, according
+	 * to their ratings
+	 * @param {number} rating the player's rating
+	 * @param {number} opponent the opponent's rating
+	 * @return {number} the expected result, between 0 and 1
+	 * @private
+	 */
+	function expected(rating, opponent) {
+		return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+	}
+
+	/**
+	 * Compute the change in Elo rating for each player in a game. A
+	 * game with more than two players is treated as a set of two
+	 * player games between every pair of players, and the K-factor is
+	 * shared between them so a game counts the same whatever the
+	 * number of players.
+	 * @param {object[]} results `{rating, score, forfeited}` for
+	 * each player
+	 * @return {number[]} the change in rating for each player
+	 * @private
+	 */
+	function ratingChanges(results) {
+		const k = K_FACTOR / (results.length - 1);
+		return results.map(me => {
+			let change = 0;
+			for (let them of results) {
+				if (them === me)
+					continue;
+				// A player who forfeited loses, whatever the scores
+				const actual = me.forfeited !== them.forfeited
+					  ? (me.forfeited ? 0 : 1)
+					  : me.score > them.score ? 1
+					  : me.score < them.score ? 0 : 0.5;
+				change += k * (actual - expected(me.rating, them.rating));
+			}
+			return change;
+		});
+	}
+
+	/**
+	 * Get who a player's results are recorded for. A team's results
+	 * are recorded for the team, and for each of its members. The
+	 * team has a key made from the keys of its members, so the same
+	 * partners playing together again are the same team.
+	 * @param {Player} player the player
+	 * @return {object[]} `{key, name}` for each, the team first
+	 * @private
+	 */
+	function participants(player) {
+		if (!player.members)
+			return [ { key: player.key, name: player.name } ];
+		return [ {
+			key: player.members.map(m => m.key).sort().join('+'),
+			name: player.name,
+			members: player.members.map(m => m.name)
+		} ].concat(player.members);
+	}
+
+	/**
+	 * Cumulative statistics for each player over all finished games,
+	 * kept in a database so that they don't have to be recomputed from
+	 * the games. Games are added when they finish (see
+	 * {@link Game#confirmGameOver}). Each game is only counted once;
+	 * a counted game has a small record of its own in the database,
+	 * keyed by the game key, so the record of the players doesn't
+	 * grow with every game.
+	 */
+	class PlayerStats {
+
+		/**
+		 * @param {Platform.Database} db database to keep the
+		 * statistics in
+		 */
+		constructor(db) {
+			this.db = db;
+			/**
+			 * Statistics for each player, indexed by player key. Each
+			 * has `key`, `name`, the counters `games`, `wins`, `losses`,
+			 * `score`, `averageScore` and `bingos`, `bestMove` (the
+			 * highest scoring move, with `score`, `words` and `gameKey`)
+			 * and `editions`, the counters for each edition played.
+			 * For human players, the counters for each edition also
+			 * have the player's Elo `rating` in that edition, and the
+			 * `ratingHistory`, a list of `{gameKey, time, rating}`
+			 * giving the rating after each of the last MAX_HISTORY
+			 * games. Teams also have
+			 * `members`, the names of the users in the team (see
+			 * {@link Player#members}).
+			 * @member {object}
+			 */
+			this.players = {};
+			/**
+			 * Keys of the games counted, or being counted, since the
+			 * statistics were loaded. The database has a record for
+			 * every game that has been counted.
+			 * @member {object}
+			 */
+			this.counted = {};
+			// List of players, sorted by total score
+			this.list = [];
+			this.loaded = undefined;
+		}
+
+		/**
+		 * Promise to load the statistics from the database. An empty
+		 * set of statistics is created if there are none.
+		 * @return {Promise} resolves to this
+		 */
+		load() {
+			if (!this.loaded)
+				this.loaded = this.db.get(KEY)
+				.then(data => {
+					this.players = data.players;
+					if (data.games)
+						// Saved when the counted games were kept
+						// with the players
+						return Promise.all(Object.keys(data.games).map(
+							key => this.markCounted(key)))
+						.then(() => this.save());
+					return undefined;
+				})
+				.catch(e => {
+					if (e.code !== 'ENOENT')
+						throw e;
+				})
+				.then(() => this.sort());
+			return this.loaded.then(() => this);
+		}
+
+		/**
+		 * Promise to save the statistics to the database
+		 * @return {Promise} resolves when saved
+		 * @private
+		 */
+		save() {
+			return this.db.set(KEY, { players: this.players });
+		}
+
+		/**
+		 * Promise to record in the database that a game has been
+		 * counted
+		 * @param {string} key the key of the game
+		 * @return {Promise} resolves when recorded
+		 * @private
+		 */
+		markCounted(key) {
+			return this.db.set(key, { counted: true });
+		}
+
+		/**
+		 * Promise to find if a game has been counted, since the
+		 * statistics were loaded or before
+		 * @param {string} key the key of the game
+		 * @return {Promise} resolves to true if it has
+		 * @private
+		 */
+		isCounted(key) {
+			if (this.counted[key])
+				return Promise.resolve(true);
+			return this.db.get(key)
+			.then(() => true)
+			.catch(e => {
+				if (e.code !== 'ENOENT')
+					throw e;
+				return false;
+			});
+		}
+
+		/**
+		 * Rebuild the list of players sorted by total score
+		 * @private
+		 */
+		sort() {
+			this.list = Object.values(this.players)
+			.sort((a, b) => b.score - a.score);
+		}
+
+		/**
+		 * Get the current rating of a player in an edition. Robots
+		 * don't have a rating of their own; they are anchors with a
+		 * fixed rating that depends on the level they play at.
+		 * @param {Player} player the player
+		 * @param {string} edition name of the edition
+		 * @return {number} the rating
+		 * @private
+		 */
+		getRating(player, edition) {
+			if (player.isRobot)
+				return (Player.LEVELS[player.level]
+						|| Player.LEVELS.expert).rating;
+			const stats = this.players[participants(player)[0].key];
+			if (stats && stats.editions[edition]
+				&& typeof stats.editions[edition].rating === 'number')
+				return stats.editions[edition].rating;
+			return INITIAL_RATING;
+		}
+
+		/**
+		 * Update the ratings of the human players in a finished game,
+		 * before the game is counted. A team is rated on the team's
+		 * rating, and its members' ratings change by the same amount.
+		 * @param {Game} game the game
+		 * @private
+		 */
+		rate(game) {
+			if (game.players.length < 2)
+				return;
+			const changes = ratingChanges(game.players.map(player => ({
+				rating: this.getRating(player, game.edition),
+				score: player.score,
+				forfeited: player.key === game.forfeitedKey
+			})));
+			const time = game.lastActivity();
+			game.players.forEach((player, i) => {
+				if (player.isRobot)
+					return;
+				for (let who of participants(player)) {
+					const ed = this.players[who.key].editions[game.edition];
+					const rating = (typeof ed.rating === 'number'
+									? ed.rating : INITIAL_RATING)
+						  + changes[i];
+					ed.rating = rating;
+					if (!ed.ratingHistory)
+						ed.ratingHistory = [];
+					ed.ratingHistory.push({
+						gameKey: game.key,
+						time: time,
+						rating: Math.round(rating)
+					});
+					if (ed.ratingHistory.length > MAX_HISTORY)
+						ed.ratingHistory.splice(
+							0, ed.ratingHistory.length - MAX_HISTORY);
+				}
+			});
+		}
+
+		/**
+		 * Add the results of a finished game to the statistics, without
+		 * saving them, or checking if the game has already been counted
+		 * @param {Game} game the game
+		 * @private
+		 */
+		count(game) {
+
+			// Make sure every player has statistics for the edition
+			for (let player of game.players) {
+				for (let who of participants(player)) {
+					if (!this.players[who.key])
+						this.players[who.key] = Object.assign(
+							{ key: who.key, editions: {} }, counters());
+					if (!this.players[who.key].editions[game.edition])
+						this.players[who.key].editions[game.edition]
+						= counters();
+				}
+			}
+			this.rate(game);
+
+			for (let player of game.players) {
+				let bingos = 0, bestMove;
+				for (let turn of game.turns) {
+					if (turn.type !== 'move' || turn.playerKey !== player.key)
+						continue;
+					if (turn.placements.length === game.rackSize)
+						bingos++;
+					if (!bestMove || turn.score > bestMove.score)
+						bestMove = {
+							score: turn.score,
+							words: turn.words.map(w => w.word),
+							gameKey: game.key
+						};
+				}
+
+				const won = game.isWinner(player);
+				for (let who of participants(player)) {
+					const stats = this.players[who.key];
+					stats.name = who.name;
+					if (who.members)
+						stats.members = who.members;
+					if (bestMove && (!stats.bestMove
+									 || bestMove.score > stats.bestMove.score))
+						stats.bestMove = bestMove;
+					count(stats, player.score, won, bingos);
+					count(stats.editions[game.edition],
+						  player.score, won, bingos);
+				}
+			}
+		}
+
+		/**
+		 * Promise to add the results of a finished game to the
+		 * statistics. Nothing is done if the game has already been
+		 * counted.
+		 * @param {Game} game the game
+		 * @return {Promise} resolves when the statistics have been saved
+		 */
+		addGame(game) {
+			return this.load()
+			.then(() => {
+				const counted = this.isCounted(game.key);
+				// So the game isn't counted again while that is found
+				this.counted[game.key] = true;
+				return counted;
+			})
+			.then(counted => {
+				if (counted)
+					return undefined;
+				this.count(game);
+				this.sort();
+				return this.save()
+				.then(() => this.markCounted(game.key));
+			});
+		}
+
+		/**
+		 * Promise to get the statistics for all players
+		 * @return {Promise} resolves to a list of player statistics
+		 * (see {@link PlayerStats#players}), highest total score first
+		 */
+		getList() {
+			return this.load()
+			.then(() => this.list);
+		}
+
+		/**
+		 * Promise to get the ratings of human players in each edition
+		 * @return {Promise} resolves to an object keyed by edition
+		 * name. Each is a list of `{key, name, rating, games,
+		 * history}`, highest rating first. `history` is the rating
+		 * history (see {@link PlayerStats#players}).
+		 */
+		getRatings() {
+			return this.load()
+			.then(() => {
+				const editions = {};
+				for (let stats of this.list) {
+					for (let edition of Object.keys(stats.editions)) {
+						const ed = stats.editions[edition];
+						if (typeof ed.rating !== 'number')
+							continue;
+						if (!editions[edition])
+							editions[edition] = [];
+						editions[edition].push({
+							key: stats.key,
+							name: stats.name,
+							rating: Math.round(ed.rating),
+							games: ed.games,
+							history: ed.ratingHistory
+						});
+					}
+				}
+				for (let list of Object.values(editions))
+					list.sort((a, b) => b.rating - a.rating);
+				return editions;
+			});
+		}
+
+		/**
+		 * Promise to recompute the statistics from scratch
+		 * @param {function} games function that is called with no
+		 * parameters, and returns a Promise that resolves to a list of
+		 * keys of finished games
+		 * @param {function} loadGame function that is called with a
+		 * game key, and returns a Promise that resolves to the game
+		 * @return {Promise} resolves to the number of games counted
+		 */
+		rebuild(games, loadGame) {
+			this.players = {};
+			this.counted = {};
+			this.loaded = Promise.resolve();
+			// Ratings depend on the order games are played in, so
+			// find when each game finished before counting them
+			const finished = [];
+			return games()
+			.then(keys => keys.reduce(
+				(p, key) => p.then(() => loadGame(key))
+				.then(game => {
+					if (game.hasEnded())
+						finished.push({ key: key, time: game.lastActivity() });
+				}),
+				Promise.resolve()))
+			.then(() => finished
+				  .sort((a, b) => a.time - b.time)
+				  .reduce(
+					  (p, f) => p.then(() => loadGame(f.key))
+					  .then(game => {
+						  this.count(game);
+						  this.counted[f.key] = true;
+					  }),
+					  Promise.resolve()))
+			.then(() => {
+				this.sort();
+				return this.save();
+			})
+			.then(() => Promise.all(finished.map(
+				f => this.markCounted(f.key))))
+			.then(() => finished.length);
+		}
+	}
+
+	return PlayerStats;
+});
@@ -0,0 +1,194 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd, node */
+
+define('server/Scheduler', () => {
+
+	// Longest delay setTimeout can handle, about 24 days. Jobs further
+	// in the future are woken up early and put back to sleep.
+	const MAX_DELAY = 0x7FFFFFFF;
+
+	/**
+	 * Runs jobs at a given time, and remembers them in a database so
+	 * they still run if the server is restarted. Each job has a
+	 * `type`; the server says what to do for each type of job with
+	 * {@link Scheduler#on}. Jobs whose time passed while the server
+	 * was down are run as soon as the scheduler is started.
+	 */
+	class Scheduler {
+
+		/**
+		 * @param {Platform.Database} db database to keep the jobs in
+		 * @param {boolean?} debug true to log jobs as they are
+		 * scheduled and run
+		 */
+		constructor(db, debug) {
+			this.db = db;
+			this.debug = debug;
+			// Jobs waiting to run; map from key to job
+			this.jobs = {};
+			// Handlers for each type of job; map from type to function
+			this.handlers = {};
+			// Timers for each job; map from key to timer
+			this.timers = {};
+			// Database updates are serialised through this
+			this.queue = Promise.resolve();
+		}
+
+		/**
+		 * Set the function used to run a type of job
+		 * @param {string} type the type of job
+		 * @param {function} handler function(job) that returns a
+		 * Promise. `job` is `{key, type, at, data}`
+		 * @return {Scheduler} this
+		 */
+		on(type, handler) {
+			this.handlers[type] = handler;
+			return this;
+		}
+
+		/**
+		 * Promise to load the jobs from the database and start their
+		 * timers
+		 * @return {Promise} resolves when the jobs have been loaded
+		 */
+		start() {
+			return this.db.keys()
+			.then(keys => Promise.all(keys.map(
+				key => this.db.get(key)
+				.then(job => {
+					this.jobs[key] = job;
+					this.arm(job);
+				})
+				.catch(e => console.error(`Could not load job ${key}`, e)))))
+			.then(() => {
+				if (this.debug)
+					console.debug(`Scheduler started with ${Object.keys(this.jobs).length} jobs`);
+			});
+		}
+
+		/**
+		 * Stop all the timers. Jobs stay in the database, and will be
+		 * run when the scheduler is next started.
+		 */
+		stop() {
+			for (let key of Object.keys(this.timers))
+				clearTimeout(this.timers[key]);
+			this.timers = {};
+		}
+
+		/**
+		 * Get a job that is waiting to run
+		 * @param {string} key the job key
+		 * @return {object} the job, or undefined if there is no
+		 * such job
+		 */
+		get(key) {
+			return this.jobs[key];
+		}
+
+		/**
+		 * Schedule a job, replacing any existing job with the same key
+		 * @param {string} key key that identifies the job. Must be
+		 * usable as a database key.
+		 * @param {string} type the type of job, see {@link Scheduler#on}
+		 * @param {number} at epoch ms when the job is to run
+		 * @param {object?} data passed to the handler in `job.data`
+		 * @return {Promise} resolves when the job has been saved
+		 */
+		schedule(key, type, at, data) {
+			const job = { key: key, type: type, at: at, data: data || {} };
+			this.disarm(key);
+			this.jobs[key] = job;
+			if (this.debug)
+				console.debug(`Scheduled ${type} ${key} at ${new Date(at).toISOString()}`);
+			this.arm(job);
+			return this.enqueue(() => this.db.set(key, job));
+		}
+
+		/**
+		 * Cancel a job. Does nothing if there is no such job.
+		 * @param {string} key the job key
+		 * @return {Promise} resolves when the job has been removed
+		 * from the database
+		 */
+		cancel(key) {
+			if (!this.jobs[key])
+				return Promise.resolve();
+			if (this.debug)
+				console.debug(`Cancelled ${key}`);
+			this.disarm(key);
+			delete this.jobs[key];
+			return this.enqueue(() => this.db.rm(key));
+		}
+
+		/**
+		 * Queue a database update, so that updates to the same job
+		 * happen in the order they were made
+		 * @param {function} fn function that returns a Promise
+		 * @return {Promise} resolves when the update is done
+		 * @private
+		 */
+		enqueue(fn) {
+			const p = this.queue.then(fn)
+				  .catch(e => console.error('Scheduler database', e));
+			this.queue = p;
+			return p;
+		}
+
+		/**
+		 * Start the timer for a job
+		 * @param {object} job the job
+		 * @private
+		 */
+		arm(job) {
+			const delay = Math.max(0, job.at - Date.now());
+			this.timers[job.key] = setTimeout(() => {
+				delete this.timers[job.key];
+				if (this.jobs[job.key] !== job)
+					return; // replaced or cancelled
+				if (job.at > Date.now()) {
+					// Woken early, see MAX_DELAY
+					this.arm(job);
+					return;
+				}
+				this.run(job);
+			}, Math.min(delay, MAX_DELAY));
+		}
+
+		/**
+		 * Stop the timer for a job, if there is one
+		 * @param {string} key the job key
+		 * @private
+		 */
+		disarm(key) {
+			if (this.timers[key]) {
+				clearTimeout(this.timers[key]);
+				delete this.timers[key];
+			}
+		}
+
+		/**
+		 * Run a job. The job is removed before the handler is
+		 * called, so a handler can schedule a job with the same key.
+		 * @param {object} job the job
+		 * @return {Promise} resolves when the handler has finished
+		 * @private
+		 */
+		run(job) {
+			if (this.debug)
+				console.debug(`Running ${job.type} ${job.key}`);
+			delete this.jobs[job.key];
+			return this.enqueue(() => this.db.rm(job.key))
+			.then(() => {
+				const handler = this.handlers[job.type];
+				if (!handler)
+					throw Error(`No handler for ${job.type} job ${job.key}`);
+				return handler(job);
+			})
+			.catch(e => console.error(`Job ${job.key} failed`, e));
+		}
+	}
+
+	return Scheduler;
+});
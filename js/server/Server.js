@@ -6,18 +6,31 @@ define('server/Server', [
 	'fs', 'node-getopt', 'events',
 	'socket.io', 'http', 'https', 'nodemailer', "cors",
 	'express', 'express-negotiate', 'errorhandler',
-	'platform', 'server/UserManager',
-	'game/Fridge', 'game/Game', 'game/Player', 'game/Edition'
+	'platform', 'server/UserManager', 'server/LogDatabase',
+	'server/PlayerStats', 'server/Tournament', 'server/Tournaments',
+	'server/Scheduler', 'server/DictionaryAdmin',
+	'game/Fridge', 'game/Game', 'game/Player', 'game/Edition', 'game/GCG',
+	'dawg/Dictionary', 'dawg/Definitions'
 ], (
 	fs, Getopt, Events,
 	SocketIO, Http, Https, NodeMailer, cors,
 	Express, ExpressNegotiate, ErrorHandler,
-	Platform, UserManager,
-	Fridge, Game, Player, Edition
+	Platform, UserManager, LogDatabase,
+	PlayerStats, Tournament, Tournaments,
+	Scheduler, DictionaryAdmin,
+	Fridge, Game, Player, Edition, GCG,
+	Dictionary, Definitions
 ) => {
 
 	const Fs = fs.promises;
 
+	/**
+	 * Most seconds an /endgame request can spend on the analysis,
+	 * however many it asks for
+	 * @private
+	 */
+	const MAX_ENDGAME_SECONDS = 60;
+
 	/**
 	 * Generic catch for response handlers
 	 * @param {Error} e the error
@@ -32,6 +45,10 @@ define('server/Server', [
 			console.debug(`<-- 404 ${req.url}`);
 			res.status(404).send([
 				/*i18n*/"Load failed", req.url]);
+		} else if (e instanceof Error && e.words) {
+			// A play was rejected, say which words weren't found
+			console.debug(`<-- 400 ${e.message}`, e.words);
+			res.status(400).send({ message: e.message, words: e.words });
 		} else {
 			console.debug("<-- 500 ", e);
 			res.status(500).send(e);
@@ -48,7 +65,26 @@ define('server/Server', [
 		 */
 		constructor(config) {
 			this.config = config;
-			this.db = new Platform.Database('games', 'game');
+			const Database = config.database === 'log'
+				  ? LogDatabase : Platform.Database;
+			this.db = new Database('games', 'game', {
+				classes: Game.classes,
+				index: game => game.indexFields()
+			});
+			// Cumulative player statistics, for /history
+			this.stats = new PlayerStats(new Database('games', 'stats'));
+			// Turn timeouts and other deadlines, remembered across
+			// restarts
+			this.scheduler = new Scheduler(new Database('games', 'job'));
+			// Tournaments, which create games for each round
+			this.tournaments = new Tournaments(
+				new Database('games', 'tournament', {
+					classes: [ Tournament ]
+				}),
+				this.db, this.stats, this.scheduler);
+			// Words added to and removed from dictionaries by admins
+			this.dictionaryAdmin = new DictionaryAdmin(
+				requirejs.toUrl('dictionaries'));
 			// Live games; map from game key to Game
 			this.games = {};
 			// Status-monitoring sockets (game pages)
@@ -102,7 +138,9 @@ define('server/Server', [
 			// Get a simplified version of games list or a single game
 			// (no board, bag etc) for the "games" page. You can request
 			// "active" games (those still in play), "all" games (for
-			// finished games too), or a single game key
+			// finished games too), or a single game key. Optional query
+			// parameter 'player' restricts the list to games that player
+			// is in.
 			cmdRouter.get('/simple/:send',
 					   (req, res) => this.request_simple(req, res));
 
@@ -111,6 +149,20 @@ define('server/Server', [
 			cmdRouter.get('/history',
 					   (req, res) => this.request_history(req, res));
 
+			// Get player ratings. Sends the rating and rating history
+			// of each human player, for each edition.
+			cmdRouter.get('/ratings',
+					   (req, res) => this.request_ratings(req, res));
+
+			// Get a list of tournaments
+			cmdRouter.get('/tournaments',
+					   (req, res) => this.request_tournaments(req, res));
+
+			// Get a tournament, with the pairings and results for
+			// each round, and the standings
+			cmdRouter.get('/tournament/:tournamentKey',
+					   (req, res) => this.request_tournament(req, res));
+
 			// Get a list of available locales
 			cmdRouter.get('/locales',
 					(req, res) => this.request_locales(req, res));
@@ -123,6 +175,25 @@ define('server/Server', [
 			cmdRouter.get('/dictionaries',
 					 (req, res) => this.request_dictionaries(req, res));
 
+			// Get the definitions of a word
+			cmdRouter.get('/define/:dictionary/:word',
+					 (req, res) => this.request_define(req, res));
+
+			// Get the words an admin has added to and removed from
+			// a dictionary, and the audit log of who changed what.
+			// dictionaryAdmin.js
+			cmdRouter.get('/overlay/:dictionary',
+						(req, res, next) =>
+						this.userManager.checkAdmin(req, res, next),
+						(req, res) => this.request_overlay(req, res));
+
+			// Add words to and remove words from a dictionary.
+			// dictionaryAdmin.js
+			cmdRouter.post('/overlay/:dictionary',
+						(req, res, next) =>
+						this.userManager.checkAdmin(req, res, next),
+						(req, res) => this.request_changeOverlay(req, res));
+
 			// Get a description of defaults for new games
 			cmdRouter.get('/defaults', (req, res) =>
 					 res.send({
@@ -137,6 +208,11 @@ define('server/Server', [
 			cmdRouter.get('/game/:gameKey',
 					 (req, res) => this.request_game(req, res));
 
+			// Get a game in GCG format, for use with other programs.
+			// Like /game, this is not auth-protected.
+			cmdRouter.get('/gcg/:gameKey',
+					 (req, res) => this.request_gcg(req, res));
+
 			// Request handler for best play hint. Allows us to pass in
 			// any player key, which is useful for debug (though could
 			// be used to silently cheat!)
@@ -145,12 +221,56 @@ define('server/Server', [
 						this.userManager.checkLoggedIn(req, res, next),
 					   (req, res) => this.request_bestPlay(req, res));
 
+			// Request handler for analysis of the optimal finish for
+			// a finished game. Optional query parameter 'seconds' limits
+			// the time spent on the analysis (default 30, at most
+			// MAX_ENDGAME_SECONDS)
+			cmdRouter.get('/endgame/:gameKey',
+						(req, res, next) =>
+						this.userManager.checkLoggedIn(req, res, next),
+					   (req, res) => this.request_endgame(req, res));
+
+			// Request handler for the move-by-move analysis of a
+			// finished game. The analysis is computed the first time
+			// it is requested, and saved with the game.
+			cmdRouter.get('/analyse/:gameKey',
+						(req, res, next) =>
+						this.userManager.checkLoggedIn(req, res, next),
+					   (req, res) => this.request_analyse(req, res));
+
+			// Download the saved analysis of a game as JSON
+			cmdRouter.get('/analysis/:gameKey',
+						(req, res, next) =>
+						this.userManager.checkLoggedIn(req, res, next),
+					   (req, res) => this.request_analysis(req, res));
+
+			// Request handler for the top plays for a player, for
+			// showing alternatives. Optional query parameter 'count'
+			// limits the number of plays returned (default 10)
+			cmdRouter.get('/plays/:gameKey/:playerKey',
+						(req, res, next) =>
+						this.userManager.checkLoggedIn(req, res, next),
+					   (req, res) => this.request_plays(req, res));
+
 			// Construct a new game. games.js
 			cmdRouter.post('/createGame',
 						   (req, res, next) =>
 						   this.userManager.checkLoggedIn(req, res, next),
 						   (req, res) => this.request_createGame(req, res));
 
+			// Construct a new game from GCG. games.js
+			cmdRouter.post('/importGame',
+						   (req, res, next) =>
+						   this.userManager.checkLoggedIn(req, res, next),
+						   (req, res) => this.request_importGame(req, res));
+
+			// Create a tournament, and the games for the first round.
+			// games.js
+			cmdRouter.post('/createTournament',
+						   (req, res, next) =>
+						   this.userManager.checkLoggedIn(req, res, next),
+						   (req, res) => this.request_createTournament(req, res));
+
 			// Invite players by email
 			cmdRouter.post('/invitePlayers',
 						   (req, res, next) =>
@@ -226,6 +346,42 @@ define('server/Server', [
 			const io = new SocketIO.Server(http);
 			io.sockets.on(
 				'connection', socket => this.attachSocketHandlers(socket));
+
+			this.startScheduler();
+		}
+
+		/**
+		 * Tell the scheduler how to run the jobs games schedule (see
+		 * {@link Game#scheduleJobs}), and start it. Jobs run whether
+		 * or not anyone is connected to the game.
+		 * @return {Promise} resolves when the scheduler has started
+		 * @private
+		 */
+		startScheduler() {
+			const baseUrl = this.config.baseUrl
+				  || `http://localhost:${this.config.port}/`;
+			return this.scheduler
+			// The player whose turn it is has run out of time
+			.on('turn', job => this.loadGame(job.data.gameKey)
+				.then(game => game.playerTimedOut(job.data.playerKey)))
+			// Nobody has played for a long time
+			.on('inactive', job => this.loadGame(job.data.gameKey)
+				.then(game => game.checkTimeout())
+				.then(game => game.scheduleJobs()))
+			// Correspondence turn deadline is close
+			.on('reminder', job => this.loadGame(job.data.gameKey)
+				.then(game => {
+					if (!game.needsReminder())
+						return undefined;
+					game.remindedTurn = game.turns.length;
+					return game.save()
+					.then(() => this.remind(
+						game, `${baseUrl}game/${game.key}`));
+				}))
+			// Correspondence turn deadline has passed
+			.on('deadline', job => this.loadGame(job.data.gameKey)
+				.then(game => game.checkDeadline()))
+			.start();
 		}
 
 		/**
@@ -238,7 +394,8 @@ define('server/Server', [
 				return Promise.resolve(this.games[key]);
 
 			return this.db.get(key, Game.classes)
-			.then(game => game.onLoad(this.db))
+			.then(game => game.onLoad(
+				this.db, this.stats, this.tournaments, this.scheduler))
 			.then(game => game.checkTimeout())
 			.then(game => {
 				Events.EventEmitter.call(game);
@@ -296,11 +453,14 @@ define('server/Server', [
 			})
 
 			.on('join', params => {
-				// Player joining
-				console.debug(`-S-> join ${params.playerKey} joining ${params.gameKey}`);
+				// Player or spectator joining
+				console.debug(`-S-> join ${params.spectator ? 'spectator' : params.playerKey} joining ${params.gameKey}`);
 				this.loadGame(params.gameKey)
 				.then(game => {
-					game.connect(socket, params.playerKey);
+					if (params.spectator)
+						game.observe(socket, params.name);
+					else
+						game.connect(socket, params.playerKey);
 					this.updateMonitors();
 				});
 			})
@@ -309,7 +469,14 @@ define('server/Server', [
 
 				// Chat message
 				console.debug(`-S-> ${message}`);
-				if (message.text === 'hint')
+				if (socket.spectator)
+					// Spectators talk among themselves, so they
+					// can't give the players hints
+					socket.game.notifySpectators('message', message);
+				else if (message.team && socket.player)
+					// Private chat between the members of a team
+					socket.game.notifyPlayer(socket.player, 'message', message);
+				else if (message.text === 'hint')
 					socket.game.hint(socket.player);
 				else if (message.text === 'advise')
 					socket.game.toggleAdvice(socket.player);
@@ -338,8 +505,9 @@ define('server/Server', [
 				throw new Error(/*i18n*/'Game has ended');
 			}
 
-			// determine if it is this player's turn
-			if (player.key !== game.whosTurnKey) {
+			// determine if it is this player's turn. In a duplicate
+			// game everyone plays at once.
+			if (!game.duplicate && player.key !== game.whosTurnKey) {
 				console.error(`not ${player.name}'s turn`);
 				throw new Error(/*i18n*/'Not your turn');
 			}
@@ -356,9 +524,14 @@ define('server/Server', [
 		request_simple(req, res) {
 			const server = this;
 			const send = req.params.send;
+			const query = {};
+			if (send === 'active')
+				query.state = 'active';
+			if (req.query.player)
+				query.players = req.query.player;
 			// Make list of keys we are interested in
 			return ((send === 'all' || send === 'active')
-				? this.db.keys()
+				? this.db.select(query)
 				: Promise.resolve([send]))
 			// Load those games
 			.then(keys => Promise.all(keys.map(key => this.loadGame(key))))
@@ -386,51 +559,61 @@ define('server/Server', [
 		/**
 		 * Handler for GET /history
 		 * Sends a summary of cumulative player scores to date, for all
-		 * unique players.
+		 * unique players, from the player statistics. See
+		 * {@link PlayerStats#getList}
 		 * @return {Promise}
 		 */
 		request_history(req, res) {
-			const server = this;
-
-			return this.db.keys()
-			.then(keys => keys.map(key => this.loadGame(key)))
-			.then(promises => Promise.all(promises))
-			.then(games => {
-				const results = {};
-				games
-				.filter(game => game.hasEnded())
-				.map(game => {
-					const winScore = game.winningScore();
-					game.players.map(
-						player => {
-							let result = results[player.key];
-							if (!result) {
-								results[player.key] =
-								result = {
-									key: player.key,
-									name: player.name,
-									score: 0,
-									wins: 0,
-									games: 0
-								};
-							}
-							result.games++;
-							if (player.score === winScore)
-								result.wins++;
-							result.score += player.score;
-						});
-				});
-				const list = [];
-				for (let name in results)
-					list.push(results[name]);
-				return list;
-			})
-			.then(list => list.sort((a, b) => a.score < b.score ? 1
-									: (a.score > b.score ? -1 : 0)))
+			return this.stats.getList()
 			.then(list => res.status(200).send(list))
 			.catch(e => trap(e, req, res));
 		}
 
+		/**
+		 * Handler for GET /ratings
+		 * Sends the Elo ratings of human players in each edition,
+		 * with their rating history. See {@link PlayerStats#getRatings}
+		 * @return {Promise}
+		 */
+		request_ratings(req, res) {
+			return this.stats.getRatings()
+			.then(ratings => res.status(200).send(ratings))
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handler for GET /tournaments
+		 * Sends a summary of each tournament, most recent first
+		 * @return {Promise}
+		 */
+		request_tournaments(req, res) {
+			return this.tournaments.list()
+			.then(list => res.status(200).send(list.map(t => {
+				return {
+					key: t.key,
+					name: t.name,
+					edition: t.edition,
+					pairing: t.pairing,
+					rounds: t.rounds,
+					round: t.pairings.length,
+					entrants: t.entrants.length,
+					state: t.state
+				};
+			})))
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handler for GET /tournament/:tournamentKey
+		 * Sends the tournament. See {@link Tournament#simple}
+		 * @return {Promise}
+		 */
+		request_tournament(req, res) {
+			return this.tournaments.get(req.params.tournamentKey)
+			.then(t => res.status(200).send(t.simple()))
+			.catch(e => trap(e, req, res));
+		}
+
 		/**
 		 * Handler for GET /locales
 		 * Sends a list of available locales.  Used when selecting a
@@ -462,12 +645,113 @@ define('server/Server', [
 
 		/**
 		 * Handler for GET /dictionaries
+		 * Sends a list of the available dictionaries. Each is
+		 * described by the metadata written alongside it by
+		 * {@link module:js/dawg/compressor}, which includes `editions`,
+		 * the editions it can be used with. Dictionaries built
+		 * without metadata only have a `name`. `definitions` is true
+		 * if the dictionary has {@link Definitions}.
 		 * return {Promise} Promise to index available dictionaries
 		 */
 		request_dictionaries(req, res) {
 			const db = new Platform.Database('dictionaries', 'dict');
-			return db.keys()
-			.then(keys => res.status(200).send(keys))
+			const defs = new Platform.Database('dictionaries', 'defs');
+			return Promise.all([ db.keys(), defs.keys() ])
+			.then(([ keys, defined ]) => Promise.all(keys.map(
+				key => Platform.getResource(
+					requirejs.toUrl(`dictionaries/${key}.json`))
+				.then(data => JSON.parse(data.toString()))
+				.catch(() => ({}))
+				.then(data => Object.assign(data, {
+					name: key,
+					definitions: defined.indexOf(key) >= 0
+				})))))
+			.then(list => res.status(200).send(list))
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handler for GET /define/:dictionary/:word
+		 * Sends `{ word, definitions }`, where `definitions` is a
+		 * list of the definitions of the word in the dictionary.
+		 * 404 if the dictionary has no {@link Definitions}, or the
+		 * word isn't defined.
+		 * return {Promise} Promise to send the definitions
+		 */
+		request_define(req, res) {
+			const dictionary = req.params.dictionary;
+			const word = req.params.word.toUpperCase();
+			// Only look for definitions of dictionaries we know
+			return new Platform.Database('dictionaries', 'defs').keys()
+			.then(keys => keys.indexOf(dictionary) >= 0
+				  ? Definitions.load(dictionary) : undefined)
+			.then(defs => {
+				const definitions = defs && defs.define(word);
+				if (!definitions)
+					return res.status(404).send([
+						/*i18n*/"No definition of '$1' found", word ]);
+				return res.status(200).send({
+					word: word,
+					definitions: definitions
+				});
+			})
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Promise to load a dictionary that an admin wants to change
+		 * @param {string} name name of the dictionary
+		 * @return {Promise} resolves to the {@link Dictionary}.
+		 * Rejects with ENOENT if there is no such dictionary.
+		 * @private
+		 */
+		adminDictionary(name) {
+			// Only load dictionaries we know
+			return new Platform.Database('dictionaries', 'dict').keys()
+			.then(keys => {
+				if (keys.indexOf(name) < 0) {
+					const e = new Error(`No dictionary ${name}`);
+					e.code = 'ENOENT';
+					throw e;
+				}
+				return Dictionary.load(name);
+			});
+		}
+
+		/**
+		 * Handler for GET /overlay/:dictionary
+		 * Sends `{ added, removed, audit }`, the words added to and
+		 * removed from the dictionary, and the
+		 * {@link DictionaryAdmin~Change}s made to it, oldest first.
+		 * @return {Promise} Promise to send the overlay
+		 */
+		request_overlay(req, res) {
+			const name = req.params.dictionary;
+			return this.adminDictionary(name)
+			.then(dict => this.dictionaryAdmin.getAudit(name)
+				  .then(audit => res.status(200).send({
+					  added: dict.overlay ? dict.overlay.added : [],
+					  removed: dict.overlay ? dict.overlay.removed : [],
+					  audit: audit
+				  })))
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handler for POST /overlay/:dictionary
+		 * The body has `add` and `remove`, lists of words to add to and
+		 * remove from the dictionary. Sends the overlay as for
+		 * GET /overlay/:dictionary. 400 if words to be added can't
+		 * be spelled with the letters in the dictionary.
+		 * @return {Promise} Promise to change the overlay
+		 */
+		request_changeOverlay(req, res) {
+			const add = [].concat(req.body.add || []);
+			const remove = [].concat(req.body.remove || []);
+			return this.adminDictionary(req.params.dictionary)
+			.then(dict => this.dictionaryAdmin.change(
+				dict, req.user, add, remove))
+			.then(() => this.request_overlay(req, res))
 			.catch(e => trap(e, req, res));
 		}
 
@@ -481,19 +765,83 @@ define('server/Server', [
 
 			return Edition.load(req.body.edition)
 			.then(edition => new Game(req.body).create())
-			.then(game => game.onLoad(this.db))
+			.then(game => game.onLoad(
+				this.db, this.stats, this.tournaments, this.scheduler))
 			.then(game => {
 				console.log(game.toString());
 
 				// Save the game when everything has been initialised
 				return game.save();
 			})
-			.then(game => res.status(200).send(game.key));
+			.then(game => res.status(200).send(game.key))
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handler for POST /createTournament
+		 * The body has the parameters for a {@link Tournament}, with
+		 * `entrants` being a list of user keys.
+		 * @return {Promise}
+		 */
+		request_createTournament(req, res) {
+			let keys = req.body.entrants || [];
+			if (typeof keys === 'string')
+				keys = [ keys ];
+			keys = keys.filter((key, i) => keys.indexOf(key) === i);
+			if (keys.length < 2)
+				return res.status(500).send([
+					/*i18n*/"A tournament needs at least two players" ]);
+
+			return Edition.load(req.body.edition)
+			.then(() => Promise.all(keys.map(
+				key => this.userManager.getUser({ key: key }))))
+			.then(users => this.tournaments.create(
+				Object.assign({}, req.body, {
+					name: req.body.name || Platform.i18n("Tournament"),
+					entrants: users
+				})))
+			.then(tournament => {
+				this.updateMonitors();
+				res.status(200).send(tournament.key);
+			})
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handler for POST /importGame
+		 * The body has `gcg`, the text of the game to import, and
+		 * optionally the `edition` and `dictionary` to use if the GCG
+		 * doesn't say (or names a lexicon we don't have). See
+		 * {@link GCG.read}
+		 * @return {Promise}
+		 */
+		request_importGame(req, res) {
+			const dictionaries = new Platform.Database('dictionaries', 'dict');
+			return GCG.read(req.body.gcg, {
+				edition: req.body.edition || this.config.defaultEdition,
+				dictionary: req.body.dictionary
+				|| this.config.defaultDictionary
+			})
+			.then(game => dictionaries.keys()
+				  .then(keys => {
+					  if (game.dictionary && keys.indexOf(game.dictionary) < 0)
+						  game.dictionary = req.body.dictionary
+						  || this.config.defaultDictionary;
+					  return game.onLoad(this.db, this.stats, this.tournaments,
+										 this.scheduler);
+				  }))
+			.then(game => {
+				console.log(`Imported ${game.toString()}`);
+				return game.save();
+			})
+			.then(game => res.status(200).send(game.key))
+			.catch(e => trap(e, req, res));
 		}
 
 		/**
 		 * @param {object} to a lookup suitable for use with UserManager.getUser
-		 * @param {object} req request
+		 * @param {object?} req request, used to find the sender. If
+		 * not given, mail is sent from the configured sender.
 		 * @param {object} res response
 		 * @param {string} gameKey game to which this applies
 		 * @param {string} subject subject
@@ -504,10 +852,12 @@ define('server/Server', [
 		 * @private
 		 */
 		sendMail(to, req, res, gameKey, subject, text, html) {
-			return this.userManager.getUser(
-				{key: req.session.passport.user.key})
+			return (req
+					? this.userManager.getUser(
+						{key: req.session.passport.user.key})
+					: Promise.reject())
 			.then(sender => `${sender.name}<${sender.email}>`)
-			.catch(e => this.config.email.sender)
+			.catch(e => this.config.mail.sender)
 			.then(sender =>
 				new Promise(
 					resolve => this.userManager.getUser(to, true)
@@ -596,29 +946,18 @@ define('server/Server', [
 				  `${req.protocol}://${req.get('Host')}/game/${gameKey}`;
 
 			const prom = (gameKey === '*')
-				  ? this.db.keys() : Promise.resolve([gameKey]);
+				  ? this.db.select({ state: 'active' })
+				  : Promise.resolve([gameKey]);
 			return prom
 			.then(keys => Promise.all(keys.map(
-				key => (Promise.resolve(this.games[key])
-						|| this.db.get(key, Game.classes))
+				key => (this.games[key]
+						? Promise.resolve(this.games[key])
+						: this.db.get(key, Game.classes))
+				.then(game => game.checkTimeout())
 				.then(game => {
-					const pr = game.checkTimeout();
 					if (game.state !== 'playing')
 						return undefined;
-
-					const player = game.getPlayer();
-					console.log(`Sending reminder mail to ${player.key}/${player.name}`);
-
-					return this.sendMail(
-						player, req, res, game.key,
-						Platform.i18n(
-							'It is your turn in your XANADO game'),
-						Platform.i18n(
-							"Join the game by following this link: $1",
-							gameURL),
-						Platform.i18n(
-							"Click <a href='$1'>here</a> to join the game.",
-							gameURL));
+					return this.remind(game, gameURL, req);
 				}))))
 			.then(reminders => reminders.filter(e => typeof e !== 'undefined'))
 			.then(reminders=> {
@@ -630,7 +969,48 @@ define('server/Server', [
 		}
 
 		/**
-		 * Handle /join/:gameKey player joining a game.
+		 * Promise to email a reminder to the player whose turn it is
+		 * in a game
+		 * @param {Game} game the game
+		 * @param {string} gameURL URL for the player to follow
+		 * @param {object?} req request, if the reminder was asked for
+		 * by a user
+		 * @return {Promise} resolves to the names of the users
+		 * mailed, see {@link Server#sendMail}
+		 * @private
+		 */
+		remind(game, gameURL, req) {
+			const player = game.getPlayer();
+			if (!this.config.mail || !this.config.mail.transport) {
+				console.error(`Can't remind ${player.name}, mail is not configured`);
+				return Promise.resolve();
+			}
+			console.log(`Sending reminder mail to ${player.key}/${player.name}`);
+
+			let text = Platform.i18n(
+				"Join the game by following this link: $1", gameURL);
+			let html = Platform.i18n(
+				"Click <a href='$1'>here</a> to join the game.", gameURL);
+			const deadline = game.turnDeadline();
+			if (deadline) {
+				const by = Platform.i18n(
+					"You must play by $1", new Date(deadline).toUTCString());
+				text = `${by}\n${text}`;
+				html = `${by}<br/>${html}`;
+			}
+			// Every member of a team is reminded
+			return Promise.all((player.members || [ player ]).map(
+				to => this.sendMail(
+					to, req, undefined, game.key,
+					Platform.i18n('It is your turn in your XANADO game'),
+					text, html)))
+			.then(names => names.join(', '));
+		}
+
+		/**
+		 * Handle /join/:gameKey/:playerKey player joining a game. If
+		 * the playerKey is another player in the game, the user
+		 * joins their team.
 		 * @return {Promise}
 		 */
 		request_join(req, res) {
@@ -639,10 +1019,19 @@ define('server/Server', [
 			.then(game => {
 				// Player is either joining or connecting
 				const playerKey = req.user.key;
-				let player = game.getPlayerWithKey(playerKey), prom;
+				let player = game.getPlayerForUser(playerKey), prom;
+				const partner = req.params.playerKey !== playerKey
+					  && game.getPlayerWithKey(req.params.playerKey);
 				if (player) {
 					console.log(`Player ${playerKey} opening ${gameKey}`);
 					prom = Promise.resolve(game);
+				} else if (partner) {
+					console.log(`Player ${playerKey} joining ${partner.key} in ${gameKey}`);
+					game.joinTeam(partner, {
+						key: playerKey, name: req.user.name
+					});
+					player = partner;
+					prom = game.save();
 				} else {
 					console.log(`Player ${playerKey} joining ${gameKey}`);
 					player = new Player(
@@ -655,11 +1044,12 @@ define('server/Server', [
 					prom = game.save();
 				}
 				// The game may now be ready to start
-				return prom.then(game => game.playIfReady());
+				return prom.then(game => game.playIfReady())
+				.then(() => player.key);
 			})
-			.then(() => res.status(200).send({
+			.then(playerKey => res.status(200).send({
 				gameKey: gameKey,
-				playerKey: req.user.key
+				playerKey: playerKey
 			}))
 			.catch(e => trap(e, req, res));
 		}
@@ -673,6 +1063,8 @@ define('server/Server', [
 			const gameKey = req.body.gameKey;
 			const dic = req.body.dictionary;
 			const canChallenge = req.body.canChallenge;
+			const strategy = req.body.strategy;
+			const level = req.body.level;
 			console.debug("Add robot",req.body);
 			return this.loadGame(gameKey)
 			.then(game => {
@@ -685,7 +1077,9 @@ define('server/Server', [
 						name: "Robot",
 						key: UserManager.ROBOT_KEY,
 						isRobot: true,
-						canChallenge: canChallenge
+						canChallenge: canChallenge,
+						strategy: strategy,
+						level: level
 					});
 				if (dic && dic !== 'none')
 					robot.dictionary = dic;
@@ -710,6 +1104,18 @@ define('server/Server', [
 			.then(game => {
 				console.log(`Player ${playerKey} leaving ${gameKey}`);
 				const player = game.getPlayerWithKey(playerKey);
+				if (player && player.key !== req.user.key
+					&& player.controlledBy(req.user.key)) {
+					// Leaving a team, which plays on without them
+					player.removeMember(req.user.key);
+					game.updateConnections();
+					return game.save()
+					.then(() => {
+						this.updateMonitors();
+						return res.status(200).send(
+							{ gameKey: gameKey, playerKey: playerKey });
+					});
+				}
 				if (player) {
 					game.removePlayer(player);
 					return game.save()
@@ -729,13 +1135,49 @@ define('server/Server', [
 		/**
 		 * Handle /game/:gameKey request for a dump of the game information.
 		 * This sends the entire Game object, including the entire Turn history
-		 * and the Board
+		 * and the Board. Spectators, who are given by an `observe`
+		 * query parameter or are not playing in the game, are not
+		 * sent the racks (see {@link Game#hideRacks}).
 		 * @return {Promise}
 		 */
 		request_game(req, res) {
 			const gameKey = req.params.gameKey;
 			return this.db.get(gameKey, Game.classes)
-			.then(game => res.status(200).send(Fridge.freeze(game)))
+			.then(game => {
+				const player = req.user && game.getPlayerForUser(req.user.key);
+				if (typeof req.query.observe !== 'undefined' || !player)
+					game.hideRacks();
+				else if (game.duplicate)
+					// Players only see what the others played when
+					// the round is over
+					game.hidePlays(player.key);
+				return res.status(200).send(Fridge.freeze(game));
+			})
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handle /gcg/:gameKey
+		 * Download a game in GCG format. See {@link GCG.write}
+		 * Until the game is over, the racks are secret, so only the
+		 * racks of the player the user is playing are written.
+		 * @return {Promise}
+		 */
+		request_gcg(req, res) {
+			const gameKey = req.params.gameKey;
+			return this.db.get(gameKey, Game.classes)
+			.then(game => {
+				let racksOf;
+				if (!game.hasEnded()) {
+					const player = req.user
+						  && game.getPlayerForUser(req.user.key);
+					racksOf = player ? [ player.key ] : [];
+				}
+				res.attachment(`${gameKey}.gcg`);
+				res.type('text/plain');
+				return res.status(200).send(
+					GCG.write(game, { racksOf: racksOf }));
+			})
 			.catch(e => trap(e, req, res));
 		}
 
@@ -761,6 +1203,88 @@ define('server/Server', [
 			.catch(e => trap(e, req, res));
 		}
 
+		/**
+		 * Handle /plays/:gameKey/:playerKey
+		 * Find the top plays for the player, given the current board
+		 * state. Like bestPlay, it may not be their turn.
+		 * @return {Promise}
+		 */
+		request_plays(req, res) {
+			const gameKey = req.params.gameKey;
+			const playerKey = req.params.playerKey;
+			const count = parseInt(req.query.count) || 10;
+			return this.loadGame(gameKey)
+			.then(game => {
+				const player = game.getPlayerWithKey(playerKey);
+				if (!player)
+					return res.status(500).send([
+						/*i18n*/"Player $1 is not in game $2", playerKey, gameKey
+					]);
+				return game.findPlays(player, count)
+				.then(plays => res.status(200).send(Fridge.freeze(plays)));
+			})
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handle /endgame/:gameKey
+		 * Find the optimal finish for a finished game, from the point
+		 * where the bag became empty. See {@link Game#analyseEndgame}
+		 * @return {Promise}
+		 */
+		request_endgame(req, res) {
+			const gameKey = req.params.gameKey;
+			const seconds = Math.min(
+				parseInt(req.query.seconds) || 30, MAX_ENDGAME_SECONDS);
+			return this.loadGame(gameKey)
+			.then(game => {
+				// Otherwise it would tell a player how to finish
+				if (!game.hasEnded())
+					return res.status(500).send([
+						/*i18n*/"Game $1 has not ended", gameKey ]);
+				return game.analyseEndgame(seconds)
+				.then(analysis => res.status(200).send(analysis || null));
+			})
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handle /analyse/:gameKey
+		 * Analyse a finished game move by move. See {@link Game#analyse}
+		 * @return {Promise}
+		 */
+		request_analyse(req, res) {
+			const gameKey = req.params.gameKey;
+			return this.loadGame(gameKey)
+			.then(game => {
+				if (!game.hasEnded())
+					return res.status(500).send([
+						/*i18n*/"Game $1 has not ended", gameKey ]);
+				return game.analyse()
+				.then(analysis => res.status(200).send(analysis));
+			})
+			.catch(e => trap(e, req, res));
+		}
+
+		/**
+		 * Handle /analysis/:gameKey
+		 * Download the analysis of a game, as computed by /analyse
+		 * @return {Promise}
+		 */
+		request_analysis(req, res) {
+			const gameKey = req.params.gameKey;
+			return this.loadGame(gameKey)
+			.then(game => {
+				if (!game.analysis)
+					return res.status(404).send([
+						/*i18n*/"Game $1 has not been analysed", gameKey ]);
+				res.attachment(`${gameKey}-analysis.json`);
+				return res.status(200).send(
+					JSON.stringify(game.analysis, null, 1));
+			})
+			.catch(e => trap(e, req, res));
+		}
+
 		/**
 		 * Handle /deleteGame/:gameKey
 		 * Delete a game.
@@ -770,7 +1294,10 @@ define('server/Server', [
 			const gameKey = req.params.gameKey;
 			console.log("Delete game",gameKey);
 			return this.loadGame(gameKey)
-			.then(game => game.stopTimers())
+			.then(game => {
+				game.stopTimers();
+				return game.cancelJobs();
+			})
 			.then(() => this.db.rm(gameKey))
 			.then(() => res.status(200).send(`${gameKey} deleted`))
 			.catch(e => trap(e, req, res));
@@ -815,17 +1342,25 @@ define('server/Server', [
 				
 				console.debug(`COMMAND ${command} player ${player.name} game ${game.key}`);
 
+				if (game.duplicate
+					&& [ 'swap', 'challenge', 'takeBack' ].indexOf(command) >= 0)
+					throw new Error(/*i18n*/'Not allowed in a duplicate game');
+
 				let promise;
 				switch (command) {
 
 				case 'makeMove':
 					this.checkTurn(player, game);
-					promise = game.makeMove(args);
+					promise = game.duplicate
+					? game.submitPlay(player, args)
+					: game.makeMove(args);
 					break;
 
 				case 'pass':
 					this.checkTurn(player, game);
-					promise = game.pass('pass');
+					promise = game.duplicate
+					? game.submitPlay(player)
+					: game.pass('pass');
 					break;
 
 				case 'swap':
@@ -931,5 +1466,8 @@ define('server/Server', [
 		});
 	}
 
+	// So the tests can check how errors are reported
+	mainProgram.trap = trap;
+
 	return mainProgram;
 });
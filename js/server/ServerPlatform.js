@@ -8,9 +8,9 @@
  */
 define('platform', [
 	'events', 'fs', 'proper-lockfile', 'node-gzip', 'get-user-locale', 'path',
-	'game/Platform', 'game/Fridge', 'game/Platform'
+	'worker_threads', 'game/Platform', 'game/Fridge', 'game/Platform'
 ], (
-	Events, fs, Lock, Gzip, Locale, Path, Platform, Fridge
+	Events, fs, Lock, Gzip, Locale, Path, Threads, Platform, Fridge
 ) => {
 
 	const Fs = fs.promises;
@@ -30,13 +30,48 @@ define('platform', [
 		 * @param {string} id will be used as the name of a directory under
 		 * the requirejs root to store game files in.
 		 * @param {string} type will be used as the extension on file names
+		 * @param {object?} options see {@link Database}. There is no
+		 * stored index, so the first {@link FileDatabase#select} has to
+		 * load every file. After that, the index is kept in memory.
 		 */
-		constructor(id, type) {
-			super(id, type);
+		constructor(id, type, options) {
+			super(id, type, options);
 			this.directory = requirejs.toUrl(id);
 			this.type = type;
 			this.re = new RegExp(`\\.${type}$`);
 			this.locks = {};
+			this.options = options || {};
+			/**
+			 * Map from key to the index of the data, built by the
+			 * first select, and kept up to date by set and rm
+			 * @private
+			 */
+			this.indexed = undefined;
+			// Promise that resolves when the index has been built
+			this.indexing = undefined;
+		}
+
+		/**
+		 * Promise to build the in-memory index, if it hasn't been built
+		 * @return {Promise} resolves when the index is ready
+		 * @private
+		 */
+		buildIndex() {
+			if (!this.indexing) {
+				// Entries set while the index is built are newer
+				// than what is read from the files
+				this.indexed = {};
+				this.indexing = this.keys()
+				.then(keys => Promise.all(keys.map(
+					key => this.get(key, this.options.classes)
+					.then(data => {
+						if (!(key in this.indexed))
+							this.indexed[key] = this.options.index(data);
+					})
+					// Removed while the index was being built
+					.catch(() => undefined))));
+			}
+			return this.indexing;
 		}
 
 		/** See {@link Database#keys} for documentation */
@@ -53,6 +88,8 @@ define('platform', [
 				throw Error(`Invalid DB key ${key}`);
 			const fn = Path.join(this.directory, `${key}.${this.type}`);
 			const s = JSON.stringify(Fridge.freeze(data), null, 1);
+			if (this.indexed && this.options.index)
+				this.indexed[key] = this.options.index(data);
 			return Fs.access(fn)
 			.then(acc => {
 				return Lock.lock(fn) // file exists
@@ -80,8 +117,20 @@ define('platform', [
 			});
 		}
 
+		/** See {@link Database#select} for documentation */
+		select(query) {
+			if (Object.keys(query).length === 0)
+				return this.keys();
+			return this.buildIndex()
+			.then(() => Object.keys(this.indexed)
+				  .filter(key => Platform.Database.matches(
+					  this.indexed[key], query)));
+		}
+
 		/** See {@link Database#rm} for documentation */
 		rm(key) {
+			if (this.indexed)
+				delete this.indexed[key];
 			return Fs.unlink(Path.join(this.directory, `${key}.${this.type}`));
 		}
 	}
@@ -197,6 +246,26 @@ define('platform', [
 			});
 		}
 
+		/** See {@link Platform#computeRackLeave} for documentation */
+		static computeRackLeave(edition, dictionary) {
+			// See js/game/RackLeaveWorker.js
+			return new Promise((resolve, reject) => {
+				const worker = new Threads.Worker(
+					requirejs.toUrl('js/game/RackLeaveWorker.js'),
+					{
+						workerData: {
+							edition: edition.name,
+							dictionary: dictionary.share()
+						}
+					});
+				worker.once('message', resolve);
+				worker.once('error', reject);
+				worker.once('exit', code => reject(
+					// Terminal, no point in translating
+					new Error(`RackLeaveWorker exited with code ${code}`)));
+			});
+		}
+
 		/** See {@link Platform#i18n} for documentation */
 		static i18n() {
 			return ServerPlatform.I18N.lookup(arguments);
@@ -0,0 +1,356 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd, node */
+
+define('server/Tournament', [ 'game/GenKey' ], GenKey => {
+
+	// Spread awarded for a bye, as well as the win
+	const BYE_SPREAD = 50;
+
+	// Spread awarded for a win by forfeit, and lost by the player
+	// who forfeited, instead of the difference in scores
+	const FORFEIT_SPREAD = BYE_SPREAD;
+
+	/**
+	 * Pair up a list of players, avoiding rematches where possible.
+	 * Players are paired in order, each with the highest placed
+	 * player they haven't already met, backtracking if that leaves
+	 * players who can't be paired.
+	 * @param {string[]} keys player keys, in order of standing
+	 * @param {function} haveMet function(a, b) that returns true if
+	 * the players with keys a and b have already played each other
+	 * @return {string[][]} list of pairs, or undefined if the
+	 * players can't be paired without a rematch
+	 * @private
+	 */
+	function pairUp(keys, haveMet) {
+		if (keys.length === 0)
+			return [];
+		const first = keys[0];
+		for (let i = 1; i < keys.length; i++) {
+			if (haveMet(first, keys[i]))
+				continue;
+			const rest = keys.slice(1);
+			rest.splice(i - 1, 1);
+			const pairs = pairUp(rest, haveMet);
+			if (pairs)
+				return [ [ first, keys[i] ] ].concat(pairs);
+		}
+		return undefined;
+	}
+
+	/**
+	 * A tournament is a series of rounds of two player games
+	 * between a fixed set of entrants. Games for a round are created
+	 * when the previous round has finished, with pairings that are
+	 * either Swiss (players with similar results are paired, without
+	 * rematches where possible) or round-robin (everyone plays
+	 * everyone else once). This class only keeps track of pairings
+	 * and results; the games are created by {@link Tournaments}.
+	 */
+	class Tournament {
+
+		/**
+		 * @param {object} params parameters
+		 * @param {string} params.name name of the tournament
+		 * @param {object[]} params.entrants list of `{key, name}`
+		 * for the players, in order of seeding
+		 * @param {string} params.edition edition *name* for the games
+		 * @param {string?} params.dictionary dictionary *name* for the
+		 * games
+		 * @param {number?} params.minutesPerPlay time limit for plays
+		 * in the games
+		 * @param {string?} params.pairing 'swiss' (the default) or
+		 * 'round-robin'
+		 * @param {number?} params.rounds number of rounds in a Swiss
+		 * tournament (default 3). A round-robin has as many rounds as
+		 * it takes for everyone to play everyone else.
+		 */
+		constructor(params) {
+			/**
+			 * Key that uniquely identifies this tournament
+			 * @member {string}
+			 */
+			this.key = GenKey();
+
+			/**
+			 * Epoch ms when this tournament was created
+			 * @member {number}
+			 */
+			this.creationTimestamp = Date.now();
+
+			/**
+			 * Name of the tournament
+			 * @member {string}
+			 */
+			this.name = params.name;
+
+			/**
+			 * Players in the tournament, list of `{key, name}`
+			 * @member {object[]}
+			 */
+			this.entrants = params.entrants.map(
+				e => ({ key: e.key, name: e.name }));
+
+			/**
+			 * Edition used for the games
+			 * @member {string}
+			 */
+			this.edition = params.edition;
+
+			/**
+			 * Dictionary used for the games
+			 * @member {string}
+			 */
+			this.dictionary = params.dictionary;
+
+			/**
+			 * Time limit for a play in the games, 0 for no limit
+			 * @member {number}
+			 */
+			this.secondsPerPlay = (parseInt(params.minutesPerPlay) || 0) * 60;
+
+			/**
+			 * How the players are paired, 'swiss' or 'round-robin'
+			 * @member {string}
+			 */
+			this.pairing = params.pairing === 'round-robin'
+			? 'round-robin' : 'swiss';
+
+			/**
+			 * Number of rounds
+			 * @member {number}
+			 */
+			this.rounds = this.pairing === 'round-robin'
+			? this.entrants.length - 1 + (this.entrants.length % 2)
+			: Math.max(1, parseInt(params.rounds) || 3);
+
+			/**
+			 * The pairings for each round played so far. Each round
+			 * is a list of matches. A match is `{players, gameKey}`
+			 * where `players` is a list of player keys, or just
+			 * `{players}` with a single player for a bye.
+			 * @member {object[][]}
+			 */
+			this.pairings = [];
+
+			/**
+			 * Results of finished games, map from game key to a map
+			 * from player key to final score
+			 * @member {object}
+			 */
+			this.results = {};
+
+			/**
+			 * 'playing' until the last round has finished
+			 * @member {string}
+			 */
+			this.state = 'playing';
+		}
+
+		/**
+		 * Return true if the last round has finished
+		 */
+		hasEnded() {
+			return this.state !== 'playing';
+		}
+
+		/**
+		 * Return true if every game in the current round has a result
+		 */
+		roundFinished() {
+			if (this.pairings.length === 0)
+				return true;
+			return this.pairings[this.pairings.length - 1]
+			.every(match => !match.gameKey || this.results[match.gameKey]);
+		}
+
+		/**
+		 * Compute the standings. Players are ranked by wins (a draw
+		 * is half a win, a bye is a win) and then by spread, the total
+		 * of the differences between their score and their opponent's.
+		 * @return {object[]} list of `{key, name, played, wins, losses,
+		 * draws, byes, spread}`, in order of rank
+		 */
+		standings() {
+			const byKey = {};
+			const list = this.entrants.map((e, seed) => byKey[e.key] = {
+				key: e.key,
+				name: e.name,
+				seed: seed,
+				played: 0,
+				wins: 0,
+				losses: 0,
+				draws: 0,
+				byes: 0,
+				spread: 0
+			});
+			for (let round of this.pairings) {
+				for (let match of round) {
+					if (match.players.length === 1) {
+						const s = byKey[match.players[0]];
+						s.byes++;
+						s.wins++;
+						s.spread += BYE_SPREAD;
+						continue;
+					}
+					const result = this.results[match.gameKey];
+					if (!result)
+						continue;
+					const [ a, b ] = match.players;
+					const diff = result.forfeited
+						  ? (result.forfeited === a ? -1 : 1) * FORFEIT_SPREAD
+						  : result[a] - result[b];
+					for (let s of [ byKey[a], byKey[b] ]) {
+						const mine = s.key === a ? diff : -diff;
+						s.played++;
+						s.spread += mine;
+						if (mine > 0)
+							s.wins++;
+						else if (mine < 0)
+							s.losses++;
+						else {
+							s.draws++;
+							s.wins += 0.5;
+						}
+					}
+				}
+			}
+			return list.sort((a, b) => b.wins - a.wins
+							 || b.spread - a.spread
+							 || a.seed - b.seed)
+			.map(s => {
+				delete s.seed;
+				return s;
+			});
+		}
+
+		/**
+		 * Determine if two players have already been paired
+		 * @param {string} a key of a player
+		 * @param {string} b key of another player
+		 * @return {boolean} true if they have met
+		 */
+		haveMet(a, b) {
+			return this.pairings.find(
+				round => round.find(
+					match => match.players.indexOf(a) >= 0
+					&& match.players.indexOf(b) >= 0)) !== undefined;
+		}
+
+		/**
+		 * Work out the pairings for a round of a round-robin, using
+		 * the circle method; the first player stays put, and the
+		 * others rotate around them.
+		 * @param {number} round 0-based round number
+		 * @return {object[]} list of matches
+		 * @private
+		 */
+		roundRobinPairings(round) {
+			const keys = this.entrants.map(e => e.key);
+			if (keys.length % 2 === 1)
+				keys.push(undefined); // bye
+			const rest = keys.slice(1);
+			const n = rest.length;
+			const circle = [ keys[0] ].concat(
+				rest.slice(n - (round % n)), rest.slice(0, n - (round % n)));
+			const matches = [];
+			for (let i = 0; i < circle.length / 2; i++) {
+				const pair = [ circle[i], circle[circle.length - 1 - i] ]
+					  .filter(k => k !== undefined);
+				matches.push({ players: pair });
+			}
+			return matches;
+		}
+
+		/**
+		 * Work out the pairings for the next round of a Swiss
+		 * tournament. If there is an odd number of players, the
+		 * lowest ranked player who hasn't had a bye gets one.
+		 * @return {object[]} list of matches
+		 * @private
+		 */
+		swissPairings() {
+			const keys = this.standings().map(s => s.key);
+			const matches = [];
+			if (keys.length % 2 === 1) {
+				const standings = this.standings();
+				let bye = standings.reverse().find(s => s.byes === 0);
+				if (!bye)
+					bye = standings[0];
+				keys.splice(keys.indexOf(bye.key), 1);
+				matches.push({ players: [ bye.key ] });
+			}
+			const pairs = pairUp(keys, (a, b) => this.haveMet(a, b))
+				  // Everyone has met everyone; pair by rank
+				  || pairUp(keys, () => false);
+			return pairs.map(pair => ({ players: pair })).concat(matches);
+		}
+
+		/**
+		 * Pair the players for the next round, and add it to the
+		 * pairings. The caller must create the games for the matches,
+		 * and set their `gameKey`.
+		 * @return {object[]} list of matches for the round, or
+		 * undefined if there are no more rounds
+		 */
+		pairNextRound() {
+			if (this.pairings.length >= this.rounds)
+				return undefined;
+			const matches = this.pairing === 'round-robin'
+				  ? this.roundRobinPairings(this.pairings.length)
+				  : this.swissPairings();
+			this.pairings.push(matches);
+			return matches;
+		}
+
+		/**
+		 * Record the result of a finished game; the score of each
+		 * player, keyed by their key, and the key of the player who
+		 * forfeited the game, if one did, in `forfeited`
+		 * @param {Game} game the game
+		 * @return {boolean} false if the game isn't in the current
+		 * round of this tournament
+		 */
+		recordResult(game) {
+			const round = this.pairings[this.pairings.length - 1];
+			if (!round || !round.find(match => match.gameKey === game.key))
+				return false;
+			const result = {};
+			for (let player of game.players)
+				result[player.key] = player.score;
+			if (game.forfeitedKey)
+				result.forfeited = game.forfeitedKey;
+			this.results[game.key] = result;
+			return true;
+		}
+
+		/**
+		 * Create a simple structure describing the tournament, for
+		 * sending to the browser
+		 * @return {object} the tournament fields, and the `standings`
+		 */
+		simple() {
+			return {
+				key: this.key,
+				creationTimestamp: this.creationTimestamp,
+				name: this.name,
+				entrants: this.entrants,
+				edition: this.edition,
+				dictionary: this.dictionary,
+				secondsPerPlay: this.secondsPerPlay,
+				pairing: this.pairing,
+				rounds: this.rounds,
+				pairings: this.pairings,
+				results: this.results,
+				state: this.state,
+				standings: this.standings()
+			};
+		}
+	}
+
+	Tournament.BYE_SPREAD = BYE_SPREAD;
+	Tournament.FORFEIT_SPREAD = FORFEIT_SPREAD;
+
+	return Tournament;
+});
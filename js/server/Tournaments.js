@@ -0,0 +1,167 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env amd, node */
+
+define('server/Tournaments', [
+	'server/Tournament', 'game/Game', 'game/Player'
+], (
+	Tournament, Game, Player
+) => {
+
+	/**
+	 * Keeps the tournaments in a database, and creates the games for
+	 * each round. Games in a tournament tell it when they finish (see
+	 * {@link Game#recordStats}), and when every game in a round has
+	 * finished the next round is paired and its games created.
+	 */
+	class Tournaments {
+
+		/**
+		 * @param {Platform.Database} db database to keep the
+		 * tournaments in
+		 * @param {Platform.Database} gamesDb database to create
+		 * games in
+		 * @param {PlayerStats?} stats player statistics, passed to
+		 * the games
+		 * @param {Scheduler?} scheduler scheduler for timeouts,
+		 * passed to the games
+		 */
+		constructor(db, gamesDb, stats, scheduler) {
+			this.db = db;
+			this.gamesDb = gamesDb;
+			this.stats = stats;
+			this.scheduler = scheduler;
+			// Tournaments already loaded; map from key to Tournament
+			this.cache = {};
+			// Changes to tournaments are serialised through this
+			this.queue = Promise.resolve();
+		}
+
+		/**
+		 * Promise to get a tournament
+		 * @param {string} key the tournament key
+		 * @return {Promise} resolves to the {@link Tournament}
+		 */
+		get(key) {
+			if (this.cache[key])
+				return Promise.resolve(this.cache[key]);
+			return this.db.get(key, [ Tournament ])
+			.then(t => this.cache[key] = t);
+		}
+
+		/**
+		 * Promise to get all the tournaments
+		 * @return {Promise} resolves to a list of {@link Tournament},
+		 * most recent first
+		 */
+		list() {
+			return this.db.keys()
+			.then(keys => Promise.all(keys.map(key => this.get(key))))
+			.then(list => list.sort(
+				(a, b) => b.creationTimestamp - a.creationTimestamp));
+		}
+
+		/**
+		 * Queue a change to the tournaments, so that games finishing
+		 * at the same time don't both start the next round
+		 * @param {function} fn function that returns a Promise
+		 * @return {Promise} resolves to the result of fn
+		 * @private
+		 */
+		enqueue(fn) {
+			const p = this.queue.then(fn);
+			this.queue = p.catch(() => undefined);
+			return p;
+		}
+
+		/**
+		 * Promise to create a tournament, and the games for the
+		 * first round
+		 * @param {object} params see {@link Tournament}
+		 * @return {Promise} resolves to the new {@link Tournament}
+		 */
+		create(params) {
+			const tournament = new Tournament(params);
+			this.cache[tournament.key] = tournament;
+			return this.enqueue(() => this.startRound(tournament))
+			.then(() => tournament);
+		}
+
+		/**
+		 * Promise to pair the next round of a tournament and create
+		 * its games, then save the tournament
+		 * @param {Tournament} tournament the tournament
+		 * @return {Promise} resolves when the tournament has been saved
+		 * @private
+		 */
+		startRound(tournament) {
+			const matches = tournament.pairNextRound();
+			const round = tournament.pairings.length;
+			return Promise.all(matches
+				.filter(match => match.players.length === 2)
+				.map(match => this.createGame(tournament, round, match.players)
+					 .then(game => match.gameKey = game.key)))
+			.then(() => this.db.set(tournament.key, tournament));
+		}
+
+		/**
+		 * Promise to create a game between two players
+		 * @param {Tournament} tournament the tournament
+		 * @param {number} round the 1-based round the game is in
+		 * @param {string[]} keys the keys of the players
+		 * @return {Promise} resolves to the new {@link Game}
+		 * @private
+		 */
+		createGame(tournament, round, keys) {
+			return new Game({
+				edition: tournament.edition,
+				dictionary: tournament.dictionary,
+				secondsPerPlay: tournament.secondsPerPlay,
+				minPlayers: 2,
+				maxPlayers: 2
+			})
+			.create()
+			.then(game => game.onLoad(
+				this.gamesDb, this.stats, this, this.scheduler))
+			.then(game => {
+				game.tournamentKey = tournament.key;
+				game.round = round;
+				for (let key of keys) {
+					const entrant = tournament.entrants.find(
+						e => e.key === key);
+					game.addPlayer(new Player({
+						name: entrant.name, key: key
+					}));
+				}
+				console.log(`Tournament ${tournament.key} round ${round}: ${game.toString()}`);
+				return game.save();
+			});
+		}
+
+		/**
+		 * Promise to record the result of a finished game in its
+		 * tournament. If it was the last game of the round to finish,
+		 * the next round is started, or the tournament is finished.
+		 * @param {Game} game the game
+		 * @return {Promise} resolves when the tournament has been saved
+		 */
+		gameOver(game) {
+			if (!game.tournamentKey)
+				return Promise.resolve();
+			return this.enqueue(
+				() => this.get(game.tournamentKey)
+				.then(tournament => {
+					if (!tournament.recordResult(game))
+						return undefined;
+					if (!tournament.roundFinished())
+						return this.db.set(tournament.key, tournament);
+					if (tournament.pairings.length < tournament.rounds)
+						return this.startRound(tournament);
+					tournament.state = /*i18n*/'Finished';
+					return this.db.set(tournament.key, tournament);
+				}));
+		}
+	}
+
+	return Tournaments;
+});
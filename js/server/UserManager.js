@@ -78,6 +78,9 @@ define('server/UserManager', [
 		 * @param {string} config.auth.db_file path to json file that
 		 * stores user information
 		 * @param {object} config.auth.oauth2 OAuth2 providers
+		 * @param {string[]} config.auth.admins keys of the users
+		 * who may administer the server, such as editing dictionaries.
+		 * Keys, not names, because names are not unique.
 		 * @param {object} config.mail mail configuration for use with
 		 * @param {Express} app Express application object
 		 */
@@ -596,7 +599,8 @@ define('server/UserManager', [
 				return this.sendResult(res, 200, {
 					name: req.user.name,
 					provider: req.user.provider,
-					key: req.user.key
+					key: req.user.key,
+					isAdmin: this.isAdmin(req.user)
 				});
 
 			return this.sendResult(res, 401, [	'not-logged-in' ]);
@@ -612,6 +616,30 @@ define('server/UserManager', [
 				return next();
 			return this.sendResult(res, 401, [ /*i18n*/'um-not-logged-in' ]);
 		}
+
+		/**
+		 * Check if a user may administer the server
+		 * @param {object} user the user object
+		 * @return {boolean} true if the user's key is in config.auth.admins
+		 * @private
+		 */
+		isAdmin(user) {
+			const admins = this.config.auth.admins || [];
+			return admins.indexOf(user.key) >= 0;
+		}
+
+		/**
+		 * Middleware to check if a user is signed in, and is an
+		 * admin. Use it with any route where an admin is required.
+		 * @private
+		 */
+		checkAdmin(req, res, next) {
+			if (!req.isAuthenticated())
+				return this.sendResult(res, 401, [ /*i18n*/'um-not-logged-in' ]);
+			if (this.isAdmin(req.user))
+				return next();
+			return this.sendResult(res, 403, [ /*i18n*/'um-not-admin' ]);
+		}
 	}
 
 	UserManager.ROBOT_KEY = 'babefacebabeface';
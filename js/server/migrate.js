@@ -0,0 +1,73 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+/**
+ * Command-line program to copy games stored one per file (the "file"
+ * database) into the log used by the "log" database (see
+ * {@link LogDatabase}). Games already in the log are replaced. The
+ * game files are left alone.
+ *
+ * `node js/server/migrate.js --help` will tell you how to use it
+ * @module
+ */
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/../..`,
+    nodeRequire: require,
+	paths: {
+		server: 'js/server',
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'node-getopt', 'platform', 'server/LogDatabase', 'game/Game'
+], (
+	Getopt, Platform, LogDatabase, Game
+) => {
+
+	const opt = Getopt.create([
+		['h', 'help', 'Show this help'],
+		['d', 'directory=ARG', 'Directory containing games, relative to the root of the distribution (default games)']
+	])
+		.bindHelp()
+		.setHelp('USAGE\n  node migrate.js [options]\n'
+				 + 'Copy games from files into the game log.\n'
+				 + 'The server must not be running.\n[[OPTIONS]]')
+		.parseSystem()
+		.options;
+
+	const directory = opt.directory || 'games';
+	const options = {
+		classes: Game.classes,
+		index: game => game.indexFields()
+	};
+	const files = new Platform.Database(directory, 'game', options);
+	const log = new LogDatabase(directory, 'game', options);
+
+	async function migrate(keys) {
+		let count = 0;
+		for (let key of keys) {
+			try {
+				await log.set(key, await files.get(key, Game.classes));
+				count++;
+			} catch (e) {
+				console.error(`Could not migrate ${key}`, e);
+			}
+		}
+		return count;
+	}
+
+	files.keys()
+	.then(keys => migrate(keys))
+	.then(count => log.close()
+		  .then(() => console.log(`Migrated ${count} games to ${log.file}`)))
+	.catch(e => {
+		console.error(e);
+		process.exitCode = 1;
+	});
+});
@@ -0,0 +1,73 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+/**
+ * Command-line program to rebuild the player statistics (see
+ * {@link PlayerStats}) from the finished games in the database.
+ *
+ * `node js/server/rebuildStats.js --help` will tell you how to use it
+ * @module
+ */
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/../..`,
+    nodeRequire: require,
+	paths: {
+		server: 'js/server',
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'fs', 'node-getopt', 'platform', 'server/LogDatabase',
+	'server/PlayerStats', 'game/Game'
+], (
+	fs, Getopt, Platform, LogDatabase,
+	PlayerStats, Game
+) => {
+
+	const Fs = fs.promises;
+
+	const opt = Getopt.create([
+		['h', 'help', 'Show this help'],
+		['c', 'config=ARG', 'Path to config file, used to find the type of database (default config.json)']
+	])
+		.bindHelp()
+		.setHelp('USAGE\n  node rebuildStats.js [options]\n'
+				 + 'Rebuild the player statistics from the finished games.\n'
+				 + 'The server must not be running.\n[[OPTIONS]]')
+		.parseSystem()
+		.options;
+
+	Fs.readFile(opt.config || 'config.json')
+	.then(json => JSON.parse(json))
+	.catch(e => {
+		console.log('No config, using the default database');
+		return {};
+	})
+	.then(config => {
+		const Database = config.database === 'log'
+			  ? LogDatabase : Platform.Database;
+		const db = new Database('games', 'game', {
+			classes: Game.classes,
+			index: game => game.indexFields()
+		});
+		const statsDb = new Database('games', 'stats');
+		const stats = new PlayerStats(statsDb);
+		return stats.rebuild(
+			() => db.select({ state: 'finished' }),
+			key => db.get(key, Game.classes))
+		.then(count => console.log(
+			`Counted ${count} games for ${stats.list.length} players`))
+		.then(() => Promise.all([ db, statsDb ].map(
+			d => d.close ? d.close() : undefined)));
+	})
+	.catch(e => {
+		console.error(e);
+		process.exitCode = 1;
+	});
+});
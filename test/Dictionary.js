@@ -0,0 +1,184 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'test/TestRunner', 'game/Edition', 'dawg/Dictionary', 'dawg/Definitions'
+], (
+	TestRunner, Edition, Dictionary, Definitions
+) => {
+    let tr = new TestRunner('Dictionary');
+    let assert = tr.assert;
+
+	// Pack integers into an ArrayBuffer, the way Trie.encodeBuffer does
+	function pack(ints) {
+		const buffer = new ArrayBuffer(ints.length * 4);
+		const dv = new DataView(buffer);
+		ints.forEach((n, i) => dv.setUint32(i * 4, n));
+		return buffer;
+	}
+
+	// Build a DAWG the way compressor.js does, using the letters
+	// on the tiles in the edition
+	function build(edition, words) {
+		return Dictionary.fromWords(
+			edition.name, words.map(w => edition.tokenise(w)),
+			edition.alphabeta);
+	}
+
+	tr.addTest('tiles with more than one letter', () => {
+		return Edition.load('Hungarian_Scrabble')
+		.then(edition => {
+			assert.deepEqual(edition.tokenise('szám'), [ 'SZ', 'Á', 'M' ]);
+			assert.deepEqual(edition.tokenise('LYUK'), [ 'LY', 'U', 'K' ]);
+			assert.equal(edition.tokenise('QUIZ'), undefined);
+
+			const dict = build(edition, [
+				'ASZTAL', 'ÁSZ', 'LYUK', 'MA', 'SZÁM', 'SZEM' ]);
+			assert.deepEqual(dict.alphabet, edition.alphabeta);
+
+			assert(dict.hasWord('SZÁM'));
+			assert(dict.hasWord([ 'SZ', 'Á', 'M' ]));
+			assert(dict.hasWord('ASZTAL'));
+			assert(dict.hasWord('LYUK'));
+			// 'S' 'Z' is not the same as 'SZ'
+			assert(!dict.hasWord([ 'S', 'Z', 'Á', 'M' ]));
+			// Only whole words
+			assert(!dict.hasWord('SZÁ'));
+			assert(dict.hasSequence('SZTA'));
+			// 'Z' is only part of a tile
+			assert(!dict.hasSequence('ZTA'));
+			assert(dict.hasSequence([ 'Á', 'M' ]));
+			assert(!dict.hasSequence([ 'Z', 'T' ]));
+
+			const words = [];
+			dict.eachWord((word, node, letters) =>
+						  words.push(`${word}:${letters.join('-')}`));
+			assert.deepEqual(words.sort(), [
+				'ASZTAL:A-SZ-T-A-L', 'LYUK:LY-U-K', 'MA:M-A',
+				'SZEM:SZ-E-M', 'SZÁM:SZ-Á-M', 'ÁSZ:Á-SZ' ]);
+
+			assert.deepEqual(dict.findAnagrams([ 'M', 'Á', 'SZ', 'A' ]), {
+				'ÁSZ': [ 'Á', 'SZ' ],
+				'MA': [ 'M', 'A' ],
+				'SZÁM': [ 'SZ', 'Á', 'M' ]
+			});
+			// Blanks
+			assert.deepEqual(
+				Object.keys(dict.findAnagrams([ 'LY', ' ', 'K' ])),
+				[ 'LYUK' ]);
+		});
+	});
+
+	tr.addTest('older DAWG', () => {
+		// 'A' and 'AB', letters stored as code points
+		const dict = new Dictionary('old', pack([
+			2,
+			'A'.codePointAt(0), 1 | 2 | (1 << 2),
+			'B'.codePointAt(0), 1 | 2
+		]));
+		assert.equal(dict.alphabet, undefined);
+		assert(dict.hasWord('A'));
+		assert(dict.hasWord('AB'));
+		assert(!dict.hasWord('B'));
+		assert.deepEqual(Object.keys(dict.findAnagrams('BA')).sort(),
+						 [ 'A', 'AB' ]);
+	});
+
+	tr.addTest('overlay', () => {
+		return Edition.load('Hungarian_Scrabble')
+		.then(edition => {
+			const dict = build(edition, [ 'ASZTAL', 'MA', 'SZÁM', 'SZEM' ]);
+			assert.deepEqual(dict.spell('lyuk'), [ 'LY', 'U', 'K' ]);
+			assert.equal(dict.spell('QUIZ'), undefined);
+
+			dict.setOverlay({ added: [ 'ÁSZ', 'LYUK' ], removed: [ 'MA' ] });
+			assert(dict.hasWord('ÁSZ'));
+			assert(dict.hasWord([ 'LY', 'U', 'K' ]));
+			assert(!dict.hasWord('MA'));
+			assert(dict.isRemoved([ 'M', 'A' ]));
+			assert(dict.hasWord('SZÁM'));
+			assert(dict.hasSequence('LYU'));
+			assert(!dict.hasSequence('YU'));
+			assert(dict.getSequenceRoots('LY').length > 0);
+
+			assert.deepEqual(dict.findAnagrams([ 'M', 'Á', 'SZ', 'A' ]), {
+				'ÁSZ': [ 'Á', 'SZ' ],
+				'SZÁM': [ 'SZ', 'Á', 'M' ]
+			});
+
+			const words = [];
+			dict.eachWord(word => words.push(word));
+			assert.deepEqual(words.sort(), [
+				'ASZTAL', 'LYUK', 'SZEM', 'SZÁM', 'ÁSZ' ]);
+
+			// An empty overlay puts things back as they were
+			dict.setOverlay({ added: [], removed: [] });
+			assert(dict.hasWord('MA'));
+			assert(!dict.hasWord('LYUK'));
+		});
+	});
+
+	tr.addTest('walk and share the DAWG', () => {
+		return Edition.load('English_Scrabble')
+		.then(edition => {
+			const dict = build(edition, [ 'CAT', 'COT', 'DOT', 'DOTE' ]);
+			const t = dict.match('DOT');
+			assert.equal(dict.letter(t), 'T');
+			assert(dict.isEndOfWord(t));
+			assert.deepEqual(dict.postLetters(t), [ 'E' ]);
+			assert.equal(dict.letter(dict.findChild(t, 'E')), 'E');
+			assert.equal(dict.findChild(t, 'S'), -1);
+			assert.equal(dict.match('DOX'), null);
+
+			// 'OT' is shared by COT and DOT, but has only one parent
+			const o = dict.parent(t);
+			assert.equal(dict.letter(o), 'O');
+			assert(dict.letter(dict.parent(o)) === 'C'
+				   || dict.letter(dict.parent(o)) === 'D');
+			assert.equal(dict.parent(dict.parent(o)), -1);
+
+			// Each node is a sequence root once
+			const roots = dict.getSequenceRoots('T');
+			assert.deepEqual(roots, [ ...new Set(roots) ]);
+			assert(roots.indexOf(t) >= 0);
+			assert.deepEqual(dict.getSequenceRoots('Q'), []);
+
+			dict.setOverlay({ added: [ 'TOE' ], removed: [ 'COT' ] });
+			const shared = Dictionary.adopt(dict.share());
+			assert.notEqual(shared, dict);
+			assert.equal(shared.nodes.buffer, dict.nodes.buffer);
+			assert(shared.hasWord('TOE'));
+			assert(!shared.hasWord('COT'));
+			assert(shared.hasSequence('OE'));
+			return Dictionary.load(edition.name)
+			.then(loaded => assert.equal(loaded, shared));
+		});
+	});
+
+	tr.addTest('definitions', () => {
+		const defs = new Definitions('test', {
+			CAT: [ 'a small animal', 'to vomit' ]
+		});
+		assert.deepEqual(defs.define('cat'),
+						 [ 'a small animal', 'to vomit' ]);
+		assert.equal(defs.define('DOG'), undefined);
+		// Dictionaries don't have to have definitions
+		return Definitions.load('SOWPODS_English')
+		.then(none => assert.equal(none, undefined));
+	});
+
+	tr.run();
+});
@@ -0,0 +1,96 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		server: 'js/server',
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'fs', 'os', 'path', 'test/TestRunner',
+	'server/DictionaryAdmin', 'dawg/Dictionary'
+], (
+	fs, Os, Path, TestRunner,
+	DictionaryAdmin, Dictionary
+) => {
+	const Fs = fs.promises;
+    let tr = new TestRunner('DictionaryAdmin');
+    let assert = tr.assert;
+
+	let directory;
+
+	tr.suite.beforeEach(
+		() => Fs.mkdtemp(Path.join(Os.tmpdir(), 'DictionaryAdmin-'))
+		.then(dir => directory = dir));
+
+	tr.suite.afterEach(
+		() => Fs.rm(directory, { recursive: true }));
+
+	const ALPHABET = [ 'A', 'C', 'D', 'G', 'O', 'T' ];
+
+	function build(words) {
+		return Dictionary.fromWords(
+			'test', words.map(w => w.split('')), ALPHABET);
+	}
+
+	tr.addTest('add and remove words', () => {
+		const admin = new DictionaryAdmin(directory);
+		const dict = build([ 'CAT', 'DOG' ]);
+		const user = { name: 'admin', key: 'f00d' };
+		return admin.change(dict, user, [ 'goat', 'CAT' ], [ 'DOG', 'COD' ])
+		.then(overlay => {
+			// CAT is already a word, COD never was
+			assert.deepEqual(overlay, { added: [ 'GOAT' ], removed: [ 'DOG' ] });
+			assert(dict.hasWord('GOAT'));
+			assert(!dict.hasWord('DOG'));
+			return Fs.readFile(Path.join(directory, 'test.overlay'));
+		})
+		.then(data => assert.deepEqual(JSON.parse(data.toString()), {
+			added: [ 'GOAT' ], removed: [ 'DOG' ] }))
+		// Undo the changes
+		.then(() => admin.change(dict, user, [ 'DOG' ], [ 'GOAT' ]))
+		.then(overlay => {
+			assert.deepEqual(overlay, { added: [], removed: [] });
+			assert(dict.hasWord('DOG'));
+			assert(!dict.hasWord('GOAT'));
+			// There's nothing left in the overlay
+			return Fs.access(Path.join(directory, 'test.overlay'))
+			.then(() => assert.fail('overlay should be gone'))
+			.catch(e => assert.equal(e.code, 'ENOENT'));
+		})
+		.then(() => admin.getAudit('test'))
+		.then(audit => {
+			assert.equal(audit.length, 2);
+			assert.equal(audit[0].user, 'admin');
+			assert.equal(audit[0].key, 'f00d');
+			assert.deepEqual(audit[0].added, [ 'GOAT' ]);
+			assert.deepEqual(audit[0].removed, [ 'DOG' ]);
+			assert.deepEqual(audit[1].added, [ 'DOG' ]);
+			assert.deepEqual(audit[1].removed, [ 'GOAT' ]);
+		});
+	});
+
+	tr.addTest('words must be spelled with the letters', () => {
+		const admin = new DictionaryAdmin(directory);
+		const dict = build([ 'CAT', 'DOG' ]);
+		return admin.change(dict, { name: 'admin' }, [ 'COW', 'TOGA' ], [])
+		.then(() => assert.fail('should have been rejected'))
+		.catch(e => {
+			assert.deepEqual(e.words, [ 'COW' ]);
+			assert(!dict.hasWord('TOGA'));
+		})
+		.then(() => admin.getAudit('test'))
+		.then(audit => assert.deepEqual(audit, []));
+	});
+
+	tr.run();
+});
@@ -0,0 +1,133 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'test/TestRunner', 'game/Player', 'game/Game', 'game/GCG'
+], (
+	TestRunner, Player, Game, GCG
+) => {
+    let tr = new TestRunner('GCG');
+    let assert = tr.assert;
+
+	// GCG without the #id line, which carries the game key
+	function withoutId(gcg) {
+		return gcg.replace(/^#id .*\n/m, '');
+	}
+
+	tr.addTest('round trip robot game', () => {
+		const game = new Game({
+			edition: 'Tiny',
+			dictionary: 'Oxford_5000',
+			secondsPerPlay: 3,
+			debug: false
+		});
+		const player1 = new Player({
+			name: 'player one', key: "flay", isRobot: true});
+		const player2 = new Player({
+			name: 'player two', key: "swelter", isRobot: true});
+		let gcg;
+
+		return game.create()
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.whosTurnKey = player1.key;
+			return game.autoplay();
+		})
+		.then(turn => game.finishTurn(turn))
+		.then(() => {
+			assert(game.hasEnded());
+			gcg = GCG.write(game);
+			assert(/^#player1 player_one player one$/m.test(gcg));
+			assert(/^#edition Tiny$/m.test(gcg));
+			assert(/^#lexicon Oxford_5000$/m.test(gcg));
+			return GCG.read(gcg, {});
+		})
+		.then(copy => {
+			assert.equal(copy.edition, 'Tiny');
+			assert.equal(copy.dictionary, 'Oxford_5000');
+			assert.equal(copy.state, 'Game over');
+			assert.equal(copy.turns.length, game.turns.length);
+			assert.equal(copy.players.length, 2);
+			for (let i = 0; i < 2; i++) {
+				assert.equal(copy.players[i].name, game.players[i].name);
+				assert.equal(copy.players[i].score, game.players[i].score);
+			}
+			assert.equal(copy.board.tiles().length,
+						 game.board.tiles().length);
+			assert.equal(withoutId(GCG.write(copy)), withoutId(gcg));
+		});
+	}, 120000);
+
+	tr.addTest('read', () => {
+		const gcg = [
+			'#player1 Fred Fred Bloggs',
+			'#player2 Joe Joe Bloggs',
+			'#edition English_Scrabble',
+			'#lexicon CSW19',
+			'>Fred: ADEMNOT 8D MOATED +26 26',
+			'>Joe: AEIIRRS -IIR +0 0',
+			'>Fred: ?ENNTUY 9H UNiTY +24 50',
+			'>Fred: ?ENNTUY -- -24 26',
+			'>Fred: ?ENNTUY 9H UNsET +19 45',
+			'>Fred: ?ENNTUY (challenge) +5 50',
+			'>Joe: AEIRSXZ F7 R.ISE +20 20',
+			'>Fred: - +0 50'
+		].join('\n');
+
+		return GCG.read(gcg, { dictionary: 'Oxford_5000' })
+		.then(game => {
+			assert.equal(game.edition, 'English_Scrabble');
+			assert.equal(game.dictionary, 'CSW19');
+			assert.equal(game.state, 'playing');
+			const fred = game.players[0], joe = game.players[1];
+			assert.equal(fred.name, 'Fred Bloggs');
+			assert.equal(joe.name, 'Joe Bloggs');
+			assert.equal(fred.score, 50);
+			assert.equal(joe.score, 20);
+			assert.deepEqual(game.turns.map(t => t.type), [
+				'move', 'swap', 'move', 'took-back', 'move', 'move',
+				'passed' ]);
+			assert.equal(game.turns[4].score, 24);
+			assert.equal(game.turns[1].swapped.length, 3);
+			assert.equal(game.whosTurnKey, joe.key);
+
+			// MOATED + UNSET + RISE
+			assert.equal(game.board.tiles().length, 15);
+			const s = game.at(9, 8).tile;
+			assert(s.isBlank);
+			assert.equal(s.letter, 'S');
+			assert.equal(game.at(5, 9).tile.letter, 'S');
+			assert.equal(game.turns[5].words[0].word, 'RAISE');
+
+			// Racks are as given, after the tiles drawn
+			assert.equal(fred.rack.tiles().length, 7);
+			assert.equal(joe.rack.tiles().length, 7);
+			assert.equal(game.letterBag.remainingTileCount(),
+						 100 - 15 - 14);
+
+			// Only Fred's racks are written
+			const lines = GCG.write(game, { racksOf: [ fred.key ] })
+				  .split('\n');
+			assert(lines.find(
+				l => /^>Fred_Bloggs: [A-Z]{7} 8D MOATED \+26 26$/.test(l)));
+			assert(lines.indexOf('>Joe_Bloggs: -3 +0 0') >= 0);
+			assert(lines.indexOf('>Joe_Bloggs: F7 R.ISE +20 20') >= 0);
+		});
+	});
+
+	tr.run();
+});
@@ -29,7 +29,7 @@ class PSocket {
 	}
 }
 
-requirejs(['test/TestRunner', 'game/Edition', 'game/Tile', 'game/Rack', 'game/Player', 'game/Game', 'game/Move', 'game/Turn', 'game/findBestPlay'], (TestRunner, Edition, Tile, Rack, Player, Game, Move, Turn, findBestPlay) => {
+requirejs(['test/TestRunner', 'game/Edition', 'game/Tile', 'game/Rack', 'game/Player', 'game/Game', 'game/Move', 'game/Turn', 'game/Fridge', 'game/findBestPlay', 'dawg/Dictionary', 'platform'], (TestRunner, Edition, Tile, Rack, Player, Game, Move, Turn, Fridge, findBestPlay, Dictionary, Platform) => {
     let tr = new TestRunner('Game tests');
     let assert = tr.assert;
 
@@ -159,6 +159,128 @@ requirejs(['test/TestRunner', 'game/Edition', 'game/Tile', 'game/Rack', 'game/Pl
 		});
 	});
 	
+	tr.addTest('robotLevel', () => {
+		const game = new Game({
+			edition:'English_Scrabble',
+			dictionary:'Oxford_5000',
+			debug: NOISY
+		});
+
+		const plays = [ 9, 3, 27, 12, 5 ].map(score => new Move({
+			words: [ { word: 'X'.repeat(score % 8 + 2), score: score } ],
+			score: score
+		}));
+		let play = game.choosePlay(plays.slice(), Player.LEVELS.expert);
+		assert.equal(play.score, 5);
+		play = game.choosePlay(plays.slice(), Player.LEVELS.intermediate);
+		assert.equal(play.score, 12);
+		// 12 and 5 make words that are too long for a beginner
+		play = game.choosePlay(plays.slice(), Player.LEVELS.beginner);
+		assert.equal(play.score, 9);
+		assert.equal(game.choosePlay([], Player.LEVELS.beginner), undefined);
+
+		return game.create()
+		.then(game => {
+			const player = new Player({
+				name:'test', key:"learner", isRobot:true, level: 'beginner'
+			});
+			game.addPlayer(player);
+			player.rack.empty();
+			for (let l of 'SEATING')
+				player.rack.addTile(new Tile({letter:l, isBlank:false, score:1}));
+			game.whosTurnKey = player.key;
+			return game.autoplay();
+		})
+		.then(turn => {
+			assert(turn.type === 'move' || turn.type === 'passed'
+				   || turn.type === 'swap');
+			if (turn.type === 'move') {
+				for (let w of turn.words)
+					assert(w.word.length <= 5);
+			}
+		});
+	});
+
+	tr.addTest('findPlays', () => {
+		const game = new Game({
+			edition:'English_Scrabble',
+			dictionary:'Oxford_5000',
+			debug: NOISY
+		});
+		const player = new Player({name:'test', key:"options", isRobot:false});
+
+		return game.create()
+		.then(game => {
+			game.addPlayer(player);
+			player.rack.empty();
+			for (let l of 'RSTLNE')
+				player.rack.addTile(new Tile({letter:l, isBlank:false, score:1}));
+			player.rack.addTile(new Tile({letter:' ', isBlank:true, score:0}));
+			return game.findPlays(player, 8);
+		})
+		.then(plays => {
+			assert.equal(plays.length, 8);
+			const seen = {};
+			for (let i = 0; i < plays.length; i++) {
+				const play = plays[i];
+				assert(play instanceof Move);
+				if (i > 0)
+					assert(play.score <= plays[i - 1].score);
+				assert.equal(play.leave.tiles.length + play.placements.length, 7);
+				assert.equal(typeof play.leave.value, 'number');
+				const key = play.placements
+					  .map(t => `${t.col},${t.row},${t.letter}`).join(';');
+				assert(!seen[key]);
+				seen[key] = true;
+			}
+			return game.findPlays(player);
+		})
+		.then(plays => assert(plays.length > 8));
+	});
+
+	tr.addTest('robotSwap', () => {
+		const game = new Game({
+			edition:'English_Scrabble', dictionary:'Oxford_5000', debug: NOISY
+		});
+		const robot = new Player({name:'robot', key:"swapper", isRobot:true});
+		const human = new Player({name:'human', key:"watcher", isRobot:false});
+
+		return game.create()
+		.then(game => {
+			game.addPlayer(robot);
+			game.addPlayer(human);
+			robot.rack.empty();
+			for (let l of 'QQVVWWX')
+				robot.rack.addTile(new Tile({letter:l, isBlank:false, score:1}));
+			game.whosTurnKey = robot.key;
+			return game.autoplay();
+		})
+		.then(turn => {
+			// A rack that can't be played, and should be swapped
+			// rather than passed
+			assert(turn instanceof Turn);
+			assert.equal(turn.type, 'swap');
+			assert.equal(turn.playerKey, robot.key);
+			assert.equal(turn.nextToGoKey, human.key);
+			assert.equal(turn.words.length, 0);
+			assert.equal(turn.placements.length, 0);
+			assert.equal(turn.score, 0);
+			assert(turn.replacements.length > 0);
+			assert(turn.replacements.length <= 7);
+			assert.equal(robot.rack.tiles().length, 7);
+
+			// With an empty bag the robot can only pass
+			game.letterBag.getRandomTiles(
+				game.letterBag.remainingTileCount());
+			robot.rack.empty();
+			for (let l of 'QQVVWWX')
+				robot.rack.addTile(new Tile({letter:l, isBlank:false, score:1}));
+			game.whosTurnKey = robot.key;
+			return game.autoplay();
+		})
+		.then(turn => assert.equal(turn.type, 'passed'));
+	});
+
 	tr.addTest('swap', () => {
 		const game = new Game({
 			edition:'Tiny', dictionary:'Oxford_5000', debug: NOISY
@@ -383,6 +505,505 @@ requirejs(['test/TestRunner', 'game/Edition', 'game/Tile', 'game/Rack', 'game/Pl
 		});
 	});
 
+	tr.addTest('gameClock', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			minutesPerGame: 1, secondsIncrement: 5, penaltyPerMinute: 7
+		});
+		const player1 = new Player({name:'test1', key:"hare", isRobot:false});
+		const player2 = new Player({name:'test2', key:"tortoise", isRobot:false});
+		return game.create()
+		.then(game => {
+			assert.equal(game.secondsPerGame, 60);
+			game.addPlayer(player1);
+			player1.rack.empty();
+			player1.rack.addTile(
+				new Tile({letter:'X', isBlank:false, score:1}));
+			player1.rack.addTile(
+				new Tile({letter:'Y', isBlank:false, score:1}));
+			player1.rack.addTile(
+				new Tile({letter:'Z', isBlank:false, score:1}));
+			game.addPlayer(player2);
+			player2.rack.empty();
+			assert.equal(player1.clock, 60);
+			assert.equal(player2.clock, 60);
+			game.connect(new PSocket(), player1.key);
+			game.connect(new PSocket(), player2.key);
+			// Tick by hand, rather than waiting for the interval timer
+			game.stopTimers();
+			game.whosTurnKey = player1.key;
+			// The turn started a minute and a half ago, perhaps
+			// before the server was restarted, and the clock keeps
+			// running after it runs out
+			game.clockStarted = Date.now() - 90000;
+			game.tick();
+			assert.closeTo(game.clockLeft(player1), -30, 0.5);
+			assert.equal(game.clockLeft(player2), 60);
+			const ticks = game.getConnection(player2).messages
+				  .filter(mess => mess.message === 'tick');
+			assert.closeTo(ticks.pop().data.clock, -30, 0.5);
+			// Not charged until the turn ends
+			assert.equal(player1.clock, 60);
+			return game.pass('passed');
+		})
+		.then(() => {
+			// Passing still gets the increment
+			assert.closeTo(player1.clock, -25, 0.5);
+			// And player2's clock is running
+			assert(game.clockStarted);
+			assert.equal(game.whosTurnKey, player2.key);
+			assert.equal(game.timePenalty(player1), 7);
+			assert.equal(game.timePenalty(player2), 0);
+			game.whosTurnKey = player1.key;
+			// Empty the bag
+			game.letterBag.getRandomTiles(
+				game.letterBag.remainingTileCount());
+			return game.confirmGameOver('Game over');
+		})
+		.then(turn => {
+			assert.equal(turn.score[player1.key], -3 - 7);
+			assert.equal(turn.score[player2.key], 3);
+			assert.equal(player1.score, -10);
+		});
+	});
+
+	tr.addTest('correspondence', () => {
+		const DAY = 24 * 60 * 60 * 1000;
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			daysPerTurn: 2, timeoutAction: 'forfeit'
+		});
+		const player1 = new Player({name:'test1', key:"pigeon", isRobot:false});
+		const player2 = new Player({name:'test2', key:"post", isRobot:false});
+		let deadline;
+		return game.create()
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.connect(new PSocket(), player1.key);
+			game.whosTurnKey = player1.key;
+			deadline = game.turnDeadline();
+			assert.equal(deadline, game.creationTimestamp + 2 * DAY);
+			// Reminders are sent in the last day, once a turn
+			assert(!game.needsReminder(deadline - DAY - 1000));
+			assert(game.needsReminder(deadline - 1000));
+			game.remindedTurn = game.turns.length;
+			assert(!game.needsReminder(deadline - 1000));
+			return game.checkDeadline(deadline - 1000);
+		})
+		.then(turn => {
+			assert(!turn);
+			game.timeoutAction = 'pass';
+			return game.checkDeadline(deadline);
+		})
+		.then(turn => {
+			assert.equal(turn.type, 'timeout');
+			assert.equal(turn.playerKey, player1.key);
+			assert.equal(game.whosTurnKey, player2.key);
+			// The deadline is reset for the next player
+			assert(game.turnDeadline() >= deadline);
+			assert(game.needsReminder(game.turnDeadline() - 1000));
+			game.timeoutAction = 'forfeit';
+			return game.checkDeadline(game.turnDeadline());
+		})
+		.then(turn => {
+			assert.equal(turn.type, 'Forfeited');
+			assert.equal(turn.playerKey, player2.key);
+			assert.equal(game.state, 'Forfeited');
+			assert(!game.turnDeadline());
+		});
+	});
+
+	tr.addTest('inactivity', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			daysInactive: 0
+		});
+		return game.create()
+		.then(() => {
+			game.addPlayer(new Player({name:'test1', key:"sloth", isRobot:false}));
+			game.addPlayer(new Player({name:'test2', key:"snail", isRobot:false}));
+			game.creationTimestamp -= 30 * 24 * 60 * 60 * 1000;
+			return game.checkTimeout();
+		})
+		.then(() => {
+			assert.equal(game.state, 'playing');
+			game.daysInactive = 29;
+			return game.checkTimeout();
+		})
+		.then(() => assert.equal(game.state, 'Timed out'));
+	});
+
+	tr.addTest('spectators', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY
+		});
+		const player1 = new Player({name:'test1', key:"actor", isRobot:false});
+		const player2 = new Player({name:'test2', key:"actress", isRobot:false});
+		const fan = new PSocket(), anon = new PSocket();
+		return game.create()
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.whosTurnKey = player1.key;
+			game.connect(new PSocket(), player1.key);
+			game.observe(fan, 'fan');
+			game.observe(anon);
+			assert.deepEqual(game.spectators(), [ 'fan', undefined ]);
+			// Spectators aren't players
+			assert(!fan.player);
+			assert.equal(game.getConnection(undefined), null);
+			assert(!game.allPlayersReady());
+			game.connect(new PSocket(), player2.key);
+			assert(game.allPlayersReady());
+			game.stopTimers();
+			const names = fan.messages.filter(m => m.message === 'spectators');
+			assert.deepEqual(names.pop().data, [ 'fan', undefined ]);
+			// So every tile drawn has a letter
+			game.letterBag.tiles = game.letterBag.tiles.filter(t => !t.isBlank);
+			return game.swap(player1.rack.tiles().slice(0, 2));
+		})
+		.then(turn => game.finishTurn(turn))
+		.then(() => {
+			const played = game.getConnection(player1).messages
+				  .find(m => m.message === 'turn').data;
+			const watched = fan.messages
+				  .find(m => m.message === 'turn').data;
+			assert.equal(played.replacements.length, 2);
+			assert.notEqual(played.replacements[0].letter, ' ');
+			// Spectators are told how many tiles were drawn, but
+			// not what they were
+			assert.equal(watched.replacements.length, 2);
+			assert.equal(watched.replacements[0].letter, ' ');
+			assert.equal(watched.swapped.length, 2);
+			assert.equal(watched.swapped[0].letter, ' ');
+
+			// A copy of the game for spectators hides the racks
+			const copy = Fridge.thaw(Fridge.freeze(game), Game.classes);
+			copy.hideRacks();
+			assert(copy.players.every(p => p.rack.isEmpty()));
+			assert.equal(copy.letterBag.remainingTileCount(),
+						 game.letterBag.remainingTileCount());
+			assert(copy.letterBag.tiles.every(t => t.letter === ' '));
+			assert.equal(copy.turns[0].replacements[0].letter, ' ');
+			return game.confirmGameOver('Game over');
+		})
+		.then(turn => game.finishTurn(turn))
+		.then(() => {
+			// The racks are shown at the end of the game
+			const racks = fan.messages.find(m => m.message === 'racks').data;
+			assert.equal(racks.turn, game.turns.length);
+			assert.deepEqual(racks.racks[player1.key].map(t => t.letter),
+							 player1.rack.tiles().map(t => t.letter));
+			// So there's no need to hide them
+			game.hideRacks();
+			assert(!player1.rack.isEmpty());
+		});
+	});
+
+	tr.addTest('unknown players can only watch', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY
+		});
+		const player1 = new Player({name:'test1', key:"romeo", isRobot:false});
+		const player2 = new Player({name:'test2', key:"juliet", isRobot:false});
+		const lurker = new PSocket(), intruder = new PSocket();
+		return game.create()
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.whosTurnKey = player1.key;
+			// Joined without saying they are spectators
+			game.connect(lurker);
+			game.connect(intruder, 'tybalt');
+			assert(!lurker.player);
+			assert(lurker.spectator);
+			assert(intruder.spectator);
+			assert.deepEqual(game.spectators(), [ undefined, undefined ]);
+			game.connect(new PSocket(), player1.key);
+			game.connect(new PSocket(), player2.key);
+			game.stopTimers();
+			// So every tile drawn has a letter
+			game.letterBag.tiles = game.letterBag.tiles.filter(t => !t.isBlank);
+			return game.swap(player1.rack.tiles().slice(0, 2));
+		})
+		.then(turn => game.finishTurn(turn))
+		.then(() => {
+			for (let socket of [ lurker, intruder ]) {
+				const watched = socket.messages
+					  .find(m => m.message === 'turn').data;
+				assert.equal(watched.replacements[0].letter, ' ');
+				assert.equal(watched.swapped[0].letter, ' ');
+			}
+			const played = game.getConnection(player1).messages
+				  .find(m => m.message === 'turn').data;
+			assert.notEqual(played.replacements[0].letter, ' ');
+		})
+		.finally(() => game.stopTimers());
+	});
+
+	tr.addTest('racks are revealed once', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			secondsToRevealRacks: 1
+		});
+		const player1 = new Player({name:'test1', key:"hamlet", isRobot:false});
+		const player2 = new Player({name:'test2', key:"ophelia", isRobot:false});
+		const fan = new PSocket();
+		const revealed = () => fan.messages
+			  .filter(m => m.message === 'racks')
+			  .map(m => m.data.turn);
+		const wait = () => new Promise(resolve => setTimeout(resolve, 100));
+		return game.create()
+		.then(() => {
+			// Too long to wait for in a test
+			game.secondsToRevealRacks = 0.05;
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.whosTurnKey = player1.key;
+			game.observe(fan, 'fan');
+			return game.pass('passed');
+		})
+		.then(turn => game.finishTurn(turn))
+		.then(() => game.pass('passed'))
+		.then(turn => game.finishTurn(turn))
+		.then(() => {
+			// Not yet
+			assert.deepEqual(revealed(), []);
+			return wait();
+		})
+		.then(() => {
+			// The second turn cancelled the reveal after the first
+			assert.deepEqual(revealed(), [ 2 ]);
+			return game.pass('passed');
+		})
+		.then(turn => game.finishTurn(turn))
+		.then(() => game.confirmGameOver('Game over'))
+		.then(turn => game.finishTurn(turn))
+		.then(() => {
+			// The end of the game reveals the racks straight away
+			assert.deepEqual(revealed(), [ 2, 4 ]);
+			return wait();
+		})
+		.then(() => assert.deepEqual(revealed(), [ 2, 4 ]))
+		.finally(() => game.stopTimers());
+	});
+
+	tr.addTest('duplicate', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			duplicate: true
+		});
+		const player1 = new Player({name:'test1', key:"copy", isRobot:false});
+		const player2 = new Player({name:'test2', key:"paste", isRobot:false});
+		let top, rack;
+		return game.create()
+		.then(() => {
+			// A rack that can be played
+			game.letterBag.returnTiles(game.duplicateRack.empty());
+			for (let l of 'AEIMNOT')
+				game.duplicateRack.addTile(
+					game.letterBag.removeTile({ letter: l }));
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			assert(!game.whosTurnKey);
+			// Everyone has the same rack
+			rack = game.duplicateRack.tiles().map(t => t.letter);
+			assert.equal(rack.length, game.rackSize);
+			assert.deepEqual(player1.rack.tiles().map(t => t.letter), rack);
+			assert.deepEqual(player2.rack.tiles().map(t => t.letter), rack);
+			return findBestPlay(
+				game, game.duplicateRack.tiles(), data => {
+					if (typeof data !== 'string'
+						&& (!top || data.score > top.score))
+						top = data;
+				}, game.dictionary);
+		})
+		.then(() => {
+			assert(top);
+			// Tiles that aren't on the rack can't be played
+			return Promise.resolve()
+			.then(() => game.submitPlay(player1, {
+				placements: [
+					new Tile({letter:'Q', score:10, col:7, row:7}),
+					new Tile({letter:'Q', score:10, col:8, row:7})
+				]
+			}))
+			.then(() => assert.fail('Expected an error'))
+			.catch(e => assert.equal(e.message, 'Illegal play'));
+		})
+		.then(() => game.submitPlay(player1, top))
+		.then(turn => {
+			// Nothing happens until everyone has played
+			assert(!turn);
+			assert.equal(game.plays[player1.key].score, top.score);
+			assert.throws(() => game.submitPlay(player1),
+						  /You have already played/);
+			assert(!game.at(top.placements[0].col, top.placements[0].row).tile);
+			// Only the player who played can see what they played
+			const copy = Fridge.thaw(Fridge.freeze(game), Game.classes);
+			copy.hidePlays(player2.key);
+			assert.equal(copy.plays[player1.key].placements.length, 0);
+			return game.submitPlay(player2);
+		})
+		.then(turn => {
+			assert.equal(turn.type, 'duplicate');
+			assert.equal(turn.topScore, top.score);
+			assert.equal(turn.score[player1.key], top.score);
+			assert.equal(turn.score[player2.key], 0);
+			assert.equal(turn.plays[player1.key].score, top.score);
+			assert.equal(game.topScore, top.score);
+			assert.equal(game.percentOfTop(player1), 100);
+			assert.equal(game.percentOfTop(player2), 0);
+			// The top play is on the board. It might not be the
+			// same as the play we found, if there's a tie
+			for (let placement of turn.placements)
+				assert.equal(game.at(placement.col, placement.row).tile.letter,
+							 placement.letter);
+			// And the rack is refilled, for everyone
+			assert.deepEqual(Object.keys(game.plays), []);
+			assert.equal(turn.rack.length, game.duplicateRack.squaresUsed());
+			assert.deepEqual(player1.rack.tiles().map(t => t.letter),
+							 game.duplicateRack.tiles().map(t => t.letter));
+			assert.deepEqual(player2.rack.tiles().map(t => t.letter),
+							 game.duplicateRack.tiles().map(t => t.letter));
+		});
+	});
+
+	tr.addTest('duplicate round only ends once', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			duplicate: true
+		});
+		const player1 = new Player({name:'test1', key:"tick", isRobot:false});
+		const player2 = new Player({name:'test2', key:"tock", isRobot:false});
+		let top;
+		return game.create()
+		.then(() => {
+			game.letterBag.returnTiles(game.duplicateRack.empty());
+			for (let l of 'AEIMNOT')
+				game.duplicateRack.addTile(
+					game.letterBag.removeTile({ letter: l }));
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			return findBestPlay(
+				game, game.duplicateRack.tiles(), data => {
+					if (typeof data !== 'string'
+						&& (!top || data.score > top.score))
+						top = data;
+				}, game.dictionary);
+		})
+		.then(() => game.submitPlay(player1, top))
+		.then(() => {
+			// The round times out, and while the top play is being
+			// found, the last player tries to play
+			const timedOut = game.playerTimedOut();
+			assert.throws(() => game.submitPlay(player2),
+						  /The round is over/);
+			return Promise.all([ timedOut, game.endRound() ]);
+		})
+		.then(([ turn, again ]) => {
+			assert.equal(turn.type, 'duplicate');
+			assert(!again);
+			// Scores are only added once
+			assert.equal(player1.score, top.score);
+			assert.equal(player2.score, 0);
+			assert.equal(game.turns.length, 1);
+			assert.deepEqual(Object.keys(game.plays), []);
+		});
+	});
+
+	tr.addTest('duplicate game on a blocked board', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			duplicate: true
+		});
+		const player1 = new Player({name:'test1', key:"stuck", isRobot:true});
+		const player2 = new Player({name:'test2', key:"fast", isRobot:true});
+		return game.create()
+		.then(() => {
+			// Every square left is walled in by Qs, so any play
+			// would make a word with a Q in the wrong place
+			for (let row = 0; row < game.board.rows; row++)
+				for (let col = (row + 1) % 2; col < game.board.cols; col += 2)
+					game.board.at(col, row).placeTile(new Tile({
+						letter:'Q', isBlank:false, score:10}), true);
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			return game.endRound();
+		})
+		.then(turn => {
+			// The rack is redrawn once
+			assert.equal(turn.swapped.length, game.rackSize);
+			assert(!game.duplicateRack.isEmpty());
+			return game.finishTurn(turn);
+		})
+		.then(() => {
+			assert.equal(game.state, 'All players passed twice');
+			assert.deepEqual(game.turns.map(t => t.type),
+							 [ 'duplicate', 'duplicate',
+							   'All players passed twice' ]);
+			assert(game.letterBag.remainingTileCount() > 0);
+		})
+		.finally(() => game.stopTimers());
+	});
+
+	tr.addTest('teams', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			teams: true
+		});
+		const player1 = new Player({name:'test1', key:"batman", isRobot:false});
+		const player2 = new Player({name:'test2', key:"joker", isRobot:false});
+		const batman = new PSocket(), robin = new PSocket();
+		return game.create()
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.joinTeam(player1, { key: 'robin', name: 'Robin' });
+			assert.equal(player1.name, 'test1 & Robin');
+			assert.deepEqual(player1.members.map(m => m.key),
+							 [ 'batman', 'robin' ]);
+			assert.equal(game.getPlayerForUser('robin'), player1);
+			assert.equal(game.getPlayerForUser('batman'), player1);
+			assert(!game.getPlayerForUser('penguin'));
+			assert.throws(() => game.joinTeam(
+				player2, { key: 'robin', name: 'Robin' }),
+						  /already playing/);
+
+			// Both members are connected as the same player, and
+			// see the same rack
+			game.connect(batman, player1.key);
+			game.connect(robin, player1.key);
+			game.connect(new PSocket(), player2.key);
+			game.stopTimers();
+			game.notifyPlayer(player1, 'message', { text: 'psst', team: true });
+			assert(batman.messages.find(m => m.data.text === 'psst'));
+			assert(robin.messages.find(m => m.data.text === 'psst'));
+			assert(!game.getConnection(player2).messages.find(
+				m => m.data.text === 'psst'));
+
+			player1.removeMember('robin');
+			assert.equal(player1.name, 'test1');
+			assert(!player1.members);
+			// The user who joined the game can't leave the team
+			player1.addMember({ key: 'robin', name: 'Robin' });
+			player1.removeMember('batman');
+			assert.equal(player1.members.length, 2);
+
+			const solo = new Game({
+				edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY
+			});
+			return solo.create()
+			.then(() => {
+				solo.addPlayer(player2);
+				assert.throws(() => solo.joinTeam(
+					player2, { key: 'harley', name: 'Harley' }),
+							  /Teams are not allowed/);
+			});
+		});
+	});
+
 	tr.addTest('badChallenge', () => {
 		// Implicitly tests pass
 		const game = new Game({edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY});
@@ -474,6 +1095,317 @@ requirejs(['test/TestRunner', 'game/Edition', 'game/Tile', 'game/Rack', 'game/Pl
 		});
 	});
 
+	tr.addTest('challengeRules', () => {
+		const SINK = () => new Move({
+			placements: [
+				new Tile({letter:'S', isBlank:false, score:1, col: 7, row: 7}),
+				new Tile({letter:'I', isBlank:false, score:1, col: 8, row: 7}),
+				new Tile({letter:'N', isBlank:false, score:1, col: 9, row: 7}),
+				new Tile({letter:'K', isBlank:false, score:1, col: 10, row: 7})
+			],
+			words: [ { word: 'SINK', score: 99 }],
+			score: 99
+		});
+		const XYZZ = new Move({
+			placements: [
+				new Tile({letter:'X', isBlank:false, score:1, col: 7, row: 7}),
+				new Tile({letter:'Y', isBlank:false, score:1, col: 8, row: 7}),
+				new Tile({letter:'Z', isBlank:false, score:1, col: 9, row: 7}),
+				new Tile({letter:'Z', isBlank:false, score:1, col: 10, row: 7}) ],
+			words: [ { word: 'XYZZ', score: 99 }],
+			score: 99
+		});
+		const setup = params => {
+			const game = new Game(Object.assign({
+				edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY
+			}, params));
+			return game.create()
+			.then(() => {
+				const player1 = new Player({name:'test1', key:"one", isRobot:false});
+				const player2 = new Player({name:'test2', key:"two", isRobot:false});
+				game.addPlayer(player1);
+				player1.rack.empty();
+				for (let letter of 'SINKXY')
+					player1.rack.addTile(
+						new Tile({letter:letter, isBlank:false, score:1}));
+				game.addPlayer(player2);
+				game.whosTurnKey = player1.key;
+				return game;
+			});
+		};
+
+		return new Game({
+			edition:'Tiny', challengeRule: 'void', debug:NOISY }).create()
+		.then(() => assert.fail("Expected an error"))
+		.catch(e => assert.equal(
+			e.message, 'Void challenges need a dictionary'))
+
+		.then(() => setup({ challengeRule: 'single' }))
+		.then(game => game.makeMove(SINK())
+			  .then(() => game.challenge())
+			  .then(turn => {
+				  // The challenger keeps their turn
+				  assert.equal(turn.type, 'challenge-failed');
+				  assert.equal(turn.playerKey, 'two');
+				  assert.equal(turn.nextToGoKey, 'two');
+				  assert.equal(game.whosTurnKey, 'two');
+				  assert(!game.previousMove);
+				  assert.equal(game.getPlayer('one').score, 99);
+			  }))
+
+		.then(() => setup({ challengeRule: 'penalty', challengePenalty: 10 }))
+		.then(game => game.makeMove(SINK())
+			  .then(() => game.challenge())
+			  .then(turn => {
+				  assert.equal(turn.type, 'challenge-failed');
+				  assert.equal(turn.nextToGoKey, 'two');
+				  assert.deepEqual(turn.score, { one: 10 });
+				  assert.equal(game.getPlayer('one').score, 109);
+				  assert.equal(game.getPlayer('two').score, 0);
+			  }))
+
+		.then(() => setup({ challengeRule: 'void' }))
+		.then(game => game.makeMove(XYZZ)
+			  .then(() => assert.fail("Expected an error"))
+			  .catch(e => {
+				  // The play is rejected, and nothing changes
+				  assert.equal(e.message, 'Play rejected, $1 not found');
+				  assert.deepEqual(e.words, [ 'XYZZ' ]);
+				  assert.equal(game.whosTurnKey, 'one');
+				  assert.equal(game.getPlayer('one').rack.tiles().length, 6);
+				  assert(!game.at(7, 7).tile);
+				  return game.makeMove(SINK());
+			  })
+			  .then(turn => {
+				  assert.equal(turn.type, 'move');
+				  assert.equal(game.whosTurnKey, 'two');
+				  return game.challenge();
+			  })
+			  .then(() => assert.fail("Expected an error"))
+			  .catch(e => assert.equal(
+				  e.message, 'Challenges are not allowed in this game')));
+	});
+
+	tr.addTest('rejected plays', () => {
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY,
+			challengeRule: 'void', secondsPerPlay: 60
+		});
+		const player1 = new Player({name:'test1', key:"typo", isRobot:false});
+		const player2 = new Player({name:'test2', key:"pedant", isRobot:false});
+		const tile = (letter, col) => new Tile({
+			letter:letter, isBlank:false, score:1, col:col, row:7 });
+		return game.create()
+		.then(() => {
+			game.addPlayer(player1);
+			player1.rack.empty();
+			for (let letter of 'ZQXVKJ')
+				player1.rack.addTile(tile(letter));
+			game.addPlayer(player2);
+			game.connect(new PSocket(), player1.key);
+			game.connect(new PSocket(), player2.key);
+			game.stopTimers();
+			game.whosTurnKey = player1.key;
+			player1.secondsToPlay = 42;
+			return game.makeMove(new Move({
+				placements: [ tile('Z', 7), tile('Q', 8) ],
+				words: [ { word: 'ZQ', score: 11 } ],
+				score: 11
+			}));
+		})
+		.then(() => assert.fail("Expected an error"))
+		.catch(e => {
+			assert.equal(e.message, 'Play rejected, $1 not found');
+			assert.deepEqual(e.words, [ 'ZQ' ]);
+			// The tiles are still on the player's rack, so they can
+			// try again, and the game hasn't moved on
+			assert.deepEqual(player1.rack.tiles().map(t => t.letter),
+							 [ 'Z', 'Q', 'X', 'V', 'K', 'J' ]);
+			assert(!game.at(7, 7).tile);
+			assert(!game.at(8, 7).tile);
+			assert.equal(player1.score, 0);
+			assert.equal(player1.secondsToPlay, 42);
+			assert.equal(game.whosTurnKey, player1.key);
+			assert.equal(game.turns.length, 0);
+			assert(!game.getConnection(player2).messages
+				   .find(m => m.message === 'turn'));
+		});
+	});
+
+	tr.addTest('words are checked by the tiles played', () => {
+		// 'SZ' is a single tile in Hungarian, so 'SZÁM' played with
+		// separate 'S' and 'Z' tiles is not a word
+		const game = new Game({
+			edition:'Hungarian_Scrabble', dictionary:'Hungarian_test',
+			challengeRule: 'void', debug:NOISY
+		});
+		const player1 = new Player({name:'test1', key:"one", isRobot:false});
+		const player2 = new Player({name:'test2', key:"two", isRobot:false});
+
+		// Lay out the tiles the way the UI does, and analyse the move
+		const play = letters => {
+			letters.forEach((letter, i) => game.board.at(7 + i, 7).placeTile(
+				new Tile({letter:letter, isBlank:false, score:1}), false));
+			const move = game.board.analyseMove();
+			letters.forEach((letter, i) => game.board.at(7 + i, 7).placeTile(null));
+			return move;
+		};
+
+		return Edition.load('Hungarian_Scrabble')
+		.then(edition => Dictionary.adopt(Dictionary.fromWords(
+			'Hungarian_test', [ edition.tokenise('SZÁM') ],
+			edition.alphabeta).share()))
+		.then(() => game.create())
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			player1.rack.empty();
+			for (let letter of [ 'S', 'Z', 'Á', 'M', 'SZ' ])
+				player1.rack.addTile(
+					new Tile({letter:letter, isBlank:false, score:1}));
+			game.whosTurnKey = player1.key;
+
+			const split = play([ 'S', 'Z', 'Á', 'M' ]);
+			assert.deepEqual(split.words[0].letters, [ 'S', 'Z', 'Á', 'M' ]);
+			return game.makeMove(split);
+		})
+		.then(() => assert.fail("Expected an error"))
+		.catch(e => {
+			assert.equal(e.message, 'Play rejected, $1 not found');
+			assert.deepEqual(e.words, [ 'SZÁM' ]);
+			return game.makeMove(play([ 'SZ', 'Á', 'M' ]));
+		})
+		.then(turn => {
+			assert.equal(turn.type, 'move');
+			assert.equal(game.at(7, 7).tile.letter, 'SZ');
+		});
+	});
+
+	tr.addTest('robots warm up their rack leave values', () => {
+		const game = new Game({
+			edition:'English_WWF', dictionary:'Oxford_5000', debug:NOISY });
+		const robot = new Player({name:'robot', key:"warm", isRobot:true});
+		const compute = Platform.computeRackLeave;
+		let computing;
+		Platform.computeRackLeave = (edition, dictionary) => {
+			computing = `${edition.name}/${dictionary.name}`;
+			return compute(edition, dictionary);
+		};
+		return game.create()
+		.then(() => {
+			// Not until the server has the game
+			game.addPlayer(robot);
+			return new Promise(resolve => setTimeout(resolve, 100));
+		})
+		.then(() => {
+			assert(!computing);
+			return game.onLoad(new Platform.Database('test/temp', 'game'));
+		})
+		.then(() => new Promise(resolve => setTimeout(resolve, 100)))
+		.then(() => {
+			assert.equal(computing, 'English_WWF/Oxford_5000');
+			computing = undefined;
+			return game.chooseSwap(robot);
+		})
+		.then(() => assert(!computing))
+		.finally(() => Platform.computeRackLeave = compute);
+	});
+
+	tr.addTest('robots stop swapping after passing twice', () => {
+		const game = new Game({
+			edition:'English_WWF', dictionary:'Oxford_5000', debug:NOISY });
+		const robot = new Player({name:'robot', key:"swapper", isRobot:true});
+		return game.create()
+		.then(() => {
+			game.addPlayer(robot);
+			// With no play, any swap beats passing
+			return game.chooseSwap(robot);
+		})
+		.then(swap => {
+			assert(swap && swap.length > 0);
+			robot.passes = 2;
+			return game.chooseSwap(robot);
+		})
+		.then(swap => assert(!swap));
+	});
+
+	tr.addTest('positions', () => {
+		const game = new Game({edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY});
+		const player1 = new Player({name:'test1', key:"replayer", isRobot:false});
+		const player2 = new Player({name:'test2', key:"rewinder", isRobot:false});
+		const tile = (letter, col, row) => new Tile({
+			letter: letter, isBlank: false, score: 1, col: col, row: row});
+		// State of the game, in the same form as a position
+		const state = () => {
+			const tiles = game.board.tiles()
+				  .map(t => `${t.col},${t.row},${t.letter},${t.isBlank}`)
+				  .sort();
+			const racks = {}, scores = {};
+			for (let p of game.players) {
+				racks[p.key] = p.rack.tiles()
+				.map(t => t.isBlank ? ' ' : t.letter).sort().join('');
+				scores[p.key] = p.score;
+			}
+			return { tiles: tiles, racks: racks, scores: scores,
+					 bagCount: game.letterBag.remainingTileCount() };
+		};
+		const states = [];
+		const play = p => p
+			  .then(turn => game.finishTurn(turn))
+			  .then(() => states.push(state()));
+
+		return game.create()
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.whosTurnKey = player1.key;
+			player1.rack.empty();
+			for (let l of 'CAD')
+				player1.rack.addTile(tile(l));
+			player1.rack.addTile(new Tile({letter:' ', isBlank:true, score:0}));
+			states.push(state());
+		})
+		.then(() => play(game.makeMove(new Move({
+			placements: [
+				tile('C', 7, 7), tile('A', 8, 7),
+				new Tile({letter:'T', isBlank:true, score:0, col: 9, row: 7})
+			],
+			words: [ { word: 'CAT', score: 2 }],
+			score: 2
+		}))))
+		.then(() => play(game.swap(player2.rack.tiles().slice(0, 2))))
+		.then(() => play(game.makeMove(new Move({
+			placements: [ tile('D', 7, 8) ],
+			words: [ { word: 'CD', score: 2 }],
+			score: 2
+		}))))
+		.then(() => play(game.takeBack('challenge-won')))
+		.then(() => play(game.pass('passed')))
+		.then(() => {
+			const positions = game.getPositions();
+			assert.equal(positions.length, game.turns.length + 1);
+			assert.equal(positions.length, states.length);
+			positions.forEach((position, i) => {
+				const racks = {};
+				for (let key of Object.keys(position.racks))
+					racks[key] = position.racks[key]
+					.map(t => t.isBlank ? ' ' : t.letter).sort().join('');
+				assert.deepEqual({
+					tiles: position.tiles
+					.map(t => `${t.col},${t.row},${t.letter},${t.isBlank}`)
+					.sort(),
+					racks: racks,
+					scores: position.scores,
+					bagCount: position.bagCount
+				}, states[i], `position ${i}`);
+			});
+			assert.equal(positions[0].whosTurnKey, player1.key);
+			assert.equal(positions[1].whosTurnKey, player2.key);
+			assert.equal(positions[4].whosTurnKey, player2.key);
+			assert.equal(positions[5].whosTurnKey, player1.key);
+		});
+	});
+
 	tr.addTest('takeBack', () => {
 		const game = new Game({debug:false,edition:'Tiny', dictionary:'Oxford_5000', debug:NOISY});
 		const player1 = new Player({name:'test1', key:"psychologist", isRobot:false});
@@ -0,0 +1,181 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		server: 'js/server',
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'fs', 'os', 'path', 'proper-lockfile', 'test/TestRunner',
+	'server/LogDatabase', 'game/Player', 'game/Game'
+], (
+	fs, Os, Path, Lock, TestRunner,
+	LogDatabase, Player, Game
+) => {
+	const Fs = fs.promises;
+    let tr = new TestRunner('LogDatabase');
+    let assert = tr.assert;
+
+	const options = {
+		index: data => ({ state: data.state, players: data.players })
+	};
+	let directory;
+
+	tr.suite.beforeEach(
+		() => Fs.mkdtemp(Path.join(Os.tmpdir(), 'LogDatabase-'))
+		.then(dir => directory = dir));
+
+	tr.suite.afterEach(
+		() => Fs.rm(directory, { recursive: true }));
+
+	tr.addTest('set, get, select, rm', () => {
+		const db = new LogDatabase(directory, 'test', options);
+		return db.set('a', { state: 'active', players: [ 'x', 'y' ] })
+		.then(() => db.set('b', { state: 'finished', players: [ 'y' ] }))
+		.then(() => db.set('c', { state: 'active', players: [ 'z' ] }))
+		.then(() => db.keys())
+		.then(keys => assert.deepEqual(keys.sort(), [ 'a', 'b', 'c' ]))
+		.then(() => db.select({ state: 'active' }))
+		.then(keys => assert.deepEqual(keys.sort(), [ 'a', 'c' ]))
+		.then(() => db.select({ players: 'y' }))
+		.then(keys => assert.deepEqual(keys.sort(), [ 'a', 'b' ]))
+		.then(() => db.select({ state: 'active', players: 'y' }))
+		.then(keys => assert.deepEqual(keys, [ 'a' ]))
+		.then(() => db.select({}))
+		.then(keys => assert.equal(keys.length, 3))
+		.then(() => db.set('a', { state: 'finished', players: [ 'x' ] }))
+		.then(() => db.select({ state: 'active' }))
+		.then(keys => assert.deepEqual(keys, [ 'c' ]))
+		.then(() => db.select({ players: 'y' }))
+		.then(keys => assert.deepEqual(keys, [ 'b' ]))
+		.then(() => db.get('a'))
+		.then(data => assert.deepEqual(
+			data, { state: 'finished', players: [ 'x' ] }))
+		.then(() => db.rm('b'))
+		.then(() => db.select({ state: 'finished' }))
+		.then(keys => assert.deepEqual(keys, [ 'a' ]))
+		.then(() => db.get('b'))
+		.then(() => assert.fail('Expected ENOENT'))
+		.catch(e => assert.equal(e.code, 'ENOENT'))
+		.then(() => db.close());
+	});
+
+	tr.addTest('reopen and compact', () => {
+		const db = new LogDatabase(directory, 'test', options);
+		const file = Path.join(directory, 'test.log');
+		let size;
+		let p = Promise.resolve();
+		for (let i = 0; i < 10; i++)
+			p = p.then(() => db.set('a', { state: 'active', count: i }));
+		return p
+		.then(() => db.set('b', { state: 'finished', count: 99 }))
+		.then(() => db.close())
+		.then(() => Fs.stat(file))
+		.then(stat => size = stat.size)
+		// Simulate an interrupted write
+		.then(() => Fs.appendFile(file, '{"key":"c","ind'))
+		.then(() => db.keys())
+		.then(keys => assert.deepEqual(keys.sort(), [ 'a', 'b' ]))
+		.then(() => Fs.stat(file))
+		// 9 of the 11 records were superseded, so it was compacted
+		.then(stat => assert(stat.size < size / 2))
+		.then(() => db.get('a'))
+		.then(data => assert.equal(data.count, 9))
+		.then(() => db.get('b'))
+		.then(data => assert.equal(data.count, 99))
+		.then(() => db.select({ state: 'active' }))
+		.then(keys => assert.deepEqual(keys, [ 'a' ]))
+		.then(() => db.set('c', { state: 'active', count: 3 }))
+		.then(() => db.get('c'))
+		.then(data => assert.equal(data.count, 3))
+		.then(() => db.close());
+	});
+
+	tr.addTest('compact while open, and read big records', () => {
+		const db = new LogDatabase(directory, 'test', options);
+		const file = Path.join(directory, 'test.log');
+		// Bigger than the chunks the log is read in
+		const big = 'x'.repeat(100000);
+		let p = Promise.resolve();
+		for (let i = 0; i < 200; i++)
+			p = p.then(() => db.set(`k${i % 3}`, { count: i, big: big }));
+		return p
+		.then(() => Fs.stat(file))
+		// Never more than about twice the three live records
+		.then(stat => assert(stat.size < 7 * big.length, stat.size))
+		.then(() => db.get('k1'))
+		.then(data => assert.equal(data.count, 199))
+		.then(() => db.close())
+		.then(() => db.get('k2'))
+		.then(data => {
+			assert.equal(data.count, 197);
+			assert.equal(data.big, big);
+		})
+		.then(() => db.close());
+	});
+
+	tr.addTest('fails while the log is locked', () => {
+		const db = new LogDatabase(directory, 'test', options);
+		const file = Path.join(directory, 'test.log');
+		let release;
+		return Fs.writeFile(file, '')
+		// Another process has the log open
+		.then(() => Lock.lock(file))
+		.then(r => release = r)
+		.then(() => db.set('a', { state: 'active' }))
+		.then(() => assert.fail('Expected ELOCKED'))
+		.catch(e => assert.equal(e.code, 'ELOCKED'))
+		.then(() => db.keys())
+		.then(() => assert.fail('Expected ELOCKED'))
+		.catch(e => assert.equal(e.code, 'ELOCKED'))
+		// Nothing was written
+		.then(() => Fs.stat(file))
+		.then(stat => assert.equal(stat.size, 0))
+		// Once the other process lets go, it can be opened
+		.then(() => release())
+		.then(() => db.set('a', { state: 'active' }))
+		.then(() => db.keys())
+		.then(keys => assert.deepEqual(keys, [ 'a' ]))
+		.then(() => db.close());
+	});
+
+	tr.addTest('games', () => {
+		const db = new LogDatabase(directory, 'game', {
+			classes: Game.classes,
+			index: game => game.indexFields()
+		});
+		const game = new Game({
+			edition: 'English_Scrabble',
+			dictionary: 'Oxford_5000'
+		});
+		return game.create()
+		.then(() => {
+			game.addPlayer(new Player({ name: 'Fred', key: 'fred' }));
+			game.addPlayer(new Player({ name: 'Joe', key: 'joe' }));
+			return game.onLoad(db);
+		})
+		.then(() => game.save())
+		.then(() => db.select({ players: 'joe', state: 'active' }))
+		.then(keys => assert.deepEqual(keys, [ game.key ]))
+		.then(() => db.get(game.key, Game.classes))
+		.then(copy => {
+			assert(copy instanceof Game);
+			assert.equal(copy.players[1].name, 'Joe');
+			assert.equal(copy.letterBag.remainingTileCount(),
+						 game.letterBag.remainingTileCount());
+		})
+		.then(() => db.close());
+	});
+
+	tr.run();
+});
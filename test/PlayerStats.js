@@ -0,0 +1,311 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		server: 'js/server',
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'fs', 'os', 'path', 'test/TestRunner', 'platform',
+	'server/PlayerStats', 'game/Game', 'game/GCG'
+], (
+	fs, Os, Path, TestRunner, Platform,
+	PlayerStats, Game, GCG
+) => {
+	const Fs = fs.promises;
+    let tr = new TestRunner('PlayerStats');
+    let assert = tr.assert;
+
+	// Fred plays a bingo, and wins when the game is ended
+	const GAME1 = [
+		'#player1 fred Fred',
+		'#player2 joe Joe',
+		'#edition English_Scrabble',
+		'>fred: AEINRST 8B RETAINS +66 66',
+		'>joe: ADEMNOT C7 M.AT +10 10',
+		'>fred: EEIOUUV - +0 66',
+		'>joe: DENOSTT - +0 10'
+	].join('\n');
+
+	// Joe wins a game of Tiny
+	const GAME2 = [
+		'#player1 fred Fred',
+		'#player2 joe Joe',
+		'#edition Tiny',
+		'>joe: AEIMNOT 1A MOAT +12 12',
+		'>fred: ABDELRS 2B BEARD +9 9',
+		'>fred: LS (LS) -2 7',
+		'>joe: EINR (EINR) -4 8'
+	].join('\n');
+
+	let directory, games, stats;
+
+	tr.suite.beforeEach(
+		() => Fs.mkdtemp(Path.join(Os.tmpdir(), 'PlayerStats-'))
+		.then(dir => {
+			directory = dir;
+			games = new Platform.Database(dir, 'game', {
+				classes: Game.classes,
+				index: game => game.indexFields()
+			});
+			stats = new PlayerStats(new Platform.Database(dir, 'stats'));
+		}));
+
+	tr.suite.afterEach(
+		() => Fs.rm(directory, { recursive: true }));
+
+	// Read a game, and give it the databases
+	function readGame(gcg) {
+		return GCG.read(gcg, { debug: false })
+		.then(game => game.onLoad(games, stats))
+		.then(game => {
+			// Players are given random keys
+			const fred = game.players[0].key;
+			for (let turn of game.turns)
+				turn.playerKey = turn.playerKey === fred ? 'fred' : 'joe';
+			game.players[0].key = 'fred';
+			game.players[1].key = 'joe';
+			return game;
+		});
+	}
+
+	tr.addTest('game over updates stats', () => {
+		let game;
+		return readGame(GAME1)
+		.then(g => game = g)
+		.then(() => game.confirmGameOver('Game over'))
+		.then(turn => game.finishTurn(turn))
+		.then(() => stats.getList())
+		.then(list => {
+			assert.deepEqual(list.map(p => p.name), [ 'Fred', 'Joe' ]);
+			const [ fred, joe ] = list;
+			// EEIOUUV is 10 points, DENOSTT is 8
+			assert.equal(fred.score, 56);
+			assert.equal(joe.score, 2);
+			assert.equal(fred.games, 1);
+			assert.equal(fred.wins, 1);
+			assert.equal(fred.losses, 0);
+			assert.equal(joe.wins, 0);
+			assert.equal(joe.losses, 1);
+			assert.equal(fred.bingos, 1);
+			assert.equal(joe.bingos, 0);
+			assert.deepEqual(fred.bestMove, {
+				score: 66, words: [ 'RETAINS' ], gameKey: game.key });
+			assert.equal(joe.bestMove.score, 10);
+			assert.deepEqual(Object.keys(fred.editions),
+							 [ 'English_Scrabble' ]);
+			assert.equal(fred.editions.English_Scrabble.wins, 1);
+		})
+		// The same game isn't counted twice
+		.then(() => stats.addGame(game))
+		// Statistics persist
+		.then(() => new PlayerStats(stats.db).getList())
+		.then(list => {
+			assert.equal(list.length, 2);
+			assert.equal(list[0].games, 1);
+			assert.equal(list[0].averageScore, 56);
+		});
+	});
+
+	tr.addTest('counted games', () => {
+		let game;
+		return readGame(GAME1)
+		.then(g => game = g)
+		// Saved when the counted games were kept with the players
+		.then(() => stats.db.set('players', {
+			players: {}, games: { [game.key]: true }
+		}))
+		.then(() => stats.addGame(game))
+		.then(() => stats.getList())
+		.then(list => assert.equal(list.length, 0))
+		.then(() => stats.db.get('players'))
+		.then(data => assert(!data.games))
+		// Still known after loading again
+		.then(() => new PlayerStats(stats.db).addGame(game))
+		.then(() => new PlayerStats(stats.db).getList())
+		.then(list => assert.equal(list.length, 0));
+	});
+
+	tr.addTest('rating history is limited', () => {
+		let game;
+		return readGame(GAME1)
+		.then(g => {
+			game = g;
+			// The same game, played over and over
+			let p = Promise.resolve();
+			for (let i = 0; i < 105; i++)
+				p = p.then(() => {
+					game.key = `game${i}`;
+					return stats.addGame(game);
+				});
+			return p;
+		})
+		.then(() => new PlayerStats(stats.db).getRatings())
+		.then(ratings => {
+			const fred = ratings.English_Scrabble[0];
+			assert.equal(fred.key, 'fred');
+			assert.equal(fred.games, 105);
+			assert.equal(fred.history.length, 100);
+			assert.equal(fred.history[0].gameKey, 'game5');
+			assert.equal(fred.history[99].gameKey, 'game104');
+		});
+	});
+
+	tr.addTest('ratings', () => {
+		return readGame(GAME1)
+		.then(game => game.confirmGameOver('Game over')
+			  .then(turn => game.finishTurn(turn)))
+		.then(() => stats.getRatings())
+		.then(ratings => {
+			assert.deepEqual(Object.keys(ratings), [ 'English_Scrabble' ]);
+			const [ fred, joe ] = ratings.English_Scrabble;
+			assert.equal(fred.key, 'fred');
+			// Equal ratings, so the winner gains K/2
+			assert.equal(fred.rating, 1516);
+			assert.equal(joe.rating, 1484);
+			assert.equal(fred.games, 1);
+			assert.equal(fred.history.length, 1);
+			assert.equal(fred.history[0].rating, 1516);
+		})
+		// Fred loses to a beginner robot, which is expected to lose
+		.then(() => readGame(GAME2))
+		.then(game => {
+			game.players[1].isRobot = true;
+			game.players[1].level = 'beginner';
+			// GAME2 has already ended
+			return stats.addGame(game);
+		})
+		.then(() => stats.getRatings())
+		.then(ratings => {
+			// Robots are not rated
+			assert.deepEqual(ratings.Tiny.map(p => p.key), [ 'fred' ]);
+			// Editions are rated separately
+			assert.equal(ratings.Tiny[0].rating, 1473);
+			assert.equal(ratings.English_Scrabble[0].rating, 1516);
+		});
+	});
+
+	tr.addTest('the leader forfeits', () => {
+		let game;
+		return readGame(GAME1)
+		.then(g => {
+			game = g;
+			game.daysPerTurn = 1;
+			game.timeoutAction = 'forfeit';
+			// Fred is well ahead, but misses the deadline
+			game.whosTurnKey = 'fred';
+			// GCG has no times
+			game.turns[game.turns.length - 1].timestamp = Date.now();
+			return game.checkDeadline(game.turnDeadline());
+		})
+		.then(turn => {
+			assert.equal(turn.type, 'Forfeited');
+			assert.equal(game.forfeitedKey, 'fred');
+			const [ fred, joe ] = game.players;
+			assert(fred.score > joe.score);
+			assert(!game.isWinner(fred));
+			assert(game.isWinner(joe));
+			assert.equal(game.winningScore(), joe.score);
+			return stats.getList();
+		})
+		.then(list => {
+			const fred = list.find(p => p.key === 'fred');
+			const joe = list.find(p => p.key === 'joe');
+			assert.equal(fred.wins, 0);
+			assert.equal(fred.losses, 1);
+			assert.equal(joe.wins, 1);
+			return stats.getRatings();
+		})
+		.then(ratings => {
+			const joe = ratings.English_Scrabble.find(p => p.key === 'joe');
+			assert.equal(joe.rating, 1516);
+		});
+	});
+
+	tr.addTest('teams', () => {
+		return readGame(GAME1)
+		.then(game => {
+			// Fred and Ann play as a team
+			game.players[0].addMember({ key: 'ann', name: 'Ann' });
+			return game.confirmGameOver('Game over')
+			.then(turn => game.finishTurn(turn));
+		})
+		.then(() => stats.getList())
+		.then(list => {
+			assert.deepEqual(list.map(p => p.key).sort(),
+							 [ 'ann', 'ann+fred', 'fred', 'joe' ]);
+			const team = list.find(p => p.key === 'ann+fred');
+			const ann = list.find(p => p.key === 'ann');
+			assert.equal(team.name, 'Fred & Ann');
+			assert.deepEqual(team.members, [ 'Fred', 'Ann' ]);
+			assert.equal(ann.name, 'Ann');
+			// The team and its members all get the result
+			for (let p of [ team, ann, list.find(p => p.key === 'fred') ]) {
+				assert.equal(p.score, 56);
+				assert.equal(p.wins, 1);
+				assert.equal(p.bingos, 1);
+				assert.equal(p.bestMove.score, 66);
+			}
+		})
+		.then(() => stats.getRatings())
+		.then(ratings => {
+			const rating = key => ratings.English_Scrabble
+				  .find(p => p.key === key).rating;
+			assert.equal(rating('ann+fred'), 1516);
+			assert.equal(rating('ann'), 1516);
+			assert.equal(rating('fred'), 1516);
+			assert.equal(rating('joe'), 1484);
+		});
+	});
+
+	tr.addTest('rebuild', () => {
+		return readGame(GAME1)
+		.then(game => game.confirmGameOver('Game over')
+			  .then(turn => game.finishTurn(turn)))
+		// Not finished, so not counted
+		.then(() => readGame(GAME1.replace(/\n>joe: D.*$/, '')))
+		.then(game => game.save())
+		// Finished, but not counted until rebuilt
+		.then(() => readGame(GAME2))
+		.then(game => game.save())
+		.then(() => stats.getList())
+		.then(list => assert.equal(list[0].games, 1))
+		.then(() => new PlayerStats(stats.db).rebuild(
+			() => games.select({ state: 'finished' }),
+			key => games.get(key, Game.classes)))
+		.then(count => assert.equal(count, 2))
+		.then(() => new PlayerStats(stats.db).getList())
+		.then(list => {
+			const [ fred, joe ] = list;
+			assert.equal(fred.games, 2);
+			assert.equal(fred.wins, 1);
+			assert.equal(fred.score, 56 + 7);
+			assert.equal(fred.averageScore, 32);
+			assert.equal(joe.games, 2);
+			assert.equal(joe.wins, 1);
+			assert.equal(joe.losses, 1);
+			assert.equal(joe.editions.Tiny.wins, 1);
+			assert.equal(joe.editions.Tiny.score, 8);
+			assert.equal(joe.editions.English_Scrabble.losses, 1);
+		})
+		.then(() => new PlayerStats(stats.db).getRatings())
+		.then(ratings => {
+			assert.equal(ratings.English_Scrabble[0].key, 'fred');
+			assert.equal(ratings.English_Scrabble[0].rating, 1516);
+			assert.equal(ratings.Tiny[0].key, 'joe');
+			assert.equal(ratings.Tiny[0].rating, 1516);
+		});
+	});
+
+	tr.run();
+});
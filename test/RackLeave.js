@@ -0,0 +1,179 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'test/TestRunner', 'game/Edition', 'game/Tile', 'game/Rack',
+	'game/Player', 'game/Game', 'game/Move', 'game/RackLeave',
+	'game/findBestPlay', 'game/findBestPlayController', 'dawg/Dictionary'
+], (
+	TestRunner, Edition, Tile, Rack,
+	Player, Game, Move, RackLeave,
+	findBestPlay, findBestPlayController, Dictionary
+) => {
+    let tr = new TestRunner('rack leave');
+    let assert = tr.assert;
+
+	let leave, edition, game, strategic;
+
+	function tiles(letters) {
+		return letters.split('').map(l => new Tile({
+			letter: l,
+			isBlank: l === ' ',
+			score: edition.letterScore(l)
+		}));
+	}
+
+	tr.addTest('load', () => {
+		return Promise.all([
+			Edition.load('English_Scrabble'),
+			Dictionary.load('SOWPODS_English')
+		])
+		.then(ed => {
+			edition = ed[0];
+			// The values are computed without blocking this thread
+			let last = Date.now(), longest = 0;
+			const tick = () => {
+				const now = Date.now();
+				longest = Math.max(longest, now - last);
+				last = now;
+			};
+			const ticker = setInterval(tick, 10);
+			return RackLeave.load(ed[0], ed[1])
+			.then(rl => {
+				clearInterval(ticker);
+				tick();
+				assert(longest < 250, `Blocked for ${longest}ms`);
+				return rl;
+			});
+		})
+		.then(rl => {
+			leave = rl;
+			assert(leave instanceof RackLeave);
+			assert.equal(leave.dependencies.Q, 'U');
+			assert.deepEqual(leave.vowels, [ 'A', 'E', 'I', 'O', 'U' ]);
+			// Only computed once
+			return Promise.all([
+				Edition.load('English_Scrabble'),
+				Dictionary.load('SOWPODS_English')
+			]);
+		})
+		.then(ed => RackLeave.load(ed[0], ed[1]))
+		.then(rl => assert.equal(rl, leave));
+	});
+
+	tr.addTest('evaluate', () => {
+		// Blanks and S are the most valuable tiles
+		assert(leave.evaluate(tiles(' ')) > leave.evaluate(tiles('S')));
+		assert(leave.evaluate(tiles('S')) > leave.evaluate(tiles('E')));
+		assert(leave.evaluate(tiles('E')) > leave.evaluate(tiles('V')));
+
+		// Q is better with a U, but not needed with a blank
+		assert(leave.evaluate(tiles('QU'))
+			   > leave.evaluate(tiles('Q')) + leave.evaluate(tiles('U')));
+		assert(leave.evaluate(tiles('Q ')) > leave.evaluate(tiles('QE')));
+
+		// Duplicates are penalised
+		assert(leave.evaluate(tiles('ERS')) > leave.evaluate(tiles('EES')));
+
+		// Balanced racks are better than unbalanced ones
+		assert(leave.evaluate(tiles('AERT')) > leave.evaluate(tiles('AEIO')));
+		assert(leave.evaluate(tiles('AERT')) > leave.evaluate(tiles('LNRT')));
+
+		// When the bag is empty, every tile left is a loss
+		assert.equal(leave.evaluate(tiles('QS'), true), -22);
+		assert.equal(leave.evaluate([], true), 0);
+	});
+
+	tr.addTest('strategic', () => {
+		let greedy;
+		const rack = 'SATIRQU';
+		return new Game({edition:'English_Scrabble', dictionary:'SOWPODS_English'})
+		.create()
+		.then(g => {
+			game = g;
+			game.addPlayer(new Player({name:'test', key:"sly", isRobot:true}));
+			return game.loadBoard(
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | |Z|O|N|E| | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n');
+		})
+		.then(() => findBestPlay(
+			game, tiles(rack),
+			move => {
+				if (move instanceof Move)
+					greedy = move;
+			}))
+		.then(() => findBestPlay(
+			game, tiles(rack),
+			move => {
+				if (move instanceof Move)
+					strategic = move;
+			}, undefined, { strategy: 'strategic' }))
+		.then(() => {
+			assert(greedy);
+			assert(strategic);
+			assert(strategic.score <= greedy.score);
+
+			const leaveOf = move => {
+				let left = tiles(rack);
+				for (let t of move.placements)
+					left.splice(left.findIndex(
+						r => r.letter === t.letter), 1);
+				return leave.evaluate(left);
+			};
+			assert(strategic.score + leaveOf(strategic)
+				   >= greedy.score + leaveOf(greedy));
+		});
+	});
+
+	tr.addTest('share with a worker thread', () => {
+		const shared = leave.share();
+		// Shared values can be cloned into a worker thread
+		assert.deepEqual(JSON.parse(JSON.stringify(shared)), shared);
+		const adopted = RackLeave.adopt(shared);
+		assert(adopted instanceof RackLeave);
+		assert.equal(adopted.evaluate(tiles('QUA')),
+					 leave.evaluate(tiles('QUA')));
+
+		// The worker uses the values the controller shares with it,
+		// and finds the same play
+		let best;
+		return findBestPlayController(
+			game, tiles('SATIRQU'),
+			move => {
+				if (move instanceof Move)
+					best = move;
+			}, undefined, { strategy: 'strategic' })
+		.then(() => {
+			assert(best);
+			assert.equal(best.score, strategic.score);
+		});
+	});
+
+	tr.run();
+});
@@ -0,0 +1,146 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		server: 'js/server',
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'fs', 'os', 'path', 'test/TestRunner', 'platform',
+	'server/Scheduler', 'game/Game', 'game/Player'
+], (
+	fs, Os, Path, TestRunner, Platform,
+	Scheduler, Game, Player
+) => {
+	const Fs = fs.promises;
+    let tr = new TestRunner('Scheduler');
+    let assert = tr.assert;
+
+	let directory, jobs;
+
+	tr.suite.beforeEach(
+		() => Fs.mkdtemp(Path.join(Os.tmpdir(), 'Scheduler-'))
+		.then(dir => {
+			directory = dir;
+			jobs = new Platform.Database(dir, 'job');
+		}));
+
+	tr.suite.afterEach(
+		() => Fs.rm(directory, { recursive: true }));
+
+	tr.addTest('jobs run and are forgotten', () => {
+		const scheduler = new Scheduler(jobs);
+		let ran;
+		return new Promise(resolve => {
+			scheduler.on('test', job => {
+				ran = job;
+				resolve();
+				return Promise.resolve();
+			});
+			return scheduler.schedule('cancelled', 'test', Date.now() + 10)
+			.then(() => scheduler.cancel('cancelled'))
+			.then(() => scheduler.schedule('soon', 'test', Date.now() + 50,
+										   { x: 1 }))
+			.then(() => jobs.keys())
+			.then(keys => assert.deepEqual(keys, [ 'soon' ]));
+		})
+		.then(() => {
+			assert.equal(ran.key, 'soon');
+			assert.deepEqual(ran.data, { x: 1 });
+			assert(!scheduler.get('soon'));
+			return scheduler.queue;
+		})
+		.then(() => jobs.keys())
+		.then(keys => assert.deepEqual(keys, []));
+	});
+
+	tr.addTest('jobs survive a restart', () => {
+		const before = new Scheduler(jobs);
+		const ran = [];
+		return before.schedule('missed', 'test', Date.now() + 50)
+		.then(() => before.schedule('later', 'test', Date.now() + 60000))
+		// The server goes down before the job runs
+		.then(() => before.stop())
+		.then(() => new Promise(resolve => setTimeout(resolve, 100)))
+		.then(() => new Promise(resolve => {
+			const after = new Scheduler(jobs);
+			after.on('test', job => {
+				ran.push(job.key);
+				resolve(after);
+				return Promise.resolve();
+			});
+			after.start()
+			.then(() => assert(after.get('later')));
+		}))
+		.then(after => {
+			// The job that was missed runs straight away
+			assert.deepEqual(ran, [ 'missed' ]);
+			after.stop();
+		});
+	});
+
+	tr.addTest('turn timeouts are scheduled', () => {
+		const scheduler = new Scheduler(jobs);
+		const games = new Platform.Database(directory, 'game', {
+			classes: Game.classes,
+			index: game => game.indexFields()
+		});
+		const game = new Game({
+			edition:'Tiny', dictionary:'Oxford_5000', debug: false,
+			secondsPerPlay: 60, daysPerTurn: 3
+		});
+		const player1 = new Player({name:'test1', key:"egg", isRobot:false});
+		const player2 = new Player({name:'test2', key:"timer", isRobot:false});
+		return game.create()
+		.then(() => game.onLoad(games, undefined, undefined, scheduler))
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			assert(scheduler.get(`${game.key}-inactive`));
+			const deadline = scheduler.get(`${game.key}-deadline`);
+			assert.equal(deadline.at, game.turnDeadline());
+			assert.equal(scheduler.get(`${game.key}-reminder`).at,
+						 deadline.at - 24 * 60 * 60 * 1000);
+			game.whosTurnKey = player1.key;
+			game.startTimer(player1, 60);
+			const job = scheduler.get(`${game.key}-turn`);
+			assert.equal(job.type, 'turn');
+			assert.equal(job.data.playerKey, player1.key);
+			game.stopTimer(player1);
+			assert(!scheduler.get(`${game.key}-turn`));
+			assert(player1.secondsToPlay > 59);
+			game.startTimer(player1);
+			// The server runs the job when the time is up
+			return game.playerTimedOut(player1.key);
+		})
+		.then(turn => {
+			assert.equal(turn.type, 'timeout');
+			assert.equal(game.whosTurnKey, player2.key);
+			// It isn't player1's turn any more
+			return game.playerTimedOut(player1.key);
+		})
+		.then(turn => {
+			assert(!turn);
+			assert.equal(scheduler.get(`${game.key}-turn`).data.playerKey,
+						 player2.key);
+			return game.confirmGameOver('Game over');
+		})
+		.then(() => game.scheduleJobs())
+		.then(() => assert.deepEqual(Object.keys(scheduler.jobs), []))
+		.then(() => scheduler.queue)
+		.then(() => jobs.keys())
+		.then(keys => assert.deepEqual(keys, []));
+	});
+
+	tr.run();
+});
@@ -0,0 +1,65 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		server: 'js/server',
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'test/TestRunner', 'server/Server'
+], (
+	TestRunner, Server
+) => {
+    let tr = new TestRunner('Server');
+    let assert = tr.assert;
+
+	// Just enough of an Express response to see what is sent
+	class Response {
+		status(status) {
+			this.statusCode = status;
+			return this;
+		}
+
+		send(body) {
+			this.body = body;
+			return this;
+		}
+	}
+
+	tr.addTest('rejected play', () => {
+		const e = new Error('Play rejected, $1 not found');
+		e.words = [ 'ZQ', 'QI' ];
+		const res = new Response();
+		Server.trap(e, { url: '/command/makeMove/game/player' }, res);
+		// The client is told which words weren't found
+		assert.equal(res.statusCode, 400);
+		assert.deepEqual(res.body, {
+			message: 'Play rejected, $1 not found',
+			words: [ 'ZQ', 'QI' ]
+		});
+	});
+
+	tr.addTest('other errors', () => {
+		const res = new Response();
+		Server.trap(new Error('Not your turn'), { url: '/' }, res);
+		assert.equal(res.statusCode, 500);
+
+		const missing = new Error('Not found');
+		missing.code = 'ENOENT';
+		Server.trap(missing, { url: '/game/nothing' }, res);
+		assert.equal(res.statusCode, 404);
+		assert.deepEqual(res.body, [ 'Load failed', '/game/nothing' ]);
+	});
+
+	tr.run();
+});
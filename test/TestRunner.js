@@ -121,8 +121,11 @@ define(["mocha", "chai"], (maybeMocha, chai) => {
 
 		/**
 		 * Add the given test
+		 * @param {string} title test title
+		 * @param {function} fn test function
+		 * @param {number} timeout optional timeout in ms, default 10s
 		 */
-		addTest(title, fn) {
+		addTest(title, fn, timeout) {
 			if (this.matches.length > 0) {
 				let matched = false;
 				for (let i = 0; i < this.matches.length; i++) {
@@ -137,7 +140,7 @@ define(["mocha", "chai"], (maybeMocha, chai) => {
 
 			let test = new Mocha.Test(title, () => fn.call(this));
 			this.suite.addTest(test);
-			test.timeout(10000);
+			test.timeout(timeout || 10000);
 		}
 
 		run() {
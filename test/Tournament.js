@@ -0,0 +1,214 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		server: 'js/server',
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'fs', 'os', 'path', 'test/TestRunner', 'platform',
+	'server/Tournament', 'server/Tournaments', 'game/Game'
+], (
+	fs, Os, Path, TestRunner, Platform,
+	Tournament, Tournaments, Game
+) => {
+	const Fs = fs.promises;
+    let tr = new TestRunner('Tournament');
+    let assert = tr.assert;
+
+	function entrants(n) {
+		const list = [];
+		for (let i = 0; i < n; i++)
+			list.push({ key: `p${i}`, name: `Player ${i}` });
+		return list;
+	}
+
+	// Pretend the games in the current round have finished, with
+	// the first player in each winning by 10
+	function finishRound(tournament) {
+		const round = tournament.pairings[tournament.pairings.length - 1];
+		round.forEach((match, i) => {
+			if (match.players.length === 1)
+				return;
+			match.gameKey = `game${tournament.pairings.length}-${i}`;
+			assert(tournament.recordResult({
+				key: match.gameKey,
+				players: [
+					{ key: match.players[0], score: 300 },
+					{ key: match.players[1], score: 290 }
+				]
+			}));
+		});
+		assert(tournament.roundFinished());
+	}
+
+	tr.addTest('round robin', () => {
+		for (let n of [ 4, 5 ]) {
+			const t = new Tournament({
+				name: 'RR', edition: 'Tiny',
+				pairing: 'round-robin', entrants: entrants(n)
+			});
+			assert.equal(t.rounds, n % 2 === 0 ? n - 1 : n);
+			const met = {};
+			const byes = {};
+			let matches;
+			while ((matches = t.pairNextRound())) {
+				const seen = {};
+				for (let match of matches) {
+					for (let key of match.players) {
+						assert(!seen[key], `${key} twice in a round`);
+						seen[key] = true;
+					}
+					if (match.players.length === 1) {
+						byes[match.players[0]] = true;
+						continue;
+					}
+					const pair = match.players.slice().sort().join();
+					assert(!met[pair], `${pair} met twice`);
+					met[pair] = true;
+				}
+				assert.equal(Object.keys(seen).length, n);
+				finishRound(t);
+			}
+			// Everyone has played everyone else
+			assert.equal(Object.keys(met).length, n * (n - 1) / 2);
+			assert.equal(Object.keys(byes).length, n % 2 === 0 ? 0 : n);
+			assert.equal(t.pairings.length, t.rounds);
+		}
+	});
+
+	tr.addTest('swiss', () => {
+		const t = new Tournament({
+			name: 'Swiss', edition: 'Tiny', rounds: 3,
+			entrants: entrants(5)
+		});
+		assert.equal(t.pairing, 'swiss');
+		// Round 1 is by seeding, and the lowest seed gets the bye
+		let matches = t.pairNextRound();
+		assert.deepEqual(matches.map(m => m.players), [
+			[ 'p0', 'p1' ], [ 'p2', 'p3' ], [ 'p4' ]
+		]);
+		finishRound(t);
+
+		let standings = t.standings();
+		assert.deepEqual(standings.map(s => s.key),
+						 [ 'p4', 'p0', 'p2', 'p1', 'p3' ]);
+		assert.equal(standings[0].spread, Tournament.BYE_SPREAD);
+		assert.equal(standings[0].byes, 1);
+		assert.equal(standings[1].wins, 1);
+		assert.equal(standings[1].spread, 10);
+		assert.equal(standings[3].losses, 1);
+		assert.equal(standings[3].spread, -10);
+
+		// Leaders play each other, and the bye goes to someone
+		// who hasn't had one
+		matches = t.pairNextRound();
+		assert.deepEqual(matches.map(m => m.players), [
+			[ 'p4', 'p0' ], [ 'p2', 'p1' ], [ 'p3' ]
+		]);
+		finishRound(t);
+
+		// p0 and p2 can't play p4 or p1 again
+		matches = t.pairNextRound();
+		for (let m of matches)
+			if (m.players.length === 2)
+				assert(!t.pairings.slice(0, 2).find(
+					round => round.find(
+						old => old.players.indexOf(m.players[0]) >= 0
+						&& old.players.indexOf(m.players[1]) >= 0)),
+					   `rematch ${m.players}`);
+		finishRound(t);
+		assert.equal(t.pairNextRound(), undefined);
+
+		// A draw is half a win
+		const d = new Tournament({ entrants: entrants(2) });
+		d.pairNextRound()[0].gameKey = 'draw';
+		d.recordResult({ key: 'draw', players: [
+			{ key: 'p0', score: 100 }, { key: 'p1', score: 100 } ] });
+		standings = d.standings();
+		assert.equal(standings[0].wins, 0.5);
+		assert.equal(standings[0].draws, 1);
+		assert.equal(standings[1].wins, 0.5);
+
+		// The player who forfeits loses, even when they were ahead
+		const f = new Tournament({ entrants: entrants(2) });
+		f.pairNextRound()[0].gameKey = 'forfeit';
+		f.recordResult({ key: 'forfeit', forfeitedKey: 'p0', players: [
+			{ key: 'p0', score: 200 }, { key: 'p1', score: 100 } ] });
+		standings = f.standings();
+		assert.equal(standings[0].key, 'p1');
+		assert.equal(standings[0].wins, 1);
+		assert.equal(standings[0].spread, Tournament.FORFEIT_SPREAD);
+		assert.equal(standings[1].losses, 1);
+		assert.equal(standings[1].spread, -Tournament.FORFEIT_SPREAD);
+	});
+
+	tr.addTest('games are created for each round', () => {
+		let directory, games, tournaments, tournament, match;
+		return Fs.mkdtemp(Path.join(Os.tmpdir(), 'Tournament-'))
+		.then(dir => {
+			directory = dir;
+			games = new Platform.Database(dir, 'game', {
+				classes: Game.classes,
+				index: game => game.indexFields()
+			});
+			tournaments = new Tournaments(
+				new Platform.Database(dir, 'tournament'), games);
+			return tournaments.create({
+				name: 'Club', edition: 'Tiny', dictionary: 'Oxford_5000',
+				minutesPerPlay: 5, pairing: 'round-robin',
+				entrants: entrants(3)
+			});
+		})
+		.then(t => tournament = t)
+		.then(() => games.keys())
+		.then(keys => {
+			assert.equal(tournament.pairings.length, 1);
+			match = tournament.pairings[0].find(
+				m => m.players.length === 2);
+			assert.deepEqual(keys, [ match.gameKey ]);
+			return games.get(match.gameKey, Game.classes);
+		})
+		.then(game => {
+			assert.equal(game.tournamentKey, tournament.key);
+			assert.equal(game.round, 1);
+			assert.equal(game.secondsPerPlay, 300);
+			assert.equal(game.maxPlayers, 2);
+			assert.deepEqual(game.players.map(p => p.key).sort(),
+							 match.players.slice().sort());
+			assert.equal(game.players[0].name,
+						 `Player ${game.players[0].key.substr(1)}`);
+			return game.onLoad(games, undefined, tournaments);
+		})
+		// Finishing the only game in the round starts the next
+		.then(game => game.confirmGameOver('Game over'))
+		.then(() => {
+			assert.equal(Object.keys(tournament.results).length, 1);
+			assert.equal(tournament.pairings.length, 2);
+			return games.keys();
+		})
+		.then(keys => assert.equal(keys.length, 2))
+		// The tournament was saved
+		.then(() => new Tournaments(
+			new Platform.Database(directory, 'tournament'), games)
+			  .get(tournament.key))
+		.then(t => {
+			assert(t instanceof Tournament);
+			assert.equal(t.pairings.length, 2);
+			assert.equal(t.simple().standings.length, 3);
+		})
+		.then(() => Fs.rm(directory, { recursive: true }));
+	});
+
+	tr.run();
+});
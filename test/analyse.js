@@ -0,0 +1,92 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'test/TestRunner', 'game/Player', 'game/Game'
+], (
+	TestRunner, Player, Game
+) => {
+    let tr = new TestRunner('analyse');
+    let assert = tr.assert;
+
+	tr.addTest('analyse robot game', () => {
+		const game = new Game({
+			edition: 'Tiny',
+			dictionary: 'Oxford_5000',
+			secondsPerPlay: 3,
+			debug: false
+		});
+		const player1 = new Player({
+			name: 'player one', key: "flay", isRobot: true});
+		const player2 = new Player({
+			name: 'player two', key: "swelter", isRobot: true});
+		let analysis;
+
+		return game.create()
+		.then(() => {
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.whosTurnKey = player1.key;
+			// Both players are robots, so this will play the
+			// whole game
+			return game.autoplay();
+		})
+		.then(turn => game.finishTurn(turn))
+		.then(() => game.analyse())
+		.then(a => {
+			analysis = a;
+			assert.equal(game.analysis, analysis);
+			assert.equal(analysis.dictionary, 'Oxford_5000');
+
+			const moves = game.turns.filter(t => t.type === 'move');
+			assert.equal(analysis.moves.length, moves.length);
+			const totals = {};
+			for (let move of analysis.moves) {
+				const turn = game.turns[move.turn];
+				assert.equal(turn.type, 'move');
+				assert.equal(move.playerKey, turn.playerKey);
+				assert.equal(move.score, turn.score);
+
+				// Robot swaps are recorded, so every rack is known,
+				// and holds the tiles that were played
+				assert(move.rack.length <= game.rackSize);
+				const rack = move.rack.slice();
+				for (let tile of turn.placements) {
+					const i = rack.indexOf(tile.isBlank ? ' ' : tile.letter);
+					assert(i >= 0);
+					rack.splice(i, 1);
+				}
+
+				// The robots always play, so there was always a best play
+				assert(move.best);
+				assert(move.best.equity >= move.equity - move.equityLost);
+				assert(move.equityLost >= 0);
+				if (move.bingo)
+					assert.equal(move.bingo.placements.length, game.rackSize);
+
+				totals[move.playerKey] = (totals[move.playerKey] || 0) + 1;
+			}
+			for (let key of Object.keys(totals))
+				assert.equal(analysis.players[key].moves, totals[key]);
+
+			// Only analysed once
+			return game.analyse();
+		})
+		.then(a => assert.equal(a, analysis));
+	}, 180000);
+
+	tr.run();
+});
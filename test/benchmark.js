@@ -0,0 +1,138 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+/**
+ * This is NOT a unit test, it is a stand-alone benchmark for the
+ * dictionary and the robot. It times loading a dictionary, and
+ * finding the best play for some racks, both in this thread and in
+ * a worker thread the way the server does it.
+ *
+ * node benchmark.js [<dictionary>]
+ * Run with `node --expose-gc` to measure the memory used by the
+ * dictionary.
+ *
+ * CSW2019_English, before and after the Dictionary walked the
+ * encoded DAWG instead of building a LetterNode for each node, and
+ * shared it with the worker instead of the worker loading it again:
+ *
+ *                        before    after
+ * Construct dictionary   1027ms      9ms
+ * Memory used             163MB      7MB
+ * In thread 'AEILRST'    1473ms    484ms
+ * In thread 'DGKORUW'     715ms    123ms
+ * In thread 'EIOU AT'    1826ms    406ms
+ * In worker 'AEILRST'    2153ms    553ms
+ * In worker 'DGKORUW'    2451ms    498ms
+ * In worker 'EIOU AT'    2682ms    643ms
+ */
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'platform', 'game/Tile', 'game/Player', 'game/Game', 'game/Move',
+	'game/findBestPlay', 'dawg/Dictionary'
+], (
+	Platform, Tile, Player, Game, Move,
+	findBestPlay, Dictionary
+) => {
+
+	const dictionary = process.argv[2] || 'CSW2019_English';
+
+	const BOARD = [
+		'| | | | | | | | | | | | | | | |',
+		'| | | | | | | | | | | | | | | |',
+		'| | | | | | | | | | | | | | | |',
+		'| | | | | | | | | | | | | | | |',
+		'| | | | | | | | | | | | | | | |',
+		'| | | | | | | |Q| | | | | | | |',
+		'| | | | |G| | |U| | | | | | | |',
+		'| | | |C|R|A|N|E|S| | | | | | |',
+		'| | | | |O| | |E| | | | | | | |',
+		'| | | |S|T|E|P|N| | | | | | | |',
+		'| | | | |T| | | | | | | | | | |',
+		'| | | | |O| | | | | | | | | | |',
+		'| | | | | | | | | | | | | | | |',
+		'| | | | | | | | | | | | | | | |',
+		'| | | | | | | | | | | | | | | |'
+	].join('\n') + '\n';
+
+	// Racks to find plays for, ' ' is a blank
+	const RACKS = [ 'AEILRST', 'DGKORUW', 'EIOU AT' ];
+
+	function now() {
+		const [ s, ns ] = process.hrtime();
+		return Math.round(s * 1000 + ns / 1000000);
+	}
+
+	// Memory used by objects, including the contents of typed arrays
+	function heap() {
+		if (global.gc)
+			global.gc();
+		const usage = process.memoryUsage();
+		return usage.heapUsed + usage.external;
+	}
+
+	function tiles(rack) {
+		return rack.split('').map(l => new Tile({
+			letter: l, isBlank: l === ' ', score: l === ' ' ? 0 : 1 }));
+	}
+
+	// Time finding the best play for each rack
+	function play(game, find, label) {
+		let p = Promise.resolve();
+		for (let rack of RACKS) {
+			p = p.then(() => {
+				const start = now();
+				let best;
+				return find(game, tiles(rack), move => {
+					if (move instanceof Move)
+						best = move;
+				}, dictionary)
+				.then(() => console.log(
+					`${label} '${rack}': ${now() - start}ms, best`,
+					best ? `${best.words.map(w => w.word).join(',')} ${best.score}`
+					: 'none'));
+			});
+		}
+		return p;
+	}
+
+	const before = heap();
+	let start = now();
+	Platform.getResource(
+		requirejs.toUrl(`dictionaries/${dictionary}.dict`))
+	.then(buffer => {
+		console.log(`Read ${dictionary}: ${now() - start}ms`);
+		start = now();
+		const dict = new Dictionary(dictionary, buffer.buffer);
+		console.log(`Constructed: ${now() - start}ms`);
+		start = now();
+		dict.getSequenceRoots('A');
+		console.log(`Sequence roots: ${now() - start}ms`);
+		if (global.gc)
+			console.log(`Memory used: ${Math.round((heap() - before) / 1000000)}MB`);
+		// Keep it alive until after the heap is measured
+		return dict.hasWord('QUEEN');
+	})
+	// The robot uses the cached dictionary in this thread
+	.then(() => Dictionary.load(dictionary))
+	.then(() => new Game({
+		edition: 'English_Scrabble', dictionary: dictionary
+	}).create())
+	.then(game => {
+		game.addPlayer(new Player({ name: 'robot', key: 'bench', isRobot: true }));
+		return game.loadBoard(BOARD);
+	})
+	.then(game => play(game, findBestPlay, 'In thread')
+		  .then(() => play(game, Platform.findBestPlay, 'In worker')));
+});
@@ -0,0 +1,155 @@
+/* See README.md at the root of this distribution for copyright and
+   license information */
+/* eslint-env node */
+
+const requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: `${__dirname}/..`,
+    nodeRequire: require,
+	paths: {
+		game: 'js/game',
+		dawg: 'js/dawg',
+		platform: 'js/server/ServerPlatform'
+	}
+});
+
+requirejs([
+	'test/TestRunner', 'game/Edition', 'game/Player', 'game/Game',
+	'game/Tile', 'game/findEndgamePlay'
+], (
+	TestRunner, Edition, Player, Game,
+	Tile, findEndgamePlay
+) => {
+    let tr = new TestRunner('endgame');
+    let assert = tr.assert;
+
+	tr.addTest('fixed endgame', () => {
+		const game = new Game({
+			edition: 'Tiny',
+			dictionary: 'Oxford_5000',
+			debug: false
+		});
+		// Every tile is on the board, except DO on the rack of the
+		// player to move and EX on their opponent's rack
+		const rack = [
+			new Tile({letter:'D', isBlank:false, score:2}),
+			new Tile({letter:'O', isBlank:false, score:1})
+		];
+		const plays = [];
+		return game.create()
+		.then(() => game.loadBoard(
+			'|e|A|A|A|A|B|D|E|E|E|E|\n' +
+			'|F|G|H|I|I|I|I|J|K|L|L|\n' +
+			'|L|M|N|N|N|O|O|O|P|Q|R|\n' +
+			'|R|R|R|R|S|S|S|S|S|T|T|\n' +
+			'|T|U|U|U|V|W|Y|Z| | | |\n' +
+			'| | | | | | | | | | | |\n' +
+			'| | | | | | | | | | | |\n' +
+			'| | | | | | | | | | | |\n' +
+			'| | | | |C|A|T| | | | |\n' +
+			'| | | | | | | | | | | |\n' +
+			'| | | | | | | | | | | |\n'))
+		.then(() => {
+			game.addPlayer(new Player({name:'one', key:"dot"}));
+			game.addPlayer(new Player({name:'two', key:"axe"}));
+			game.letterBag.getRandomTiles(
+				game.letterBag.remainingTileCount());
+			return findEndgamePlay(game, rack, data => {
+				if (typeof data !== 'string')
+					plays.push(data);
+			}, game.dictionary, { seconds: 60 });
+		})
+		.then(() => {
+			// Going out with DOT scores 6 + 2 * 3 = 12, but playing
+			// AD first, when EX can't be played, and then going
+			// out with DO and TO, scores 3 + 8 + 2 * 3 = 17
+			const best = plays.pop();
+			assert.equal(best.spread, 17);
+			assert.equal(best.line.length, 3);
+			assert.deepEqual(
+				best.placements.map(t => [ t.letter, t.col, t.row ]),
+				[ [ 'D', 5, 9 ] ]);
+			assert.equal(best.score, 3);
+			assert.equal(best.line[1].placements.length, 0);
+			assert.deepEqual(
+				best.line[2].placements.map(t => [ t.letter, t.col, t.row ]),
+				[ [ 'O', 6, 9 ] ]);
+			assert.equal(best.line[2].score, 8);
+		});
+	});
+
+	tr.addTest('robot game endgame', () => {
+		const game = new Game({
+			edition: 'Tiny',
+			dictionary: 'Oxford_5000',
+			secondsPerPlay: 3,
+			debug: false
+		});
+		const player1 = new Player({
+			name: 'player one', key: "flay", isRobot: true});
+		const player2 = new Player({
+			name: 'player two', key: "swelter", isRobot: true});
+		let edition;
+
+		return game.create()
+		.then(() => Edition.load('Tiny'))
+		.then(ed => {
+			edition = ed;
+			game.addPlayer(player1);
+			game.addPlayer(player2);
+			game.whosTurnKey = player1.key;
+			// Both players are robots, so this will play the
+			// whole game
+			return game.autoplay();
+		})
+		.then(turn => game.finishTurn(turn))
+		.then(() => {
+			assert(game.hasEnded());
+			const position = game.getEndgamePosition();
+			if (!position) {
+				// Game ended before the bag was emptied
+				assert(!game.letterBag.isEmpty());
+				return undefined;
+			}
+
+			// All the tiles are on the board or the racks
+			const bagSize = edition.bag.reduce((n, t) => n + t.count, 0);
+			const copy = position.game;
+			assert.notEqual(copy, game);
+			assert.equal(copy.board.tiles().length
+						 + copy.players[0].rack.tiles().length
+						 + copy.players[1].rack.tiles().length,
+						 bagSize);
+			assert(copy.board.tiles().length <= game.board.tiles().length);
+			assert.equal(copy.whosTurnKey,
+						 game.turns[position.turn].nextToGoKey);
+
+			// Scores add up to the final scores
+			for (let player of copy.players) {
+				let score = player.score;
+				for (let i = position.turn + 1; i < game.turns.length; i++) {
+					const turn = game.turns[i];
+					if (typeof turn.score === 'object')
+						score += turn.score[player.key];
+					else if (turn.playerKey === player.key)
+						score += turn.score;
+				}
+				assert.equal(score, game.getPlayerWithKey(player.key).score);
+			}
+
+			return game.analyseEndgame(2)
+			.then(analysis => {
+				assert.equal(analysis.turn, position.turn);
+				assert.equal(typeof analysis.spread, 'number');
+				assert(analysis.plays.length > 0);
+				for (let i = 0; i < analysis.plays.length; i++)
+					assert.equal(analysis.plays[i].playerKey,
+								 i % 2 === 0 ? copy.whosTurnKey
+								 : copy.nextPlayer().key);
+			});
+		});
+	}, 120000);
+
+	tr.run();
+});
@@ -271,6 +271,75 @@ requirejs([
 		});
 	});
 
+	tr.addTest('only the plays asked for', () => {
+		let game;
+		const rack = () => 'SENSORY'.split('').map(letter => new Tile({
+			letter: letter, isBlank: false, score: 1 }));
+		const find = options => {
+			const plays = [];
+			return findBestPlay(
+				game, rack(),
+				move => {
+					if (move instanceof Move)
+						plays.push(move);
+				}, undefined, options)
+			.then(() => plays);
+		};
+		let all;
+		return new Game({edition:'English_WWF', dictionary:'Oxford_5000'})
+		.create()
+		.then(g => {
+			game = g;
+			game.addPlayer(new Player({name:'test', key:"picky", isRobot:true}));
+			return game.loadBoard(
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | |C|A|T| | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n' +
+				'| | | | | | | | | | | | | | | |\n');
+		})
+		.then(() => find({ all: true }))
+		.then(plays => {
+			all = plays;
+			assert(all.length > 10);
+			// Best first, and each play only once
+			for (let i = 1; i < all.length; i++)
+				assert(all[i - 1].score >= all[i].score);
+			const keys = all.map(play => play.placements
+								 .map(t => `${t.col},${t.row},${t.letter}`)
+								 .sort().join(';'));
+			assert.equal(new Set(keys).size, keys.length);
+			return find({ all: true, top: 5 });
+		})
+		.then(plays => {
+			assert.deepEqual(plays.map(p => p.score),
+							 all.slice(0, 5).map(p => p.score));
+			return find({ all: true, percentile: 0 });
+		})
+		.then(plays => {
+			assert.equal(plays.length, 1);
+			assert.equal(plays[0].score, all[all.length - 1].score);
+			return find({ all: true, maxWordLength: 3 });
+		})
+		.then(plays => {
+			assert(plays.length > 0);
+			assert(plays.length < all.length);
+			for (let play of plays)
+				for (let w of play.words)
+					assert(w.word.length <= 3, w.word);
+		});
+	});
+
 	tr.run();
 });
 